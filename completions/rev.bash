@@ -7,7 +7,7 @@ _rev_completions() {
     _init_completion || return
 
     local commands="build new import sections extract review status comments resolve reply strip refs migrate config install doi citations equations figures response anonymize validate merge diff history help init split word-count wc stats search backup export preview watch lint grammar annotate apply comment completions"
-    local build_formats="pdf docx tex all"
+    local build_formats="pdf docx tex html all"
     local doi_actions="check lookup fetch add"
     local eq_actions="list extract convert from-word"
     local help_topics="workflow syntax commands"
@@ -15,7 +15,7 @@ $script:revCommands = @(
     'pdf-comments', 'install-cli-skill', 'uninstall-cli-skill', 'doctor', 'upgrade'
 )
 
-$script:buildFormats = @('pdf', 'docx', 'tex', 'all')
+$script:buildFormats = @('pdf', 'docx', 'tex', 'html', 'all')
 $script:doiActions = @('check', 'lookup', 'fetch', 'add')
 $script:eqActions = @('list', 'extract', 'convert', 'from-word')
 $script:helpTopics = @('workflow', 'syntax', 'commands')
@@ -7,9 +7,16 @@
  *   {~~old~>new~~}          - Substitutions
  *   {>>Author: comment<<}   - Comments
  *   {==text==}              - Highlights
+ *
+ * Comments may carry a stable ID before the author: {>>[c:7f3a] Author: comment<<}
+ * and changes their author: {++[by:Jane Doe] text++}
+ * and triage metadata in their text: #major !high @assignee:anna
  */
 
 import type { Annotation, AnnotationCounts, StripOptions, CommentFilterOptions } from './types.js';
+import { splitCommentId, normalizeCommentId } from './comment-ids.js';
+import { splitChangeAuthor, stripChangeAuthors } from './change-author.js';
+import { parseCommentMeta, hasCommentMetaFilter, matchesCommentMeta } from './comment-meta.js';
 
 // =============================================================================
 // Constants
@@ -170,10 +177,12 @@ export function parseAnnotations(text: string): Annotation[] {
   for (const match of text.matchAll(PATTERNS.insert)) {
     if (match.index === undefined) continue;
     const ctx = getContext(match.index, match[0].length);
+    const { author, rest } = splitChangeAuthor(match[1] || '');
     annotations.push({
       type: 'insert',
       match: match[0],
-      content: match[1] || '',
+      content: rest,
+      ...(author ? { author } : {}),
       position: match.index,
       line: getLine(match.index),
       ...ctx,
@@ -184,10 +193,12 @@ export function parseAnnotations(text: string): Annotation[] {
   for (const match of text.matchAll(PATTERNS.delete)) {
     if (match.index === undefined) continue;
     const ctx = getContext(match.index, match[0].length);
+    const { author, rest } = splitChangeAuthor(match[1] || '');
     annotations.push({
       type: 'delete',
       match: match[0],
-      content: match[1] || '',
+      content: rest,
+      ...(author ? { author } : {}),
       position: match.index,
       line: getLine(match.index),
       ...ctx,
@@ -198,11 +209,13 @@ export function parseAnnotations(text: string): Annotation[] {
   for (const match of text.matchAll(PATTERNS.substitute)) {
     if (match.index === undefined) continue;
     const ctx = getContext(match.index, match[0].length);
+    const { author, rest } = splitChangeAuthor(match[1] || '');
     annotations.push({
       type: 'substitute',
       match: match[0],
-      content: match[1] || '',
+      content: rest,
       replacement: match[2] || '',
+      ...(author ? { author } : {}),
       position: match.index,
       line: getLine(match.index),
       ...ctx,
@@ -213,7 +226,7 @@ export function parseAnnotations(text: string): Annotation[] {
   for (const match of text.matchAll(PATTERNS.comment)) {
     if (match.index === undefined) continue;
     // Skip false positives (figure captions, nested annotations, etc.)
-    const commentContent = match[1] || '';
+    const { id, rest: commentContent } = splitCommentId(match[1] || '');
     if (isCommentFalsePositive(commentContent, text, match.index)) {
       continue;
     }
@@ -234,6 +247,7 @@ export function parseAnnotations(text: string): Annotation[] {
       match: match[0],
       content: commentText,
       author,
+      ...(id ? { id } : {}),
       position: match.index,
       line: getLine(match.index),
       ...ctx,
@@ -259,6 +273,7 @@ export function stripAnnotations(text: string, options: StripOptions = {}): stri
   }
 
   const { keepComments = false } = options;
+  text = stripChangeAuthors(text);
 
   // Iterate until no more changes (handles nested annotations)
   let prev: string;
@@ -515,27 +530,24 @@ export function getTrackChanges(text: string): Annotation[] {
 }
 
 /**
- * Get comments only
+ * Get comments only, with resolved status and triage metadata
  * @param text - Markdown text with CriticMarkup annotations
- * @param options - Filter options
+ * @param options - Filter options (status, tag, priority, assignee)
  * @returns Array of comment annotations
  * @throws TypeError If text is not a string
  */
 export function getComments(text: string, options: CommentFilterOptions = {}): Annotation[] {
   // Input validation delegated to parseAnnotations
-  const { pendingOnly = false, resolvedOnly = false } = options;
+  const { pendingOnly = false, resolvedOnly = false, ...metaFilter } = options;
   let comments = parseAnnotations(text).filter((a) => a.type === 'comment');
 
   // Check for resolved status marker at end of comment
   comments = comments.map((c) => {
     const resolved = c.content.endsWith('[RESOLVED]') || c.content.endsWith('[✓]');
-    return {
-      ...c,
-      resolved,
-      content: resolved
-        ? c.content.replace(/\s*\[(RESOLVED|✓)\]$/, '').trim()
-        : c.content,
-    };
+    const content = resolved
+      ? c.content.replace(/\s*\[(RESOLVED|✓)\]$/, '').trim()
+      : c.content;
+    return { ...c, ...parseCommentMeta(content), resolved, content };
   });
 
   if (pendingOnly) {
@@ -544,10 +556,24 @@ export function getComments(text: string, options: CommentFilterOptions = {}): A
   if (resolvedOnly) {
     comments = comments.filter((c) => c.resolved);
   }
+  if (hasCommentMetaFilter(metaFilter)) {
+    comments = comments.filter((c) => matchesCommentMeta(c, metaFilter));
+  }
 
   return comments;
 }
 
+/**
+ * Find a comment by its stable ID
+ * @param text - Markdown text with CriticMarkup annotations
+ * @param id - Comment ID, with or without leading zeros
+ * @returns The comment (with resolved status), or undefined
+ */
+export function findCommentById(text: string, id: string): Annotation | undefined {
+  const wanted = normalizeCommentId(id);
+  return getComments(text).find((c) => c.id === wanted);
+}
+
 /**
  * Mark a comment as resolved or pending
  * @param text - Document text containing the comment
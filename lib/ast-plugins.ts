@@ -0,0 +1,407 @@
+/**
+ * JavaScript build plugins on the pandoc JSON AST
+ *
+ * `plugins:` in rev.yaml lists JS modules, project-local paths or packages
+ * installed from npm:
+ *
+ *   plugins:
+ *     - ./plugins/sentence-case-headings.mjs
+ *     - module: docrev-plugin-acronyms
+ *       formats: [docx, html]
+ *       options: { expandFirst: true }
+ *
+ * A module's default export (or `transform` export) receives the document as
+ * pandoc JSON (`pandoc -t json`) and a context with the format, BuildConfig,
+ * crossref registry and the entry's options. It returns the modified AST, or
+ * nothing after editing it in place; runPandoc then builds the output from it
+ * with `pandoc -f json`. Plugins run on the AST as read from markdown, before
+ * pandoc-crossref, citeproc and the Lua filters.
+ *
+ * Errors name the plugin, and the AST node when the plugin walked the tree
+ * with `context.walk`.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { execFile } from 'child_process';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import type { BuildConfig } from './build.js';
+import type { Registry } from './types.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/** A pandoc element: `{ t: 'Para', c: [...] }` */
+export interface PandocNode {
+  t: string;
+  c?: unknown;
+}
+
+export interface PandocDocument {
+  'pandoc-api-version': number[];
+  meta: Record<string, unknown>;
+  blocks: PandocNode[];
+}
+
+export interface PluginEntry {
+  /** Project-relative path or npm package name */
+  module: string;
+  /** Formats the plugin runs for (default: the module's `formats` export, else all) */
+  formats?: string[];
+  /** Passed to the plugin as `context.options` */
+  options?: Record<string, unknown>;
+}
+
+export type PluginSetting = string | PluginEntry;
+
+/**
+ * Called for every element in a list (blocks, inlines, ...), parents before
+ * children. Return nothing to keep the element, an element to replace it or
+ * an array of elements to splice in its place (`[]` removes it).
+ */
+export type AstVisitor = (node: PandocNode, nodePath: string) => PandocNode | PandocNode[] | void;
+
+export interface PluginContext {
+  format: string;
+  config: BuildConfig;
+  registry: Registry;
+  options: Record<string, unknown>;
+  /** Project directory */
+  directory: string;
+  /** Walk any part of the AST (see AstVisitor); returns the rewritten copy */
+  walk: <T>(value: T, visitor: AstVisitor) => T;
+}
+
+export type AstTransform = (
+  ast: PandocDocument,
+  context: PluginContext
+) => PandocDocument | void | Promise<PandocDocument | void>;
+
+export interface LoadedPlugin {
+  name: string;
+  transform: AstTransform;
+  formats: string[] | null;
+  options: Record<string, unknown>;
+}
+
+/** Error thrown inside walkAst, with the element being visited */
+interface NodeError extends Error {
+  astPath?: string;
+  astNode?: string;
+}
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/**
+ * Normalize the `plugins:` setting to entries.
+ * @throws {Error} For entries that are neither a module name nor { module }
+ */
+export function normalizePluginEntries(setting: unknown): PluginEntry[] {
+  if (setting === undefined || setting === null) return [];
+  if (!Array.isArray(setting)) throw new Error('plugins must be a list of modules');
+  return setting.map((entry, i) => {
+    if (typeof entry === 'string' && entry.trim()) return { module: entry.trim() };
+    if (entry && typeof entry === 'object' && typeof (entry as PluginEntry).module === 'string') {
+      const { module, formats, options } = entry as PluginEntry;
+      if (formats !== undefined && !Array.isArray(formats)) {
+        throw new Error(`plugins[${i}].formats must be a list of formats`);
+      }
+      return { module, ...(formats && { formats }), ...(options && { options }) };
+    }
+    throw new Error(`plugins[${i}] must be a module path or { module: ... }`);
+  });
+}
+
+/**
+ * Resolve a plugin module: paths starting with `.` or `/` are project files,
+ * anything else is a package in the project's node_modules.
+ * @throws {Error} If the module cannot be found
+ */
+export function resolvePluginPath(specifier: string, directory: string): string {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    const file = path.resolve(directory, specifier);
+    if (!fs.existsSync(file)) throw new Error(`Plugin not found: ${specifier} (looked for ${file})`);
+    return file;
+  }
+
+  const require = createRequire(path.join(directory, 'rev.yaml'));
+  try {
+    return require.resolve(specifier);
+  } catch (err) {
+    // ESM-only packages export no "require" condition; read their entry point
+    if ((err as NodeJS.ErrnoException).code === 'ERR_PACKAGE_PATH_NOT_EXPORTED') {
+      for (const dir of require.resolve.paths(specifier) ?? []) {
+        const pkgPath = path.join(dir, specifier, 'package.json');
+        if (!fs.existsSync(pkgPath)) continue;
+        const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+        const root = typeof pkg.exports === 'object' ? pkg.exports['.'] ?? pkg.exports : pkg.exports;
+        const entry = typeof root === 'string' ? root : root?.import ?? root?.default ?? pkg.module ?? pkg.main;
+        if (typeof entry === 'string') return path.join(dir, specifier, entry);
+      }
+    }
+    throw new Error(`Plugin not found: ${specifier} (install it with npm install ${specifier})`);
+  }
+}
+
+/**
+ * Installed versions of the plugins that are npm packages, keyed by module
+ * name, so an upgrade invalidates cached builds. Plugins that cannot be
+ * resolved map to `missing`; project files are hashed as build inputs instead.
+ */
+export function pluginPackageVersions(setting: unknown, directory: string): Record<string, string> {
+  const versions: Record<string, string> = {};
+  let entries: PluginEntry[];
+  try {
+    entries = normalizePluginEntries(setting);
+  } catch {
+    return versions;
+  }
+  for (const { module } of entries) {
+    if (module.startsWith('.') || path.isAbsolute(module)) continue;
+    const name = module.split('/').slice(0, module.startsWith('@') ? 2 : 1).join('/');
+    versions[module] = 'missing';
+    try {
+      // Walk up from the entry point to the package's own package.json
+      let dir = path.dirname(resolvePluginPath(module, directory));
+      while (dir !== path.dirname(dir)) {
+        const pkgPath = path.join(dir, 'package.json');
+        if (fs.existsSync(pkgPath)) {
+          const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+          if (pkg.name === name) {
+            versions[module] = String(pkg.version ?? 'unknown');
+            break;
+          }
+        }
+        dir = path.dirname(dir);
+      }
+    } catch {
+      // Unresolvable: the build reports it when loading plugins
+    }
+  }
+  return versions;
+}
+
+/**
+ * Import a plugin module.
+ * @throws {Error} If it cannot be found, fails to load or exports no transform
+ */
+export async function loadPlugin(entry: PluginEntry, directory: string): Promise<LoadedPlugin> {
+  const file = resolvePluginPath(entry.module, directory);
+  let mod: Record<string, unknown>;
+  try {
+    mod = await import(pathToFileURL(file).href);
+  } catch (err) {
+    throw new Error(`Plugin ${entry.module} failed to load: ${(err as Error).message}`);
+  }
+
+  // ESM default/named exports, or a CommonJS module.exports object
+  const cjs = mod.default && typeof mod.default === 'object' ? (mod.default as Record<string, unknown>) : null;
+  const transform = [mod.default, mod.transform, cjs?.transform].find((f) => typeof f === 'function');
+  if (!transform) {
+    throw new Error(`Plugin ${entry.module} exports no transform function (export default or export function transform)`);
+  }
+  const formats = entry.formats ?? mod.formats ?? cjs?.formats;
+
+  return {
+    name: entry.module,
+    transform: transform as AstTransform,
+    formats: Array.isArray(formats) ? formats.map(String) : null,
+    options: entry.options ?? {},
+  };
+}
+
+// =============================================================================
+// AST
+// =============================================================================
+
+function isNode(value: unknown): value is PandocNode {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof (value as PandocNode).t === 'string';
+}
+
+/**
+ * Short description of an element for error messages: `Para "Results show…"`
+ */
+export function describeNode(node: PandocNode): string {
+  const words: string[] = [];
+  const collect = (value: unknown): void => {
+    if (words.join('').length > 40) return;
+    if (Array.isArray(value)) value.forEach(collect);
+    else if (isNode(value)) {
+      if (value.t === 'Str' && typeof value.c === 'string') words.push(value.c);
+      else if (value.t === 'Space' || value.t === 'SoftBreak') words.push(' ');
+      else collect(value.c);
+    }
+  };
+  collect(node);
+  const text = words.join('').trim();
+  if (!text) return node.t;
+  return `${node.t} "${text.length > 40 ? `${text.slice(0, 40)}…` : text}"`;
+}
+
+function attachNode(err: unknown, node: PandocNode, nodePath: string): NodeError {
+  const error: NodeError = err instanceof Error ? err : new Error(String(err));
+  if (!error.astPath) {
+    error.astPath = nodePath;
+    error.astNode = describeNode(node);
+  }
+  return error;
+}
+
+/**
+ * Walk a pandoc AST (or part of it) calling `visitor` on every element in a
+ * list, like pandocfilters' walk. Errors thrown by the visitor carry the
+ * element's path (`blocks[3].c[1]`) for plugin error messages.
+ */
+export function walkAst<T>(value: T, visitor: AstVisitor, at: string = ''): T {
+  if (Array.isArray(value)) {
+    const out: unknown[] = [];
+    value.forEach((item, i) => {
+      const itemPath = `${at}[${i}]`;
+      if (!isNode(item)) {
+        out.push(walkAst(item, visitor, itemPath));
+        return;
+      }
+      let result: PandocNode | PandocNode[] | void;
+      try {
+        result = visitor(item, itemPath);
+      } catch (err) {
+        throw attachNode(err, item, itemPath);
+      }
+      const replaced = result === undefined ? [item] : Array.isArray(result) ? result : [result];
+      for (const node of replaced) out.push(walkNode(node, visitor, itemPath));
+    });
+    return out as T;
+  }
+  if (isNode(value)) return walkNode(value, visitor, at) as T;
+  if (value && typeof value === 'object') {
+    const out: Record<string, unknown> = {};
+    for (const [key, child] of Object.entries(value)) {
+      out[key] = walkAst(child, visitor, at ? `${at}.${key}` : key);
+    }
+    return out as T;
+  }
+  return value;
+}
+
+function walkNode(node: PandocNode, visitor: AstVisitor, at: string): PandocNode {
+  if (node.c === undefined || typeof node.c !== 'object' || node.c === null) return node;
+  return { ...node, c: walkAst(node.c, visitor, `${at}.c`) };
+}
+
+/**
+ * Check the shape pandoc needs to read a document back.
+ * @throws {Error} With the path of the first malformed element
+ */
+function checkDocument(ast: unknown): asserts ast is PandocDocument {
+  if (!ast || typeof ast !== 'object' || Array.isArray(ast)) {
+    throw new Error(`returned ${Array.isArray(ast) ? 'an array' : typeof ast} instead of a pandoc document`);
+  }
+  const doc = ast as Partial<PandocDocument>;
+  if (!Array.isArray(doc['pandoc-api-version']) || !doc.meta || !Array.isArray(doc.blocks)) {
+    throw new Error('returned a document without pandoc-api-version, meta and blocks');
+  }
+  doc.blocks.forEach((block, i) => {
+    if (!isNode(block)) {
+      throw Object.assign(new Error('element has no string "t"'), { astPath: `blocks[${i}]`, astNode: JSON.stringify(block)?.slice(0, 40) });
+    }
+  });
+}
+
+// =============================================================================
+// Pipeline
+// =============================================================================
+
+/**
+ * Run plugins in order over a document.
+ * @throws {Error} Naming the plugin, format and (when known) the AST node
+ */
+export async function applyAstPlugins(
+  ast: PandocDocument,
+  plugins: LoadedPlugin[],
+  context: Omit<PluginContext, 'options' | 'walk'>
+): Promise<PandocDocument> {
+  let doc = ast;
+  for (const plugin of plugins) {
+    try {
+      const result = await plugin.transform(doc, {
+        ...context,
+        options: plugin.options,
+        walk: (value, visitor) => walkAst(value, visitor),
+      });
+      const next: unknown = result === undefined ? doc : result;
+      checkDocument(next);
+      doc = next;
+    } catch (err) {
+      const error = err as NodeError;
+      const where = error.astPath ? ` at ${error.astPath} (${error.astNode})` : '';
+      throw new Error(`Plugin ${plugin.name} failed for ${context.format}${where}: ${error.message}`);
+    }
+  }
+  return doc;
+}
+
+/**
+ * The reader format from pandoc args (`-f`, `--from`, `-r`, `--read`), or
+ * markdown.
+ */
+export function readerFormat(args: string[]): string {
+  let from = 'markdown';
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]!;
+    const inline = arg.match(/^--(?:from|read)=(.+)$/) ?? arg.match(/^-[fr](.+)$/);
+    if (inline) from = inline[1]!;
+    else if (['-f', '--from', '-r', '--read'].includes(arg) && args[i + 1]) from = args[++i]!;
+  }
+  return from;
+}
+
+/**
+ * Read a markdown file into the pandoc JSON AST (`pandoc -t json`).
+ */
+export function readPandocAst(
+  inputPath: string,
+  from: string,
+  signal?: AbortSignal
+): Promise<PandocDocument> {
+  return new Promise((resolve, reject) => {
+    execFile(
+      'pandoc',
+      ['-f', from, '-t', 'json', path.basename(inputPath)],
+      { cwd: path.dirname(inputPath), maxBuffer: 512 * 1024 * 1024, ...(signal && { signal }) },
+      (err, stdout, stderr) => {
+        if (err) {
+          reject(new Error(stderr.trim() || err.message));
+          return;
+        }
+        try {
+          resolve(JSON.parse(stdout) as PandocDocument);
+        } catch (parseErr) {
+          reject(new Error(`pandoc returned invalid JSON for ${path.basename(inputPath)}: ${(parseErr as Error).message}`));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Plugins that apply to a format, loaded from the `plugins:` setting.
+ */
+export async function loadPluginsForFormat(
+  setting: unknown,
+  format: string,
+  directory: string
+): Promise<LoadedPlugin[]> {
+  const entries = normalizePluginEntries(setting);
+  const plugins: LoadedPlugin[] = [];
+  for (const entry of entries) {
+    // Formats given in rev.yaml are known before importing the module
+    if (entry.formats && !entry.formats.includes(format)) continue;
+    const plugin = await loadPlugin(entry, directory);
+    if (!plugin.formats || plugin.formats.includes(format)) plugins.push(plugin);
+  }
+  return plugins;
+}
@@ -0,0 +1,208 @@
+/**
+ * Incremental build cache
+ *
+ * Content-addressed record of the last successful output per format, stored
+ * in .rev/build-cache.json. A format's cache key hashes every input that can
+ * change its output (section files, rev.yaml, bibliography, CSL, referenced
+ * figures, files pandoc reads such as templates and reference documents, the
+ * combined paper.md and the effective build settings, including npm plugin
+ * versions). When the
+ * key matches and the recorded output is still on disk and unmodified, the
+ * build skips pandoc for that format.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Cache file, relative to the project directory */
+const CACHE_FILE = path.join('.rev', 'build-cache.json');
+
+/** Bump when the key layout changes so stale entries are ignored */
+const CACHE_VERSION = 1;
+
+/** Marker hash for declared inputs that do not exist on disk */
+const MISSING_FILE_HASH = 'missing';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/** Map of project-relative input path → content hash */
+export type BuildInputHashes = Record<string, string>;
+
+interface CacheEntry {
+  key: string;
+  /** Output path relative to the project directory (absolute if outside it) */
+  outputPath: string;
+  outputHash: string;
+  builtAt: string;
+}
+
+interface CacheData {
+  version: number;
+  formats: Record<string, CacheEntry>;
+}
+
+// =============================================================================
+// Hashing
+// =============================================================================
+
+/**
+ * SHA-256 of a string or buffer, hex-encoded
+ */
+export function hashContent(content: string | Buffer): string {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash a file's contents. Returns null when the file does not exist or is
+ * not a regular file.
+ */
+export function hashFile(filePath: string): string | null {
+  try {
+    if (!fs.statSync(filePath).isFile()) return null;
+    return hashContent(fs.readFileSync(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find local figure files referenced by markdown image syntax or raw
+ * `\includegraphics`. URLs and data URIs are skipped. Paths are returned as
+ * written (relative to the project directory), deduplicated, in order.
+ */
+export function findReferencedFigures(markdown: string): string[] {
+  const found = new Set<string>();
+
+  // ![caption](path "title"){attrs} — path ends at whitespace or ')'
+  const imagePattern = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+  let m: RegExpExecArray | null;
+  while ((m = imagePattern.exec(markdown)) !== null) {
+    found.add(m[1]!);
+  }
+
+  const includePattern = /\\includegraphics\s*(?:\[[^\]]*\])?\s*\{([^}]+)\}/g;
+  while ((m = includePattern.exec(markdown)) !== null) {
+    found.add(m[1]!.trim());
+  }
+
+  return [...found].filter((p) => !/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(p));
+}
+
+/**
+ * Hash a list of project-relative input files. Missing files are recorded as
+ * `missing` so that creating them later invalidates the cache.
+ */
+export function collectInputHashes(directory: string, files: string[]): BuildInputHashes {
+  const hashes: BuildInputHashes = {};
+  for (const file of files) {
+    if (!file || hashes[file] !== undefined) continue;
+    const abs = path.isAbsolute(file) ? file : path.join(directory, file);
+    hashes[file] = hashFile(abs) ?? MISSING_FILE_HASH;
+  }
+  return hashes;
+}
+
+/**
+ * Compute the cache key for one format from its input hashes and the
+ * effective build settings (config, CLI overrides, tool versions). Object
+ * keys are sorted so logically identical settings hash identically.
+ */
+export function computeCacheKey(format: string, inputs: BuildInputHashes, settings: unknown): string {
+  return hashContent(stableStringify({ version: CACHE_VERSION, format, inputs, settings }));
+}
+
+function stableStringify(value: unknown): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const obj = value as Record<string, unknown>;
+  const keys = Object.keys(obj).filter((k) => obj[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(obj[k])}`).join(',')}}`;
+}
+
+// =============================================================================
+// Cache file
+// =============================================================================
+
+function readCache(directory: string): CacheData {
+  const cachePath = path.join(directory, CACHE_FILE);
+  try {
+    if (fs.existsSync(cachePath)) {
+      const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8')) as CacheData;
+      if (data.version === CACHE_VERSION && data.formats) return data;
+    }
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('build-cache: Failed to read cache:', (e as Error).message);
+    }
+  }
+  return { version: CACHE_VERSION, formats: {} };
+}
+
+function writeCache(directory: string, data: CacheData): void {
+  const cachePath = path.join(directory, CACHE_FILE);
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('build-cache: Failed to write cache:', (e as Error).message);
+    }
+  }
+}
+
+/**
+ * Return the cached output path for a format when its key matches and the
+ * recorded output still exists unmodified. Returns null on any miss.
+ */
+export function lookupCachedOutput(directory: string, format: string, key: string): string | null {
+  const entry = readCache(directory).formats[format];
+  if (!entry || entry.key !== key) return null;
+
+  const outputPath = path.isAbsolute(entry.outputPath)
+    ? entry.outputPath
+    : path.join(directory, entry.outputPath);
+  if (hashFile(outputPath) !== entry.outputHash) return null;
+
+  return outputPath;
+}
+
+/**
+ * Record a successful build so the next run with the same key can skip it.
+ * The output hash is taken after postprocessing, so later edits to the
+ * output file invalidate the entry.
+ */
+export function recordBuildOutput(directory: string, format: string, key: string, outputPath: string): void {
+  const outputHash = hashFile(outputPath);
+  if (!outputHash) return;
+
+  const data = readCache(directory);
+  const rel = path.relative(directory, outputPath);
+  data.formats[format] = {
+    key,
+    outputPath: rel.startsWith('..') || path.isAbsolute(rel) ? outputPath : rel,
+    outputHash,
+    builtAt: new Date().toISOString(),
+  };
+  writeCache(directory, data);
+}
+
+/**
+ * Delete the build cache. Returns true if a cache file was removed.
+ */
+export function clearBuildCache(directory: string): boolean {
+  const cachePath = path.join(directory, CACHE_FILE);
+  if (!fs.existsSync(cachePath)) return false;
+  fs.unlinkSync(cachePath);
+  return true;
+}
@@ -0,0 +1,310 @@
+/**
+ * Build provenance manifest
+ *
+ * Every `build()` writes output/build-manifest.json describing what the
+ * outputs were built from: git commit and dirty state, a hash of each section
+ * file, pandoc and pandoc-crossref versions, CSL and journal profile. The
+ * manifest's build ID is also embedded in the DOCX (custom property) and PDF
+ * (document info), so a file returned by a coauthor weeks later can be traced
+ * back to its manifest. Manifests are archived under .rev/builds/<id>.json so
+ * older builds stay findable after the next build overwrites the output copy.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import AdmZip from 'adm-zip';
+import { PDFDocument, PDFDict, PDFName, PDFString, PDFHexString } from 'pdf-lib';
+import { hashFile } from './build-cache.js';
+import { exportDirectoryAtRef } from './git.js';
+import { encodeXmlAttr, encodeXmlText, decodeXmlEntities } from './ooxml.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Manifest filename, written next to the outputs */
+export const MANIFEST_FILE = 'build-manifest.json';
+
+/** Archive of past manifests, relative to the project directory */
+const MANIFEST_HISTORY_DIR = path.join('.rev', 'builds');
+
+const MANIFEST_VERSION = 1;
+
+/** DOCX custom property carrying the build ID */
+export const DOCX_BUILD_ID_PROPERTY = 'docrev-build-id';
+
+/** PDF document-info key carrying the build ID */
+export const PDF_BUILD_ID_KEY = 'DocrevBuildId';
+
+const CUSTOM_PROPS_PART = 'docProps/custom.xml';
+const CUSTOM_PROPS_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.custom-properties+xml';
+const CUSTOM_PROPS_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties';
+/** Format ID Word uses for user-defined custom properties */
+const CUSTOM_PROPS_FMTID = '{D5CDD505-2E9C-101B-9397-08002B2CF9AE}';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface BuildManifestOutput {
+  format: string;
+  /** Output path relative to the project directory (absolute if outside it) */
+  path: string;
+  supplement?: boolean;
+  cached?: boolean;
+}
+
+export interface BuildManifest {
+  version: number;
+  /** Content-derived ID: identical inputs and settings give the same ID */
+  buildId: string;
+  builtAt: string;
+  git: {
+    commit: string | null;
+    /** Uncommitted changes in the repository at build time */
+    dirty: boolean;
+  };
+  /** Section file → SHA-256 of its content at build time */
+  sections: Record<string, string>;
+  tools: {
+    pandoc: string | null;
+    pandocCrossref: string | null;
+  };
+  csl: { path: string; hash: string | null } | null;
+  journal: string | null;
+  variant: string | null;
+  outputs: BuildManifestOutput[];
+}
+
+// =============================================================================
+// Manifest file
+// =============================================================================
+
+/**
+ * Write the manifest to `<outputDir>/build-manifest.json` and archive a copy
+ * under .rev/builds/<buildId>.json.
+ *
+ * @returns Path of the manifest in the output directory
+ */
+export function writeBuildManifest(directory: string, outputDir: string, manifest: BuildManifest): string {
+  const json = JSON.stringify(manifest, null, 2) + '\n';
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  fs.writeFileSync(manifestPath, json, 'utf-8');
+
+  const historyDir = path.join(directory, MANIFEST_HISTORY_DIR);
+  fs.mkdirSync(historyDir, { recursive: true });
+  fs.writeFileSync(path.join(historyDir, `${manifest.buildId}.json`), json, 'utf-8');
+
+  return manifestPath;
+}
+
+function readManifestFile(filePath: string): BuildManifest | null {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8')) as BuildManifest;
+    return data.version === MANIFEST_VERSION && typeof data.buildId === 'string' ? data : null;
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('build-manifest: Failed to read manifest:', (e as Error).message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Find the manifest for a build ID: the .rev/builds archive first, then the
+ * current manifest in the output directory.
+ */
+export function findBuildManifest(directory: string, buildId: string, outputDir?: string): BuildManifest | null {
+  if (!/^[0-9a-f]+$/i.test(buildId)) return null;
+
+  const archived = readManifestFile(path.join(directory, MANIFEST_HISTORY_DIR, `${buildId}.json`));
+  if (archived) return archived;
+
+  const current = readManifestFile(path.join(outputDir ?? path.join(directory, 'output'), MANIFEST_FILE));
+  return current?.buildId === buildId ? current : null;
+}
+
+/**
+ * Section files whose content differs from the manifest (edited, or deleted
+ * since the build).
+ */
+export function sectionsChangedSinceBuild(directory: string, manifest: BuildManifest): string[] {
+  return Object.entries(manifest.sections)
+    .filter(([file, hash]) => hashFile(path.join(directory, file)) !== hash)
+    .map(([file]) => file);
+}
+
+/**
+ * Section files as they were at build time, read back from the manifest's git
+ * commit. Only files whose content at that commit hashes to the manifest
+ * entry are returned: sections that were uncommitted when a dirty tree was
+ * built cannot be recovered. Empty when the build has no commit or the
+ * commit is gone.
+ *
+ * @param files - Section files to recover (default: all in the manifest)
+ * @returns Section file → content at build time
+ */
+export function recoverBuiltSections(
+  directory: string,
+  manifest: BuildManifest,
+  files: string[] = Object.keys(manifest.sections)
+): Map<string, string> {
+  const recovered = new Map<string, string>();
+  if (!manifest.git.commit || files.length === 0) return recovered;
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-built-'));
+  try {
+    exportDirectoryAtRef(manifest.git.commit, directory, tempDir);
+    for (const file of files) {
+      const exported = path.join(tempDir, file);
+      if (manifest.sections[file] && hashFile(exported) === manifest.sections[file]) {
+        recovered.set(file, fs.readFileSync(exported, 'utf-8'));
+      }
+    }
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('build-manifest: Failed to export build commit:', (e as Error).message);
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+  return recovered;
+}
+
+/**
+ * One-line description of where a build came from, e.g.
+ * "commit 1a2b3c4 (uncommitted changes), built 2026-05-01".
+ */
+export function describeBuildOrigin(manifest: BuildManifest): string {
+  const commit = manifest.git.commit
+    ? `commit ${manifest.git.commit.slice(0, 7)}${manifest.git.dirty ? ' (uncommitted changes)' : ''}`
+    : 'no git commit';
+  return `${commit}, built ${manifest.builtAt.slice(0, 10)}`;
+}
+
+// =============================================================================
+// Embedding in outputs
+// =============================================================================
+
+/**
+ * Embed the build ID in an output file: a DOCX custom property or a PDF
+ * document-info entry. Other formats are left alone.
+ *
+ * @returns True if the ID was written
+ */
+export async function embedBuildId(outputPath: string, buildId: string): Promise<boolean> {
+  const ext = path.extname(outputPath).toLowerCase();
+  if (ext === '.docx') {
+    writeDocxCustomProperty(outputPath, DOCX_BUILD_ID_PROPERTY, buildId);
+    return true;
+  }
+  if (ext === '.pdf') {
+    const doc = await PDFDocument.load(fs.readFileSync(outputPath), { updateMetadata: false });
+    getPdfInfoDict(doc).set(PDFName.of(PDF_BUILD_ID_KEY), PDFString.of(buildId));
+    fs.writeFileSync(outputPath, await doc.save({ useObjectStreams: false }));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Read the build ID embedded by embedBuildId(). Returns null when the file
+ * has none or cannot be read.
+ */
+export async function readBuildId(filePath: string): Promise<string | null> {
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    if (ext === '.docx') {
+      return readDocxCustomProperty(filePath, DOCX_BUILD_ID_PROPERTY);
+    }
+    if (ext === '.pdf') {
+      const doc = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false, ignoreEncryption: true });
+      const value = getPdfInfoDict(doc).get(PDFName.of(PDF_BUILD_ID_KEY));
+      if (value instanceof PDFString || value instanceof PDFHexString) return value.decodeText();
+    }
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('build-manifest: Failed to read build ID:', (e as Error).message);
+    }
+  }
+  return null;
+}
+
+function getPdfInfoDict(doc: PDFDocument): PDFDict {
+  const ref = doc.context.trailerInfo.Info;
+  const existing = ref ? doc.context.lookup(ref) : undefined;
+  if (existing instanceof PDFDict) return existing;
+  const info = doc.context.obj({});
+  doc.context.trailerInfo.Info = doc.context.register(info);
+  return info;
+}
+
+/**
+ * Set a string custom property in a .docx, creating docProps/custom.xml and
+ * its content-type and package relationship when absent.
+ */
+function writeDocxCustomProperty(docxPath: string, name: string, value: string): void {
+  const zip = new AdmZip(docxPath);
+  const entry = zip.getEntry(CUSTOM_PROPS_PART);
+  let xml = entry
+    ? entry.getData().toString('utf8')
+    : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" ' +
+      'xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes"></Properties>';
+
+  // Drop a previous value, then append with the next free pid (pids start at 2)
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  xml = xml.replace(new RegExp(`<property\\b[^>]*\\bname="${escapedName}"[^>]*>[\\s\\S]*?</property>`, 'g'), '');
+  const pids = [...xml.matchAll(/\bpid="(\d+)"/g)].map((m) => Number(m[1]));
+  const pid = Math.max(1, ...pids) + 1;
+  const property =
+    `<property fmtid="${CUSTOM_PROPS_FMTID}" pid="${pid}" name="${encodeXmlAttr(name)}">` +
+    `<vt:lpwstr>${encodeXmlText(value)}</vt:lpwstr></property>`;
+  xml = xml.replace(/<\/Properties>\s*$/, `${property}</Properties>`);
+
+  if (entry) {
+    zip.updateFile(CUSTOM_PROPS_PART, Buffer.from(xml, 'utf8'));
+  } else {
+    zip.addFile(CUSTOM_PROPS_PART, Buffer.from(xml, 'utf8'));
+
+    const typesEntry = zip.getEntry('[Content_Types].xml');
+    if (typesEntry) {
+      const types = typesEntry.getData().toString('utf8');
+      if (!types.includes(`PartName="/${CUSTOM_PROPS_PART}"`)) {
+        zip.updateFile('[Content_Types].xml', Buffer.from(types.replace(
+          '</Types>',
+          `<Override PartName="/${CUSTOM_PROPS_PART}" ContentType="${CUSTOM_PROPS_CONTENT_TYPE}"/></Types>`
+        ), 'utf8'));
+      }
+    }
+
+    const relsEntry = zip.getEntry('_rels/.rels');
+    if (relsEntry) {
+      const rels = relsEntry.getData().toString('utf8');
+      if (!rels.includes(CUSTOM_PROPS_REL_TYPE)) {
+        const ids = [...rels.matchAll(/\bId="rId(\d+)"/g)].map((m) => Number(m[1]));
+        const rid = `rId${Math.max(0, ...ids) + 1}`;
+        zip.updateFile('_rels/.rels', Buffer.from(rels.replace(
+          '</Relationships>',
+          `<Relationship Id="${rid}" Type="${CUSTOM_PROPS_REL_TYPE}" Target="${CUSTOM_PROPS_PART}"/></Relationships>`
+        ), 'utf8'));
+      }
+    }
+  }
+
+  zip.writeZip(docxPath);
+}
+
+function readDocxCustomProperty(docxPath: string, name: string): string | null {
+  const zip = new AdmZip(docxPath);
+  const entry = zip.getEntry(CUSTOM_PROPS_PART);
+  if (!entry) return null;
+  const xml = entry.getData().toString('utf8');
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const m = xml.match(new RegExp(`<property\\b[^>]*\\bname="${escapedName}"[^>]*>\\s*<vt:\\w+>([^<]*)</vt:\\w+>`));
+  return m ? decodeXmlEntities(m[1]!) : null;
+}
@@ -1,5 +1,5 @@
 /**
- * Build system - combines sections → paper.md → PDF/DOCX/TEX
+ * Build system - combines sections → paper.md → PDF/DOCX/TEX/HTML
  *
  * Features:
  * - Reads rev.yaml config
@@ -9,20 +9,51 @@
  */
 
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync, spawn, ChildProcess } from 'child_process';
 import YAML from 'yaml';
 import { stripAnnotations } from './annotations.js';
-import { buildRegistry, labelToDisplay, detectDynamicRefs, resolveForwardRefs, resolveSupplementaryRefs } from './crossref.js';
-import { processVariables, hasVariables } from './variables.js';
+import {
+  buildRegistry,
+  labelToDisplay,
+  detectDynamicRefs,
+  resolveForwardRefs,
+  resolveSupplementaryRefs,
+  numberSupplementaryCaptions,
+} from './crossref.js';
+import type { DisplayPrefixes } from './crossref.js';
+import { processVariables, hasVariables, type DataVariableIssue } from './variables.js';
 import { processSlideMarkdown, hasSlideSyntax } from './slides.js';
 import { generatePptxTemplate, templateNeedsRegeneration, injectMediaIntoPptx, injectSlideNumbers, applyThemeFonts, applyCentering, applyBuildupColors } from './pptx-template.js';
 import { getThemePath, getThemeNames, PPTX_THEMES } from './pptx-themes.js';
 import { runPostprocess } from './postprocess.js';
-import { hasPandoc, hasPandocCrossref, hasLatex } from './dependencies.js';
+import { type PrebuildStep, type PrebuildStepResult, runPrebuild, prebuildOutputs } from './prebuild.js';
+import { validatePdfPageLimits } from './page-limits.js';
+import { convertCriticMarkupToHtml, CRITIC_HTML_STYLES } from './html-comments.js';
+import { type VariantConfig, filterVariantBlocks, mergeVariantOverrides, isValidVariantName } from './variants.js';
+import { hasPandoc, hasPandocCrossref, hasLatex, getPandocVersion, getPandocCrossrefVersion } from './dependencies.js';
+import {
+  collectInputHashes,
+  computeCacheKey,
+  findReferencedFigures,
+  hashFile,
+  lookupCachedOutput,
+  recordBuildOutput,
+} from './build-cache.js';
+import { type BuildManifest, embedBuildId, writeBuildManifest } from './build-manifest.js';
+import { getHeadCommit, hasUncommittedChanges } from './git.js';
 import { buildImageRegistry, writeImageRegistry } from './image-registry.js';
-import type { Author, JournalFormatting } from './types.js';
+import { applyNativeCrossref } from './native-crossref.js';
+import { expandIncludes, hasIncludes } from './includes.js';
+import { expandTableDirectives, findTableSources } from './data-tables.js';
+import { type LayoutSetting, resolveLayout, moveFloatsToEnd, FLOATS_INSERT_MARKER } from './layout.js';
+import { type TitlePageOptions, usesTitlePage, buildTitlePage, renderTitlePageMarkdown, renderTitlePageLatex } from './title-page.js';
+import { type ContributionStyle, checkAuthorContributions } from './credit.js';
+import { type PluginSetting, loadPluginsForFormat, readPandocAst, readerFormat, applyAstPlugins, pluginPackageVersions } from './ast-plugins.js';
+import { type LineNumbersSetting, resolveLineNumbers, latexLineNumbersHeader, applyDocxLineNumbers } from './line-numbers.js';
+import type { Author, JournalFormatting, Registry as CrossrefRegistry } from './types.js';
 import { getJournalProfile } from './journals.js';
 import { resolveCSL } from './csl.js';
 import {
@@ -37,8 +68,11 @@ import {
 // Constants
 // =============================================================================
 
+/** Length of the build ID embedded in outputs (hex characters) */
+const BUILD_ID_LENGTH = 12;
+
 /** Supported output formats */
-const SUPPORTED_FORMATS = ['pdf', 'docx', 'tex', 'beamer', 'pptx'] as const;
+const SUPPORTED_FORMATS = ['pdf', 'docx', 'tex', 'html', 'beamer', 'pptx'] as const;
 
 /**
  * Maximum length for slugified-title output filenames. Only used when no
@@ -48,6 +82,15 @@ const SUPPORTED_FORMATS = ['pdf', 'docx', 'tex', 'beamer', 'pptx'] as const;
  */
 const MAX_TITLE_FILENAME_LENGTH = 80;
 
+/** Combined markdown for the companion supplement (the main text is paper.md) */
+const SUPPLEMENT_FILE = 'paper-supplement.md';
+
+/** Formats that also emit the companion supplement (slides never do) */
+const SUPPLEMENT_FORMATS = ['pdf', 'docx', 'tex', 'html'];
+
+/** Default supplement title when `supplement.title` is not set */
+const DEFAULT_SUPPLEMENT_TITLE = 'Supplementary Information';
+
 // =============================================================================
 // Interfaces
 // =============================================================================
@@ -57,6 +100,7 @@ export interface CrossrefConfig {
   tableTitle?: string;
   figPrefix?: string | string[];
   tblPrefix?: string | string[];
+  eqnPrefix?: string | string[];
   secPrefix?: string | string[];
   linkReferences?: boolean;
 }
@@ -84,13 +128,18 @@ export interface PdfConfig {
   monofont?: string;
   /** Extra pandoc args appended for this format (after top-level pandocArgs). */
   pandocArgs?: string[];
+  /** Line numbers via lineno: continuous, page (restart per page) or true */
+  lineNumbers?: LineNumbersSetting;
 }
 
 export interface DocxConfig {
   reference?: string | null;
   keepComments?: boolean;
+  /** @deprecated Use titlePage.affiliationNewline */
   affiliationNewline?: boolean;
   toc?: boolean;
+  /** Line numbers via w:lnNumType: continuous, page (restart per page) or true */
+  lineNumbers?: LineNumbersSetting;
   pandocArgs?: string[];
   /**
    * Auto-translate the common-shape raw `\begin{figure}...\end{figure}` block
@@ -101,6 +150,25 @@ export interface DocxConfig {
   translateRawFigures?: boolean;
 }
 
+export interface HtmlConfig {
+  /** Embed images, CSS and scripts so the .html file stands alone. Default true. */
+  selfContained?: boolean;
+  /** Stylesheet(s) linked (or embedded when selfContained) into the page. */
+  css?: string | string[] | null;
+  /**
+   * Math rendering: mathml (default; needs no network), mathjax or katex.
+   * mathjax/katex are fetched from a CDN, and embedded when selfContained.
+   */
+  math?: 'mathml' | 'mathjax' | 'katex';
+  toc?: boolean;
+  /**
+   * Render remaining CriticMarkup as styled insertions, deletions and margin
+   * comments. Default true. Set false to strip annotations as for PDF.
+   */
+  showAnnotations?: boolean;
+  pandocArgs?: string[];
+}
+
 export interface TexConfig {
   standalone?: boolean;
   pandocArgs?: string[];
@@ -138,10 +206,28 @@ export interface TablesConfig {
   nowrap?: string[];
 }
 
+/**
+ * Companion supplementary document built alongside the main manuscript.
+ * Its figures and tables share the main text's crossref registry and are
+ * numbered S1, S2, ...
+ */
+export interface SupplementConfig {
+  /** Section files of the supplement, in order. */
+  sections?: string[];
+  /** Supplement title. Default "Supplementary Information". */
+  title?: string;
+  /**
+   * Per-format output filenames, like the top-level `output:` map. Default:
+   * the main output name with a `-supplement` suffix.
+   */
+  output?: Record<string, string>;
+}
+
 export interface PostprocessConfig {
   pdf?: string | null;
   docx?: string | null;
   tex?: string | null;
+  html?: string | null;
   pptx?: string | null;
   beamer?: string | null;
   all?: string | null;
@@ -159,6 +245,7 @@ export interface BuildConfig {
   pdf: PdfConfig;
   docx: DocxConfig;
   tex: TexConfig;
+  html: HtmlConfig;
   beamer: BeamerConfig;
   pptx: PptxConfig;
   tables: TablesConfig;
@@ -189,6 +276,48 @@ export interface BuildConfig {
    * values are appended last.
    */
   pandocArgs?: string[];
+  /**
+   * Named build variants (e.g. submission, preprint, internal). Each entry
+   * overrides config keys when selected with `rev build --variant <name>`;
+   * see lib/variants.ts.
+   */
+  variants?: Record<string, VariantConfig>;
+  /** Companion supplement built from its own section files. */
+  supplement?: SupplementConfig | null;
+  /**
+   * Directories outside the project that `{{include:...}}` directives may
+   * read from (see lib/includes.ts). The project directory is always allowed.
+   */
+  includePaths?: string[];
+  /**
+   * Submission layout: `figures-at-end` moves figures and tables after the
+   * references (see lib/layout.ts). Default inline.
+   */
+  layout?: LayoutSetting | null;
+  /**
+   * Title page options for structured authors (see lib/title-page.ts);
+   * false leaves the author list to pandoc's templates.
+   */
+  titlePage?: TitlePageOptions | boolean;
+  /**
+   * Style of the {{contributions}} statement built from author `roles`
+   * (see lib/credit.ts); a journal profile's formatting can set it.
+   */
+  contributions?: ContributionStyle | null;
+  /** Journal profile whose formatting defaults apply (see lib/journals.ts). */
+  journal?: string | null;
+  /** Most formats to build at once (default: number of CPUs). CLI `--jobs` wins. */
+  concurrency?: number;
+  /** JS modules that edit the pandoc AST per format (see lib/ast-plugins.ts). */
+  plugins?: PluginSetting[];
+  /** Commands that regenerate build inputs when theirs change (see lib/prebuild.ts). */
+  prebuild?: PrebuildStep[];
+  /** Active variant, set by applyVariant(). */
+  _variant?: string | null;
+  /** Filename suffix for the active variant (e.g. "-preprint"). */
+  _outputSuffix?: string;
+  /** Formats the active variant names in its own `output:` map; these get no suffix. */
+  _variantOutputs?: string[];
   _configPath?: string | null;
 }
 
@@ -197,6 +326,10 @@ export interface BuildResult {
   success: boolean;
   outputPath?: string;
   error?: string;
+  /** True when the output was reused from the incremental build cache. */
+  cached?: boolean;
+  /** True for the companion supplement's output (see SupplementConfig). */
+  supplement?: boolean;
 }
 
 interface BuildOptions {
@@ -216,12 +349,39 @@ interface BuildOptions {
   crossref?: boolean;
   /** Extra pandoc args from CLI (--pandoc-arg). Appended after config args. */
   pandocArgs?: string[];
+  /**
+   * Reuse outputs whose inputs are unchanged (see lib/build-cache.ts).
+   * Default true; `--no-cache` sets false to force a rebuild.
+   */
+  cache?: boolean;
+  /**
+   * Most pandoc processes to run at once (CLI `--jobs`). Beats
+   * `config.concurrency`; defaults to the number of CPUs.
+   */
+  concurrency?: number;
+  /** Aborting kills running pandoc processes and skips the rest */
+  signal?: AbortSignal;
+  /** Called whenever a format starts or finishes */
+  onProgress?: (progress: BuildProgress) => void;
+  /** Called before each out-of-date prebuild step runs */
+  onPrebuildStep?: (name: string) => void;
+  /** Internal: crossref registry shared by every format of one build */
+  _registry?: CrossrefRegistry;
   _refsAutoInjected?: boolean;
   _forwardRefsResolved?: number;
 }
 
+/** Progress of the per-format builds within build() */
+export interface BuildProgress {
+  /** Formats currently running, e.g. ["pdf", "docx (supplement)"] */
+  running: string[];
+  done: number;
+  total: number;
+}
+
 interface CombineOptions extends BuildOptions {
   _refsAutoInjected?: boolean;
+  _dataVariableIssues?: DataVariableIssue[];
 }
 
 interface VariablesContext {
@@ -237,9 +397,17 @@ interface PandocResult {
 interface FullBuildResult {
   results: BuildResult[];
   paperPath: string;
+  /** Combined supplement markdown, when a supplement is configured. */
+  supplementPath?: string;
   warnings: string[];
   forwardRefsResolved: number;
   refsAutoInjected?: boolean;
+  /** Provenance ID embedded in DOCX/PDF outputs (see lib/build-manifest.ts). */
+  buildId: string;
+  /** output/build-manifest.json; absent for single-output internal builds. */
+  manifestPath?: string;
+  /** prebuild: steps, whether they ran or were up to date */
+  prebuild: PrebuildStepResult[];
 }
 
 interface DynamicRef {
@@ -249,19 +417,6 @@ interface DynamicRef {
   position: number;
 }
 
-interface Registry {
-  figures: Map<string, unknown>;
-  tables: Map<string, unknown>;
-  equations: Map<string, unknown>;
-  byNumber: {
-    fig?: Map<number, string>;
-    figS?: Map<number, string>;
-    tbl?: Map<number, string>;
-    tblS?: Map<number, string>;
-    eq?: Map<number, string>;
-  };
-}
-
 /**
  * Default rev.yaml configuration
  */
@@ -299,6 +454,13 @@ export const DEFAULT_CONFIG: BuildConfig = {
   tex: {
     standalone: true,
   },
+  html: {
+    selfContained: true,
+    css: null,
+    math: 'mathml',
+    toc: false,
+    showAnnotations: true,
+  },
   // Slide formats
   beamer: {
     theme: 'default',
@@ -324,6 +486,7 @@ export const DEFAULT_CONFIG: BuildConfig = {
     pdf: null,
     docx: null,
     tex: null,
+    html: null,
     pptx: null,
     beamer: null,
     all: null, // Runs after any format
@@ -387,6 +550,16 @@ export function mergeJournalFormatting(config: BuildConfig, formatting: JournalF
     }
   }
 
+  // Layout: only if the user hasn't chosen one
+  if (formatting.layout && config.layout == null) {
+    merged.layout = formatting.layout;
+  }
+
+  // Contribution statement style: only if the user hasn't chosen one
+  if (formatting.contributions && config.contributions == null) {
+    merged.contributions = formatting.contributions;
+  }
+
   // Crossref settings: merge only unset fields
   if (formatting.crossref) {
     const userCrossref = config.crossref || {};
@@ -443,7 +616,7 @@ export function loadConfig(directory: string): BuildConfig {
     // to camelCase `pandocArgs`. Hyphenated is what we document; camelCase is
     // accepted for users who already prefer that convention.
     normalizePandocArgsKey(userConfig);
-    for (const fmt of ['pdf', 'docx', 'tex', 'beamer', 'pptx'] as const) {
+    for (const fmt of ['pdf', 'docx', 'tex', 'html', 'beamer', 'pptx'] as const) {
       if (userConfig[fmt] && typeof userConfig[fmt] === 'object') {
         normalizePandocArgsKey(userConfig[fmt]);
       }
@@ -457,6 +630,7 @@ export function loadConfig(directory: string): BuildConfig {
       pdf: { ...DEFAULT_CONFIG.pdf, ...userConfig.pdf },
       docx: { ...DEFAULT_CONFIG.docx, ...userConfig.docx },
       tex: { ...DEFAULT_CONFIG.tex, ...userConfig.tex },
+      html: { ...DEFAULT_CONFIG.html, ...userConfig.html },
       beamer: { ...DEFAULT_CONFIG.beamer, ...userConfig.beamer },
       pptx: { ...DEFAULT_CONFIG.pptx, ...userConfig.pptx },
       tables: { ...DEFAULT_CONFIG.tables, ...userConfig.tables },
@@ -479,14 +653,112 @@ export function loadConfig(directory: string): BuildConfig {
   }
 }
 
+/**
+ * Names of the variants declared in rev.yaml
+ */
+export function listVariants(config: BuildConfig): string[] {
+  return config.variants && typeof config.variants === 'object' ? Object.keys(config.variants) : [];
+}
+
+/**
+ * Select a build variant: merge its overrides over the config and record the
+ * active name for fenced-div filtering and output naming. A `journal:` key in
+ * the variant applies that profile's formatting underneath the overrides.
+ *
+ * @param config - Loaded config (not mutated)
+ * @param variant - Variant name declared under `variants:` in rev.yaml
+ * @param directory - Project directory (for resolving journal CSL)
+ * @returns New config with the variant applied
+ * @throws {Error} If the variant is not declared or its name is not filename-safe
+ */
+export function applyVariant(config: BuildConfig, variant: string, directory: string): BuildConfig {
+  const declared = listVariants(config);
+  const overrides = config.variants?.[variant];
+  if (!overrides || typeof overrides !== 'object') {
+    const available = declared.length > 0 ? declared.join(', ') : 'none declared';
+    throw new Error(`Unknown variant "${variant}" (available: ${available})`);
+  }
+  if (!isValidVariantName(variant)) {
+    throw new Error(`Variant name "${variant}" must contain only letters, digits, "-" or "_"`);
+  }
+
+  const userOverrides = { ...overrides };
+  normalizePandocArgsKey(userOverrides);
+  for (const fmt of ['pdf', 'docx', 'tex', 'html', 'beamer', 'pptx'] as const) {
+    const block = userOverrides[fmt];
+    if (block && typeof block === 'object') {
+      userOverrides[fmt] = { ...block };
+      normalizePandocArgsKey(userOverrides[fmt] as Record<string, unknown>);
+    }
+  }
+
+  let merged = mergeVariantOverrides(config, userOverrides);
+
+  if (typeof userOverrides.journal === 'string') {
+    const profile = getJournalProfile(userOverrides.journal);
+    if (profile?.formatting) {
+      merged = mergeJournalFormatting(merged, profile.formatting, directory);
+    }
+  }
+
+  merged._variant = variant;
+  merged._outputSuffix = `-${variant}`;
+  merged._variantOutputs = Object.keys(userOverrides.output ?? {});
+  return merged;
+}
+
+/**
+ * Crossref registry for a build. Section content is variant-filtered before
+ * anchors are scanned so numbering matches the emitted document.
+ */
+export function buildProjectRegistry(directory: string, config: BuildConfig, sections: string[] = config.sections): CrossrefRegistry {
+  // Supplement sections follow the main text in one registry, so main-text
+  // references to SI items resolve and SI items are numbered S1, S2, ...
+  const supplement = getSupplementSections(config);
+  let files = sections;
+  if (supplement.length > 0) {
+    const main = sections.length > 0 ? sections : findMainSections(directory, config);
+    files = [...new Set([...main, ...supplement])];
+  }
+  return buildRegistry(directory, files, {
+    transform: (content, file) =>
+      filterVariantBlocks(expandSectionIncludes(directory, config, file, content), config._variant),
+    supplementary: supplement,
+  });
+}
+
+/**
+ * Section files declared under `supplement.sections` (empty when no
+ * supplement is configured).
+ */
+export function getSupplementSections(config: BuildConfig): string[] {
+  const sections = config.supplement?.sections;
+  return Array.isArray(sections) ? sections.filter((s) => typeof s === 'string' && s) : [];
+}
+
+/**
+ * Reference prefixes matching the crossref config, so pre-resolved
+ * references read like the ones pandoc-crossref renders ("Fig. S3").
+ */
+function getDisplayPrefixes(config: BuildConfig): DisplayPrefixes {
+  const first = (value: string | string[] | undefined): string | undefined =>
+    Array.isArray(value) ? value[0] : value;
+  return {
+    fig: first(config.crossref?.figPrefix),
+    tbl: first(config.crossref?.tblPrefix),
+  };
+}
+
 /**
  * Find section files in directory
  * @param directory - Project directory path
  * @param configSections - Sections from rev.yaml (optional)
+ * @param exclude - Files to leave out when sections are discovered rather
+ *   than listed in rev.yaml
  * @returns Ordered list of section file names
  * @throws {TypeError} If directory is not a string
  */
-export function findSections(directory: string, configSections: string[] = []): string[] {
+export function findSections(directory: string, configSections: string[] = [], exclude: string[] = []): string[] {
   if (typeof directory !== 'string') {
     throw new TypeError(`directory must be a string, got ${typeof directory}`);
   }
@@ -505,6 +777,9 @@ export function findSections(directory: string, configSections: string[] = []):
     return sections;
   }
 
+  const excluded = new Set(exclude.map((f) => path.normalize(f).toLowerCase()));
+  const isExcluded = (f: string) => excluded.has(path.normalize(f).toLowerCase());
+
   // Try sections.yaml
   const sectionsYamlPath = path.join(directory, 'sections.yaml');
   if (fs.existsSync(sectionsYamlPath)) {
@@ -514,7 +789,7 @@ export function findSections(directory: string, configSections: string[] = []):
         return Object.entries(sectionsConfig.sections)
           .sort((a: [string, any], b: [string, any]) => (a[1].order ?? 999) - (b[1].order ?? 999))
           .map(([file]) => file)
-          .filter((f) => fs.existsSync(path.join(directory, f)));
+          .filter((f) => fs.existsSync(path.join(directory, f)) && !isExcluded(f));
       }
     } catch (e) {
       if (process.env.DEBUG) {
@@ -525,10 +800,10 @@ export function findSections(directory: string, configSections: string[] = []):
   }
 
   // Default: find all .md files except special ones
-  const exclude = ['paper.md', 'readme.md', 'claude.md'];
+  const special = ['paper.md', SUPPLEMENT_FILE, 'readme.md', 'claude.md'];
   const files = fs.readdirSync(directory).filter((f) => {
     if (!f.endsWith('.md')) return false;
-    if (exclude.includes(f.toLowerCase())) return false;
+    if (special.includes(f.toLowerCase()) || isExcluded(f)) return false;
     return true;
   });
 
@@ -536,11 +811,19 @@ export function findSections(directory: string, configSections: string[] = []):
   return files.sort();
 }
 
+/**
+ * Section files of the main document: those in rev.yaml, or the discovered
+ * ones minus the supplement's
+ */
+export function findMainSections(directory: string, config: BuildConfig): string[] {
+  return findSections(directory, config.sections, getSupplementSections(config));
+}
+
 /**
  * Combine section files into paper.md
  */
 export function combineSections(directory: string, config: BuildConfig, options: CombineOptions = {}): string {
-  const sections = findSections(directory, config.sections);
+  const sections = findMainSections(directory, config);
 
   if (sections.length === 0) {
     throw new Error('No section files found. Create .md files or specify sections in rev.yaml');
@@ -571,6 +854,8 @@ export function combineSections(directory: string, config: BuildConfig, options:
   // Track if we find an explicit refs div in any section
   let hasExplicitRefsDiv = false;
 
+  const layout = resolveLayout(config.layout);
+
   // Combine sections
   for (let i = 0; i < sections.length; i++) {
     const section = sections[i];
@@ -580,6 +865,12 @@ export function combineSections(directory: string, config: BuildConfig, options:
 
     // Remove any existing frontmatter from section files
     content = stripFrontmatter(content);
+
+    // Expand shared snippets; markers let splitAnnotatedPaper fold them back
+    content = expandSectionIncludes(directory, config, section, content, true);
+
+    // Keep or drop `::: {.only variant="..."}` blocks for the active variant
+    content = filterVariantBlocks(content, config._variant);
     sectionContents.push(content);
 
     // Check if this section has an explicit refs div
@@ -597,6 +888,12 @@ export function combineSections(directory: string, config: BuildConfig, options:
       options._refsAutoInjected = true;
     }
 
+    // Figures and tables moved to the end go before an in-document supplement
+    if (i === suppIndex && layout) {
+      parts.push(FLOATS_INSERT_MARKER);
+      parts.push('');
+    }
+
     parts.push(content.trim());
     parts.push('');
     parts.push(''); // Double newline between sections
@@ -606,30 +903,51 @@ export function combineSections(directory: string, config: BuildConfig, options:
 
   // Process template variables if any exist
   if (hasVariables(paperContent)) {
-    paperContent = processVariables(paperContent, config as any, { sectionContents });
+    const outIssues: DataVariableIssue[] = [];
+    paperContent = processVariables(paperContent, config as any, { sectionContents, directory, outIssues });
+    if (outIssues.length > 0) options._dataVariableIssues = outIssues;
   }
 
   // Resolve forward references (refs that appear before their anchor definition)
   // This fixes pandoc-crossref limitation with multi-file documents
-  if (hasPandocCrossref()) {
-    const registry = buildRegistry(directory, sections);
-    const { text, resolved } = resolveForwardRefs(paperContent, registry);
-    if (resolved.length > 0) {
-      paperContent = text;
-      // Store resolved count for optional reporting
-      options._forwardRefsResolved = resolved.length;
+  const hasSupplement = getSupplementSections(config).length > 0;
+  if (hasPandocCrossref() || hasSupplement) {
+    const registry = buildProjectRegistry(directory, config, sections);
+    const prefixes = getDisplayPrefixes(config);
+    if (hasPandocCrossref()) {
+      const { text, resolved } = resolveForwardRefs(paperContent, registry, prefixes);
+      if (resolved.length > 0) {
+        paperContent = text;
+        // Store resolved count for optional reporting
+        options._forwardRefsResolved = resolved.length;
+      }
     }
 
     // Resolve supplementary references and strip their anchors.
     // pandoc-crossref cannot produce "Figure S1" numbering — it numbers all
     // figures sequentially. We resolve supplementary refs to plain text and
-    // remove the {#fig:...} attributes so crossref ignores them.
-    const supp = resolveSupplementaryRefs(paperContent, registry);
+    // remove the {#fig:...} attributes so crossref ignores them. Items in a
+    // companion supplement live in another document, so references to them
+    // are always resolved here.
+    const supp = resolveSupplementaryRefs(paperContent, registry, prefixes);
     if (supp.resolved.length > 0) {
       paperContent = supp.text;
     }
   }
 
+  // Figures and tables after the references, numbering unchanged
+  if (layout) {
+    // Pandoc places the bibliography at the end unless a refs div says otherwise
+    const needsRefsDiv = hasBibliography && !hasExplicitRefsDiv && !options._refsAutoInjected;
+    paperContent = moveFloatsToEnd(paperContent, {
+      ...layout,
+      figureTitle: config.crossref?.figureTitle,
+      tableTitle: config.crossref?.tableTitle,
+      registry: buildProjectRegistry(directory, config, sections),
+      prelude: needsRefsDiv ? `${hasRefsSection ? '' : '# References\n\n'}::: {#refs}\n:::` : undefined,
+    }).text;
+  }
+
   const paperPath = path.join(directory, 'paper.md');
 
   fs.writeFileSync(paperPath, paperContent, 'utf-8');
@@ -637,6 +955,71 @@ export function combineSections(directory: string, config: BuildConfig, options:
   return paperPath;
 }
 
+/**
+ * Combine the supplement's section files into paper-supplement.md.
+ *
+ * Figure and table captions are numbered S1, S2, ... from the shared
+ * registry and their anchors stripped, so the numbering does not depend on
+ * pandoc-crossref. References to main-text items resolve to their main-text
+ * numbers ("Fig. 2"), since those anchors live in the other document.
+ *
+ * @returns Path to the combined supplement, or null if none is configured
+ */
+export function combineSupplement(directory: string, config: BuildConfig, options: CombineOptions = {}): string | null {
+  const declared = getSupplementSections(config);
+  if (declared.length === 0) return null;
+
+  if (declared.includes(SUPPLEMENT_FILE) || declared.includes('paper.md')) {
+    throw new Error(`supplement.sections cannot include ${SUPPLEMENT_FILE} or paper.md (build outputs)`);
+  }
+
+  const sections = findSections(directory, declared);
+  if (sections.length === 0) {
+    throw new Error('No supplement section files found. Check supplement.sections in rev.yaml');
+  }
+
+  const frontmatter = buildFrontmatter({
+    ...config,
+    title: config.supplement?.title || DEFAULT_SUPPLEMENT_TITLE,
+  });
+  // Without an explicit title, name the paper the supplement belongs to
+  if (!config.supplement?.title && config.title) {
+    frontmatter.subtitle = config.title;
+  }
+
+  const parts: string[] = ['---', YAML.stringify(frontmatter).trim(), '---', ''];
+  const sectionContents: string[] = [];
+  for (const section of sections) {
+    let content = stripFrontmatter(fs.readFileSync(path.join(directory, section), 'utf-8'));
+    content = expandSectionIncludes(directory, config, section, content);
+    content = filterVariantBlocks(content, config._variant);
+    sectionContents.push(content);
+    parts.push(content.trim());
+    parts.push('');
+    parts.push('');
+  }
+
+  let content = parts.join('\n');
+  if (hasVariables(content)) {
+    const outIssues: DataVariableIssue[] = [];
+    content = processVariables(content, config as any, { sectionContents, directory, outIssues });
+    if (outIssues.length > 0) options._dataVariableIssues = outIssues;
+  }
+
+  const registry = buildProjectRegistry(directory, config);
+  const prefixes = getDisplayPrefixes(config);
+  content = numberSupplementaryCaptions(content, registry, {
+    figure: config.crossref?.figureTitle,
+    table: config.crossref?.tableTitle,
+  }).text;
+  content = resolveSupplementaryRefs(content, registry, prefixes).text;
+  content = resolveForwardRefs(content, registry, prefixes).text;
+
+  const supplementPath = path.join(directory, SUPPLEMENT_FILE);
+  fs.writeFileSync(supplementPath, content, 'utf-8');
+  return supplementPath;
+}
+
 /**
  * Build YAML frontmatter from config
  */
@@ -645,9 +1028,9 @@ function buildFrontmatter(config: BuildConfig): Record<string, unknown> {
 
   if (config.title) fm.title = config.title;
 
-  // Skip author in frontmatter when using numbered affiliations —
+  // Skip author in frontmatter when the title page renderer handles it —
   // the author block is injected separately per format
-  if (config.authors && config.authors.length > 0 && !hasNumberedAffiliations(config)) {
+  if (config.authors && config.authors.length > 0 && !usesTitlePage(config.authors, config.titlePage, config.affiliations)) {
     fm.author = config.authors;
   }
 
@@ -662,6 +1045,21 @@ function buildFrontmatter(config: BuildConfig): Record<string, unknown> {
   return fm;
 }
 
+/**
+ * Expand include directives in a section file's content
+ * @param markers - Wrap expansions in `<!-- @include:... -->` markers
+ */
+function expandSectionIncludes(
+  directory: string,
+  config: BuildConfig,
+  section: string,
+  content: string,
+  markers = false
+): string {
+  if (!hasIncludes(content)) return content;
+  return expandIncludes(content, section, { root: directory, includePaths: config.includePaths, markers });
+}
+
 /**
  * Strip YAML frontmatter from content
  */
@@ -674,115 +1072,18 @@ function stripFrontmatter(content: string): string {
 }
 
 /**
- * Check if config uses numbered affiliation mode
- * (authors have `affiliations` arrays and an affiliations map is defined)
- */
-function hasNumberedAffiliations(config: BuildConfig): boolean {
-  if (!config.affiliations || Object.keys(config.affiliations).length === 0) return false;
-  return config.authors.some(a => typeof a !== 'string' && a.affiliations && a.affiliations.length > 0);
-}
-
-/**
- * Generate LaTeX author block using authblk package for numbered superscript affiliations.
- * Returns LaTeX code to be injected via header-includes.
- */
-function generateLatexAuthorBlock(config: BuildConfig): string {
-  const lines: string[] = [];
-  lines.push('\\usepackage{authblk}');
-  lines.push('\\renewcommand\\Authfont{\\normalsize}');
-  lines.push('\\renewcommand\\Affilfont{\\small}');
-  lines.push('');
-
-  // Map affiliation keys to numbers
-  const affiliationKeys = Object.keys(config.affiliations);
-  const keyToNum = new Map<string, number>();
-  affiliationKeys.forEach((key, i) => keyToNum.set(key, i + 1));
-
-  // Authors
-  for (const author of config.authors) {
-    if (typeof author === 'string') {
-      lines.push(`\\author{${author}}`);
-      continue;
-    }
-    const marks = (author.affiliations || [])
-      .map(k => keyToNum.get(k))
-      .filter((n): n is number => n !== undefined);
-
-    const markStr = marks.length > 0 ? `[${marks.join(',')}]` : '';
-    let nameStr = author.name;
-    if (author.corresponding && author.email) {
-      nameStr += `\\thanks{Corresponding author: ${author.email}}`;
-    } else if (author.corresponding) {
-      nameStr += '\\thanks{Corresponding author}';
-    }
-    lines.push(`\\author${markStr}{${nameStr}}`);
-  }
-
-  // Affiliations
-  for (const [key, text] of Object.entries(config.affiliations)) {
-    const num = keyToNum.get(key);
-    if (num !== undefined) {
-      lines.push(`\\affil[${num}]{${text}}`);
-    }
-  }
-
-  return lines.join('\n');
-}
-
-/**
- * Generate markdown author block for DOCX output with superscript affiliations.
- * Returns markdown text to insert after the YAML frontmatter.
+ * Title page author block for a format: authblk LaTeX for pdf/tex, markdown
+ * otherwise. Returns null when pandoc renders the authors itself.
  */
-function generateMarkdownAuthorBlock(config: BuildConfig): string {
-  const lines: string[] = [];
-
-  // Map affiliation keys to numbers
-  const affiliationKeys = Object.keys(config.affiliations);
-  const keyToNum = new Map<string, number>();
-  affiliationKeys.forEach((key, i) => keyToNum.set(key, i + 1));
-
-  // Author line: Name^1,2^, Name^3^, ...
-  const authorParts: string[] = [];
-  for (const author of config.authors) {
-    if (typeof author === 'string') {
-      authorParts.push(author);
-      continue;
-    }
-    const marks = (author.affiliations || [])
-      .map(k => keyToNum.get(k))
-      .filter((n): n is number => n !== undefined);
-    let entry = author.name;
-    const superParts = marks.map(String);
-    if (author.corresponding) superParts.push('\\*');
-    if (superParts.length > 0) {
-      entry += `^${superParts.join(',')}^`;
-    }
-    authorParts.push(entry);
-  }
-  lines.push(authorParts.join(', '));
-  lines.push('');
-
-  // Affiliation lines: ^1^ Department of ...
-  const affiliationEntries = Object.entries(config.affiliations);
-  const useLineBreaks = config.docx.affiliationNewline !== false;
-  affiliationEntries.forEach(([key, text], idx) => {
-    const num = keyToNum.get(key);
-    if (num !== undefined) {
-      const isLast = idx === affiliationEntries.length - 1;
-      const suffix = useLineBreaks && !isLast ? '\\' : '';
-      lines.push(`^${num}^ ${text}${suffix}`);
-    }
-  });
-
-  // Corresponding author footnote
-  const corresponding = config.authors.find(a => typeof a !== 'string' && a.corresponding) as Author | undefined;
-  if (corresponding?.email) {
-    lines.push('');
-    lines.push(`^\\*^ Corresponding author: ${corresponding.email}`);
-  }
-
-  lines.push('');
-  return lines.join('\n');
+function titlePageBlock(config: BuildConfig, latex: boolean): string | null {
+  if (!usesTitlePage(config.authors, config.titlePage, config.affiliations)) return null;
+  const settings = typeof config.titlePage === 'object' ? config.titlePage : {};
+  const options: TitlePageOptions = {
+    ...settings,
+    affiliationNewline: settings.affiliationNewline ?? config.docx?.affiliationNewline,
+  };
+  const page = buildTitlePage(config.authors, config.affiliations);
+  return latex ? renderTitlePageLatex(page, options) : renderTitlePageMarkdown(page, options);
 }
 
 /**
@@ -902,19 +1203,26 @@ export function applyFormatTransforms(
   content: string,
   format: string,
   config: BuildConfig,
-  registry: Registry
+  registry: CrossrefRegistry
 ): string {
   if (format === 'pdf' || format === 'tex') {
     content = processTablesForFormat(content, config.tables, format);
 
-    if (hasNumberedAffiliations(config)) {
-      const latexBlock = generateLatexAuthorBlock(config);
+    if (!hasPandocCrossref()) {
+      content = applyNativeCrossref(content, registry, { ...config.crossref, latex: true }).text;
+    }
+
+    const latexBlock = titlePageBlock(config, true);
+    if (latexBlock) {
       content = content.replace(/^(---\r?\n[\s\S]*?)(---\r?\n)/, (_match, yamlContent, closing) => {
         return `${yamlContent}header-includes: |\n${latexBlock.split('\n').map(l => '  ' + l).join('\n')}\n${closing}`;
       });
     }
   } else if (format === 'docx') {
-    content = convertDynamicRefsToDisplay(content, registry);
+    const crossrefFilter = hasPandocCrossref();
+    if (crossrefFilter) {
+      content = convertDynamicRefsToDisplay(content, registry);
+    }
 
     // Pandoc strips raw LaTeX in docx output. Translate the common
     // `\begin{figure}...\end{figure}` shape to portable markdown so figures
@@ -924,8 +1232,27 @@ export function applyFormatTransforms(
       content = translated;
     }
 
-    if (hasNumberedAffiliations(config)) {
-      const mdBlock = generateMarkdownAuthorBlock(config);
+    // Without the filter, number captions and equations ourselves
+    if (!crossrefFilter) {
+      content = applyNativeCrossref(content, registry, config.crossref).text;
+    }
+
+    const mdBlock = titlePageBlock(config, false);
+    if (mdBlock) {
+      content = content.replace(/^(---\r?\n[\s\S]*?---\r?\n)/, `$1\n${mdBlock}\n`);
+    }
+  } else if (format === 'html') {
+    // Pandoc drops raw LaTeX in html just as in docx.
+    content = translateRawLatexFigures(content).translated;
+
+    // pandoc-crossref turns @fig:label into links in html; without it the
+    // raw reference would reach the browser, so number natively.
+    if (!hasPandocCrossref()) {
+      content = applyNativeCrossref(content, registry, config.crossref).text;
+    }
+
+    const mdBlock = titlePageBlock(config, false);
+    if (mdBlock) {
       content = content.replace(/^(---\r?\n[\s\S]*?---\r?\n)/, `$1\n${mdBlock}\n`);
     }
   } else if (format === 'beamer' || format === 'pptx') {
@@ -944,18 +1271,28 @@ export function prepareForFormat(
   paperPath: string,
   format: string,
   config: BuildConfig,
-  _options: BuildOptions = {}
+  options: BuildOptions = {}
 ): string {
   const directory = path.dirname(paperPath);
   let content = fs.readFileSync(paperPath, 'utf-8');
 
   // Build crossref registry for reference conversion
   // Pass sections from config to ensure correct file ordering
-  const registry = buildRegistry(directory, config.sections);
+  const registry = options._registry ?? buildProjectRegistry(directory, config);
+
+  // Table directives become pipe tables before the table transforms run
+  content = expandTableDirectives(content, {
+    directory,
+    latex: format === 'pdf' || format === 'tex',
+    registry,
+    tableTitle: config.crossref?.tableTitle,
+  });
 
   // Strip annotations per format
   if (format === 'docx') {
     content = stripAnnotations(content, { keepComments: config.docx.keepComments });
+  } else if (format === 'html' && config.html?.showAnnotations !== false) {
+    content = convertCriticMarkupToHtml(content).markdown;
   } else {
     content = stripAnnotations(content);
   }
@@ -964,7 +1301,7 @@ export function prepareForFormat(
   content = applyFormatTransforms(content, format, config, registry);
 
   // Write to temporary file
-  const preparedPath = path.join(directory, `.paper-${format}.md`);
+  const preparedPath = path.join(directory, `.${path.basename(paperPath, '.md')}-${format}.md`);
   fs.writeFileSync(preparedPath, content, 'utf-8');
 
   return preparedPath;
@@ -973,7 +1310,7 @@ export function prepareForFormat(
 /**
  * Convert @fig:label references to display format (Figure 1)
  */
-function convertDynamicRefsToDisplay(text: string, registry: Registry): string {
+function convertDynamicRefsToDisplay(text: string, registry: CrossrefRegistry): string {
   const refs = detectDynamicRefs(text);
 
   // Process in reverse order to preserve positions
@@ -981,7 +1318,7 @@ function convertDynamicRefsToDisplay(text: string, registry: Registry): string {
   for (let i = refs.length - 1; i >= 0; i--) {
     const ref = refs[i];
     if (!ref) continue;
-    const display = labelToDisplay(ref.type, ref.label, registry as any);
+    const display = labelToDisplay(ref.type, ref.label, registry);
 
     if (display) {
       result = result.slice(0, ref.position) + display + result.slice(ref.position + ref.match.length);
@@ -1164,7 +1501,7 @@ function formatRawLatexFigureWarning(figs: RawLatexFigure[], translateEnabled: b
 export function collectRawLatexFigureWarning(directory: string, config: BuildConfig): string | null {
   const translateEnabled = config.docx?.translateRawFigures !== false;
   const all: RawLatexFigure[] = [];
-  for (const section of findSections(directory, config.sections)) {
+  for (const section of findMainSections(directory, config)) {
     const sectionPath = path.join(directory, section);
     if (!fs.existsSync(sectionPath)) continue;
     try {
@@ -1206,6 +1543,8 @@ export function buildPandocArgs(format: string, config: BuildConfig, outputPath:
     args.push('-t', 'pdf');
   } else if (format === 'docx') {
     args.push('-t', 'docx');
+  } else if (format === 'html') {
+    args.push('-t', 'html5', '-s');
   } else if (format === 'beamer') {
     args.push('-t', 'beamer');
   } else if (format === 'pptx') {
@@ -1266,6 +1605,23 @@ export function buildPandocArgs(format: string, config: BuildConfig, outputPath:
     if (config.docx.toc) {
       args.push('--toc');
     }
+  } else if (format === 'html') {
+    const html = config.html || {};
+    if (html.selfContained !== false) {
+      args.push('--embed-resources');
+    }
+    const math = html.math || 'mathml';
+    args.push(math === 'mathjax' ? '--mathjax' : math === 'katex' ? '--katex' : '--mathml');
+    const css = html.css ? (Array.isArray(html.css) ? html.css : [html.css]) : [];
+    for (const sheet of css) {
+      args.push('--css', sheet);
+    }
+    if (html.toc) {
+      args.push('--toc');
+    }
+    if (config.bibliography) {
+      args.push('-M', 'link-citations=true');
+    }
   } else if (format === 'beamer') {
     // Beamer slide options
     const beamer = config.beamer || {};
@@ -1370,6 +1726,7 @@ const FORMAT_EXTENSIONS: Record<string, string> = {
   tex: '.tex',
   pdf: '.pdf',
   docx: '.docx',
+  html: '.html',
   beamer: '.pdf',
   pptx: '.pptx',
 };
@@ -1436,6 +1793,11 @@ export function resolveOutputPath(
 ): string {
   const { cliOverride, suffix = '' } = options;
   const ext = getFormatExtension(format);
+  // Variant builds get a per-variant suffix unless the file was named on the
+  // command line or in the variant's own `output:` map.
+  const variantSuffix = cliOverride || config._variantOutputs?.includes(format)
+    ? ''
+    : (config._outputSuffix ?? '');
 
   const explicit = cliOverride ?? config.output?.[format];
   if (explicit) {
@@ -1444,11 +1806,20 @@ export function resolveOutputPath(
       : resolveOutputDir(directory, config);
     const baseName = path.basename(explicit);
     const stem = baseName.replace(/\.[^./\\]+$/, '');
-    return path.join(baseDir, ensureExtension(`${stem}${suffix}`, ext));
+    return path.join(baseDir, ensureExtension(`${stem}${variantSuffix}${suffix}`, ext));
   }
 
   const slug = slugifyTitle(config.title);
-  return path.join(resolveOutputDir(directory, config), `${slug}${suffix}${ext}`);
+  return path.join(resolveOutputDir(directory, config), `${slug}${variantSuffix}${suffix}${ext}`);
+}
+
+/**
+ * Temp file next to a pandoc input, named after it (`.paper-pdf.macros.tex`)
+ * so formats building side by side never share one.
+ */
+function sidecarFile(inputPath: string, name: string): string {
+  const stem = path.basename(inputPath, path.extname(inputPath)).replace(/^\.+/, '');
+  return path.join(path.dirname(inputPath), `.${stem}.${name}`);
 }
 
 /**
@@ -1544,13 +1915,13 @@ export async function runPandoc(
   // child env (not pandoc metadata) because pandoc walks RawInline/RawBlock
   // BEFORE Meta — by the time a Meta handler could read the path, the inline
   // expansion has already happened.
-  const macroTempFiles: string[] = [];
+  const tempFiles: string[] = [];
   let macroEnvFile: string | null = null;
   const macros = mergeMacros((config as { macros?: unknown }).macros);
   if (macros.length > 0) {
     if (format === 'docx' || format === 'html' || format === 'html5' || format === 'html4') {
-      const sidecarPath = writeMacrosSidecar(directory, macros);
-      macroTempFiles.push(sidecarPath);
+      const sidecarPath = writeMacrosSidecar(directory, macros, path.basename(sidecarFile(inputPath, 'macros.json')));
+      tempFiles.push(sidecarPath);
       macroEnvFile = sidecarPath;
       const filterPath = getMacroFilterPath();
       if (fs.existsSync(filterPath)) {
@@ -1558,13 +1929,35 @@ export async function runPandoc(
       }
     } else if (format === 'pdf' || format === 'tex' || format === 'beamer') {
       const preamble = generateLatexPreamble(macros);
-      const preamblePath = path.join(directory, '.macros.tex');
+      const preamblePath = sidecarFile(inputPath, 'macros.tex');
       fs.writeFileSync(preamblePath, preamble, 'utf-8');
-      macroTempFiles.push(preamblePath);
+      tempFiles.push(preamblePath);
       args.push('-H', path.basename(preamblePath));
     }
   }
 
+  // Line numbers: lineno for LaTeX outputs (tex shares the pdf settings);
+  // docx is patched after pandoc has written the file
+  const lineNumbers = format === 'pdf' || format === 'tex'
+    ? resolveLineNumbers(config.pdf?.lineNumbers, 'pdf.lineNumbers')
+    : format === 'docx' ? resolveLineNumbers(config.docx?.lineNumbers, 'docx.lineNumbers') : null;
+  if (lineNumbers && format !== 'docx') {
+    const linenoPath = sidecarFile(inputPath, 'lineno.tex');
+    fs.writeFileSync(linenoPath, latexLineNumbersHeader(lineNumbers), 'utf-8');
+    tempFiles.push(linenoPath);
+    args.push('-H', path.basename(linenoPath));
+  }
+
+  // CriticMarkup rendered by prepareForFormat needs its stylesheet in <head>.
+  // Only injected when the page actually carries annotations, since the
+  // margin-comment layout widens the page.
+  if (format === 'html' && fs.readFileSync(inputPath, 'utf-8').includes('class="critic-')) {
+    const stylesPath = sidecarFile(inputPath, 'critic-styles.html');
+    fs.writeFileSync(stylesPath, CRITIC_HTML_STYLES, 'utf-8');
+    tempFiles.push(stylesPath);
+    args.push('-H', path.basename(stylesPath));
+  }
+
   // Add crossref metadata file if exists (skip for slides - they don't use crossref)
   if (format !== 'beamer' && format !== 'pptx') {
     const crossrefPath = path.join(directory, 'crossref.yaml');
@@ -1580,6 +1973,34 @@ export async function runPandoc(
   // Input file (use basename since we set cwd to directory)
   args.push(path.basename(inputPath));
 
+  // JS plugins edit the AST between `pandoc -t json` and `pandoc -f json`;
+  // the second run keeps every other argument (filters, writer options)
+  try {
+    const plugins = await loadPluginsForFormat(config.plugins, format, directory);
+    if (plugins.length > 0) {
+      const ast = await readPandocAst(inputPath, readerFormat(args.slice(0, -1)), options.signal);
+      const transformed = await applyAstPlugins(ast, plugins, {
+        format,
+        config,
+        registry: options._registry ?? buildProjectRegistry(directory, config),
+        directory,
+      });
+      const astPath = sidecarFile(inputPath, 'ast.json');
+      fs.writeFileSync(astPath, JSON.stringify(transformed), 'utf-8');
+      tempFiles.push(astPath);
+      args.splice(args.length - 1, 1, '-f', 'json', path.basename(astPath));
+    }
+  } catch (err) {
+    for (const tmp of tempFiles) {
+      try {
+        fs.unlinkSync(tmp);
+      } catch {
+        // ignore — best-effort cleanup
+      }
+    }
+    return { outputPath, success: false, error: (err as Error).message };
+  }
+
   if (options.verbose) {
     const quoted = args.map(a => /[\s"'$`]/.test(a) ? `"${a.replace(/"/g, '\\"')}"` : a).join(' ');
     console.error(`[pandoc ${format}] (cwd: ${directory})`);
@@ -1595,6 +2016,7 @@ export async function runPandoc(
       cwd: directory,
       stdio: ['ignore', 'pipe', 'pipe'],
       env: pandocEnv,
+      ...(options.signal && { signal: options.signal }),
     });
 
     let stderr = '';
@@ -1602,8 +2024,8 @@ export async function runPandoc(
       stderr += data.toString();
     });
 
-    const cleanupMacroTempFiles = (): void => {
-      for (const tmp of macroTempFiles) {
+    const cleanupTempFiles = (): void => {
+      for (const tmp of tempFiles) {
         try {
           fs.unlinkSync(tmp);
         } catch {
@@ -1613,7 +2035,7 @@ export async function runPandoc(
     };
 
     pandoc.on('close', async (code) => {
-      cleanupMacroTempFiles();
+      cleanupTempFiles();
       if (code === 0) {
         // For PPTX, post-process to add slide numbers, buildup colors, and logos.
         // These steps enhance an already-written deck; a failure degrades the
@@ -1654,6 +2076,14 @@ export async function runPandoc(
           }
         }
 
+        if (format === 'docx' && lineNumbers) {
+          try {
+            applyDocxLineNumbers(outputPath, lineNumbers);
+          } catch (e) {
+            console.warn(`Warning: DOCX line numbering failed; document written without it (${(e as Error).message})`);
+          }
+        }
+
         // Run user postprocess scripts
         const postResult = await runPostprocess(outputPath, format, config as unknown as Parameters<typeof runPostprocess>[2], options);
         if (!postResult.success && options.verbose) {
@@ -1667,12 +2097,94 @@ export async function runPandoc(
     });
 
     pandoc.on('error', (err) => {
-      cleanupMacroTempFiles();
+      cleanupTempFiles();
       resolve({ outputPath, success: false, error: err.message });
     });
   });
 }
 
+/** Pandoc options whose value names a file pandoc reads */
+const PANDOC_FILE_OPTIONS = new Set([
+  '--template', '--reference-doc', '--include-in-header', '-H', '--include-before-body', '-B',
+  '--include-after-body', '-A', '--css', '-c', '--lua-filter', '-L', '--metadata-file',
+  '--defaults', '-d', '--csl', '--bibliography', '--syntax-definition', '--abbreviations',
+  '--highlight-style', '--epub-cover-image', '--epub-metadata',
+]);
+
+/**
+ * Files named by pandoc options in passthrough args, as `--opt=file` or
+ * `--opt file`. URLs and the names of pandoc's own styles are kept too; they
+ * hash as missing, which is stable.
+ */
+function pandocArgFiles(args: string[]): string[] {
+  const files: string[] = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]!;
+    const eq = arg.indexOf('=');
+    if (eq > 0 && PANDOC_FILE_OPTIONS.has(arg.slice(0, eq))) {
+      files.push(arg.slice(eq + 1));
+    } else if (PANDOC_FILE_OPTIONS.has(arg) && i + 1 < args.length) {
+      files.push(args[++i]!);
+    }
+  }
+  return files.filter((f) => f && !/^[a-z][a-z0-9+.-]*:\/\//i.test(f));
+}
+
+/**
+ * Files pandoc reads besides its input for any format: templates, reference
+ * documents, header includes, stylesheets, crossref.yaml and files named in
+ * passthrough args
+ */
+function pandocInputFiles(config: BuildConfig, extraPandocArgs: string[]): string[] {
+  const files: string[] = [];
+  const add = (file: string | null | undefined) => {
+    if (file && !/^[a-z][a-z0-9+.-]*:\/\//i.test(file)) files.push(file);
+  };
+  add(config.pdf?.template);
+  add(config.pdf?.headerIncludes);
+  add(config.docx?.reference);
+  add(config.pptx?.reference);
+  const css = config.html?.css;
+  for (const sheet of Array.isArray(css) ? css : [css]) add(sheet);
+  files.push('crossref.yaml');
+  for (const format of SUPPORTED_FORMATS) {
+    files.push(...pandocArgFiles(collectPandocPassthroughArgs(format, config, extraPandocArgs)));
+  }
+  return files;
+}
+
+/**
+ * List the project-relative files whose content determines build output:
+ * the combined paper.md, section files (main and supplement), rev.yaml,
+ * bibliography, CSL, every locally referenced figure, every table
+ * directive's data file, project-local plugins and every file pandoc reads
+ * (templates, reference documents, header includes, stylesheets,
+ * crossref.yaml, files in passthrough args). Used to key the incremental
+ * build cache.
+ */
+export function listBuildInputs(
+  directory: string,
+  config: BuildConfig,
+  paperContent: string,
+  extraPandocArgs: string[] = []
+): string[] {
+  const files = ['paper.md', ...findMainSections(directory, config)];
+  const supplement = getSupplementSections(config);
+  if (supplement.length > 0) files.push(SUPPLEMENT_FILE, ...supplement);
+  if (config._configPath) files.push(path.relative(directory, config._configPath));
+  if (config.bibliography) files.push(config.bibliography);
+  if (config.csl && fs.existsSync(path.resolve(directory, config.csl))) files.push(config.csl);
+  files.push(...findReferencedFigures(paperContent));
+  files.push(...findTableSources(paperContent).filter((src) => fs.existsSync(path.resolve(directory, src))));
+  for (const plugin of config.plugins ?? []) {
+    const specifier = typeof plugin === 'string' ? plugin : plugin?.module;
+    if (specifier?.startsWith('.') && fs.existsSync(path.resolve(directory, specifier))) files.push(path.normalize(specifier));
+  }
+  files.push(...prebuildOutputs(config.prebuild));
+  files.push(...pandocInputFiles(config, extraPandocArgs));
+  return [...new Set(files)];
+}
+
 /**
  * Full build pipeline
  */
@@ -1697,17 +2209,45 @@ export async function build(
 
   // Check pandoc-crossref
   if (!hasPandocCrossref()) {
-    warnings.push('pandoc-crossref not found - figure/table numbering will not work');
+    warnings.push('pandoc-crossref not found - using built-in figure/table/equation numbering');
   }
 
   // Load config (use passed config if provided, otherwise load from file)
   const config = options.config || loadConfig(directory);
 
+  // Git state for the provenance manifest, read before prebuild steps and
+  // combined files touch the tree so they cannot mark a clean build dirty
+  const gitCommit = getHeadCommit(directory);
+  const gitDirty = gitCommit ? hasUncommittedChanges(directory) : false;
+
+  // Prebuild steps regenerate figures and data files the sections read, so
+  // they finish before anything is combined. A failing step throws.
+  const prebuild = await runPrebuild(directory, config.prebuild, {
+    verbose: options.verbose,
+    signal: options.signal,
+    configPath: config._configPath,
+    onStep: options.onPrebuildStep,
+  });
+
   // Combine sections → paper.md
   const buildOptions: CombineOptions = { ...options };
   const paperPath = combineSections(directory, config, buildOptions);
   forwardRefsResolved = buildOptions._forwardRefsResolved || 0;
   const refsAutoInjected = buildOptions._refsAutoInjected || false;
+  for (const issue of buildOptions._dataVariableIssues ?? []) {
+    warnings.push(`${issue.variable} rendered as ??: ${issue.error}`);
+  }
+  for (const issue of checkAuthorContributions(config.authors)) {
+    warnings.push(`${issue.message} (not in the contributions statement)`);
+  }
+
+  // Companion supplement → paper-supplement.md. Skipped for internal builds
+  // that force a single output path (dual-mode, temp files).
+  const supplementOptions: CombineOptions = {};
+  const supplementPath = options.outputPath ? null : combineSupplement(directory, config, supplementOptions);
+  for (const issue of supplementOptions._dataVariableIssues ?? []) {
+    warnings.push(`${issue.variable} rendered as ?? in the supplement: ${issue.error}`);
+  }
 
   // Expand 'all' to all formats
   if (formats.includes('all')) {
@@ -1718,7 +2258,7 @@ export async function build(
   // This allows import to restore proper image syntax from Word documents
   if (formats.includes('docx')) {
     const paperContent = fs.readFileSync(paperPath, 'utf-8');
-    const crossrefReg = buildRegistry(directory, config.sections);
+    const crossrefReg = buildProjectRegistry(directory, config);
     const imageReg = buildImageRegistry(paperContent, crossrefReg as any);
     if ((imageReg as any).figures?.length > 0) {
       writeImageRegistry(directory, imageReg);
@@ -1731,25 +2271,229 @@ export async function build(
     if (rawFigWarning) warnings.push(rawFigWarning);
   }
 
-  const results: BuildResult[] = [];
+  // Hash inputs once; each format then only differs by its own settings.
+  // The same hashes identify the build in its provenance manifest, so they
+  // are computed even when the cache is off.
+  const useCache = options.cache !== false;
+  let paperContent = fs.readFileSync(paperPath, 'utf-8');
+  if (supplementPath) paperContent += '\n' + fs.readFileSync(supplementPath, 'utf-8');
+  const cacheInputs = collectInputHashes(directory, listBuildInputs(directory, config, paperContent, options.pandocArgs));
+  const { _configPath, ...effectiveConfig } = config;
+  const cacheSettings: Record<string, unknown> = {
+    config: effectiveConfig,
+    output: options.output ?? null,
+    outputPath: options.outputPath ?? null,
+    pandocArgs: options.pandocArgs ?? [],
+    pandoc: getPandocVersion(),
+    crossref: hasPandocCrossref(),
+    plugins: pluginPackageVersions(config.plugins, directory),
+  };
+  // Excludes time and git state, so a cached output's embedded ID stays valid
+  const buildId = computeCacheKey('build', cacheInputs, cacheSettings).slice(0, BUILD_ID_LENGTH);
+
+  // Every format is prepared from the same combined markdown and registry;
+  // the pandoc runs then overlap, with results kept in request order
+  const registry = buildProjectRegistry(directory, config);
+  const prepareOptions: BuildOptions = { ...options, _registry: registry };
+
+  const buildDocument = async (sourcePath: string, format: string, supplement: boolean): Promise<BuildResult> => {
+    const cacheKey = useCache ? computeCacheKey(format, cacheInputs, cacheSettings) : null;
+    // Variants (and the supplement) get their own cache slot so alternating
+    // builds don't evict each other
+    let cacheSlot = config._variant ? `${format}:${config._variant}` : format;
+    if (supplement) cacheSlot += ':supplement';
+    if (cacheKey) {
+      const cachedPath = lookupCachedOutput(directory, cacheSlot, cacheKey);
+      if (cachedPath) {
+        return { format, success: true, outputPath: cachedPath, cached: true, ...(supplement && { supplement }) };
+      }
+    }
 
-  for (const format of formats) {
-    // Prepare format-specific version
-    const preparedPath = prepareForFormat(paperPath, format, config, options);
+    let runOptions = options;
+    if (supplement) {
+      const outputPath = resolveSupplementOutputPath(directory, config, format, options.output);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      runOptions = { ...options, outputPath };
+    }
+
+    let preparedPath: string | null = null;
+    try {
+      // Prepare format-specific version
+      preparedPath = prepareForFormat(sourcePath, format, config, prepareOptions);
 
-    // Run pandoc
-    const result = await runPandoc(preparedPath, format, config, options);
-    results.push({ format, ...result });
+      // Run pandoc
+      const result = await runPandoc(preparedPath, format, config, runOptions);
 
-    // Clean up temp file
+      if (result.success) {
+        try {
+          await embedBuildId(result.outputPath, buildId);
+        } catch (err) {
+          warnings.push(`Could not embed build ID in ${path.basename(result.outputPath)}: ${(err as Error).message}`);
+        }
+      }
+
+      if (cacheKey && result.success) {
+        recordBuildOutput(directory, cacheSlot, cacheKey, result.outputPath);
+      }
+
+      return { format, ...result, ...(supplement && { supplement }) };
+    } finally {
+      // Clean up temp file
+      if (preparedPath) {
+        try {
+          fs.unlinkSync(preparedPath);
+        } catch {
+          // Ignore cleanup errors
+        }
+      }
+    }
+  };
+
+  const jobs = formats.map((format) => ({ sourcePath: paperPath, format, supplement: false }));
+  if (supplementPath) {
+    for (const format of formats) {
+      if (SUPPLEMENT_FORMATS.includes(format)) jobs.push({ sourcePath: supplementPath, format, supplement: true });
+    }
+  }
+
+  const concurrency = Math.max(1, Math.floor(options.concurrency ?? config.concurrency ?? os.cpus().length));
+  const results: BuildResult[] = new Array(jobs.length);
+  const running = new Set<number>();
+  const label = (i: number) => (jobs[i]!.supplement ? `${jobs[i]!.format} (supplement)` : jobs[i]!.format);
+  let done = 0;
+  const report = () => options.onProgress?.({ running: [...running].sort((a, b) => a - b).map(label), done, total: jobs.length });
+
+  let next = 0;
+  const worker = async (): Promise<void> => {
+    while (next < jobs.length) {
+      const i = next++;
+      const job = jobs[i]!;
+      if (options.signal?.aborted) {
+        results[i] = { format: job.format, success: false, error: 'Cancelled', ...(job.supplement && { supplement: true }) };
+        continue;
+      }
+      running.add(i);
+      report();
+      try {
+        results[i] = await buildDocument(job.sourcePath, job.format, job.supplement);
+      } catch (err) {
+        // A format that fails before or around pandoc (e.g. a bad table
+        // directive) is reported like a pandoc failure; the other jobs go on
+        results[i] = { format: job.format, success: false, error: (err as Error).message, ...(job.supplement && { supplement: true }) };
+      }
+      running.delete(i);
+      done++;
+      report();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+
+  if (options.signal?.aborted) {
+    throw new Error('Build cancelled');
+  }
+
+  // Page limits from the journal profile are checked against the built PDF;
+  // `rev check` and `rev validate` fail on them, the build only warns
+  const pageLimit = config.journal ? getJournalProfile(config.journal)?.requirements?.pageLimit : null;
+  const mainPdf = results.find((r) => r.format === 'pdf' && r.success && !r.supplement && r.outputPath);
+  if (pageLimit && mainPdf) {
     try {
-      fs.unlinkSync(preparedPath);
-    } catch {
-      // Ignore cleanup errors
+      const check = await validatePdfPageLimits(mainPdf.outputPath!, pageLimit);
+      for (const problem of [...check.errors, ...check.warnings]) warnings.push(`Page limits: ${problem}`);
+    } catch (err) {
+      warnings.push(`Page limits not checked: ${(err as Error).message}`);
     }
   }
 
-  return { results, paperPath, warnings, forwardRefsResolved, refsAutoInjected };
+  // Internal single-output builds (dual mode, temp files) leave the project's
+  // manifest alone
+  let manifestPath: string | undefined;
+  if (!options.outputPath) {
+    const manifest = createBuildManifest(directory, config, buildId, { commit: gitCommit, dirty: gitDirty }, results);
+    manifestPath = writeBuildManifest(directory, resolveOutputDir(directory, config), manifest);
+  }
+
+  return {
+    results,
+    paperPath,
+    ...(supplementPath && { supplementPath }),
+    warnings,
+    forwardRefsResolved,
+    refsAutoInjected,
+    buildId,
+    ...(manifestPath && { manifestPath }),
+    prebuild,
+  };
+}
+
+/**
+ * Assemble the provenance manifest for a finished build. Git state is passed
+ * in because the caller captures it before building.
+ */
+function createBuildManifest(
+  directory: string,
+  config: BuildConfig,
+  buildId: string,
+  git: BuildManifest['git'],
+  results: BuildResult[]
+): BuildManifest {
+  const relative = (p: string): string => {
+    const rel = path.relative(directory, p);
+    return rel.startsWith('..') || path.isAbsolute(rel) ? p : rel;
+  };
+
+  const sections: Record<string, string> = {};
+  for (const file of [...findMainSections(directory, config), ...getSupplementSections(config)]) {
+    const hash = hashFile(path.join(directory, file));
+    if (hash) sections[file] = hash;
+  }
+
+  let csl: BuildManifest['csl'] = null;
+  if (config.csl) {
+    const cslPath = path.resolve(directory, config.csl);
+    csl = { path: config.csl, hash: hashFile(cslPath) };
+  }
+
+  return {
+    version: 1,
+    buildId,
+    builtAt: new Date().toISOString(),
+    git,
+    sections,
+    tools: {
+      pandoc: getPandocVersion(),
+      pandocCrossref: getPandocCrossrefVersion(),
+    },
+    csl,
+    journal: config.journal ?? null,
+    variant: config._variant ?? null,
+    outputs: results
+      .filter((r) => r.success && r.outputPath)
+      .map((r) => ({
+        format: r.format,
+        path: relative(r.outputPath!),
+        ...(r.supplement && { supplement: true }),
+        ...(r.cached && { cached: true }),
+      })),
+  };
+}
+
+/**
+ * Resolve the supplement's output path for a format: `supplement.output`
+ * when set, otherwise the main output name (CLI `-o`, `output:` or title
+ * slug) with a `-supplement` suffix.
+ */
+export function resolveSupplementOutputPath(
+  directory: string,
+  config: BuildConfig,
+  format: string,
+  cliOverride?: string
+): string {
+  const explicit = config.supplement?.output?.[format];
+  if (explicit) {
+    return resolveOutputPath(directory, { ...config, output: { [format]: explicit } }, format);
+  }
+  return resolveOutputPath(directory, config, format, { cliOverride, suffix: '-supplement' });
 }
 
 /**
@@ -1759,10 +2503,12 @@ export function formatBuildResults(results: BuildResult[]): string {
   const lines: string[] = [];
 
   for (const r of results) {
+    const label = r.supplement ? `${r.format.toUpperCase()} (supplement)` : r.format.toUpperCase();
     if (r.success) {
-      lines.push(`  ${r.format.toUpperCase()}: ${path.basename(r.outputPath!)}`);
+      const note = r.cached ? ' (cached)' : '';
+      lines.push(`  ${label}: ${path.basename(r.outputPath!)}${note}`);
     } else {
-      lines.push(`  ${r.format.toUpperCase()}: FAILED - ${r.error}`);
+      lines.push(`  ${label}: FAILED - ${r.error}`);
     }
   }
 
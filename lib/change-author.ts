@@ -0,0 +1,62 @@
+/**
+ * Track change authors
+ *
+ * CriticMarkup has no place for who made a change, so the author goes first
+ * inside the change, the way a stable ID goes first inside a comment:
+ *
+ *   {++[by:Jane Doe] inserted++}  {--[by:Copy Editor] deleted--}
+ *   {~~[by:Reviewer 2] old~>new~~}
+ *
+ * Importing a Word document fills it in from `w:author`, building one writes
+ * it back, and `rev accept` / `rev reject` filter on it. Anything that
+ * renders a change drops it with stripChangeAuthors.
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** `[by:Name] ` at the start of a change's content (one space is part of it) */
+const CHANGE_AUTHOR_PREFIX = /^\[by:([^\]\n]{1,80})\] ?/;
+
+/** The same right after an opening `{++`, `{--` or `{~~` */
+const CHANGE_AUTHOR_IN_TEXT = /(\{\+\+|\{--|\{~~)\[by:[^\]\n]{1,80}\] ?/g;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Split a leading `[by:Name]` off change content
+ * @param content - Text inside `{++...++}`, `{--...--}` or the old side of `{~~...~>...~~}`
+ * @returns The author (or null) and the content after it
+ */
+export function splitChangeAuthor(content: string): { author: string | null; rest: string } {
+  const m = content.match(CHANGE_AUTHOR_PREFIX);
+  if (!m) return { author: null, rest: content };
+  return { author: m[1]!.trim(), rest: content.slice(m[0].length) };
+}
+
+/**
+ * Prefix change content with `[by:Name] `
+ */
+export function withChangeAuthor(content: string, author: string | null | undefined): string {
+  const name = author?.replace(/[\]\n]/g, ' ').trim().slice(0, 80);
+  return name ? `[by:${name}] ${content}` : content;
+}
+
+/**
+ * Remove every change author from a text, leaving plain CriticMarkup
+ */
+export function stripChangeAuthors(text: string): string {
+  return text.replace(CHANGE_AUTHOR_IN_TEXT, '$1');
+}
+
+/**
+ * Author from the attributes of a pandoc `{.insertion ...}` or
+ * `{.deletion ...}` span, or null
+ */
+export function pandocChangeAuthor(attributes: string): string | null {
+  const m = attributes.match(/\bauthor="([^"]*)"/);
+  return m && m[1]!.trim() ? m[1]!.trim() : null;
+}
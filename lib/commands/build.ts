@@ -24,6 +24,7 @@ import {
   getUserName,
 } from './context.js';
 import type { Command } from 'commander';
+import type { RevisionBuildResult } from '../revision-diff.js';
 import * as readline from 'readline';
 import { getBuildSuggestions } from '../errors.js';
 
@@ -55,6 +56,10 @@ interface BuildOptions {
   verbose?: boolean;
   pandocArg?: string[];
   output?: string;
+  cache?: boolean;
+  jobs?: string;
+  variant?: string;
+  diffFrom?: string;
 }
 
 /**
@@ -478,14 +483,16 @@ export function register(program: Command, pkg?: { version?: string }): void {
   program
     .command('build')
     .alias('b')
-    .description('Build PDF/DOCX/TEX/PPTX/Beamer from sections')
-    .argument('[formats...]', 'Output formats: pdf, docx, tex, beamer, pptx, all', ['pdf', 'docx'])
+    .description('Build PDF/DOCX/TEX/HTML/PPTX/Beamer from sections')
+    .argument('[formats...]', 'Output formats: pdf, docx, tex, html, beamer, pptx, all', ['pdf', 'docx'])
     .option('-d, --dir <directory>', 'Project directory', '.')
     .option('-j, --journal <name>', 'Use journal profile for build formatting defaults')
+    .option('--variant <name>', 'Build a variant declared under variants: in rev.yaml (outputs are suffixed with the variant name)')
     .option('--no-crossref', 'Skip pandoc-crossref filter')
     .option('--toc', 'Include table of contents')
     .option('--show-changes', 'Export DOCX with visible track changes (audit mode)')
     .option('--dual', 'Output both clean version and annotated version (with comments)')
+    .option('--diff-from <ref>', 'Build a marked-up DOCX/PDF showing every change since a git ref')
     .option('--reference <docx>', 'Reference DOCX for comment position alignment (use with --dual)')
     .option('--theme <name>', 'Beamer theme (default, metropolis, etc.)')
     .option('--colortheme <name>', 'Beamer color theme')
@@ -497,6 +504,8 @@ export function register(program: Command, pkg?: { version?: string }): void {
       []
     )
     .option('-o, --output <path>', 'Output filename or path. Relative paths resolve under outputDir; absolute paths bypass it. Extension auto-added if missing. Applied to every format being built; overrides rev.yaml output.<format>.')
+    .option('--no-cache', 'Rebuild every format even if its inputs are unchanged')
+    .option('--jobs <n>', 'Build at most n formats at once (default: concurrency in rev.yaml, else number of CPUs)')
     .option('--verbose', 'Show detailed output including postprocess scripts and the pandoc invocation')
     .action(async (formats: string[], options: BuildOptions) => {
       const dir = path.resolve(options.dir);
@@ -535,23 +544,36 @@ export function register(program: Command, pkg?: { version?: string }): void {
         if (profile.formatting) {
           Object.assign(config, mergeJournalFormatting(config, profile.formatting, dir));
         }
-      } else if ((config as unknown as { journal?: string }).journal) {
+        config.journal = options.journal;
+      } else if (config.journal) {
         // Journal set in rev.yaml — already applied by loadConfig, just get name for display
         const { getJournalProfile } = await import('../journals.js');
-        const profile = getJournalProfile((config as unknown as { journal?: string }).journal!);
+        const profile = getJournalProfile(config.journal);
         if (profile) journalName = profile.name;
       }
 
+      if (options.variant) {
+        const { applyVariant } = await import('../build.js');
+        try {
+          Object.assign(config, applyVariant(config, options.variant, dir));
+        } catch (err) {
+          console.error(fmt.status('error', (err as Error).message));
+          process.exit(1);
+        }
+      }
+
       console.log(fmt.header(`Building ${config.title || 'document'}`));
       console.log();
 
       const targetFormats = formats.length > 0 ? formats : ['pdf', 'docx'];
       const tocEnabled = options.toc || config.pdf?.toc || config.docx?.toc;
       if (journalName) console.log(chalk.dim(`  Journal: ${journalName}`));
+      if (options.variant) console.log(chalk.dim(`  Variant: ${options.variant}`));
       console.log(chalk.dim(`  Formats: ${targetFormats.join(', ')}`));
       console.log(chalk.dim(`  Crossref: ${hasPandocCrossref() && options.crossref !== false ? 'enabled' : 'disabled'}`));
       if (tocEnabled) console.log(chalk.dim(`  TOC: enabled`));
       if (options.showChanges) console.log(chalk.dim(`  Track changes: visible`));
+      if (options.diffFrom) console.log(chalk.dim(`  Changes since: ${options.diffFrom}`));
       if (options.dual) console.log(chalk.dim(`  Dual output: clean + with comments`));
       console.log('');
 
@@ -581,6 +603,53 @@ export function register(program: Command, pkg?: { version?: string }): void {
         config.beamer.aspectratio = options.aspectratio;
       }
 
+      if (options.diffFrom) {
+        const diffFormats = targetFormats.includes('all') ? ['pdf', 'docx'] : targetFormats;
+        if (diffFormats.some((f) => f !== 'docx' && f !== 'pdf')) {
+          console.error(fmt.status('error', '--diff-from only applies to DOCX and PDF output'));
+          process.exit(1);
+        }
+        if (options.output && diffFormats.length > 1) {
+          console.error(fmt.status('error', '--output requires a single format with --diff-from'));
+          process.exit(1);
+        }
+
+        const { buildRevisionDiff } = await import('../revision-diff.js');
+        const spin = fmt.spinner(`Diffing against ${options.diffFrom}...`).start();
+        const built: Array<{ format: string; result: RevisionBuildResult }> = [];
+
+        try {
+          for (const format of diffFormats as Array<'docx' | 'pdf'>) {
+            spin.text = `Building ${format.toUpperCase()} against ${options.diffFrom}...`;
+            const result = await buildRevisionDiff(dir, config, options.diffFrom, format, {
+              author: getUserName() || undefined,
+              output: options.output,
+              pandocArgs: options.pandocArg,
+            });
+            built.push({ format, result });
+          }
+          spin.stop();
+        } catch (err) {
+          spin.stop();
+          const error = err as Error;
+          console.error(fmt.status('error', error.message));
+          if (process.env.DEBUG) console.error(error.stack);
+          process.exit(1);
+        }
+
+        console.log(chalk.cyan(`Output (changes since ${options.diffFrom}, ${built[0]!.result.commit.slice(0, 7)}):`));
+        for (const { format, result } of built) {
+          console.log(`  ${format.toUpperCase()}: ${path.basename(result.outputPath)}`);
+          console.log(chalk.dim(`    ${result.insertions} insertions, ${result.deletions} deletions`));
+          if (result.unmarkedBlocks > 0) {
+            const shown = format === 'pdf' ? 'noted in the margin' : 'shown without revision marks';
+            console.log(chalk.yellow(`    ${result.unmarkedBlocks} changed table(s), figure(s) or other block(s) ${shown}`));
+          }
+        }
+        console.log(chalk.green('\nBuild complete!'));
+        return;
+      }
+
       if (options.showChanges) {
         if (!targetFormats.includes('docx') && !targetFormats.includes('all')) {
           console.error(fmt.status('error', '--show-changes only applies to DOCX output'));
@@ -632,19 +701,60 @@ export function register(program: Command, pkg?: { version?: string }): void {
         return;
       }
 
+      let concurrency: number | undefined;
+      if (options.jobs !== undefined) {
+        concurrency = Number(options.jobs);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+          console.error(fmt.status('error', `--jobs must be a positive whole number (got "${options.jobs}")`));
+          process.exit(1);
+        }
+      }
+
       const spin = fmt.spinner('Building...').start();
 
+      // Ctrl+C stops the pandoc processes and cleans up instead of leaving
+      // half-written outputs and temp files behind
+      const controller = new AbortController();
+      const onInterrupt = () => {
+        controller.abort();
+        spin.text = 'Cancelling...';
+      };
+      process.once('SIGINT', onInterrupt);
+
       try {
-        const { results, paperPath, forwardRefsResolved, refsAutoInjected, warnings } = await build(dir, targetFormats, {
+        const { results, paperPath, supplementPath, forwardRefsResolved, refsAutoInjected, warnings, buildId, manifestPath, prebuild } = await build(dir, targetFormats, {
           crossref: options.crossref,
           config,
           verbose: options.verbose,
           pandocArgs: options.pandocArg,
           output: options.output,
+          cache: options.cache,
+          concurrency,
+          signal: controller.signal,
+          onPrebuildStep: (name) => {
+            if (!controller.signal.aborted) spin.text = `Running prebuild step ${name}...`;
+          },
+          onProgress: ({ running, done, total }) => {
+            if (controller.signal.aborted) return;
+            spin.text = running.length > 0
+              ? `Building ${running.join(', ')}... (${done}/${total} done)`
+              : `Building... (${done}/${total} done)`;
+          },
         });
 
+        process.off('SIGINT', onInterrupt);
         spin.stop();
 
+        if (prebuild.length > 0) {
+          console.log(chalk.cyan('Prebuild:'));
+          for (const step of prebuild) {
+            const status = step.ran
+              ? `ran (${step.reason}, ${((step.durationMs ?? 0) / 1000).toFixed(1)}s) → ${step.logPath}`
+              : 'up to date';
+            console.log(chalk.dim(`  ${step.name}: ${status}`));
+          }
+        }
+
         console.log(chalk.cyan('Combined sections → paper.md'));
         console.log(chalk.dim(`  ${paperPath}`));
         if (forwardRefsResolved > 0) {
@@ -653,6 +763,10 @@ export function register(program: Command, pkg?: { version?: string }): void {
         if (refsAutoInjected) {
           console.log(chalk.dim(`  References section auto-injected before supplementary`));
         }
+        if (supplementPath) {
+          console.log(chalk.cyan('Combined supplement → paper-supplement.md'));
+          console.log(chalk.dim(`  ${supplementPath}`));
+        }
         console.log('');
 
         if (warnings && warnings.length > 0) {
@@ -668,6 +782,9 @@ export function register(program: Command, pkg?: { version?: string }): void {
 
         console.log(chalk.cyan('Output:'));
         console.log(formatBuildResults(results));
+        if (manifestPath) {
+          console.log(chalk.dim(`  Build ${buildId} → ${path.relative(dir, manifestPath)}`));
+        }
 
         const failed = results.filter((r) => !r.success);
         if (failed.length > 0) {
@@ -687,7 +804,7 @@ export function register(program: Command, pkg?: { version?: string }): void {
           const docxResult = results.find(r => r.format === 'docx' && r.success);
           if (docxResult) {
             const { prepareMarkdownWithMarkers, injectCommentsAtMarkers } = await import('../wordcomments.js');
-            const { runPandoc, applyFormatTransforms } = await import('../build.js');
+            const { runPandoc, applyFormatTransforms, buildProjectRegistry } = await import('../build.js');
 
             let markdown = fs.readFileSync(paperPath, 'utf-8');
 
@@ -715,7 +832,7 @@ export function register(program: Command, pkg?: { version?: string }): void {
             // Apply DOCX transforms (author affiliations, @fig: → "Figure 1")
             // before injecting markers, so the comments DOCX matches the clean
             // DOCX in everything but the comments themselves.
-            const registry = buildRegistry(dir, config.sections);
+            const registry = buildProjectRegistry(dir, config);
             markdown = applyFormatTransforms(markdown, 'docx', config, registry);
 
             const spinMarkers = fmt.spinner('Preparing markers...').start();
@@ -739,6 +856,10 @@ export function register(program: Command, pkg?: { version?: string }): void {
                 const commentsDocxPath = docxResult.outputPath!.replace(/\.docx$/, '_comments.docx');
                 const spinInject = fmt.spinner('Injecting comments at markers...').start();
                 const commentResult = await injectCommentsAtMarkers(markedDocxPath, comments, commentsDocxPath);
+                if (commentResult.success) {
+                  const { embedBuildId } = await import('../build-manifest.js');
+                  await embedBuildId(commentsDocxPath, buildId).catch(() => false);
+                }
                 spinInject.stop();
 
                 if (!process.env.DEBUG) {
@@ -765,7 +886,7 @@ export function register(program: Command, pkg?: { version?: string }): void {
           const pdfResult = results.find(r => r.format === 'pdf' && r.success);
           if (pdfResult) {
             const { prepareMarkdownForAnnotatedPdf } = await import('../pdf-comments.js');
-            const { runPandoc, applyFormatTransforms } = await import('../build.js');
+            const { runPandoc, applyFormatTransforms, buildProjectRegistry } = await import('../build.js');
 
             let markdown = fs.readFileSync(paperPath, 'utf-8');
             markdown = stripAnnotations(markdown, { keepComments: true });
@@ -773,7 +894,7 @@ export function register(program: Command, pkg?: { version?: string }): void {
             // Apply PDF transforms (table normalization, authblk header
             // injection) before todonotes preamble work, so the comments PDF
             // matches the clean PDF in everything but the margin notes.
-            const registry = buildRegistry(dir, config.sections);
+            const registry = buildProjectRegistry(dir, config);
             markdown = applyFormatTransforms(markdown, 'pdf', config, registry);
 
             const spinPdf = fmt.spinner('Preparing annotated PDF...').start();
@@ -822,6 +943,8 @@ export function register(program: Command, pkg?: { version?: string }): void {
               }
 
               if (pandocResult.success) {
+                const { embedBuildId } = await import('../build-manifest.js');
+                await embedBuildId(annotatedPdfPath, buildId).catch(() => false);
                 console.log(chalk.cyan('\nPDF dual output:'));
                 console.log(`  Clean:    ${path.basename(pdfResult.outputPath!)}`);
                 console.log(`  Comments: ${path.basename(annotatedPdfPath)} (${commentCount} margin notes)`);
@@ -850,7 +973,12 @@ export function register(program: Command, pkg?: { version?: string }): void {
 
         console.log(chalk.green('\nBuild complete!'));
       } catch (err) {
+        process.off('SIGINT', onInterrupt);
         spin.stop();
+        if (controller.signal.aborted) {
+          console.error(fmt.status('warning', 'Build cancelled'));
+          process.exit(130);
+        }
         const error = err as Error;
         console.error(fmt.status('error', error.message));
         if (process.env.DEBUG) console.error(error.stack);
@@ -18,6 +18,7 @@ import {
   getTrackChanges,
   applyDecision,
   cleanupOrphanedMarkers,
+  findCommentById,
   interactiveCommentReview,
   tuiCommentReview,
   getUserName,
@@ -25,22 +26,202 @@ import {
   getAnnotationSuggestions,
   requireFile,
 } from './context.js';
-import type { Comment, Annotation } from '../types.js';
+import type { Annotation } from '../types.js';
+import { collectCommentIds, newCommentId, withCommentId } from '../comment-ids.js';
+import {
+  COMMENT_QUERY_FIELDS,
+  CHANGE_QUERY_FIELDS,
+  QUERY_SORT_KEYS,
+  QUERY_GROUP_KEYS,
+  parseQuery,
+  matchesQuery,
+  queryRecord,
+  toQueryItems,
+  sortQueryItems,
+  groupQueryItems,
+  type QueryNode,
+  type QueryItem,
+  type QuerySortKey,
+  type QueryGroupKey,
+} from '../comment-query.js';
+import {
+  COMMENT_PRIORITIES,
+  isCommentPriority,
+  describeCommentMetaFilter,
+  type CommentMetaFilter,
+} from '../comment-meta.js';
 
 /**
- * Add a reply after a comment
+ * Add a reply after a comment. The reply gets its own stable ID.
  * @param text - Full document text
  * @param comment - Comment object with position and match
  * @param author - Reply author name
  * @param message - Reply message
  * @returns Updated text
  */
-function addReply(text: string, comment: Comment, author: string, message: string): string {
-  const replyAnnotation = `{>>${author}: ${message}<<}`;
+function addReply(text: string, comment: Annotation, author: string, message: string): string {
+  const id = newCommentId(collectCommentIds(text));
+  const replyAnnotation = `{>>${withCommentId(`${author}: ${message}`, id)}<<}`;
   const insertPos = comment.position + comment.match.length;
   return text.slice(0, insertPos) + ' ' + replyAnnotation + text.slice(insertPos);
 }
 
+/**
+ * Give every comment without a stable ID a new one
+ * @returns Updated text and the number of IDs added
+ */
+function addCommentIds(text: string): { text: string; added: number } {
+  const taken = collectCommentIds(text);
+  const missing = getComments(text).filter(c => !c.id).sort((a, b) => b.position - a.position);
+  for (const c of missing) {
+    const at = c.position + '{>>'.length;
+    text = text.slice(0, at) + `[c:${newCommentId(taken)}] ` + text.slice(at);
+  }
+  return { text, added: missing.length };
+}
+
+/**
+ * Look up a comment by ID, or exit with an error
+ */
+function requireCommentById(text: string, id: string, file: string): Annotation {
+  const comment = findCommentById(text, id);
+  if (!comment) {
+    exitWithError(`No comment with ID ${id} in ${file}`, getAnnotationSuggestions('unknown_id'));
+  }
+  return comment!;
+}
+
+/** `[c:id] ` label for listings, or '' */
+function idLabel(c: Annotation): string {
+  return c.id ? chalk.magenta(`[c:${c.id}] `) : '';
+}
+
+/** Priority, tags and assignee label for listings, or '' */
+function metaLabel(c: Annotation): string {
+  const parts: string[] = [];
+  if (c.priority) parts.push(c.priority === 'high' ? chalk.red(`!${c.priority}`) : chalk.yellow(`!${c.priority}`));
+  for (const tag of c.tags || []) parts.push(chalk.cyan(`#${tag}`));
+  if (c.assignee) parts.push(chalk.green(`→${c.assignee}`));
+  return parts.length > 0 ? parts.join(' ') + ' ' : '';
+}
+
+/**
+ * Tag, priority and assignee filter from command options, or exit on an
+ * unknown priority
+ */
+function metaFilter(options: CommentMetaFilter): CommentMetaFilter {
+  if (options.priority && !isCommentPriority(options.priority)) {
+    exitWithError(`Unknown priority: ${options.priority}`, [`Use one of: ${COMMENT_PRIORITIES.join(', ')}`]);
+  }
+  return { tag: options.tag, priority: options.priority, assignee: options.assignee };
+}
+
+/**
+ * Parse a --where query, or exit with its error
+ */
+function whereQuery(where: string | undefined, fields: readonly string[]): QueryNode | null {
+  if (!where) return null;
+  try {
+    return parseQuery(where, fields);
+  } catch (err) {
+    exitWithError((err as Error).message, [
+      'Conditions: field:value (equal), field~value (contains), line>10',
+      'Combine with AND, OR, NOT and parentheses; quote values with spaces',
+      `Example: --where "author~Jane AND status:pending AND text~'sample size'"`,
+    ]);
+  }
+}
+
+/** Change types by the names `--type` accepts */
+const CHANGE_TYPES: Record<string, string> = {
+  insert: 'insert', insertion: 'insert', insertions: 'insert',
+  delete: 'delete', deletion: 'delete', deletions: 'delete',
+  substitute: 'substitute', substitution: 'substitute', substitutions: 'substitute',
+};
+
+/**
+ * One query from `rev accept` / `rev reject` --where, --author, --type and
+ * --section, or null when none is given. Exits on an unknown type.
+ */
+function changeQuery(options: ChangeFilterOptions): QueryNode | null {
+  const conditions: QueryNode[] = [];
+  const where = whereQuery(options.where, CHANGE_QUERY_FIELDS);
+  if (where) conditions.push(where);
+  if (options.author) {
+    conditions.push({ kind: 'condition', field: 'author', op: '~', value: options.author });
+  }
+  if (options.type) {
+    const types = options.type.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const unknown = types.find(t => !CHANGE_TYPES[t]);
+    if (unknown || types.length === 0) {
+      exitWithError(`Unknown change type: ${unknown ?? options.type}`, ['Use insert, delete or substitute (comma-separated for several)']);
+    }
+    conditions.push(types
+      .map((t): QueryNode => ({ kind: 'condition', field: 'type', op: ':', value: CHANGE_TYPES[t]! }))
+      .reduce((left, right) => ({ kind: 'or', left, right })));
+  }
+  if (options.section) {
+    conditions.push({ kind: 'condition', field: 'section', op: '~', value: options.section });
+  }
+  return conditions.length > 0
+    ? conditions.reduce((left, right) => ({ kind: 'and', left, right }))
+    : null;
+}
+
+/** Items matching a query (all of them when there is none) */
+function selectByQuery(items: QueryItem[], query: QueryNode | null): QueryItem[] {
+  return query ? items.filter(item => matchesQuery(query, queryRecord(item))) : items;
+}
+
+/** Annotations in one file matching a query */
+function selectAnnotations(annotations: Annotation[], text: string, file: string, query: QueryNode | null): Annotation[] {
+  return selectByQuery(toQueryItems(annotations, text, file), query).map(item => item.annotation);
+}
+
+/** The filter as command-line flags, to repeat in navigation hints */
+function metaFilterFlags(filter: CommentMetaFilter): string {
+  let flags = '';
+  if (filter.tag) flags += ` --tag ${filter.tag.replace(/^#/, '')}`;
+  if (filter.priority) flags += ` --priority ${filter.priority}`;
+  if (filter.assignee) flags += ` --assignee ${filter.assignee}`;
+  return flags;
+}
+
+type PendingComment = Annotation & { file: string; number: number; order: number };
+
+/**
+ * Pending comments across files, numbered within their file. `order` counts
+ * every comment, so the comment with `id` (which may itself be resolved or
+ * filtered out) can be placed among them; exits when no file has it.
+ */
+function collectPending(
+  files: string[],
+  filter: CommentMetaFilter,
+  id?: string
+): { pending: PendingComment[]; idOrder: number | null } {
+  const pending: PendingComment[] = [];
+  let idOrder: number | null = null;
+  let order = 0;
+  for (const f of files) {
+    if (!fs.existsSync(f)) continue;
+    const text = fs.readFileSync(f, 'utf-8');
+    const allComments = getComments(text);
+    const matching = new Set(getComments(text, { pendingOnly: true, ...filter }).map((c) => c.position));
+    const wanted = id ? findCommentById(text, id) : undefined;
+
+    allComments.forEach((c, i) => {
+      if (wanted && c.position === wanted.position) idOrder = order;
+      if (matching.has(c.position)) pending.push({ ...c, file: f, number: i + 1, order });
+      order++;
+    });
+  }
+
+  if (id && idOrder === null) {
+    exitWithError(`No comment with ID ${id} in ${files.join(', ')}`, getAnnotationSuggestions('unknown_id'));
+  }
+  return { pending, idOrder };
+}
+
 /**
  * Helper to find section file by name (deterministic priority)
  */
@@ -100,45 +281,69 @@ function findSectionFile(section: string): string[] {
   return [section];
 }
 
-interface CommentsOptions {
+interface CommentsOptions extends CommentMetaFilter {
+  where?: string;
+  sort?: string;
+  groupBy?: string;
   pending?: boolean;
   resolved?: boolean;
   author?: string;
+  id?: string;
+  addIds?: boolean;
   export?: string;
   interactive?: boolean;
   tui?: boolean;
 }
 
 interface ResolveOptions {
+  where?: string;
   number?: number;
+  id?: string;
   all?: boolean;
   unresolve?: boolean;
   dryRun?: boolean;
 }
 
-interface NextOptions {
+interface NextOptions extends CommentMetaFilter {
   number?: number;
+  id?: string;
 }
 
-interface PrevOptions {
+interface PrevOptions extends CommentMetaFilter {
   number?: number;
+  id?: string;
+}
+
+interface TodoOptions extends CommentMetaFilter {
+  byAuthor?: boolean;
+  byAssignee?: boolean;
+  id?: string;
 }
 
-interface AcceptOptions {
+interface ChangeFilterOptions {
+  where?: string;
+  author?: string;
+  type?: string;
+  section?: string;
+}
+
+interface AcceptOptions extends ChangeFilterOptions {
   number?: number;
   all?: boolean;
   dryRun?: boolean;
 }
 
-interface RejectOptions {
+interface RejectOptions extends ChangeFilterOptions {
   number?: number;
   all?: boolean;
   dryRun?: boolean;
 }
 
 interface ReplyOptions {
+  where?: string;
   message?: string;
   number?: number;
+  id?: string;
   author?: string;
   all?: boolean;
   dryRun?: boolean;
@@ -148,6 +353,7 @@ interface ReplyDocOptions {
   output?: string;
   context?: boolean;
   force?: boolean;
+  id?: string;
 }
 
 /**
@@ -162,17 +368,50 @@ export function register(program: Command): void {
     .command('comments')
     .alias('c')
     .description('List all comments in the document')
-    .argument('<file>', 'Markdown file')
+    .argument('<files...>', 'Markdown file(s)')
     .option('-p, --pending', 'Show only pending (unresolved) comments')
     .option('-r, --resolved', 'Show only resolved comments')
     .option('-a, --author <name>', 'Filter by author name (case-insensitive)')
+    .option('--id <id>', 'Show only the comment with this stable ID')
+    .option('--tag <tag>', 'Show only comments with this #tag')
+    .option('--priority <level>', 'Show only comments with this priority (high, medium, low)')
+    .option('--assignee <name>', 'Show only comments assigned to this name')
+    .option('-w, --where <query>', 'Show only comments matching a query, e.g. "author~Jane AND status:pending"')
+    .option('--sort <key>', `Sort by ${QUERY_SORT_KEYS.join(', ')}`)
+    .option('--group-by <key>', `Group by ${QUERY_GROUP_KEYS.join(', ')}`)
+    .option('--add-ids', 'Give every comment without a stable ID a new one')
     .option('-e, --export <csvFile>', 'Export comments to CSV file')
     .option('-i, --interactive', 'Interactive review mode (reply, resolve, skip)')
     .option('-t, --tui', 'Visual TUI mode for comment review')
-    .action(async (file: string, options: CommentsOptions) => {
-      requireFile(file, 'Markdown file');
+    .action(async (files: string[], options: CommentsOptions) => {
+      for (const f of files) {
+        requireFile(f, 'Markdown file');
+      }
 
-      const text = fs.readFileSync(file, 'utf-8');
+      const meta = metaFilter(options);
+      const query = whereQuery(options.where, COMMENT_QUERY_FIELDS);
+      if (options.sort && !(QUERY_SORT_KEYS as readonly string[]).includes(options.sort)) {
+        exitWithError(`Unknown sort key: ${options.sort}`, [`Use one of: ${QUERY_SORT_KEYS.join(', ')}`]);
+      }
+      if (options.groupBy && !(QUERY_GROUP_KEYS as readonly string[]).includes(options.groupBy)) {
+        exitWithError(`Unknown group key: ${options.groupBy}`, [`Use one of: ${QUERY_GROUP_KEYS.join(', ')}`]);
+      }
+
+      if (options.addIds) {
+        for (const f of files) {
+          const result = addCommentIds(fs.readFileSync(f, 'utf-8'));
+          if (result.added > 0) {
+            fs.writeFileSync(f, result.text, 'utf-8');
+          }
+          console.log(fmt.status('success', `Added IDs to ${result.added} comment(s) in ${f}`));
+        }
+      }
+
+      // Review modes work on one file
+      if ((options.tui || options.interactive) && files.length > 1) {
+        exitWithError('Comment review works on one file at a time', [`rev comments ${files[0]} ${options.tui ? '-t' : '-i'}`]);
+      }
+      const file = files[0]!;
 
       // TUI review mode
       if (options.tui) {
@@ -181,13 +420,10 @@ export function register(program: Command): void {
           exitWithError('No user name set for replies', getAnnotationSuggestions('no_author'));
         }
 
-        const result = await tuiCommentReview(text, {
+        const result = await tuiCommentReview(fs.readFileSync(file, 'utf-8'), {
           author,
-          addReply: (txt: string, comment: Annotation, auth: string, msg: string) => {
-            const replyAnnotation = `{>>${auth}: ${msg}<<}`;
-            const insertPos = comment.position + comment.match.length;
-            return txt.slice(0, insertPos) + ' ' + replyAnnotation + txt.slice(insertPos);
-          },
+          filter: meta,
+          addReply,
           setStatus: setCommentStatus,
         });
 
@@ -205,13 +441,10 @@ export function register(program: Command): void {
           exitWithError('No user name set for replies', getAnnotationSuggestions('no_author'));
         }
 
-        const result = await interactiveCommentReview(text, {
+        const result = await interactiveCommentReview(fs.readFileSync(file, 'utf-8'), {
           author,
-          addReply: (txt: string, comment: Comment, auth: string, msg: string) => {
-            const replyAnnotation = `{>>${auth}: ${msg}<<}`;
-            const insertPos = comment.position + comment.match.length;
-            return txt.slice(0, insertPos) + ' ' + replyAnnotation + txt.slice(insertPos);
-          },
+          filter: meta,
+          addReply,
           setCommentStatus,
         });
 
@@ -222,17 +455,42 @@ export function register(program: Command): void {
         return;
       }
 
-      let comments = getComments(text, {
-        pendingOnly: options.pending,
-        resolvedOnly: options.resolved,
-      });
+      let items: QueryItem[] = [];
+      const allComments: Annotation[] = [];
+      let idFound = false;
+      for (const f of files) {
+        const text = fs.readFileSync(f, 'utf-8');
+        allComments.push(...getComments(text));
+
+        let comments = getComments(text, {
+          pendingOnly: options.pending,
+          resolvedOnly: options.resolved,
+          ...meta,
+        });
+
+        // Filter by author if specified
+        if (options.author) {
+          const authorFilter = options.author.toLowerCase();
+          comments = comments.filter(c =>
+            c.author && c.author.toLowerCase().includes(authorFilter)
+          );
+        }
+
+        if (options.id) {
+          const wanted = findCommentById(text, options.id);
+          if (wanted) idFound = true;
+          comments = comments.filter(c => c.position === wanted?.position);
+        }
+
+        items.push(...selectByQuery(toQueryItems(comments, text, f), query));
+      }
 
-      // Filter by author if specified
-      if (options.author) {
-        const authorFilter = options.author.toLowerCase();
-        comments = comments.filter(c =>
-          c.author && c.author.toLowerCase().includes(authorFilter)
-        );
+      if (options.id && !idFound) {
+        exitWithError(`No comment with ID ${options.id} in ${files.join(', ')}`, getAnnotationSuggestions('unknown_id'));
+      }
+
+      if (options.sort) {
+        items = sortQueryItems(items, options.sort as QuerySortKey);
       }
 
       // CSV export mode
@@ -246,24 +504,29 @@ export function register(program: Command): void {
           return str;
         };
 
-        const header = ['number', 'author', 'comment', 'context', 'status', 'file', 'line'];
-        const rows = comments.map((c, i) => [
+        const header = ['number', 'id', 'author', 'comment', 'context', 'status', 'file', 'line', 'tags', 'priority', 'assignee', 'section'];
+        const rows = items.map(({ annotation: c, file: f, section }, i) => [
           i + 1,
+          c.id || '',
           csvEscape(c.author || ''),
           csvEscape(c.content),
           csvEscape(c.before ? c.before.trim() : ''),
           c.resolved ? 'resolved' : 'pending',
-          path.basename(file),
+          csvEscape(path.basename(f)),
           c.line,
+          (c.tags || []).join(' '),
+          c.priority || '',
+          csvEscape(c.assignee || ''),
+          csvEscape(section),
         ].join(','));
 
         const csv = [header.join(','), ...rows].join('\n');
         fs.writeFileSync(options.export, csv, 'utf-8');
-        console.log(fmt.status('success', `Exported ${comments.length} comments to ${options.export}`));
+        console.log(fmt.status('success', `Exported ${items.length} comments to ${options.export}`));
         return;
       }
 
-      if (comments.length === 0) {
+      if (items.length === 0) {
         if (options.pending) {
           console.log(fmt.status('success', 'No pending comments'));
         } else if (options.resolved) {
@@ -276,25 +539,38 @@ export function register(program: Command): void {
 
       let filter = options.pending ? ' (pending)' : options.resolved ? ' (resolved)' : '';
       if (options.author) filter += ` by "${options.author}"`;
-      console.log(fmt.header(`Comments in ${path.basename(file)}${filter}`));
+      if (options.id) filter += ` with ID ${options.id}`;
+      filter += describeCommentMetaFilter(meta);
+      if (options.where) filter += ` where ${options.where}`;
+      const title = files.length === 1 ? path.basename(file) : `${files.length} files`;
+      console.log(fmt.header(`Comments in ${title}${filter}`));
       console.log();
 
-      for (let i = 0; i < comments.length; i++) {
-        const c = comments[i];
-        const statusIcon = c.resolved ? chalk.green('✓') : chalk.yellow('○');
-        const authorLabel = c.author ? chalk.blue(`[${c.author}]`) : chalk.dim('[Anonymous]');
-        const preview = c.content.length > 60 ? c.content.slice(0, 60) + '...' : c.content;
+      const groups = options.groupBy
+        ? groupQueryItems(items, options.groupBy as QueryGroupKey)
+        : new Map([['', items]]);
+      let i = 0;
+      for (const [group, members] of groups) {
+        if (group) {
+          console.log(`  ${chalk.bold.cyan(group)} ${chalk.dim(`(${members.length})`)}`);
+          console.log();
+        }
+        for (const { annotation: c, file: f } of members) {
+          const statusIcon = c.resolved ? chalk.green('✓') : chalk.yellow('○');
+          const authorLabel = c.author ? chalk.blue(`[${c.author}]`) : chalk.dim('[Anonymous]');
+          const preview = c.content.length > 60 ? c.content.slice(0, 60) + '...' : c.content;
+          const location = files.length > 1 ? `${f}:${c.line}` : `L${c.line}`;
 
-        console.log(`  ${chalk.bold(`#${i + 1}`)} ${statusIcon} ${authorLabel} ${chalk.dim(`L${c.line}`)}`);
-        console.log(`     ${preview}`);
-        if (c.before) {
-          console.log(chalk.dim(`     "${c.before.trim().slice(-40)}..."`));
+          console.log(`  ${chalk.bold(`#${++i}`)} ${statusIcon} ${idLabel(c)}${authorLabel} ${metaLabel(c)}${chalk.dim(location)}`);
+          console.log(`     ${preview}`);
+          if (c.before) {
+            console.log(chalk.dim(`     "${c.before.trim().slice(-40)}..."`));
+          }
+          console.log();
         }
-        console.log();
       }
 
       // Summary
-      const allComments = getComments(text);
       const pending = allComments.filter((c) => !c.resolved).length;
       const resolved = allComments.filter((c) => c.resolved).length;
       console.log(chalk.dim(`  Total: ${allComments.length} | Pending: ${pending} | Resolved: ${resolved}`));
@@ -310,12 +586,15 @@ export function register(program: Command): void {
     .description('Mark comments as resolved or pending')
     .argument('<file>', 'Markdown file')
     .option('-n, --number <n>', 'Comment number to toggle', parseInt)
+    .option('--id <id>', 'Stable ID of the comment to toggle')
     .option('-a, --all', 'Mark all comments as resolved')
+    .option('-w, --where <query>', 'Mark the comments matching a query, e.g. "author~Jane AND tag:minor"')
     .option('-u, --unresolve', 'Mark as pending (unresolve)')
     .option('--dry-run', 'Preview without saving')
     .action((file: string, options: ResolveOptions) => {
       requireFile(file, 'Markdown file');
 
+      const query = whereQuery(options.where, COMMENT_QUERY_FIELDS);
       let text = fs.readFileSync(file, 'utf-8');
       const comments = getComments(text);
 
@@ -327,10 +606,12 @@ export function register(program: Command): void {
 
       const resolveStatus = !options.unresolve;
 
-      if (options.all) {
-        // Mark all comments
+      if (options.all || query) {
+        // Mark all comments, or those matching the query; later ones first so
+        // earlier positions stay valid
+        const selected = selectAnnotations(comments, text, file, query).reverse();
         let count = 0;
-        for (const comment of comments) {
+        for (const comment of selected) {
           if (comment.resolved !== resolveStatus) {
             text = setCommentStatus(text, comment, resolveStatus);
             count++;
@@ -345,21 +626,29 @@ export function register(program: Command): void {
         return;
       }
 
-      if (options.number !== undefined) {
-        const idx = options.number - 1;
-        if (idx < 0 || idx >= comments.length) {
-          exitWithError(
-            `Invalid comment number ${options.number}. File has ${comments.length} comment(s)`,
-            getAnnotationSuggestions('invalid_number')
-          );
+      if (options.number !== undefined || options.id) {
+        let comment: Annotation;
+        let label: string;
+        if (options.id) {
+          comment = requireCommentById(text, options.id, file);
+          label = `[c:${comment.id}]`;
+        } else {
+          const idx = options.number! - 1;
+          if (idx < 0 || idx >= comments.length) {
+            exitWithError(
+              `Invalid comment number ${options.number}. File has ${comments.length} comment(s)`,
+              getAnnotationSuggestions('invalid_number')
+            );
+          }
+          comment = comments[idx];
+          label = `#${options.number}`;
         }
-        const comment = comments[idx];
         text = setCommentStatus(text, comment, resolveStatus);
         if (options.dryRun) {
-          console.log(fmt.status('info', `Would mark comment #${options.number} as ${resolveStatus ? 'resolved' : 'pending'}`));
+          console.log(fmt.status('info', `Would mark comment ${label} as ${resolveStatus ? 'resolved' : 'pending'}`));
         } else {
           fs.writeFileSync(file, text, 'utf-8');
-          console.log(fmt.status('success', `Comment #${options.number} marked as ${resolveStatus ? 'resolved' : 'pending'}`));
+          console.log(fmt.status('success', `Comment ${label} marked as ${resolveStatus ? 'resolved' : 'pending'}`));
         }
         return;
       }
@@ -372,7 +661,7 @@ export function register(program: Command): void {
         const c = comments[i];
         const statusIcon = c.resolved ? chalk.green('✓') : chalk.yellow('○');
         const preview = c.content.length > 50 ? c.content.slice(0, 50) + '...' : c.content;
-        console.log(`  ${statusIcon} #${i + 1} ${preview}`);
+        console.log(`  ${statusIcon} #${i + 1} ${idLabel(c)}${preview}`);
       }
 
       console.log();
@@ -381,7 +670,9 @@ export function register(program: Command): void {
       console.log(chalk.dim(`  Pending: ${pending} | Resolved: ${resolved}`));
       console.log();
       console.log(chalk.dim('  Usage: rev resolve <file> -n <number>    Mark specific comment'));
+      console.log(chalk.dim('         rev resolve <file> --id <id>      Mark the comment with this ID'));
       console.log(chalk.dim('         rev resolve <file> -a             Mark all as resolved'));
+      console.log(chalk.dim('         rev resolve <file> -w "<query>"   Mark the comments matching a query'));
       console.log(chalk.dim('         rev resolve <file> -n 1 -u        Unresolve comment #1'));
     });
 
@@ -395,6 +686,10 @@ export function register(program: Command): void {
     .description('Show next pending comment')
     .argument('[file]', 'Specific file (default: all markdown files)')
     .option('-n, --number <n>', 'Skip to nth pending comment', parseInt)
+    .option('--id <id>', 'Start after the comment with this stable ID')
+    .option('--tag <tag>', 'Only comments with this #tag')
+    .option('--priority <level>', 'Only comments with this priority (high, medium, low)')
+    .option('--assignee <name>', 'Only comments assigned to this name')
     .action((file: string | undefined, options: NextOptions) => {
       const files = file ? [file] : findFiles('.md');
 
@@ -403,29 +698,21 @@ export function register(program: Command): void {
         return;
       }
 
-      // Collect all pending comments across files
-      const allPending: Array<Annotation & { file: string; number: number }> = [];
-      for (const f of files) {
-        if (!fs.existsSync(f)) continue;
-        const text = fs.readFileSync(f, 'utf-8');
-        const allComments = getComments(text);
-        const pending = getComments(text, { pendingOnly: true });
-
-        for (const c of pending) {
-          const idx = allComments.findIndex(x => x.position === c.position) + 1;
-          allPending.push({ ...c, file: f, number: idx });
-        }
-      }
+      const filter = metaFilter(options);
+      const { pending: allPending, idOrder } = collectPending(files, filter, options.id);
 
-      if (allPending.length === 0) {
-        console.log(fmt.status('success', 'No pending comments!'));
+      // With --id, count from the first pending comment after that one
+      const start = idOrder === null ? 0 : allPending.findIndex((c) => c.order > idOrder);
+      if (allPending.length === 0 || start < 0) {
+        const after = options.id ? ` after [c:${options.id}]` : '';
+        console.log(fmt.status('success', `No pending comments${describeCommentMetaFilter(filter)}${after}!`));
         return;
       }
 
       // Get the nth pending comment (default: 1st)
-      const targetIdx = (options.number || 1) - 1;
-      if (targetIdx < 0 || targetIdx >= allPending.length) {
-        console.error(chalk.red(`Invalid number. Only ${allPending.length} pending comment(s).`));
+      const targetIdx = start + (options.number || 1) - 1;
+      if (targetIdx < start || targetIdx >= allPending.length) {
+        console.error(chalk.red(`Invalid number. Only ${allPending.length - start} pending comment(s).`));
         process.exit(1);
       }
 
@@ -434,7 +721,7 @@ export function register(program: Command): void {
 
       console.log(fmt.header(`Comment ${position}/${allPending.length}`));
       console.log();
-      console.log(`  ${chalk.cyan(c.file)}:${c.line} ${chalk.dim(`#${c.number}`)}`);
+      console.log(`  ${chalk.cyan(c.file)}:${c.line} ${chalk.dim(`#${c.number}`)} ${idLabel(c)}${metaLabel(c)}`);
       console.log();
       if (c.author) console.log(`  ${chalk.blue(c.author)}`);
       console.log(`  ${c.content}`);
@@ -443,10 +730,13 @@ export function register(program: Command): void {
         console.log(chalk.dim(`  Context: "${c.before.trim().slice(-60)}"`));
       }
       console.log();
-      console.log(chalk.dim(`  rev reply ${c.file} -n ${c.number} -m "..."`));
-      console.log(chalk.dim(`  rev resolve ${c.file} -n ${c.number}`));
+      const target = c.id ? `--id ${c.id}` : `-n ${c.number}`;
+      console.log(chalk.dim(`  rev reply ${c.file} ${target} -m "..."`));
+      console.log(chalk.dim(`  rev resolve ${c.file} ${target}`));
       if (position < allPending.length) {
-        console.log(chalk.dim(`  rev next -n ${position + 1}`));
+        // Stepping by ID keeps working after this comment is resolved
+        const nextFlag = c.id ? `--id ${c.id}` : `-n ${position + 1}`;
+        console.log(chalk.dim(`  rev next ${nextFlag}${metaFilterFlags(filter)}`));
       }
     });
 
@@ -460,6 +750,10 @@ export function register(program: Command): void {
     .description('Show previous pending comment')
     .argument('[file]', 'Specific file (default: all markdown files)')
     .option('-n, --number <n>', 'Skip to nth pending comment from end', parseInt)
+    .option('--id <id>', 'Start before the comment with this stable ID')
+    .option('--tag <tag>', 'Only comments with this #tag')
+    .option('--priority <level>', 'Only comments with this priority (high, medium, low)')
+    .option('--assignee <name>', 'Only comments assigned to this name')
     .action((file: string | undefined, options: PrevOptions) => {
       const files = file ? [file] : findFiles('.md');
 
@@ -468,30 +762,22 @@ export function register(program: Command): void {
         return;
       }
 
-      // Collect all pending comments across files
-      const allPending: Array<Annotation & { file: string; number: number }> = [];
-      for (const f of files) {
-        if (!fs.existsSync(f)) continue;
-        const text = fs.readFileSync(f, 'utf-8');
-        const allComments = getComments(text);
-        const pending = getComments(text, { pendingOnly: true });
-
-        for (const c of pending) {
-          const idx = allComments.findIndex(x => x.position === c.position) + 1;
-          allPending.push({ ...c, file: f, number: idx });
-        }
-      }
+      const filter = metaFilter(options);
+      const { pending: allPending, idOrder } = collectPending(files, filter, options.id);
 
-      if (allPending.length === 0) {
-        console.log(fmt.status('success', 'No pending comments!'));
+      // With --id, count back from the last pending comment before that one
+      const end = idOrder === null ? allPending.length : allPending.filter((c) => c.order < idOrder).length;
+      if (end === 0) {
+        const before = options.id ? ` before [c:${options.id}]` : '';
+        console.log(fmt.status('success', `No pending comments${describeCommentMetaFilter(filter)}${before}!`));
         return;
       }
 
       // Get the nth pending comment from end (default: last)
       const fromEnd = options.number || 1;
-      const targetIdx = allPending.length - fromEnd;
-      if (targetIdx < 0 || targetIdx >= allPending.length) {
-        console.error(chalk.red(`Invalid number. Only ${allPending.length} pending comment(s).`));
+      const targetIdx = end - fromEnd;
+      if (targetIdx < 0 || targetIdx >= end) {
+        console.error(chalk.red(`Invalid number. Only ${end} pending comment(s).`));
         process.exit(1);
       }
 
@@ -500,7 +786,7 @@ export function register(program: Command): void {
 
       console.log(fmt.header(`Comment ${position}/${allPending.length}`));
       console.log();
-      console.log(`  ${chalk.cyan(c.file)}:${c.line} ${chalk.dim(`#${c.number}`)}`);
+      console.log(`  ${chalk.cyan(c.file)}:${c.line} ${chalk.dim(`#${c.number}`)} ${idLabel(c)}${metaLabel(c)}`);
       console.log();
       if (c.author) console.log(`  ${chalk.blue(c.author)}`);
       console.log(`  ${c.content}`);
@@ -509,13 +795,16 @@ export function register(program: Command): void {
         console.log(chalk.dim(`  Context: "${c.before.trim().slice(-60)}"`));
       }
       console.log();
-      console.log(chalk.dim(`  rev reply ${c.file} -n ${c.number} -m "..."`));
-      console.log(chalk.dim(`  rev resolve ${c.file} -n ${c.number}`));
+      const target = c.id ? `--id ${c.id}` : `-n ${c.number}`;
+      console.log(chalk.dim(`  rev reply ${c.file} ${target} -m "..."`));
+      console.log(chalk.dim(`  rev resolve ${c.file} ${target}`));
       if (position > 1) {
-        console.log(chalk.dim(`  rev next -n ${position - 1}`));
+        const prevFlag = c.id ? `prev --id ${c.id}` : `next -n ${position - 1}`;
+        console.log(chalk.dim(`  rev ${prevFlag}${metaFilterFlags(filter)}`));
       }
       if (position < allPending.length) {
-        console.log(chalk.dim(`  rev next -n ${position + 1}`));
+        const nextFlag = c.id ? `--id ${c.id}` : `-n ${position + 1}`;
+        console.log(chalk.dim(`  rev next ${nextFlag}${metaFilterFlags(filter)}`));
       }
     });
 
@@ -556,8 +845,9 @@ export function register(program: Command): void {
             console.log(chalk.dim(`  Context: "${c.before.trim().slice(-60)}"`));
           }
           console.log();
-          console.log(chalk.dim(`  rev reply ${f} -n 1 -m "..."`));
-          console.log(chalk.dim(`  rev resolve ${f} -n 1`));
+          const target = c.id ? `--id ${c.id}` : '-n 1';
+          console.log(chalk.dim(`  rev reply ${f} ${target} -m "..."`));
+          console.log(chalk.dim(`  rev resolve ${f} ${target}`));
           return;
         }
       }
@@ -603,8 +893,9 @@ export function register(program: Command): void {
             console.log(chalk.dim(`  Context: "${c.before.trim().slice(-60)}"`));
           }
           console.log();
-          console.log(chalk.dim(`  rev reply ${f} -n ${idx} -m "..."`));
-          console.log(chalk.dim(`  rev resolve ${f} -n ${idx}`));
+          const target = c.id ? `--id ${c.id}` : `-n ${idx}`;
+          console.log(chalk.dim(`  rev reply ${f} ${target} -m "..."`));
+          console.log(chalk.dim(`  rev resolve ${f} ${target}`));
           return;
         }
       }
@@ -622,7 +913,12 @@ export function register(program: Command): void {
     .description('List all pending comments as a checklist')
     .argument('[file]', 'Specific file (default: all markdown files)')
     .option('--by-author', 'Group by author')
-    .action((file: string | undefined, options: { byAuthor?: boolean }) => {
+    .option('--by-assignee', 'Group by assignee')
+    .option('--id <id>', 'Only the comment with this stable ID')
+    .option('--tag <tag>', 'Only comments with this #tag')
+    .option('--priority <level>', 'Only comments with this priority (high, medium, low)')
+    .option('--assignee <name>', 'Only comments assigned to this name')
+    .action((file: string | undefined, options: TodoOptions) => {
       const files = file ? [file] : findFiles('.md');
 
       if (files.length === 0) {
@@ -630,53 +926,54 @@ export function register(program: Command): void {
         return;
       }
 
+      const filter = metaFilter(options);
+
       // Collect all pending comments
       const todos: Array<{
         file: string;
         number: number;
+        id?: string;
         line: number;
         author: string;
         content: string;
+        comment: Annotation;
       }> = [];
-      for (const f of files) {
-        if (!fs.existsSync(f)) continue;
-        const text = fs.readFileSync(f, 'utf-8');
-        const allComments = getComments(text);
-        const pending = allComments.filter(c => !c.resolved);
-
-        for (const c of pending) {
-          const idx = allComments.findIndex(x => x.position === c.position) + 1;
-          todos.push({
-            file: f,
-            number: idx,
-            line: c.line,
-            author: c.author || 'Anonymous',
-            content: c.content,
-          });
-        }
+      const { pending, idOrder } = collectPending(files, filter, options.id);
+      for (const c of pending) {
+        if (idOrder !== null && c.order !== idOrder) continue;
+        todos.push({
+          file: c.file,
+          number: c.number,
+          id: c.id,
+          line: c.line,
+          author: c.author || 'Anonymous',
+          content: c.content,
+          comment: c,
+        });
       }
 
       if (todos.length === 0) {
-        console.log(fmt.status('success', 'No pending comments!'));
+        console.log(fmt.status('success', `No pending comments${describeCommentMetaFilter(filter)}!`));
         return;
       }
 
-      console.log(fmt.header(`Todo (${todos.length} pending)`));
+      console.log(fmt.header(`Todo (${todos.length} pending${describeCommentMetaFilter(filter)})`));
       console.log();
 
-      if (options.byAuthor) {
-        // Group by author
-        const byAuthor: Record<string, typeof todos> = {};
+      if (options.byAuthor || options.byAssignee) {
+        // Group by author or assignee
+        const groups: Record<string, typeof todos> = {};
         for (const t of todos) {
-          if (!byAuthor[t.author]) byAuthor[t.author] = [];
-          byAuthor[t.author].push(t);
+          const key = options.byAssignee ? (t.comment.assignee || 'Unassigned') : t.author;
+          if (!groups[key]) groups[key] = [];
+          groups[key].push(t);
         }
 
-        for (const [author, items] of Object.entries(byAuthor)) {
-          console.log(`  ${chalk.blue(author)} (${items.length})`);
+        for (const [name, items] of Object.entries(groups)) {
+          console.log(`  ${chalk.blue(name)} (${items.length})`);
           for (const t of items) {
             const preview = t.content.length > 50 ? t.content.slice(0, 50) + '...' : t.content;
-            console.log(`    ${chalk.yellow('○')} ${chalk.dim(`${t.file}:${t.line}`)} ${preview}`);
+            console.log(`    ${chalk.yellow('○')} ${chalk.dim(`${t.file}:${t.line}`)} ${metaLabel(t.comment)}${preview}`);
           }
           console.log();
         }
@@ -691,7 +988,8 @@ export function register(program: Command): void {
           }
           const preview = t.content.length > 50 ? t.content.slice(0, 50) + '...' : t.content;
           const authorTag = t.author !== 'Anonymous' ? chalk.dim(`[${t.author}] `) : '';
-          console.log(`    ${chalk.yellow('○')} #${t.number} ${authorTag}${preview}`);
+          const idTag = t.id ? chalk.magenta(`[c:${t.id}] `) : '';
+          console.log(`    ${chalk.yellow('○')} #${t.number} ${idTag}${authorTag}${metaLabel(t.comment)}${preview}`);
         }
       }
 
@@ -709,6 +1007,10 @@ export function register(program: Command): void {
     .argument('<file>', 'Markdown file')
     .option('-n, --number <n>', 'Accept specific change by number', parseInt)
     .option('-a, --all', 'Accept all changes')
+    .option('-w, --where <query>', 'Accept the changes matching a query, e.g. "type:insert AND section:Methods"')
+    .option('--author <name>', 'Accept only changes by this author')
+    .option('--type <type>', 'Accept only this kind of change (insert, delete, substitute)')
+    .option('--section <heading>', 'Accept only changes under this heading, including its subsections')
     .option('--dry-run', 'Preview without saving')
     .action((file: string, options: AcceptOptions) => {
       if (!fs.existsSync(file)) {
@@ -716,6 +1018,7 @@ export function register(program: Command): void {
         process.exit(1);
       }
 
+      const query = changeQuery(options);
       let text = fs.readFileSync(file, 'utf-8');
       const changes = getTrackChanges(text);
 
@@ -724,9 +1027,10 @@ export function register(program: Command): void {
         return;
       }
 
-      if (options.all) {
-        // Accept all changes - process in reverse to preserve positions
-        const sorted = [...changes].sort((a, b) => b.position - a.position);
+      if (options.all || query) {
+        // Accept all (or matching) changes - process in reverse to preserve positions
+        const selected = selectAnnotations(changes, text, file, query);
+        const sorted = [...selected].sort((a, b) => b.position - a.position);
         for (const change of sorted) {
           text = applyDecision(text, change, true);
         }
@@ -734,9 +1038,9 @@ export function register(program: Command): void {
         text = cleanupOrphanedMarkers(text);
         if (!options.dryRun) {
           fs.writeFileSync(file, text, 'utf-8');
-          console.log(fmt.status('success', `Accepted ${changes.length} change(s)`));
+          console.log(fmt.status('success', `Accepted ${selected.length} change(s)`));
         } else {
-          console.log(fmt.status('info', `Would accept ${changes.length} change(s)`));
+          console.log(fmt.status('info', `Would accept ${selected.length} change(s)`));
         }
         return;
       }
@@ -774,12 +1078,15 @@ export function register(program: Command): void {
         } else {
           desc = chalk.dim('???');
         }
-        console.log(`  #${i + 1} ${chalk.dim(`L${c.line}`)} ${desc}`);
+        const authorLabel = c.author ? chalk.blue(`[${c.author}] `) : '';
+        console.log(`  #${i + 1} ${chalk.dim(`L${c.line}`)} ${authorLabel}${desc}`);
       }
 
       console.log();
       console.log(chalk.dim(`  rev accept ${file} -n <number>    Accept specific change`));
       console.log(chalk.dim(`  rev accept ${file} -a             Accept all changes`));
+      console.log(chalk.dim(`  rev accept ${file} -w "<query>"   Accept the changes matching a query`));
+      console.log(chalk.dim(`  rev accept ${file} --author <name>  Accept one author's changes`));
     });
 
   // ==========================================================================
@@ -793,6 +1100,10 @@ export function register(program: Command): void {
     .argument('<file>', 'Markdown file')
     .option('-n, --number <n>', 'Reject specific change by number', parseInt)
     .option('-a, --all', 'Reject all changes')
+    .option('-w, --where <query>', 'Reject the changes matching a query, e.g. "type:insert AND section:Methods"')
+    .option('--author <name>', 'Reject only changes by this author')
+    .option('--type <type>', 'Reject only this kind of change (insert, delete, substitute)')
+    .option('--section <heading>', 'Reject only changes under this heading, including its subsections')
     .option('--dry-run', 'Preview without saving')
     .action((file: string, options: RejectOptions) => {
       if (!fs.existsSync(file)) {
@@ -800,6 +1111,7 @@ export function register(program: Command): void {
         process.exit(1);
       }
 
+      const query = changeQuery(options);
       let text = fs.readFileSync(file, 'utf-8');
       const changes = getTrackChanges(text);
 
@@ -808,17 +1120,18 @@ export function register(program: Command): void {
         return;
       }
 
-      if (options.all) {
-        // Reject all changes - process in reverse to preserve positions
-        const sorted = [...changes].sort((a, b) => b.position - a.position);
+      if (options.all || query) {
+        // Reject all (or matching) changes - process in reverse to preserve positions
+        const selected = selectAnnotations(changes, text, file, query);
+        const sorted = [...selected].sort((a, b) => b.position - a.position);
         for (const change of sorted) {
           text = applyDecision(text, change, false);
         }
         if (!options.dryRun) {
           fs.writeFileSync(file, text, 'utf-8');
-          console.log(fmt.status('success', `Rejected ${changes.length} change(s)`));
+          console.log(fmt.status('success', `Rejected ${selected.length} change(s)`));
         } else {
-          console.log(fmt.status('info', `Would reject ${changes.length} change(s)`));
+          console.log(fmt.status('info', `Would reject ${selected.length} change(s)`));
         }
         return;
       }
@@ -856,12 +1169,15 @@ export function register(program: Command): void {
         } else {
           desc = chalk.dim('???');
         }
-        console.log(`  #${i + 1} ${chalk.dim(`L${c.line}`)} ${desc}`);
+        const authorLabel = c.author ? chalk.blue(`[${c.author}] `) : '';
+        console.log(`  #${i + 1} ${chalk.dim(`L${c.line}`)} ${authorLabel}${desc}`);
       }
 
       console.log();
       console.log(chalk.dim(`  rev reject ${file} -n <number>    Reject specific change`));
       console.log(chalk.dim(`  rev reject ${file} -a             Reject all changes`));
+      console.log(chalk.dim(`  rev reject ${file} -w "<query>"   Reject the changes matching a query`));
+      console.log(chalk.dim(`  rev reject ${file} --author <name>  Reject one author's changes`));
     });
 
   // ==========================================================================
@@ -874,8 +1190,10 @@ export function register(program: Command): void {
     .argument('<file>', 'Markdown file with comments')
     .option('-m, --message <text>', 'Reply message (non-interactive)')
     .option('-n, --number <n>', 'Reply to specific comment number', parseInt)
+    .option('--id <id>', 'Reply to the comment with this stable ID')
     .option('-a, --author <name>', 'Override author name')
     .option('--all', 'Reply to all pending comments with the same message (requires -m)')
+    .option('-w, --where <query>', 'Reply to the pending comments matching a query (requires -m)')
     .option('--dry-run', 'Preview without saving')
     .action(async (file: string, options: ReplyOptions) => {
       if (!fs.existsSync(file)) {
@@ -892,6 +1210,7 @@ export function register(program: Command): void {
         process.exit(1);
       }
 
+      const query = whereQuery(options.where, COMMENT_QUERY_FIELDS);
       const text = fs.readFileSync(file, 'utf-8');
       const comments = getComments(text, { pendingOnly: true });
 
@@ -900,8 +1219,8 @@ export function register(program: Command): void {
         return;
       }
 
-      // Batch reply mode: reply to all pending comments
-      if (options.all) {
+      // Batch reply mode: reply to all (or matching) pending comments
+      if (options.all || query) {
         if (!options.message) {
           console.error(chalk.red('Batch reply requires a message (-m "your reply")'));
           console.error(chalk.dim('Example: rev reply file.md --all -m "Addressed"'));
@@ -910,9 +1229,10 @@ export function register(program: Command): void {
         let result = text;
         let count = 0;
         // Process in reverse order to maintain positions
-        const sortedComments = [...comments].sort((a, b) => b.position - a.position);
+        const selected = selectAnnotations(comments, text, file, query);
+        const sortedComments = [...selected].sort((a, b) => b.position - a.position);
         for (const comment of sortedComments) {
-          result = addReply(result, comment as Comment, author, options.message);
+          result = addReply(result, comment, author, options.message);
           count++;
         }
         if (options.dryRun) {
@@ -924,6 +1244,19 @@ export function register(program: Command): void {
         return;
       }
 
+      // Non-interactive mode: reply to the comment with a stable ID
+      if (options.message && options.id) {
+        const comment = requireCommentById(text, options.id, file);
+        const result = addReply(text, comment, author, options.message);
+        if (options.dryRun) {
+          console.log(fmt.status('info', `Would add reply to comment [c:${comment.id}]`));
+        } else {
+          fs.writeFileSync(file, result, 'utf-8');
+          console.log(chalk.green(`Reply added to comment [c:${comment.id}]`));
+        }
+        return;
+      }
+
       // Non-interactive mode: reply to specific comment
       if (options.message && options.number !== undefined) {
         const allComments = getComments(text); // Get all comments for numbering
@@ -932,7 +1265,7 @@ export function register(program: Command): void {
           console.error(chalk.red(`Invalid comment number. File has ${allComments.length} comments.`));
           process.exit(1);
         }
-        const result = addReply(text, allComments[idx] as Comment, author, options.message);
+        const result = addReply(text, allComments[idx], author, options.message);
         if (options.dryRun) {
           console.log(fmt.status('info', `Would add reply to comment #${options.number}`));
         } else {
@@ -972,7 +1305,7 @@ export function register(program: Command): void {
         }
 
         if (answer.trim()) {
-          result = addReply(result, c as Comment, author, answer.trim());
+          result = addReply(result, c, author, answer.trim());
           repliesAdded++;
           console.log(chalk.green('  ✓ Reply added'));
         }
@@ -999,14 +1332,16 @@ export function register(program: Command): void {
     .argument('<file>', 'Markdown file with comments')
     .option('-o, --output <file>', 'Output file (default: <input>_reply.md)')
     .option('--no-context', 'Exclude commented text context')
+    .option('--id <id>', 'Only the comment with this stable ID')
     .option('--force', 'Overwrite existing output file')
     .action(async (file: string, options: ReplyDocOptions) => {
       requireFile(file, 'Markdown file');
 
       const text = fs.readFileSync(file, 'utf-8');
-      const comments = getComments(text);
+      const allComments = getComments(text);
+      const wanted = options.id ? requireCommentById(text, options.id, file) : null;
 
-      if (comments.length === 0) {
+      if (allComments.length === 0) {
         console.log(fmt.status('info', 'No comments found in file.'));
         return;
       }
@@ -1027,10 +1362,12 @@ export function register(program: Command): void {
       const sectionName = baseName.charAt(0).toUpperCase() + baseName.slice(1);
       let output = `# ${sectionName} - Response to Reviewer Comments\n\n`;
 
-      comments.forEach((c, i) => {
+      allComments.forEach((c, i) => {
+        if (wanted && c.position !== wanted.position) return;
         const authorName = c.author || 'Anonymous';
+        const idTag = c.id ? ` [c:${c.id}]` : '';
 
-        output += `## Comment ${i + 1} (${authorName})\n`;
+        output += `## Comment ${i + 1}${idTag} (${authorName})\n`;
         output += `> "${c.content}"\n\n`;
 
         if (options.context !== false && c.before) {
@@ -1045,6 +1382,6 @@ export function register(program: Command): void {
 
       fs.writeFileSync(outputFile, output, 'utf-8');
       console.log(fmt.status('success', `Generated reply template: ${outputFile}`));
-      console.log(chalk.dim(`  ${comments.length} comment(s) extracted`));
+      console.log(chalk.dim(`  ${wanted ? 1 : allComments.length} comment(s) extracted`));
     });
 }
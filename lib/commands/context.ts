@@ -53,6 +53,7 @@ export {
   getTrackChanges,
   applyDecision,
   cleanupOrphanedMarkers,
+  findCommentById,
 } from '../annotations.js';
 
 export {
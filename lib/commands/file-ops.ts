@@ -322,6 +322,7 @@ export function register(program: Command): void {
       // Files to clean
       const patterns = [
         'paper.md',
+        'paper-supplement.md',
         '*.pdf',
         `${projectName}.docx`,
         `${projectName}.pdf`,
@@ -12,6 +12,7 @@ import {
   fmt,
 } from './context.js';
 import type { Command } from 'commander';
+import type { BuildManifest } from '../build-manifest.js';
 import * as readline from 'readline';
 
 interface MergeOptions {
@@ -46,6 +47,7 @@ export function register(program: Command): void {
     .action(async (docxFiles: string[], options: MergeOptions) => {
       const {
         mergeThreeWay,
+        mergeFromBaseText,
         formatConflict,
         resolveConflict,
         getBaseDocument,
@@ -62,32 +64,50 @@ export function register(program: Command): void {
       }
 
       // Determine base document
+      const projectDir = process.cwd();
       let basePath = options.base;
       let baseSource = 'specified';
 
       if (!basePath) {
         // Try to use .rev/base.docx
-        const projectDir = process.cwd();
         basePath = getBaseDocument(projectDir) ?? undefined;
-
-        if (basePath) {
-          baseSource = 'auto (.rev/base.docx)';
-        } else {
-          console.log(chalk.yellow('\n  No base document found in .rev/base.docx'));
-          console.log(chalk.dim('  Tip: Run "rev build docx" to automatically save the base document.\n'));
-          console.error(fmt.status('error', 'Base document required. Use --base <file.docx>'));
-          process.exit(1);
-        }
+        if (basePath) baseSource = 'auto (.rev/base.docx)';
       }
 
-      if (!fs.existsSync(basePath)) {
-        console.error(fmt.status('error', `Base document not found: ${basePath}`));
+      if (options.base && !fs.existsSync(options.base)) {
+        console.error(fmt.status('error', `Base document not found: ${options.base}`));
         process.exit(1);
       }
 
+      const { readBuildId, findBuildManifest, describeBuildOrigin } = await import('../build-manifest.js');
+
       // Check similarity between base and reviewer docs
-      const { matches, similarity } = await checkBaseMatch(basePath, docxFiles[0]);
-      if (!matches) {
+      const { matches, similarity, reviewerBuildId } = basePath
+        ? await checkBaseMatch(basePath, docxFiles[0])
+        : { matches: false, similarity: 0, reviewerBuildId: await readBuildId(docxFiles[0]) };
+      const manifest = reviewerBuildId ? findBuildManifest(projectDir, reviewerBuildId) : null;
+      if (manifest) {
+        console.log(chalk.dim(`  Reviewer copy is build ${reviewerBuildId} (${describeBuildOrigin(manifest)})`));
+      }
+
+      // Without a matching base document, rebuild the base from the section
+      // files at the commit the reviewer copy was built from
+      let recoveredBase: string | null = null;
+      if (!options.base && !matches && manifest) {
+        recoveredBase = await recoverBaseText(projectDir, manifest, docxFiles[0]);
+        if (recoveredBase !== null) {
+          basePath = undefined;
+          baseSource = `build ${manifest.buildId}, commit ${manifest.git.commit!.slice(0, 7)}`;
+        }
+      }
+
+      if (!basePath && recoveredBase === null) {
+        console.log(chalk.yellow('\n  No base document found in .rev/base.docx'));
+        console.log(chalk.dim('  Tip: Run "rev build docx" to automatically save the base document.\n'));
+        console.error(fmt.status('error', 'Base document required. Use --base <file.docx>'));
+        process.exit(1);
+      }
+      if (basePath && !matches) {
         console.log(chalk.yellow(`\n  Warning: Base document may not match reviewer file (${Math.round(similarity * 100)}% similar)`));
         console.log(chalk.dim('  If this is wrong, use --base to specify the correct original document.\n'));
       }
@@ -114,7 +134,7 @@ export function register(program: Command): void {
 
       console.log(fmt.header('Three-Way Merge'));
       console.log();
-      console.log(chalk.dim(`  Base: ${path.basename(basePath)} (${baseSource})`));
+      console.log(chalk.dim(`  Base: ${basePath ? `${path.basename(basePath)} (${baseSource})` : baseSource}`));
       console.log(chalk.dim(`  Reviewers: ${names.join(', ')}`));
       console.log(chalk.dim(`  Diff level: ${options.diffLevel}`));
       console.log();
@@ -122,9 +142,10 @@ export function register(program: Command): void {
       const spin = fmt.spinner('Analyzing changes...').start();
 
       try {
-        const { merged, conflicts, stats, baseText } = await mergeThreeWay(basePath, reviewerDocs, {
-          diffLevel: options.diffLevel,
-        });
+        const mergeOptions = { diffLevel: options.diffLevel };
+        const { merged, conflicts, stats, baseText } = basePath
+          ? await mergeThreeWay(basePath, reviewerDocs, mergeOptions)
+          : await mergeFromBaseText(recoveredBase!, reviewerDocs, mergeOptions);
 
         spin.stop();
 
@@ -189,7 +210,7 @@ export function register(program: Command): void {
           // Save unresolved conflicts for later
           const unresolved = conflicts.filter(c => c.resolved === null);
           if (unresolved.length > 0) {
-            saveConflicts(process.cwd(), conflicts, basePath);
+            saveConflicts(process.cwd(), conflicts, basePath ?? baseSource);
             console.log(chalk.yellow(`\n  ${unresolved.length} unresolved conflict(s) saved to .rev/conflicts.json`));
             console.log(chalk.dim('  Run "rev conflicts" to view, "rev merge-resolve" to resolve'));
           }
@@ -376,3 +397,36 @@ export function register(program: Command): void {
       }
     });
 }
+
+/**
+ * Base text for a merge, rebuilt from the section files at the commit a
+ * reviewer copy was built from. A build writes the main document and the
+ * supplement from the same sections, so the group more similar to the
+ * reviewer's text is used. Null when the sections cannot be recovered.
+ */
+async function recoverBaseText(projectDir: string, manifest: BuildManifest, reviewerPath: string): Promise<string | null> {
+  const { recoverBuiltSections } = await import('../build-manifest.js');
+  const { loadConfig, getSupplementSections } = await import('../build.js');
+  const { extractFromWord } = await import('../import.js');
+  const { computeSimilarity } = await import('../merge.js');
+
+  const files = Object.keys(manifest.sections);
+  const built = recoverBuiltSections(projectDir, manifest, files);
+  if (built.size !== files.length) return null;
+
+  let supplement: string[] = [];
+  try {
+    supplement = getSupplementSections(loadConfig(projectDir));
+  } catch {
+    // No readable rev.yaml: treat every section as the main document
+  }
+  const join = (group: string[]): string => group.map((file) => built.get(file)!.trim()).join('\n\n') + '\n';
+  const main = files.filter((file) => !supplement.includes(file));
+  const supp = files.filter((file) => supplement.includes(file));
+  if (supp.length === 0) return join(main);
+
+  const { text: reviewerText } = await extractFromWord(reviewerPath);
+  return computeSimilarity(join(supp), reviewerText) > computeSimilarity(join(main), reviewerText)
+    ? join(supp)
+    : join(main);
+}
@@ -16,6 +16,8 @@ import {
   getComments,
   countWords,
 } from './context.js';
+import { countManuscriptWords, describeWordCountRules } from '../word-count.js';
+import type { JournalProfile, JournalRequirements } from '../types.js';
 
 // Use the actual BuildConfig from build.ts which allows string|Author[]
 type BuildConfig = ReturnType<typeof loadBuildConfig>;
@@ -70,6 +72,21 @@ export function register(program: Command): void {
         sections.push(...mdFiles);
       }
 
+      let profile: JournalProfile | null = null;
+      if (options.journal) {
+        const { getJournalProfile } = await import('../journals.js');
+        profile = getJournalProfile(options.journal);
+        if (!profile) {
+          console.error(fmt.status('error', `Unknown journal: ${options.journal}`));
+          console.error(chalk.dim('Use "rev validate --list" to see available profiles'));
+          process.exit(1);
+        }
+        if (profile.requirements?.wordLimit?.counting) {
+          printJournalWordCount(sections, profile.name, profile.requirements.wordLimit, options.limit);
+          return;
+        }
+      }
+
       let total = 0;
       const rows: string[][] = [];
 
@@ -87,22 +104,13 @@ export function register(program: Command): void {
       console.log(fmt.header('Word Count'));
       console.log(fmt.table(['Section', 'Words'], rows));
 
-      // Check limit
+      // Profiles without counting rules: the plain total against their limit
       let limit = options.limit;
-      if (options.journal) {
-        const { getJournalProfile } = await import('../journals.js');
-        const profile = getJournalProfile(options.journal);
-        if (profile?.requirements?.wordLimit?.main) {
-          limit = profile.requirements.wordLimit.main;
-          console.log(chalk.dim(`\nUsing ${profile.name} word limit: ${limit.toLocaleString()}`));
-        }
-      }
-
-      if (limit && total > limit) {
-        console.log(chalk.red(`\n⚠ Over limit by ${(total - limit).toLocaleString()} words`));
-      } else if (limit) {
-        console.log(chalk.green(`\n✓ Within limit (${(limit - total).toLocaleString()} words remaining)`));
+      if (profile?.requirements?.wordLimit?.main) {
+        limit = profile.requirements.wordLimit.main;
+        console.log(chalk.dim(`\nUsing ${profile.name} word limit: ${limit.toLocaleString()}`));
       }
+      printLimitStatus(total, limit);
     });
 
   // ==========================================================================
@@ -242,3 +250,55 @@ export function register(program: Command): void {
       }
     });
 }
+
+/**
+ * Over/within limit line shared by both word-count modes
+ */
+function printLimitStatus(count: number, limit: number | undefined, label = ''): void {
+  if (limit && count > limit) {
+    console.log(chalk.red(`\n⚠ ${label}Over limit by ${(count - limit).toLocaleString()} words`));
+  } else if (limit) {
+    console.log(chalk.green(`\n✓ ${label}Within limit (${(limit - count).toLocaleString()} words remaining)`));
+  }
+}
+
+/**
+ * Per-section breakdown under a journal's counting rules: every section's
+ * words, the words that count towards the limit, and why the rest do not
+ */
+function printJournalWordCount(
+  sections: string[],
+  journalName: string,
+  wordLimit: JournalRequirements['wordLimit'],
+  limitOverride: number | undefined
+): void {
+  const files = sections
+    .filter((file) => fs.existsSync(file))
+    .map((file) => ({ file, text: fs.readFileSync(file, 'utf-8') }));
+  const report = countManuscriptWords(files, wordLimit?.counting);
+
+  const rows: string[][] = [];
+  let lastFile: string | null = null;
+  for (const section of report.sections) {
+    if (section.file !== lastFile) {
+      lastFile = section.file;
+      if (section.heading !== null) rows.push([chalk.dim(section.file), '', '', '']);
+    }
+    const label = section.heading === null ? section.file : `${'  '.repeat(section.level)}${section.heading}`;
+    const counted = section.counted === section.total ? section.counted.toLocaleString() : chalk.yellow(section.counted.toLocaleString());
+    rows.push([label, section.total.toLocaleString(), counted, chalk.dim(section.notes.join('; '))]);
+  }
+  rows.push(['', '', '', '']);
+  rows.push([chalk.bold('Total'), chalk.bold(report.total.toLocaleString()), chalk.bold(report.counted.toLocaleString()), '']);
+
+  console.log(fmt.header('Word Count'));
+  console.log(fmt.table(['Section', 'Words', 'Counted', 'Why not counted'], rows, { align: ['left', 'right', 'right', 'left'] }));
+  console.log(chalk.dim(`\nCounting rules (${journalName}): ${describeWordCountRules(report.rules)}`));
+
+  const limit = limitOverride ?? wordLimit?.main;
+  if (limit) console.log(chalk.dim(`Word limit: ${limit.toLocaleString()}`));
+  printLimitStatus(report.counted, limit);
+  if (wordLimit?.abstract && report.abstract > 0) {
+    printLimitStatus(report.abstract, wordLimit.abstract, `Abstract (${report.abstract.toLocaleString()}/${wordLimit.abstract.toLocaleString()}): `);
+  }
+}
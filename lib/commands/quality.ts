@@ -125,7 +125,8 @@ export function register(program: Command): void {
       const tblAnchors = new Set<string>();
       const eqAnchors = new Set<string>();
 
-      const anchorPattern = /\{#(fig|tbl|eq):([^}]+)\}/g;
+      // Ids may follow classes and attributes: {.table src="..." #tbl:anova}
+      const anchorPattern = /\{(?:[^}\n]*\s)?#(fig|tbl|eq):([a-zA-Z0-9_-]+)[^}]*\}/g;
       let match: RegExpExecArray | null;
       while ((match = anchorPattern.exec(allText)) !== null) {
         if (match[1] === 'fig') figAnchors.add(match[2]);
@@ -384,6 +385,7 @@ export function register(program: Command): void {
     .action(async (options: CheckOptions) => {
       const { validateCitations } = await import('../citations.js');
       const { checkGrammar, getGrammarSummary } = await import('../grammar.js');
+      const { checkDataVariables } = await import('../variables.js');
 
       console.log(fmt.header('Pre-Submission Check'));
       console.log();
@@ -416,8 +418,8 @@ export function register(program: Command): void {
 
         // Check for broken cross-references
         const refs = content.match(/@(fig|tbl|eq|sec):\w+/g) || [];
-        const anchors = content.match(/\{#(fig|tbl|eq|sec):[^}]+\}/g) || [];
-        const anchorLabels = anchors.map(a => a.match(/#([^}]+)/)![1]);
+        const anchors = content.match(/\{(?:[^}\n]*\s)?#(fig|tbl|eq|sec):[^}]+\}/g) || [];
+        const anchorLabels = anchors.map(a => a.match(/#((?:fig|tbl|eq|sec):[a-zA-Z0-9_-]+)/)![1]);
 
         for (const ref of refs) {
           const label = ref.slice(1);
@@ -426,6 +428,11 @@ export function register(program: Command): void {
           }
         }
 
+        // Check {{data:...}} variables against their result files
+        for (const issue of checkDataVariables(content, '.')) {
+          lintIssues.push({ file, message: `${issue.variable}: ${issue.error}` });
+        }
+
         // Check for unresolved comments
         const unresolvedComments = (content.match(/\{>>[\s\S]*?<<\}/g) || [])
           .filter(c => !c.includes('[RESOLVED]'));
@@ -503,6 +510,41 @@ export function register(program: Command): void {
       }
       console.log();
 
+      // 4. Page limits of the journal profile, against the built PDF
+      const pageLimit = config.journal
+        ? (await import('../journals.js')).getJournalProfile(config.journal)?.requirements?.pageLimit
+        : null;
+      if (pageLimit) {
+        console.log(chalk.cyan.bold('4. Page limits...'));
+        const { resolveOutputPath } = await import('../build.js');
+        const pdfPath = resolveOutputPath('.', config as BuildConfig, 'pdf');
+        if (fs.existsSync(pdfPath)) {
+          const { validatePdfPageLimits } = await import('../page-limits.js');
+          try {
+            const pages = await validatePdfPageLimits(pdfPath, pageLimit);
+            for (const error of pages.errors) {
+              console.log(chalk.red(`   ✗ ${error}`));
+            }
+            for (const warning of pages.warnings) {
+              console.log(chalk.yellow(`   ⚠ ${warning}`));
+            }
+            if (pages.errors.length > 0) hasErrors = true;
+            totalIssues += pages.errors.length + pages.warnings.length;
+            if (pages.errors.length === 0 && pages.warnings.length === 0) {
+              console.log(chalk.green(`   ✓ ${pages.countedPages} page(s) within limits`));
+            }
+          } catch (err) {
+            // An unreadable PDF should not abort the remaining checks
+            console.log(chalk.yellow(`   ⚠ Page limits not checked: ${(err as Error).message}`));
+            totalIssues++;
+          }
+        } else {
+          console.log(chalk.yellow(`   ⚠ No PDF at ${path.relative('.', pdfPath)}; run "rev build pdf" to check page limits`));
+          totalIssues++;
+        }
+        console.log();
+      }
+
       // Summary
       console.log(chalk.bold('Summary'));
       if (hasErrors) {
@@ -14,6 +14,7 @@ import {
   generateResponseLetter,
   groupByReviewer,
   getUserName,
+  loadBuildConfig,
 } from './context.js';
 
 interface ResponseOptions {
@@ -26,6 +27,7 @@ interface ResponseOptions {
 interface ValidateOptions {
   journal?: string;
   list?: boolean;
+  pdf?: string;
 }
 
 interface ProfilesOptions {
@@ -117,6 +119,7 @@ export function register(program: Command): void {
     .argument('[files...]', 'Markdown files to validate (default: all section files)')
     .option('-j, --journal <name>', 'Journal profile (e.g., nature, plos-one, science)')
     .option('--list', 'List available journal profiles')
+    .option('--pdf <file>', 'Built PDF to check page limits against (default: the project\'s PDF output)')
     .action(async (files: string[] | undefined, options: ValidateOptions) => {
       const { listJournals, validateProject, getJournalProfile } = await import('../journals.js');
 
@@ -181,7 +184,33 @@ export function register(program: Command): void {
       console.log(chalk.dim(`  ${profile.url}`));
       console.log();
 
-      const result = validateProject(mdFiles, options.journal);
+      // Authors from rev.yaml feed the contributions check
+      const authors = fs.existsSync('rev.yaml') ? loadBuildConfig('.').authors : undefined;
+      const result = validateProject(mdFiles, options.journal, { authors });
+
+      // Page limits are checked against the built PDF
+      const pageLimit = profile.requirements?.pageLimit;
+      let pdfPages: string | null = null;
+      if (pageLimit) {
+        const { resolveOutputPath } = await import('../build.js');
+        const pdfPath = options.pdf
+          ?? (fs.existsSync('rev.yaml') ? path.relative('.', resolveOutputPath('.', loadBuildConfig('.'), 'pdf')) : null);
+        if (pdfPath && fs.existsSync(pdfPath)) {
+          const { validatePdfPageLimits } = await import('../page-limits.js');
+          try {
+            const pages = await validatePdfPageLimits(pdfPath, pageLimit);
+            result.errors.push(...pages.errors);
+            result.warnings.push(...pages.warnings);
+            result.valid = result.errors.length === 0;
+            pdfPages = pages.countedPages === pages.pages ? `${pages.pages}` : `${pages.countedPages} (of ${pages.pages})`;
+            if (pageLimit.total) pdfPages += ` / ${pageLimit.total}`;
+          } catch (err) {
+            result.warnings.push(`Page limits not checked: ${(err as Error).message}`);
+          }
+        } else {
+          result.warnings.push(`Page limits not checked: no PDF${pdfPath ? ` at ${pdfPath}` : ''} (run "rev build pdf" or pass --pdf)`);
+        }
+      }
 
       if (result.stats) {
         console.log(chalk.cyan('Manuscript Stats:'));
@@ -192,6 +221,7 @@ export function register(program: Command): void {
           ['Figures', result.stats.figures.toString()],
           ['Tables', result.stats.tables.toString()],
           ['References', result.stats.references.toString()],
+          ...(pdfPages ? [['PDF pages', pdfPages]] : []),
         ]));
         console.log();
       }
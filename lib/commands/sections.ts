@@ -14,6 +14,7 @@ import {
   splitAnnotatedPaper,
 } from './context.js';
 import type { Command } from 'commander';
+import type { IncludeEdit } from '../includes.js';
 
 interface DetectedSection {
   header: string;
@@ -411,7 +412,8 @@ export function register(program: Command): void {
 
       const config = resolved.config;
       const paperContent = fs.readFileSync(file, 'utf-8');
-      const sections = splitAnnotatedPaper(paperContent, config.sections);
+      const includeEdits: Array<IncludeEdit & { file: string }> = [];
+      const sections = splitAnnotatedPaper(paperContent, config.sections, includeEdits);
 
       if (sections.size === 0) {
         console.error(chalk.yellow('No sections detected.'));
@@ -441,6 +443,15 @@ export function register(program: Command): void {
         }
       }
 
+      if (includeEdits.length > 0) {
+        console.log(chalk.yellow('\nChanges inside included text were not applied:'));
+        for (const edit of includeEdits) {
+          console.log(chalk.yellow(`  ${edit.include} (in ${edit.file}): ${edit.annotations} annotation(s)`));
+          console.log(chalk.dim(edit.text.split('\n').map(l => `    ${l}`).join('\n')));
+        }
+        console.log(chalk.dim('  Apply them to the shared file by hand.'));
+      }
+
       if (options.dryRun) {
         console.log(chalk.yellow('\n(Dry run - no files written)'));
       } else {
@@ -17,9 +17,11 @@ import {
   buildRegistry,
   convertHardcodedRefs,
   inlineDiffPreview,
+  loadBuildConfig,
 } from './context.js';
 import type { Command } from 'commander';
 import type { SectionsConfig } from '../types.js';
+import type { IncludeEdit } from '../includes.js';
 import * as readline from 'readline';
 
 interface ImportStats {
@@ -146,6 +148,34 @@ export function register(program: Command): void {
       }
       const sectionsConfig = resolved.config;
 
+      // Provenance: find the build this docx came from and which section
+      // files were edited locally since then (see lib/build-manifest.ts)
+      const { readBuildId, findBuildManifest, describeBuildOrigin, sectionsChangedSinceBuild, recoverBuiltSections } = await import('../build-manifest.js');
+      let editedSinceBuild: string[] = [];
+      // Edited sections as they were built, recovered from the build's git
+      // commit: the base for merging reviewer changes with the local edits
+      let builtSections = new Map<string, string>();
+      const buildId = await readBuildId(docx);
+      const manifest = buildId ? findBuildManifest(options.dir, buildId) : null;
+      if (manifest) {
+        console.log(fmt.status('info', `Built from ${describeBuildOrigin(manifest)} (build ${buildId})`));
+        editedSinceBuild = sectionsChangedSinceBuild(options.dir, manifest);
+        if (editedSinceBuild.length > 0 && !options.commentsOnly) {
+          builtSections = recoverBuiltSections(options.dir, manifest, editedSinceBuild);
+          const merged = editedSinceBuild.filter((file) => builtSections.has(file));
+          const unrecovered = editedSinceBuild.filter((file) => !builtSections.has(file));
+          if (merged.length > 0) {
+            console.log(fmt.status('info', `Edited since this build: ${merged.join(', ')}`));
+            console.log(chalk.dim(`  Reviewer changes will be merged with those edits (base: commit ${manifest.git.commit!.slice(0, 7)}).`));
+          }
+          if (unrecovered.length > 0) {
+            console.log(fmt.status('warning', `Edited since this build: ${unrecovered.join(', ')}`));
+            console.log(chalk.dim('  The built text is not in git, so importing prose would discard those edits; use --comments-only to keep them.'));
+          }
+        }
+        console.log();
+      }
+
       // --comments-only: import comments only, never modify existing prose.
       // Use this when the markdown has been revised since the docx was sent
       // out — track changes from a stale draft would clobber newer edits.
@@ -239,25 +269,34 @@ export function register(program: Command): void {
 
         // Conflict detection
         if (!options.force && !options.dryRun) {
-          const conflicts: Array<{ file: string; annotations: number }> = [];
+          const conflicts: Array<{ file: string; annotations: number; edited: boolean }> = [];
           for (const section of wordSections) {
             const sectionPath = path.join(options.dir, section.file);
             if (fs.existsSync(sectionPath)) {
               const existing = fs.readFileSync(sectionPath, 'utf-8');
               const existingCounts = countAnnotations(existing);
-              if (existingCounts.total > 0) {
+              const edited = editedSinceBuild.includes(section.file) && !builtSections.has(section.file);
+              if (existingCounts.total > 0 || edited) {
                 conflicts.push({
                   file: section.file,
                   annotations: existingCounts.total,
+                  edited,
                 });
               }
             }
           }
 
           if (conflicts.length > 0) {
-            console.log(fmt.status('warning', 'Files with existing annotations will be overwritten:'));
+            console.log(fmt.status('warning', 'Files with existing annotations or edits will be overwritten:'));
             for (const c of conflicts) {
-              console.log(chalk.yellow(`  - ${c.file} (${c.annotations} annotations)`));
+              const reasons = [
+                ...(c.annotations > 0 ? [`${c.annotations} annotations`] : []),
+                ...(c.edited ? ['edited since build'] : []),
+              ];
+              console.log(chalk.yellow(`  - ${c.file} (${reasons.join(', ')})`));
+            }
+            if (conflicts.some((c) => c.edited)) {
+              console.log(chalk.dim('  Tip: --comments-only imports the comments without touching edited prose.'));
             }
             console.log();
 
@@ -309,6 +348,21 @@ export function register(program: Command): void {
         let totalCommentsDeduped = 0;
         let totalCommentsUnmatched = 0;
 
+        // Text pulled in by {{include:...}} appears inline in the Word
+        // document. It is folded back into the directive; reviewer edits inside
+        // it belong to the shared file and are reported instead of written.
+        const { restoreIncludes } = await import('../includes.js');
+        let includePaths: string[] | undefined;
+        try {
+          includePaths = loadBuildConfig(options.dir).includePaths;
+        } catch {
+          // No readable rev.yaml: only project-local includes resolve
+        }
+        const includeEdits: Array<IncludeEdit & { file: string }> = [];
+        const unmatchedIncludes: Array<{ file: string; include: string; placed: boolean }> = [];
+        const { mergeWithLocalEdits } = await import('../merge.js');
+        const mergeConflicts: string[] = [];
+
         for (const section of wordSections) {
           const sectionPath = path.join(options.dir, section.file);
 
@@ -345,6 +399,8 @@ export function register(program: Command): void {
           });
 
           let { annotated, stats } = result;
+          const sectionRouted: string[] = [];
+          const sectionCommentStats = { placed: 0, lowConfidence: 0, deduped: 0, unmatched: 0 };
 
           let refConversions: Array<{ from: string; to: string }> = [];
           if (registry && options.crossref !== false) {
@@ -375,7 +431,10 @@ export function register(program: Command): void {
             }
 
             if (sectionComments.length > 0) {
-              for (const c of sectionComments) routedCommentIds.add(c.id);
+              for (const c of sectionComments) {
+                routedCommentIds.add(c.id);
+                sectionRouted.push(c.id);
+              }
               const cstats = { placed: 0, lowConfidence: 0, deduped: 0, unmatched: 0 };
               annotated = insertCommentsIntoMarkdown(annotated, sectionComments, anchors, {
                 quiet: !process.env.DEBUG,
@@ -390,6 +449,9 @@ export function register(program: Command): void {
               totalCommentsLowConfidence += cstats.lowConfidence;
               totalCommentsDeduped += cstats.deduped;
               totalCommentsUnmatched += cstats.unmatched;
+              for (const key of Object.keys(sectionCommentStats) as Array<keyof typeof cstats>) {
+                sectionCommentStats[key] += cstats[key];
+              }
 
               if (process.env.DEBUG) {
                 console.log(`[DEBUG] ${section.file}: placed ${cstats.placed}, approx ${cstats.lowConfidence}, deduped ${cstats.deduped}, unmatched ${cstats.unmatched} of ${sectionComments.length}`);
@@ -397,6 +459,53 @@ export function register(program: Command): void {
             }
           }
 
+          // Leaving the section untouched also takes back its comments
+          const leaveUntouched = (): void => {
+            for (const id of sectionRouted) routedCommentIds.delete(id);
+            totalCommentsPlaced -= sectionCommentStats.placed + sectionCommentStats.lowConfidence;
+            totalCommentsLowConfidence -= sectionCommentStats.lowConfidence;
+            totalCommentsDeduped -= sectionCommentStats.deduped;
+            totalCommentsUnmatched -= sectionCommentStats.unmatched;
+            sectionResults.push({
+              file: section.file,
+              header: section.header,
+              status: 'untouched',
+              stats: undefined,
+            });
+          };
+
+          // The reviewed text follows the section as built; include
+          // directives are placed against that version
+          const localContent = fs.readFileSync(sectionPath, 'utf-8');
+          const builtContent = builtSections.get(section.file);
+          const restored = restoreIncludes(annotated, builtContent ?? localContent, section.file, {
+            root: options.dir,
+            includePaths,
+          });
+          for (const include of restored.unmatched) {
+            unmatchedIncludes.push({ file: section.file, include, placed: !restored.unplaced.includes(include) });
+          }
+          if (restored.unplaced.length > 0) {
+            // Without a place for the directive, writing the section would
+            // paste the included text inline and break the include
+            leaveUntouched();
+            continue;
+          }
+          annotated = restored.text;
+
+          if (builtContent !== undefined) {
+            // Edited since the build: replay the reviewer's changes onto the
+            // local edits instead of replacing them
+            const merged = mergeWithLocalEdits(splitPreamble(builtContent).body, annotated, splitPreamble(localContent).body);
+            if (merged === null) {
+              mergeConflicts.push(section.file);
+              leaveUntouched();
+              continue;
+            }
+            annotated = merged;
+          }
+          for (const edit of restored.edits) includeEdits.push({ file: section.file, ...edit });
+
           totalChanges += stats.total;
 
           sectionResults.push({
@@ -412,14 +521,10 @@ export function register(program: Command): void {
             // that exists before the first heading in the original file.
             // This content is never included in the Word build output, so it won't
             // appear in the Word doc and would otherwise be lost during sync.
-            const originalContent = fs.readFileSync(sectionPath, 'utf-8');
-            const firstHeadingMatch = originalContent.match(/^(#\s)/m);
-            if (firstHeadingMatch && firstHeadingMatch.index !== undefined && firstHeadingMatch.index > 0) {
-              const preamble = originalContent.slice(0, firstHeadingMatch.index);
-              // Only prepend if preamble has non-whitespace content
-              if (preamble.trim().length > 0) {
-                annotated = preamble + annotated;
-              }
+            const { preamble } = splitPreamble(fs.readFileSync(sectionPath, 'utf-8'));
+            // Only prepend if preamble has non-whitespace content
+            if (preamble.trim().length > 0) {
+              annotated = preamble + annotated;
             }
             fs.writeFileSync(sectionPath, annotated, 'utf-8');
           }
@@ -475,6 +580,34 @@ export function register(program: Command): void {
           }
         }
 
+        if (includeEdits.length > 0) {
+          console.log(fmt.status('warning', 'Reviewer changes inside included text were not applied:'));
+          for (const edit of includeEdits) {
+            console.log(chalk.yellow(`  ${edit.include} (in ${edit.file}): ${edit.annotations} annotation(s)`));
+            const preview = inlineDiffPreview(edit.text, { maxLines: 3 });
+            if (preview) console.log(preview);
+          }
+          console.log(chalk.dim('  Apply them to the shared file, which other documents may include too.'));
+          console.log();
+        }
+        if (mergeConflicts.length > 0) {
+          console.log(fmt.status('warning', 'Reviewer changes overlap edits made since the build (not synced):'));
+          for (const file of mergeConflicts) {
+            console.log(chalk.yellow(`  ${file}: section left unchanged`));
+          }
+          console.log(chalk.dim('  Use --comments-only for these sections, or apply the tracked changes by hand.'));
+          console.log();
+        }
+        if (unmatchedIncludes.length > 0) {
+          console.log(fmt.status('warning', 'Included text not found in the reviewed document (not synced):'));
+          for (const u of unmatchedIncludes) {
+            const note = u.placed ? 'directive kept' : 'section left unchanged';
+            console.log(chalk.yellow(`  ${u.include} (in ${u.file}): ${note}`));
+          }
+          console.log(chalk.dim('  Its text may have been rewritten without track changes. The included file was not changed; apply any edits to it by hand.'));
+          console.log();
+        }
+
         // Comments carried by the document but never routed to a synced section
         // (they fell in a skipped/untouched/absent section). Surfacing these
         // keeps the summary honest instead of reporting every extracted comment
@@ -527,6 +660,19 @@ export function register(program: Command): void {
     });
 }
 
+/**
+ * Split a section file at its first heading. The preamble (YAML frontmatter,
+ * author blocks, metadata) never reaches the Word build, so sync keeps it
+ * out of diffs and puts it back when writing.
+ */
+function splitPreamble(content: string): { preamble: string; body: string } {
+  const firstHeadingMatch = content.match(/^(#\s)/m);
+  if (firstHeadingMatch && firstHeadingMatch.index !== undefined && firstHeadingMatch.index > 0) {
+    return { preamble: content.slice(0, firstHeadingMatch.index), body: content.slice(firstHeadingMatch.index) };
+  }
+  return { preamble: '', body: content };
+}
+
 /**
  * `sync --comments-only`: import only Word comments at fuzzy-matched anchors.
  *
@@ -595,7 +741,7 @@ async function syncCommentsOnly(
   }
 
   const firstBoundaryStart = boundaries[0].start;
-  const results: Array<{ file: string; placed: number; lowConfidence: number; deduped: number; unmatched: number; skipped: boolean }> = [];
+  const results: Array<{ file: string; placed: number; lowConfidence: number; deduped: number; unmatched: number; updated?: number; skipped: boolean }> = [];
 
   for (const boundary of activeBoundaries) {
     const sectionPath = path.join(options.dir, boundary.file);
@@ -621,7 +767,7 @@ async function syncCommentsOnly(
 
     const original = fs.readFileSync(sectionPath, 'utf-8');
 
-    const stats = { placed: 0, lowConfidence: 0, deduped: 0, unmatched: 0 };
+    const stats = { placed: 0, lowConfidence: 0, deduped: 0, unmatched: 0, updated: 0 };
     const annotated = insertCommentsIntoMarkdown(original, sectionComments, anchors, {
       quiet: !process.env.DEBUG,
       sectionBoundary: { start: boundary.start, end: boundary.end },
@@ -629,7 +775,7 @@ async function syncCommentsOnly(
       outStats: stats,
     });
 
-    if (!options.dryRun && (stats.placed > 0 || stats.lowConfidence > 0)) {
+    if (!options.dryRun && (stats.placed > 0 || stats.lowConfidence > 0 || stats.updated > 0)) {
       fs.writeFileSync(sectionPath, annotated, 'utf-8');
     }
     results.push({ file: boundary.file, ...stats, skipped: false });
@@ -660,6 +806,7 @@ async function syncCommentsOnly(
   const totalLowConfidence = results.reduce((s, r) => s + r.lowConfidence, 0);
   const totalDeduped = results.reduce((s, r) => s + r.deduped, 0);
   const totalUnmatched = results.reduce((s, r) => s + r.unmatched, 0);
+  const totalUpdated = results.reduce((s, r) => s + (r.updated ?? 0), 0);
 
   const lines: string[] = [];
   lines.push(`${chalk.bold(comments.length)} comments in document`);
@@ -672,12 +819,15 @@ async function syncCommentsOnly(
   if (totalDeduped > 0) {
     lines.push(`${chalk.cyan(totalDeduped)} already present (skipped to avoid duplication)`);
   }
+  if (totalUpdated > 0) {
+    lines.push(`${chalk.cyan(totalUpdated)} matched by ID and updated in place`);
+  }
   if (totalUnmatched > 0) {
     lines.push(`${chalk.yellow(totalUnmatched)} unmatched (no anchor in current prose)`);
   }
   if (options.dryRun) {
     lines.push(chalk.yellow('Dry run — no files written'));
-  } else if (totalPlaced > 0 || totalLowConfidence > 0) {
+  } else if (totalPlaced > 0 || totalLowConfidence > 0 || totalUpdated > 0) {
     lines.push(chalk.dim('Existing prose unchanged.'));
   }
   console.log(fmt.box(lines.join('\n'), { title: 'Summary', padding: 0 }));
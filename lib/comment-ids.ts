@@ -0,0 +1,123 @@
+/**
+ * Stable comment identifiers
+ *
+ * Comments are otherwise addressed by position, so numbers shift as soon as
+ * one is resolved or a sync adds more. A comment may carry an ID before its
+ * author:
+ *
+ *   {>>[c:7f3a] Jane: Please cite the source<<}
+ *
+ * IDs are hex so they can travel through Word as the comment's
+ * `w16cid:durableId`, which Word keeps across saves. Building a docx writes
+ * the ID there; importing one reads it back, so a comment that comes back
+ * from review is recognised and updated instead of being added again.
+ */
+
+import { randomBytes } from 'crypto';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** `[c:<hex>]` at the start of a comment's content */
+const COMMENT_ID_PREFIX = /^\s*\[c:([0-9a-f]{1,8})\]\s*/i;
+
+/** Same, anywhere in a document (for collecting the IDs in use) */
+const COMMENT_ID_IN_TEXT = /\{>>\s*\[c:([0-9a-f]{1,8})\]/gi;
+
+/** Word reads durableIds as signed 32-bit integers */
+const MAX_DURABLE_ID = 0x7ffffffe;
+
+/** Length of newly generated IDs */
+const NEW_ID_LENGTH = 4;
+
+/** IDs are at most 8 hex digits (a 32-bit durableId) */
+const MAX_ID_LENGTH = 8;
+
+/** Random tries at each length before moving to a longer one */
+const ATTEMPTS_PER_LENGTH = 20;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Canonical form of an ID: lowercase, without leading zeros
+ */
+export function normalizeCommentId(id: string): string {
+  return id.trim().toLowerCase().replace(/^0+(?=.)/, '');
+}
+
+/**
+ * True when `id` is a usable comment ID (hex that fits a Word durableId)
+ */
+export function isValidCommentId(id: string): boolean {
+  if (!/^[0-9a-f]{1,8}$/i.test(id.trim())) return false;
+  const value = parseInt(id, 16);
+  return value > 0 && value <= MAX_DURABLE_ID;
+}
+
+/**
+ * Split a leading `[c:id]` off comment content
+ * @param content - Text inside `{>>...<<}`
+ * @returns The normalized ID (or null) and the content after it
+ */
+export function splitCommentId(content: string): { id: string | null; rest: string } {
+  const m = content.match(COMMENT_ID_PREFIX);
+  if (!m) return { id: null, rest: content };
+  return { id: normalizeCommentId(m[1]!), rest: content.slice(m[0].length) };
+}
+
+/**
+ * Prefix comment content with `[c:id] `
+ */
+export function withCommentId(content: string, id: string | null | undefined): string {
+  return id ? `[c:${normalizeCommentId(id)}] ${content}` : content;
+}
+
+/**
+ * All comment IDs used in a text
+ */
+export function collectCommentIds(text: string): Set<string> {
+  const ids = new Set<string>();
+  for (const m of text.matchAll(COMMENT_ID_IN_TEXT)) {
+    ids.add(normalizeCommentId(m[1]!));
+  }
+  return ids;
+}
+
+/**
+ * Generate an ID not in `taken`, lengthening it when short IDs keep
+ * colliding
+ * @param taken - IDs already in use (normalized)
+ * @throws Error when no free ID turns up at the longest length
+ */
+export function newCommentId(taken: Set<string> = new Set()): string {
+  for (let length = NEW_ID_LENGTH; length <= MAX_ID_LENGTH; length++) {
+    for (let attempt = 0; attempt < ATTEMPTS_PER_LENGTH; attempt++) {
+      const id = normalizeCommentId(randomBytes(4).toString('hex').slice(0, length));
+      if (id.length === length && isValidCommentId(id) && !taken.has(id)) {
+        taken.add(id);
+        return id;
+      }
+    }
+  }
+  throw new Error(`Could not find a free comment ID (${taken.size} in use)`);
+}
+
+/**
+ * Word durableId (8 uppercase hex digits) for a comment ID, or null when the
+ * ID cannot be one
+ */
+export function durableIdForComment(id: string): string | null {
+  if (!isValidCommentId(id)) return null;
+  return parseInt(id, 16).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Comment ID for a Word durableId, or null when it is not a usable one
+ */
+export function commentIdFromDurableId(durableId: string | undefined): string | null {
+  if (!durableId || !isValidCommentId(durableId)) return null;
+  return normalizeCommentId(durableId);
+}
@@ -0,0 +1,113 @@
+/**
+ * Comment metadata: tags, priority and assignee
+ *
+ * Triage notes are written inline in a comment, where they survive a round
+ * trip through Word like the rest of its text:
+ *
+ *   {>>Reviewer 2: The error bars are unclear #major #figures !high @assignee:anna<<}
+ *
+ * `#tag` marks a category, `!high`, `!medium` or `!low` a priority and
+ * `@assignee:name` the coauthor who will deal with it. getComments reports
+ * them, and the comment commands filter on them.
+ */
+
+import type { Annotation, CommentPriority } from './types.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const COMMENT_PRIORITIES: readonly CommentPriority[] = ['high', 'medium', 'low'];
+
+/** `#tag` after whitespace or an opening bracket; must start with a letter */
+const TAG_PATTERN = /(?:^|(?<=[\s([]))#([A-Za-z][\w-]*\w|[A-Za-z])(?![\w-])/g;
+
+/** `!high`, `!medium`, `!low` */
+const PRIORITY_PATTERN = /(?:^|(?<=[\s([]))!(high|medium|low)(?![\w-])/i;
+
+/** `@assignee:name` */
+const ASSIGNEE_PATTERN = /(?:^|(?<=[\s([]))@assignee:([\w.-]*\w)/i;
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface CommentMeta {
+  tags?: string[];
+  priority?: CommentPriority;
+  assignee?: string;
+}
+
+export interface CommentMetaFilter {
+  /** Tag, with or without `#` */
+  tag?: string;
+  priority?: string;
+  assignee?: string;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Read the metadata written in a comment's text. Only fields that are
+ * present are returned. Tags are lowercased and listed once each; when
+ * several priorities or assignees appear, the first wins.
+ */
+export function parseCommentMeta(content: string): CommentMeta {
+  const meta: CommentMeta = {};
+
+  const tags = [...new Set([...content.matchAll(TAG_PATTERN)].map((m) => m[1]!.toLowerCase()))];
+  if (tags.length > 0) meta.tags = tags;
+
+  const priority = content.match(PRIORITY_PATTERN);
+  if (priority) meta.priority = priority[1]!.toLowerCase() as CommentPriority;
+
+  const assignee = content.match(ASSIGNEE_PATTERN);
+  if (assignee) meta.assignee = assignee[1]!;
+
+  return meta;
+}
+
+/**
+ * True when `priority` is one of COMMENT_PRIORITIES
+ */
+export function isCommentPriority(priority: string): priority is CommentPriority {
+  return (COMMENT_PRIORITIES as readonly string[]).includes(priority.toLowerCase());
+}
+
+/**
+ * True when a comment matches every field set in `filter`. Matching ignores
+ * case.
+ */
+export function matchesCommentMeta(comment: Annotation, filter: CommentMetaFilter): boolean {
+  if (filter.tag) {
+    const tag = filter.tag.replace(/^#/, '').toLowerCase();
+    if (!comment.tags?.includes(tag)) return false;
+  }
+  if (filter.priority && comment.priority !== filter.priority.toLowerCase()) {
+    return false;
+  }
+  if (filter.assignee && comment.assignee?.toLowerCase() !== filter.assignee.toLowerCase()) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * True when `filter` sets any field
+ */
+export function hasCommentMetaFilter(filter: CommentMetaFilter): boolean {
+  return Boolean(filter.tag || filter.priority || filter.assignee);
+}
+
+/**
+ * Describe a filter for headings, e.g. ` tagged #major, !high, assigned to anna`
+ */
+export function describeCommentMetaFilter(filter: CommentMetaFilter): string {
+  const parts: string[] = [];
+  if (filter.tag) parts.push(`tagged #${filter.tag.replace(/^#/, '')}`);
+  if (filter.priority) parts.push(`!${filter.priority.toLowerCase()}`);
+  if (filter.assignee) parts.push(`assigned to ${filter.assignee}`);
+  return parts.length > 0 ? ` ${parts.join(', ')}` : '';
+}
@@ -0,0 +1,317 @@
+/**
+ * Query language for selecting comments and track changes
+ *
+ *   author~Jane AND status:pending AND file:methods.md AND text~'sample size'
+ *
+ * A condition is `field:value` (equal), `field~value` (contains) or, for
+ * numbers, `field>value`, `>=`, `<`, `<=`. Matching ignores case; values with
+ * spaces are quoted. Conditions combine with AND, OR, NOT and parentheses
+ * (NOT binds tightest, then AND, then OR); conditions side by side are ANDed.
+ */
+
+import type { Annotation } from './types.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Fields a comment query may use */
+export const COMMENT_QUERY_FIELDS = [
+  'author', 'status', 'file', 'text', 'id', 'tag', 'priority', 'assignee', 'section', 'line',
+] as const;
+
+/** Fields a track change query may use */
+export const CHANGE_QUERY_FIELDS = ['type', 'author', 'file', 'text', 'section', 'line'] as const;
+
+/** Keys for sorting query results */
+export const QUERY_SORT_KEYS = ['file', 'line', 'author', 'priority', 'status'] as const;
+
+/** Keys for grouping query results */
+export const QUERY_GROUP_KEYS = ['file', 'author', 'section'] as const;
+
+const PRIORITY_RANK: Record<string, number> = { high: 0, medium: 1, low: 2 };
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export type QueryOperator = ':' | '~' | '>' | '>=' | '<' | '<=';
+
+export type QueryNode =
+  | { kind: 'condition'; field: string; op: QueryOperator; value: string }
+  | { kind: 'not'; node: QueryNode }
+  | { kind: 'and' | 'or'; left: QueryNode; right: QueryNode };
+
+/** Field values of one comment or change; arrays match when any item does */
+export type QueryRecord = Record<string, string | number | string[] | undefined>;
+
+/** A comment or change with where it was found */
+export interface QueryItem {
+  annotation: Annotation;
+  file: string;
+  /** Nearest heading above it, or '' */
+  section: string;
+  /** Headings it sits under, outermost first; `section:` matches any */
+  headings: string[];
+}
+
+export type QuerySortKey = typeof QUERY_SORT_KEYS[number];
+export type QueryGroupKey = typeof QUERY_GROUP_KEYS[number];
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+type Token = { type: '(' | ')' | 'and' | 'or' | 'not' } | { type: 'condition'; field: string; op: QueryOperator; value: string };
+
+const CONDITION = /^([a-z]+)\s*(>=|<=|:|~|>|<)\s*(?:'([^']*)'|"([^"]*)"|([^\s()'"]+))/i;
+
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let rest = query.trim();
+
+  while (rest) {
+    let m: RegExpMatchArray | null;
+    if (rest[0] === '(' || rest[0] === ')') {
+      tokens.push({ type: rest[0] });
+      rest = rest.slice(1);
+    } else if ((m = rest.match(/^(AND|OR|NOT)(?=[\s(]|$)/i))) {
+      tokens.push({ type: m[1]!.toLowerCase() as 'and' | 'or' | 'not' });
+      rest = rest.slice(m[0].length);
+    } else if ((m = rest.match(CONDITION))) {
+      tokens.push({
+        type: 'condition',
+        field: m[1]!.toLowerCase(),
+        op: m[2] as QueryOperator,
+        value: m[3] ?? m[4] ?? m[5]!,
+      });
+      rest = rest.slice(m[0].length);
+    } else {
+      const word = rest.split(/[\s()]/)[0] || rest[0];
+      throw new Error(`Invalid query: expected field:value, field~value, AND, OR, NOT or parentheses at "${word}"`);
+    }
+    rest = rest.trimStart();
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query
+ * @param query - Query text
+ * @param fields - Fields the query may use
+ * @throws Error on a syntax error or an unknown field
+ */
+export function parseQuery(query: string, fields: readonly string[]): QueryNode {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    throw new Error('Invalid query: empty');
+  }
+  let i = 0;
+
+  const parseOr = (): QueryNode => {
+    let node = parseAnd();
+    while (tokens[i]?.type === 'or') {
+      i++;
+      node = { kind: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = (): QueryNode => {
+    let node = parseNot();
+    while (tokens[i] && tokens[i]!.type !== 'or' && tokens[i]!.type !== ')') {
+      if (tokens[i]!.type === 'and') i++;
+      node = { kind: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = (): QueryNode => {
+    const token = tokens[i++];
+    if (!token) {
+      throw new Error('Invalid query: ends too early');
+    }
+    if (token.type === 'not') {
+      return { kind: 'not', node: parseNot() };
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      if (tokens[i++]?.type !== ')') {
+        throw new Error('Invalid query: missing ")"');
+      }
+      return node;
+    }
+    if (token.type === 'condition') {
+      if (!fields.includes(token.field)) {
+        throw new Error(`Invalid query: unknown field "${token.field}" (fields: ${fields.join(', ')})`);
+      }
+      if (token.op !== ':' && token.op !== '~' && !/^-?\d+(?:\.\d+)?$/.test(token.value)) {
+        throw new Error(`Invalid query: ${token.field}${token.op} needs a number, got "${token.value}"`);
+      }
+      // `tag:#major` and `priority:!high` as they are written in comments
+      const value = token.field === 'tag' ? token.value.replace(/^#/, '')
+        : token.field === 'priority' ? token.value.replace(/^!/, '')
+          : token.value;
+      return { kind: 'condition', field: token.field, op: token.op, value };
+    }
+    throw new Error(`Invalid query: unexpected ${token.type.toUpperCase()}`);
+  };
+
+  const node = parseOr();
+  if (i < tokens.length) {
+    throw new Error('Invalid query: unexpected ")"');
+  }
+  return node;
+}
+
+// =============================================================================
+// Matching
+// =============================================================================
+
+function matchesValue(actual: string | number, op: QueryOperator, wanted: string): boolean {
+  if (op === ':') return String(actual).toLowerCase() === wanted.toLowerCase();
+  if (op === '~') return String(actual).toLowerCase().includes(wanted.toLowerCase());
+  const a = Number(actual);
+  const b = Number(wanted);
+  if (Number.isNaN(a)) return false;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  if (op === '<') return a < b;
+  return a <= b;
+}
+
+/**
+ * True when a record satisfies a parsed query
+ */
+export function matchesQuery(node: QueryNode, record: QueryRecord): boolean {
+  switch (node.kind) {
+    case 'and':
+      return matchesQuery(node.left, record) && matchesQuery(node.right, record);
+    case 'or':
+      return matchesQuery(node.left, record) || matchesQuery(node.right, record);
+    case 'not':
+      return !matchesQuery(node.node, record);
+    case 'condition': {
+      const actual = record[node.field];
+      if (actual === undefined) return false;
+      const values = Array.isArray(actual) ? actual : [actual];
+      return values.some((value) => matchesValue(value, node.op, node.value));
+    }
+  }
+}
+
+/**
+ * Query fields of a comment or change. `file` matches the path as given or
+ * its base name; `section` any enclosing heading, so `section:Methods` covers
+ * its subsections; `text` of a substitution covers both sides.
+ */
+export function queryRecord(item: QueryItem): QueryRecord {
+  const a = item.annotation;
+  const file = item.file.replace(/\\/g, '/');
+  return {
+    author: a.author || '',
+    status: a.resolved ? 'resolved' : 'pending',
+    file: [file, file.split('/').pop()!],
+    text: a.type === 'substitute' ? [a.content, a.replacement || ''] : a.content,
+    id: a.id,
+    tag: a.tags || [],
+    priority: a.priority,
+    assignee: a.assignee,
+    section: item.headings,
+    line: a.line,
+    type: a.type,
+  };
+}
+
+/**
+ * Headings of a markdown text with their positions, for finding the
+ * headings an annotation sits under (outermost first)
+ */
+export function sectionLocator(text: string): (position: number) => string[] {
+  const headings: { position: number; level: number; title: string }[] = [];
+  let fence: string | null = null;
+  let position = 0;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1]!;
+      else if (line.startsWith(fence)) fence = null;
+    }
+    const heading = fence ? null : line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      headings.push({ position, level: heading[1]!.length, title: heading[2]!.replace(/\s*\{[^}]*\}\s*$/, '').trim() });
+    }
+    position += line.length + 1;
+  }
+
+  return (at: number): string[] => {
+    const path: { level: number; title: string }[] = [];
+    for (const heading of headings) {
+      if (heading.position > at) break;
+      while (path.length > 0 && path[path.length - 1]!.level >= heading.level) path.pop();
+      path.push(heading);
+    }
+    return path.map((h) => h.title);
+  };
+}
+
+/**
+ * Pair annotations from one file with their file and section
+ */
+export function toQueryItems(annotations: Annotation[], text: string, file: string): QueryItem[] {
+  const sectionAt = sectionLocator(text);
+  return annotations.map((annotation) => {
+    const headings = sectionAt(annotation.position);
+    return { annotation, file, section: headings[headings.length - 1] ?? '', headings };
+  });
+}
+
+// =============================================================================
+// Sorting and grouping
+// =============================================================================
+
+/**
+ * Sort items by a key; ties keep their order. Line order stays within each
+ * file, with files in the order they were given.
+ */
+export function sortQueryItems<T extends QueryItem>(items: T[], key: QuerySortKey): T[] {
+  const fileOrder = new Map<string, number>();
+  for (const item of items) {
+    if (!fileOrder.has(item.file)) fileOrder.set(item.file, fileOrder.size);
+  }
+  const value = (item: T): string | number => {
+    const a = item.annotation;
+    switch (key) {
+      case 'file': return item.file;
+      case 'line': return a.line;
+      case 'author': return (a.author || '').toLowerCase();
+      case 'priority': return a.priority ? PRIORITY_RANK[a.priority]! : Object.keys(PRIORITY_RANK).length;
+      case 'status': return a.resolved ? 1 : 0;
+    }
+  };
+  return [...items].sort((x, y) => {
+    if (key === 'line' && x.file !== y.file) return fileOrder.get(x.file)! - fileOrder.get(y.file)!;
+    const a = value(x);
+    const b = value(y);
+    return typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  });
+}
+
+/**
+ * Group items by a key, in order of first appearance
+ */
+export function groupQueryItems<T extends QueryItem>(items: T[], key: QueryGroupKey): Map<string, T[]> {
+  const groups = new Map<string, T[]>();
+  for (const item of items) {
+    const name = key === 'file'
+      ? item.file
+      : key === 'author'
+        ? item.annotation.author || 'Anonymous'
+        : item.section || '(before first heading)';
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name)!.push(item);
+  }
+  return groups;
+}
@@ -0,0 +1,230 @@
+/**
+ * CRediT author contribution statements
+ *
+ * Authors in rev.yaml can list their contributions as CRediT roles
+ * (https://credit.niso.org/) together with funding and competing-interest
+ * statements:
+ *
+ *   authors:
+ *     - name: Jane Doe
+ *       roles: [Conceptualization, Methodology, Writing – original draft]
+ *       funding: NSF grant DEB-1234567
+ *       competingInterests: Consults for Acme Corp.
+ *
+ * Role names are matched case-insensitively; hyphens, dashes and "&"/"and"
+ * are ignored, so `writing-review-editing` is "Writing – review & editing".
+ * The statements are rendered by the {{contributions}}, {{funding}} and
+ * {{competing_interests}} variables (see lib/variables.ts), in the style set
+ * by `contributions:` in rev.yaml or the journal profile's formatting.
+ */
+
+import type { Author } from './types.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface ContributionStyle {
+  /** Full names or initials ("J.D."). Default full */
+  names?: 'full' | 'initials';
+  /** "Jane Doe: Conceptualization, ..." or "Conceptualization: Jane Doe, ...". Default author */
+  groupBy?: 'author' | 'role';
+}
+
+export interface AuthorMetadataIssue {
+  author: string;
+  message: string;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** The 14 CRediT roles, in the taxonomy's order */
+export const CREDIT_ROLES = [
+  'Conceptualization',
+  'Data curation',
+  'Formal analysis',
+  'Funding acquisition',
+  'Investigation',
+  'Methodology',
+  'Project administration',
+  'Resources',
+  'Software',
+  'Supervision',
+  'Validation',
+  'Visualization',
+  'Writing – original draft',
+  'Writing – review & editing',
+] as const;
+
+export type CreditRole = typeof CREDIT_ROLES[number];
+
+const NO_COMPETING_INTERESTS = 'The authors declare no competing interests.';
+
+// =============================================================================
+// Roles
+// =============================================================================
+
+function roleKey(role: string): string {
+  return role
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z]+/)
+    .filter((word) => word && word !== 'and')
+    .join(' ');
+}
+
+const ROLE_KEYS = new Map<string, CreditRole>(CREDIT_ROLES.map((role) => [roleKey(role), role]));
+
+/**
+ * Match a role name to its CRediT role, or null if it is not one.
+ */
+export function resolveCreditRole(role: string): CreditRole | null {
+  return ROLE_KEYS.get(roleKey(role)) ?? null;
+}
+
+/**
+ * Normalize a `contributions` style setting.
+ *
+ * @param value - Style object, or a comma-separated string such as "initials,by-role"
+ * @throws {Error} For unknown style options
+ */
+export function resolveContributionStyle(value: ContributionStyle | string | null | undefined): Required<ContributionStyle> {
+  const style: Required<ContributionStyle> = { names: 'full', groupBy: 'author' };
+  if (value === undefined || value === null) return style;
+
+  if (typeof value === 'string') {
+    for (const option of value.split(',').map((o) => o.trim()).filter(Boolean)) {
+      if (option === 'initials' || option === 'full') style.names = option;
+      else if (option === 'by-role' || option === 'by-author') style.groupBy = option === 'by-role' ? 'role' : 'author';
+      else throw new Error(`contributions style must be initials, full, by-role or by-author (got "${option}")`);
+    }
+    return style;
+  }
+
+  if (value.names !== undefined && value.names !== 'full' && value.names !== 'initials') {
+    throw new Error(`contributions.names must be full or initials (got "${String(value.names)}")`);
+  }
+  if (value.groupBy !== undefined && value.groupBy !== 'author' && value.groupBy !== 'role') {
+    throw new Error(`contributions.groupBy must be author or role (got "${String(value.groupBy)}")`);
+  }
+  return { ...style, ...value };
+}
+
+/**
+ * Check author roles against the CRediT taxonomy.
+ */
+export function checkAuthorContributions(authors: (string | Author)[] | undefined): AuthorMetadataIssue[] {
+  const issues: AuthorMetadataIssue[] = [];
+  for (const author of authors ?? []) {
+    if (typeof author === 'string') continue;
+    for (const role of author.roles ?? []) {
+      if (!resolveCreditRole(role)) {
+        issues.push({ author: author.name, message: `Unknown CRediT role "${role}" for ${author.name}` });
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Whether any author lists CRediT roles
+ */
+export function hasContributions(authors: (string | Author)[] | undefined): boolean {
+  return (authors ?? []).some((a) => typeof a !== 'string' && (a.roles?.length ?? 0) > 0);
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Initials of a name: "Jane Doe" → "J.D.", "Jean-Luc Picard" → "J.-L.P."
+ */
+export function authorInitials(name: string): string {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word.split('-').map((part) => (part ? `${part[0]}.` : '')).join('-'))
+    .join('');
+}
+
+/** Display names per author; initials fall back to full names where two authors share them */
+function displayNames(authors: Author[], style: Required<ContributionStyle>): Map<Author, string> {
+  const names = new Map<Author, string>();
+  if (style.names === 'full') {
+    for (const author of authors) names.set(author, author.name);
+    return names;
+  }
+  const counts = new Map<string, number>();
+  for (const author of authors) {
+    const initials = authorInitials(author.name);
+    counts.set(initials, (counts.get(initials) ?? 0) + 1);
+  }
+  for (const author of authors) {
+    const initials = authorInitials(author.name);
+    names.set(author, counts.get(initials)! > 1 ? author.name : initials);
+  }
+  return names;
+}
+
+function sentence(parts: string[]): string {
+  if (parts.length === 0) return '';
+  const text = parts.join('; ');
+  return text.endsWith('.') ? text : `${text}.`;
+}
+
+function structuredAuthors(authors: (string | Author)[] | undefined): Author[] {
+  return (authors ?? []).filter((a): a is Author => typeof a !== 'string');
+}
+
+/**
+ * Author contributions statement, e.g.
+ * "Jane Doe: Conceptualization, Methodology; Li Wei: Software." or, grouped
+ * by role with initials, "Conceptualization: J.D.; Software: J.D., L.W."
+ *
+ * Roles are listed in CRediT order; unknown roles are skipped (see
+ * checkAuthorContributions).
+ */
+export function renderContributions(authors: (string | Author)[] | undefined, style?: ContributionStyle | string | null): string {
+  const resolved = resolveContributionStyle(style);
+  const contributors = structuredAuthors(authors).filter((a) => (a.roles?.length ?? 0) > 0);
+  const names = displayNames(structuredAuthors(authors), resolved);
+  const rolesOf = (author: Author): CreditRole[] => {
+    const roles = new Set((author.roles ?? []).map(resolveCreditRole).filter((r): r is CreditRole => r !== null));
+    return CREDIT_ROLES.filter((role) => roles.has(role));
+  };
+
+  if (resolved.groupBy === 'role') {
+    return sentence(CREDIT_ROLES.flatMap((role) => {
+      const who = contributors.filter((a) => rolesOf(a).includes(role)).map((a) => names.get(a)!);
+      return who.length > 0 ? [`${role}: ${who.join(', ')}`] : [];
+    }));
+  }
+  return sentence(contributors.flatMap((author) => {
+    const roles = rolesOf(author);
+    return roles.length > 0 ? [`${names.get(author)}: ${roles.join(', ')}`] : [];
+  }));
+}
+
+/**
+ * Funding statement from each author's `funding`: "J.D.: NSF grant 123; L.W.: ERC 456."
+ */
+export function renderFunding(authors: (string | Author)[] | undefined, style?: ContributionStyle | string | null): string {
+  const list = structuredAuthors(authors);
+  const names = displayNames(list, resolveContributionStyle(style));
+  return sentence(list.filter((a) => a.funding).map((a) => `${names.get(a)}: ${a.funding!.trim()}`));
+}
+
+/**
+ * Competing interests statement from each author's `competingInterests`, or
+ * "The authors declare no competing interests." when none are declared.
+ */
+export function renderCompetingInterests(authors: (string | Author)[] | undefined, style?: ContributionStyle | string | null): string {
+  const list = structuredAuthors(authors);
+  const names = displayNames(list, resolveContributionStyle(style));
+  const declared = list.filter((a) => a.competingInterests);
+  if (declared.length === 0) return NO_COMPETING_INTERESTS;
+  return sentence(declared.map((a) => `${names.get(a)}: ${a.competingInterests!.trim()}`));
+}
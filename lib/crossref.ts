@@ -15,6 +15,7 @@ import type {
   HardcodedRef,
   DynamicRef,
   FigureInfo,
+  SectionInfo,
   Registry,
   RefStatus,
   ConversionResult,
@@ -53,6 +54,33 @@ interface ParsedRefNumber {
   suffix: string | null;
 }
 
+/**
+ * Options for buildRegistry
+ */
+export interface BuildRegistryOptions {
+  /**
+   * Rewrite each section's content before anchors are scanned, so numbering
+   * follows what the build actually emits (e.g. variant-filtered content).
+   */
+  transform?: (content: string, file: string) => string;
+  /**
+   * Files numbered as supplementary (S1, S2, ...) regardless of their name,
+   * e.g. the sections of a companion supplement document.
+   */
+  supplementary?: string[];
+}
+
+/**
+ * Display prefixes for resolved references. Defaults to the long form
+ * ("Figure", "Table", "Equation"); builds pass the crossref figPrefix/tblPrefix
+ * so resolved text matches what pandoc-crossref renders.
+ */
+export interface DisplayPrefixes {
+  fig?: string;
+  tbl?: string;
+  eq?: string;
+}
+
 /**
  * Detected reference with parsed numbers
  */
@@ -155,9 +183,11 @@ const EXCLUSION_PATTERNS = [
 ];
 
 /**
- * Pattern for extracting anchors from markdown: {#fig:label}, {#tbl:label}
+ * Pattern for extracting anchors from markdown: {#fig:label}, {#tbl:label}.
+ * Classes and key=value attributes may precede the id, as in table
+ * directives: {.table src="anova.csv" #tbl:anova}
  */
-const ANCHOR_PATTERN = /\{#(fig|tbl|eq):([a-zA-Z0-9_-]+)/gi;
+const ANCHOR_PATTERN = /\{(?:\.[\w-]+\s+|[\w-]+=(?:"[^"]*"|'[^']*'|[^\s}]+)\s+)*#(fig|tbl|eq):([a-zA-Z0-9_-]+)/gi;
 
 /**
  * Pattern for @-style references: @fig:label, @tbl:label
@@ -320,7 +350,7 @@ export function parseReferenceList(listStr: string): ParsedRefNumber[] {
  * It will NOT guess by scanning all .md files, as this leads to incorrect numbering
  * when temporary files (paper_clean.md, etc.) exist in the directory.
  */
-export function buildRegistry(directory: string, sections?: string[]): Registry {
+export function buildRegistry(directory: string, sections?: string[], options: BuildRegistryOptions = {}): Registry {
   if (typeof directory !== 'string') {
     throw new TypeError(`directory must be a string, got ${typeof directory}`);
   }
@@ -328,6 +358,7 @@ export function buildRegistry(directory: string, sections?: string[]): Registry
   const figures = new Map<string, FigureInfo>();
   const tables = new Map<string, FigureInfo>();
   const equations = new Map<string, FigureInfo>();
+  const sectionLabels = new Map<string, SectionInfo>();
 
   // Counters for numbering (separate for main and supplementary)
   let figNum = 0;
@@ -335,6 +366,9 @@ export function buildRegistry(directory: string, sections?: string[]): Registry
   let tblNum = 0;
   let tblSuppNum = 0;
   let eqNum = 0;
+  // Heading counters per level (pandoc --number-sections numbering)
+  let headingCounters = [0, 0, 0, 0, 0, 0];
+  let suppSectionsStarted = false;
 
   let orderedFiles: string[];
 
@@ -349,15 +383,34 @@ export function buildRegistry(directory: string, sections?: string[]): Registry
   }
 
   // Determine if a file is supplementary
+  const suppFiles = new Set(options.supplementary ?? []);
   const isSupplementary = (filename: string): boolean =>
-    filename.toLowerCase().includes('supp') || filename.toLowerCase().includes('appendix');
+    suppFiles.has(filename) ||
+    filename.toLowerCase().includes('supp') ||
+    filename.toLowerCase().includes('appendix');
 
   // Process each file in order
   for (const file of orderedFiles) {
     const filePath = path.join(directory, file);
-    const content = fs.readFileSync(filePath, 'utf-8');
+    const raw = fs.readFileSync(filePath, 'utf-8');
+    const content = options.transform ? options.transform(raw, file) : raw;
     const isSupp = isSupplementary(file);
 
+    // A companion supplement is a separate document: its headings number from 1
+    if (suppFiles.has(file) && !suppSectionsStarted) {
+      suppSectionsStarted = true;
+      headingCounters = [0, 0, 0, 0, 0, 0];
+    }
+    for (const heading of scanHeadings(content)) {
+      if (!heading.numbered) continue;
+      headingCounters[heading.level - 1]!++;
+      headingCounters.fill(0, heading.level);
+      if (heading.label) {
+        const number = headingCounters.slice(0, heading.level).join('.');
+        sectionLabels.set(heading.label, { label: heading.label, number, level: heading.level, file });
+      }
+    }
+
     // Find all anchors
     let match: RegExpExecArray | null;
     ANCHOR_PATTERN.lastIndex = 0;
@@ -413,7 +466,38 @@ export function buildRegistry(directory: string, sections?: string[]): Registry
     byNumber.eq.set(info.num, label);
   }
 
-  return { figures, tables, equations, byNumber };
+  return { figures, tables, equations, byNumber, sections: sectionLabels };
+}
+
+/**
+ * ATX headings in document order, skipping fenced code. `numbered` is false
+ * for `{-}` / `{.unnumbered}` headings, which pandoc leaves out of section
+ * numbering.
+ */
+function scanHeadings(content: string): Array<{ level: number; label: string | null; numbered: boolean }> {
+  const headings: Array<{ level: number; label: string | null; numbered: boolean }> = [];
+  let fence: string | null = null;
+  for (const line of content.split('\n')) {
+    const codeFence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (codeFence && codeFence[1]!.startsWith(fence)) fence = null;
+      continue;
+    }
+    if (codeFence) {
+      fence = codeFence[1]!;
+      continue;
+    }
+    const m = line.match(/^(#{1,6})\s+.*?(?:\{([^}]*)\})?\s*$/);
+    if (!m) continue;
+    const attrs = m[2] ?? '';
+    const label = attrs.match(/#(sec:[A-Za-z0-9_-]+)/);
+    headings.push({
+      level: m[1]!.length,
+      label: label ? label[1]!.slice(4) : null,
+      numbered: !/(^|\s)(-|\.unnumbered)(?=\s|$)/.test(attrs),
+    });
+  }
+  return headings;
 }
 
 /**
@@ -422,7 +506,8 @@ export function buildRegistry(directory: string, sections?: string[]): Registry
 export function labelToDisplay(
   type: 'fig' | 'tbl' | 'eq',
   label: string,
-  registry: Registry
+  registry: Registry,
+  prefixes: DisplayPrefixes = {}
 ): string | null {
   if (!registry || !registry.figures) return null;
 
@@ -432,7 +517,7 @@ export function labelToDisplay(
   const info = collection.get(label);
   if (!info) return null;
 
-  const prefix = type === 'fig' ? 'Figure' : type === 'tbl' ? 'Table' : 'Equation';
+  const prefix = prefixes[type] ?? (type === 'fig' ? 'Figure' : type === 'tbl' ? 'Table' : 'Equation');
   const numStr = info.isSupp ? `S${info.num}` : `${info.num}`;
 
   return `${prefix} ${numStr}`;
@@ -645,7 +730,8 @@ export function detectForwardRefs(text: string): {
  */
 export function resolveForwardRefs(
   text: string,
-  registry: Registry
+  registry: Registry,
+  prefixes: DisplayPrefixes = {}
 ): {
   text: string;
   resolved: Array<{ from: string; to: string; position: number }>;
@@ -660,7 +746,7 @@ export function resolveForwardRefs(
   for (let i = forwardRefs.length - 1; i >= 0; i--) {
     const ref = forwardRefs[i];
     if (!ref) continue;
-    const display = labelToDisplay(ref.type as 'fig' | 'tbl' | 'eq', ref.label, registry);
+    const display = labelToDisplay(ref.type as 'fig' | 'tbl' | 'eq', ref.label, registry, prefixes);
 
     if (display) {
       result =
@@ -691,7 +777,8 @@ export function resolveForwardRefs(
  */
 export function resolveSupplementaryRefs(
   text: string,
-  registry: Registry
+  registry: Registry,
+  prefixes: DisplayPrefixes = {}
 ): {
   text: string;
   resolved: Array<{ from: string; to: string }>;
@@ -719,7 +806,7 @@ export function resolveSupplementaryRefs(
     const key = `${ref.type}:${ref.label}`;
     if (!suppLabels.has(key)) continue;
 
-    const display = labelToDisplay(ref.type as 'fig' | 'tbl' | 'eq', ref.label, registry);
+    const display = labelToDisplay(ref.type as 'fig' | 'tbl' | 'eq', ref.label, registry, prefixes);
     if (display) {
       result =
         result.slice(0, ref.position) + display + result.slice(ref.position + ref.match.length);
@@ -727,21 +814,65 @@ export function resolveSupplementaryRefs(
     }
   }
 
-  // 2. Strip {#fig:label} and {#tbl:label} attributes from supplementary anchors
-  //    so pandoc-crossref does not re-number them
+  // 2. Strip the #fig:label / #tbl:label id from supplementary anchors so
+  //    pandoc-crossref does not re-number them. Other attributes (width=...)
+  //    are kept.
   for (const key of suppLabels) {
     // Match {#fig:label ...} or just {#fig:label}
     const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const pattern = new RegExp(`\\{#${escaped}(?:\\s[^}]*)?\\}`, 'g');
-    result = result.replace(pattern, (match) => {
+    const pattern = new RegExp(`\\{#${escaped}(?:\\s([^}]*))?\\}`, 'g');
+    result = result.replace(pattern, (match, rest: string | undefined) => {
       resolved.push({ from: match, to: '(stripped)' });
-      return '';
+      return rest?.trim() ? `{${rest.trim()}}` : '';
     });
   }
 
   return { text: result, resolved };
 }
 
+/**
+ * Prefix supplementary figure and table captions with their S number
+ * ("Figure S1: caption", "Table S2: caption").
+ *
+ * Once resolveSupplementaryRefs strips the anchors, pandoc-crossref no longer
+ * numbers these captions, so a standalone supplement document numbers them
+ * here instead. Run before resolveSupplementaryRefs.
+ */
+export function numberSupplementaryCaptions(
+  text: string,
+  registry: Registry,
+  titles: { figure?: string; table?: string } = {}
+): { text: string; numbered: number } {
+  const figureTitle = titles.figure ?? 'Figure';
+  const tableTitle = titles.table ?? 'Table';
+  let numbered = 0;
+
+  // ![caption](path){#fig:label ...} — captions may contain one level of
+  // brackets ([@citation], [link](url))
+  let result = text.replace(
+    /!\[((?:[^[\]]|\[[^\]]*\])*)\](\([^)]*\)\{#fig:([a-zA-Z0-9_-]+))/g,
+    (match, caption: string, rest: string, label: string) => {
+      const info = registry.figures.get(label);
+      if (!info?.isSupp) return match;
+      numbered++;
+      return `![${figureTitle} S${info.num}: ${caption}]${rest}`;
+    }
+  );
+
+  // Table: caption {#tbl:label}  or  : caption {#tbl:label}
+  result = result.replace(
+    /^(Table:|:)([ \t]+)(.*\{#tbl:([a-zA-Z0-9_-]+)[^}]*\}[ \t]*)$/gm,
+    (match, marker: string, space: string, caption: string, label: string) => {
+      const info = registry.tables.get(label);
+      if (!info?.isSupp) return match;
+      numbered++;
+      return `${marker}${space}${tableTitle} S${info.num}: ${caption}`;
+    }
+  );
+
+  return { text: result, numbered };
+}
+
 /**
  * Format registry for display
  */
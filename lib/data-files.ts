@@ -0,0 +1,394 @@
+/**
+ * Result files (JSON, YAML, CSV, XLSX) as a source of numbers in the manuscript
+ *
+ * Analysis scripts write their estimates to files such as results/model.json;
+ * `{{data:...}}` variables (lib/variables.ts) read values from them at build
+ * time so the text never drifts from the latest run. Values are located with
+ * a key and passed through formatting filters:
+ *
+ *   {{data:results/model.json#beta.mean|round:2}}
+ *   {{data:results/sites.csv#site_A.n|thousands}}
+ *   {{data:results/sites.csv#species=Pinus.cover|percent:1}}
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import YAML from 'yaml';
+import AdmZip from 'adm-zip';
+import { decodeXmlEntities } from './ooxml.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/** A parsed CSV/TSV file: header row plus data rows */
+export interface CsvTable {
+  columns: string[];
+  rows: string[][];
+}
+
+export type DataValue = string | number | boolean | null | DataValue[] | { [key: string]: DataValue };
+
+export type DataFile = { kind: 'csv'; table: CsvTable } | { kind: 'tree'; data: DataValue };
+
+export type LookupResult = { ok: true; value: DataValue } | { ok: false; error: string };
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse delimited text (RFC 4180 quoting). The first row is the header.
+ * @param delimiter - Field separator; detected from the header when omitted
+ */
+export function parseCsv(text: string, delimiter?: string): CsvTable {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] ?? '';
+  const sep = delimiter ?? (
+    [',', ';', '\t']
+      .map((d) => ({ d, n: firstLine.split(d).length }))
+      .sort((a, b) => b.n - a.n)[0]!.d
+  );
+
+  const records: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]!;
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((f) => f.trim() !== ''));
+  const [header = [], ...rows] = nonEmpty;
+  return { columns: header.map((c) => c.trim()), rows };
+}
+
+/** Column letters of a cell reference ("AB12" → 27, zero-based) */
+function columnIndex(ref: string): number {
+  const letters = ref.replace(/\d+$/, '').toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+function xlsxText(fragment: string): string {
+  // Rich text splits a string into runs, each with its own <t>
+  return [...fragment.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((m) => decodeXmlEntities(m[1]!)).join('');
+}
+
+/**
+ * Read one worksheet of an .xlsx workbook as a table. The first non-empty row
+ * is the header. Cells hold their stored values: formulas give their cached
+ * result and dates their serial number.
+ *
+ * @param sheet - Sheet name; the first sheet when omitted
+ * @throws {Error} If the workbook is unreadable or the sheet does not exist
+ */
+export function parseXlsx(buffer: Buffer, sheet?: string): CsvTable {
+  const zip = new AdmZip(buffer);
+  const read = (part: string): string | null => zip.getEntry(part)?.getData().toString('utf8') ?? null;
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('not an Excel workbook (xl/workbook.xml missing)');
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map((m) => ({
+    name: decodeXmlEntities(m[0].match(/\bname="([^"]*)"/)?.[1] ?? ''),
+    rid: m[0].match(/\br:id="([^"]*)"/)?.[1] ?? '',
+  }));
+  const target = sheet === undefined ? sheets[0] : sheets.find((s) => s.name === sheet);
+  if (!target) {
+    throw new Error(`sheet "${sheet}" not found (sheets: ${sheets.map((s) => s.name).join(', ')})`);
+  }
+
+  const rels = read('xl/_rels/workbook.xml.rels') ?? '';
+  const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+    .map((m) => m[0])
+    .find((r) => r.includes(`Id="${target.rid}"`));
+  const relTarget = rel?.match(/\bTarget="([^"]*)"/)?.[1] ?? '';
+  const sheetPart = relTarget.startsWith('/') ? relTarget.slice(1) : path.posix.join('xl', relTarget);
+  const sheetXml = read(sheetPart);
+  if (!sheetXml) throw new Error(`worksheet part for "${target.name}" missing`);
+
+  const sharedXml = read('xl/sharedStrings.xml') ?? '';
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => xlsxText(m[1]!));
+
+  const records: string[][] = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row: string[] = [];
+    for (const cell of rowMatch[1]!.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1]!;
+      const body = cell[2] ?? '';
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="([^"]*)"/)?.[1];
+      const raw = body.match(/<v>([^<]*)<\/v>/)?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = xlsxText(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXmlEntities(raw);
+      const col = ref ? columnIndex(ref) : row.length;
+      while (row.length < col) row.push('');
+      row[col] = value;
+    }
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((f) => f.trim() !== ''));
+  const [header = [], ...rows] = nonEmpty;
+  const width = header.length;
+  return {
+    columns: header.map((c) => c.trim()),
+    rows: rows.map((r) => Array.from({ length: Math.max(width, r.length) }, (_, i) => r[i] ?? '')),
+  };
+}
+
+const fileCache = new Map<string, { mtimeMs: number; file: DataFile }>();
+
+/**
+ * Read and parse a data file by extension: .json, .yaml/.yml, .csv, .tsv,
+ * .xlsx. Parsed files are cached until their modification time changes.
+ *
+ * @param sheet - Worksheet of an .xlsx file; the first sheet when omitted
+ * @throws {Error} If the file is missing, has an unsupported extension or
+ *   does not parse
+ */
+export function readDataFile(filePath: string, sheet?: string): DataFile {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Data file not found: ${filePath}`);
+  }
+  const { mtimeMs } = fs.statSync(filePath);
+  const cacheKey = sheet === undefined ? filePath : `${filePath}#${sheet}`;
+  const cached = fileCache.get(cacheKey);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.file;
+
+  const ext = path.extname(filePath).toLowerCase();
+  let file: DataFile;
+  try {
+    if (ext === '.xlsx') {
+      file = { kind: 'csv', table: parseXlsx(fs.readFileSync(filePath), sheet) };
+    } else {
+      const text = fs.readFileSync(filePath, 'utf-8');
+      if (ext === '.json') {
+        file = { kind: 'tree', data: JSON.parse(text) as DataValue };
+      } else if (ext === '.yaml' || ext === '.yml') {
+        file = { kind: 'tree', data: YAML.parse(text) as DataValue };
+      } else if (ext === '.csv') {
+        file = { kind: 'csv', table: parseCsv(text) };
+      } else if (ext === '.tsv') {
+        file = { kind: 'csv', table: parseCsv(text, '\t') };
+      } else {
+        throw new Error('supported formats are .json, .yaml, .yml, .csv, .tsv and .xlsx');
+      }
+    }
+  } catch (err) {
+    throw new Error(`Cannot read ${filePath}: ${(err as Error).message}`);
+  }
+
+  fileCache.set(cacheKey, { mtimeMs, file });
+  return file;
+}
+
+// =============================================================================
+// Lookup
+// =============================================================================
+
+function lookupTree(data: DataValue, key: string): LookupResult {
+  // beta.mean, coefs[0].se and coefs.0.se are all accepted
+  const parts = key.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let current: DataValue = data;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i]!;
+    if (current !== null && typeof current === 'object' && part in current) {
+      current = (current as Record<string, DataValue>)[part]!;
+    } else {
+      const at = parts.slice(0, i + 1).join('.');
+      return { ok: false, error: `key "${at}" not found` };
+    }
+  }
+  return { ok: true, value: current };
+}
+
+/**
+ * Find a CSV row: a 1-based row number, `column=value`, or the value of the
+ * first column.
+ */
+export function findCsvRow(table: CsvTable, selector: string): string[] | null {
+  if (/^\d+$/.test(selector)) {
+    return table.rows[Number(selector) - 1] ?? null;
+  }
+  const eq = selector.indexOf('=');
+  if (eq > 0) {
+    const col = table.columns.indexOf(selector.slice(0, eq).trim());
+    const value = selector.slice(eq + 1).trim();
+    return col < 0 ? null : (table.rows.find((r) => (r[col] ?? '').trim() === value) ?? null);
+  }
+  return table.rows.find((r) => (r[0] ?? '').trim() === selector) ?? null;
+}
+
+function lookupCsv(table: CsvTable, key: string): LookupResult {
+  // row.column; split at the last dot so row values may contain dots
+  const dot = key.lastIndexOf('.');
+  if (dot <= 0) {
+    return { ok: false, error: `CSV key "${key}" must be <row>.<column>` };
+  }
+  const selector = key.slice(0, dot);
+  const column = key.slice(dot + 1);
+  const col = table.columns.indexOf(column);
+  if (col < 0) return { ok: false, error: `column "${column}" not found` };
+  const row = findCsvRow(table, selector);
+  if (!row) return { ok: false, error: `row "${selector}" not found` };
+  return { ok: true, value: row[col] ?? '' };
+}
+
+/**
+ * Look up a key in a parsed data file. JSON/YAML keys are dotted paths
+ * (`beta.mean`, `coefs[0].se`); CSV keys are `<row>.<column>`.
+ */
+export function lookupDataValue(file: DataFile, key: string): LookupResult {
+  if (!key) {
+    return file.kind === 'tree' ? { ok: true, value: file.data } : { ok: false, error: 'CSV lookups need a <row>.<column> key' };
+  }
+  return file.kind === 'csv' ? lookupCsv(file.table, key) : lookupTree(file.data, key);
+}
+
+// =============================================================================
+// Formatting filters
+// =============================================================================
+
+/** Filter names accepted after `|` */
+export const DATA_FILTERS = ['round', 'sig', 'percent', 'thousands', 'abs', 'pvalue', 'upper', 'lower'] as const;
+
+function toNumber(value: string | number, filter: string): number {
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if ((typeof value === 'string' && value.trim() === '') || Number.isNaN(n)) {
+    throw new Error(`filter "${filter}" needs a number, got "${value}"`);
+  }
+  return n;
+}
+
+/**
+ * Decimal notation, never e-notation (String and toFixed switch to it for
+ * large and tiny values). Without `decimals`, as many as the value needs, up
+ * to 20.
+ */
+function plainNumber(n: number, decimals?: number): string {
+  return n.toLocaleString('en-US', {
+    useGrouping: false,
+    ...(decimals === undefined
+      ? { maximumFractionDigits: 20 }
+      : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }),
+  });
+}
+
+/**
+ * Round to N significant digits, written out in decimal notation
+ * (123456 → "120000", 0.5 → "0.500")
+ */
+function toSignificant(n: number, digits: number): string {
+  if (n === 0 || !Number.isFinite(n)) return n.toPrecision(digits);
+  const rounded = Number(n.toPrecision(digits));
+  const magnitude = Math.floor(Math.log10(Math.abs(rounded)));
+  return plainNumber(rounded, Math.min(20, Math.max(0, digits - 1 - magnitude)));
+}
+
+function withThousands(text: string): string {
+  const [int, frac] = text.split('.');
+  const grouped = int!.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return frac !== undefined ? `${grouped}.${frac}` : grouped;
+}
+
+/**
+ * Apply a chain of formatting filters:
+ *
+ * - `round:N` — N decimals, keeping trailing zeros (default 0)
+ * - `sig:N` — N significant digits
+ * - `percent:N` — multiply by 100, N decimals, append "%"
+ * - `thousands` — group digits with commas
+ * - `abs` — absolute value
+ * - `pvalue:N` — N decimals, or "< 0.001" below the smallest shown value
+ * - `upper`, `lower` — change case
+ *
+ * @throws {Error} For unknown filters or non-numeric input to numeric filters
+ */
+export function applyDataFilters(value: DataValue, filters: string[]): string {
+  if (value !== null && typeof value === 'object') {
+    throw new Error('value is an object or list, not a single value');
+  }
+  let current: string | number = value === null ? '' : typeof value === 'boolean' ? String(value) : value;
+
+  for (const raw of filters) {
+    const [name = '', arg] = raw.split(':').map((s) => s.trim());
+    const digits = arg !== undefined && arg !== '' ? Number(arg) : undefined;
+    if (digits !== undefined && (!Number.isInteger(digits) || digits < 0 || digits > 20)) {
+      throw new Error(`filter "${name}" needs a whole number argument, got "${arg}"`);
+    }
+
+    switch (name) {
+      case 'round':
+        current = toNumber(current, name).toFixed(digits ?? 0);
+        break;
+      case 'sig':
+        current = toSignificant(toNumber(current, name), Math.max(1, digits ?? 3));
+        break;
+      case 'percent':
+        current = `${(toNumber(current, name) * 100).toFixed(digits ?? 0)}%`;
+        break;
+      case 'thousands': {
+        // Group an already formatted value as it is, keeping its decimals ("12450.50")
+        const text = typeof current === 'number' ? plainNumber(current) : String(current).trim();
+        current = withThousands(/^-?\d+(?:\.\d+)?$/.test(text) ? text : plainNumber(toNumber(text, name)));
+        break;
+      }
+      case 'abs': {
+        // Keep the decimals of an already formatted value ("-0.50" → "0.50")
+        const text = String(current).trim();
+        current = text.startsWith('-') ? text.slice(1) : Math.abs(toNumber(current, name));
+        break;
+      }
+      case 'pvalue': {
+        const places = digits ?? 3;
+        const p = toNumber(current, name);
+        const floor = Math.pow(10, -places);
+        current = p < floor ? `< ${floor.toFixed(places)}` : p.toFixed(places);
+        break;
+      }
+      case 'upper':
+        current = String(current).toUpperCase();
+        break;
+      case 'lower':
+        current = String(current).toLowerCase();
+        break;
+      default:
+        throw new Error(`unknown filter "${name}" (available: ${DATA_FILTERS.join(', ')})`);
+    }
+  }
+
+  return String(current);
+}
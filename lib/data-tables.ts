@@ -0,0 +1,334 @@
+/**
+ * Table directives: tables generated from CSV, TSV and XLSX files
+ *
+ * A fenced div with the `.table` class and a `src` attribute is replaced by a
+ * pandoc pipe table when the paper is prepared for a format, so result tables
+ * are written by the analysis and never retyped:
+ *
+ *   ::: {.table src="tables/anova.csv" #tbl:anova caption="ANOVA results"}
+ *   :::
+ *
+ * Attributes:
+ *   src      — .csv, .tsv or .xlsx file, relative to the project directory
+ *   sheet    — worksheet of an .xlsx file (first sheet by default)
+ *   columns  — columns to keep, in order: "term,F,p"
+ *   rename   — header labels: "F=F value,p=P"
+ *   format   — data filters per column, `*` for every numeric column:
+ *              "*=round:2,p=pvalue:3"
+ *   align    — left, right, center or decimal per column: "F=decimal"
+ *
+ * Lists are comma-separated, or semicolon-separated when a name contains a
+ * comma. Text inside the div is kept below the table, e.g. for table notes.
+ * The generated table keeps its `{#tbl:label}` anchor, so numbering and
+ * `tables.nowrap` apply exactly as to a hand-written table.
+ */
+
+import * as path from 'path';
+import { readDataFile, applyDataFilters, DATA_FILTERS, type CsvTable } from './data-files.js';
+import type { Registry } from './types.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export type TableAlign = 'left' | 'right' | 'center' | 'decimal';
+
+export interface TableDirective {
+  /** First line (the opening fence) */
+  start: number;
+  /** Closing fence */
+  end: number;
+  src: string;
+  label: string | null;
+  attributes: Record<string, string>;
+  /** Lines between the fences */
+  body: string;
+}
+
+export interface TableDirectiveOptions {
+  /** Project directory; `src` paths resolve against it */
+  directory: string;
+  /** Pad decimal-aligned cells with \phantom (LaTeX) instead of figure spaces */
+  latex?: boolean;
+  /** Registry used to number supplementary tables ("Table S1: ...") */
+  registry?: Registry;
+  /** Caption prefix for supplementary tables (default "Table") */
+  tableTitle?: string;
+}
+
+// =============================================================================
+// Patterns
+// =============================================================================
+
+/** Opening fence with an attribute block, as in lib/includes.ts */
+const DIV_OPEN_PATTERN = /^(:{3,})\s*(\{[^}]*\})\s*:*\s*$/;
+const DIV_ANY_OPEN_PATTERN = /^(:{3,})\s*(\{[^}]*\}|[^\s{:][^\s]*)\s*:*\s*$/;
+const DIV_CLOSE_PATTERN = /^:{3,}\s*$/;
+
+/** `.class`, `#id` and `key=value` tokens of a pandoc attribute block */
+const ATTRIBUTE_TOKEN = /([.#][^\s}]+)|([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+
+/** A number as written in a result file: -1.5, 1e-4, .25 */
+const NUMERIC_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/** A formatted number split for decimal alignment: prefix+integer, fraction, suffix */
+const DECIMAL_PARTS = /^([^\d.]*\d[\d,]*)(?:\.(\d*))?(\D*)$/;
+
+/** Unicode figure space (digit width) and punctuation space (width of ".") */
+const FIGURE_SPACE = '\u2007';
+const PUNCTUATION_SPACE = '\u2008';
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+function parseAttributes(block: string): { id: string | null; classes: string[]; attributes: Record<string, string> } {
+  let id: string | null = null;
+  const classes: string[] = [];
+  const attributes: Record<string, string> = {};
+  for (const m of block.slice(1, -1).matchAll(ATTRIBUTE_TOKEN)) {
+    if (m[1]?.startsWith('#')) id = m[1].slice(1);
+    else if (m[1]?.startsWith('.')) classes.push(m[1].slice(1));
+    else if (m[2]) attributes[m[2]] = (m[3] ?? m[4] ?? m[5])!;
+  }
+  return { id, classes, attributes };
+}
+
+/**
+ * Find table directives, skipping code blocks.
+ */
+export function findTableDirectives(content: string): TableDirective[] {
+  const lines = content.split('\n');
+  const directives: TableDirective[] = [];
+  let fence: string | null = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i]!.trimEnd();
+
+    const codeFence = trimmed.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (codeFence && codeFence[1]!.startsWith(fence)) fence = null;
+      continue;
+    }
+    if (codeFence) {
+      fence = codeFence[1]!;
+      continue;
+    }
+
+    const open = trimmed.match(DIV_OPEN_PATTERN);
+    if (!open) continue;
+    const { id, classes, attributes } = parseAttributes(open[2]!);
+    if (!classes.includes('table') || !attributes.src) continue;
+
+    let depth = 1;
+    let end = lines.length - 1;
+    for (let j = i + 1; j < lines.length; j++) {
+      const inner = lines[j]!.trimEnd();
+      if (DIV_CLOSE_PATTERN.test(inner)) depth--;
+      else if (DIV_ANY_OPEN_PATTERN.test(inner)) depth++;
+      if (depth === 0) {
+        end = j;
+        break;
+      }
+    }
+
+    directives.push({
+      start: i,
+      end,
+      src: attributes.src,
+      label: id?.startsWith('tbl:') ? id.slice(4) : null,
+      attributes,
+      body: lines.slice(i + 1, end).join('\n').trim(),
+    });
+    i = end;
+  }
+
+  return directives;
+}
+
+/**
+ * Data files referenced by table directives, as written in `src`
+ */
+export function findTableSources(content: string): string[] {
+  return [...new Set(findTableDirectives(content).map((d) => d.src))];
+}
+
+function splitList(value: string): string[] {
+  const separator = value.includes(';') ? ';' : ',';
+  return value.split(separator).map((s) => s.trim()).filter(Boolean);
+}
+
+function parseMapping(value: string | undefined): Array<[string, string]> {
+  if (!value) return [];
+  return splitList(value).map((pair) => {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) throw new Error(`expected column=value, got "${pair}"`);
+    return [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()];
+  });
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function escapeCell(text: string): string {
+  // No trim: decimal alignment pads with Unicode spaces that trim() removes
+  return text.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+function escapeCaption(caption: string): string {
+  return caption.replace(/\s*\r?\n\s*/g, ' ').trim();
+}
+
+/**
+ * Pad cells so numbers line up on the decimal point in a right-aligned
+ * column. Cells that are not numbers are left alone.
+ */
+function alignDecimals(cells: string[], latex: boolean): string[] {
+  const parts = cells.map((cell) => cell.match(DECIMAL_PARTS));
+  const maxFraction = Math.max(0, ...parts.map((p) => (p?.[2] !== undefined ? p[2].length : 0)));
+  if (maxFraction === 0) return cells;
+
+  return cells.map((cell, i) => {
+    const p = parts[i];
+    if (!p) return cell;
+    const hasPoint = p[2] !== undefined;
+    const digits = maxFraction - (p[2]?.length ?? 0);
+    if (latex) {
+      const pad = (hasPoint ? '' : '.') + '0'.repeat(digits);
+      return pad ? `${cell}\\phantom{${pad}}` : cell;
+    }
+    return cell + (hasPoint ? '' : PUNCTUATION_SPACE) + FIGURE_SPACE.repeat(digits);
+  });
+}
+
+function formatCell(value: string, filters: string[]): string {
+  if (value.trim() === '' || filters.length === 0) return value;
+  try {
+    return applyDataFilters(value, filters);
+  } catch {
+    // Text cells in a numeric column ("NA", "—") are shown as written
+    return value;
+  }
+}
+
+/**
+ * Render a data table as a pandoc pipe table followed by its caption line.
+ *
+ * @throws {Error} For unknown columns, filters or alignments
+ */
+export function renderDataTable(
+  table: CsvTable,
+  attributes: Record<string, string>,
+  options: { latex?: boolean } = {}
+): string {
+  const selected = attributes.columns ? splitList(attributes.columns) : table.columns;
+  const indexes = selected.map((name) => {
+    const index = table.columns.indexOf(name);
+    if (index < 0) {
+      throw new Error(`column "${name}" not found (columns: ${table.columns.join(', ')})`);
+    }
+    return index;
+  });
+
+  const raw = indexes.map((index) => table.rows.map((row) => (row[index] ?? '').trim()));
+  const numeric = raw.map((cells) => cells.some((c) => c !== '') && cells.every((c) => c === '' || NUMERIC_PATTERN.test(c)));
+
+  const checkColumn = (name: string, attribute: string): void => {
+    if (name !== '*' && !selected.includes(name)) {
+      throw new Error(`${attribute}: column "${name}" is not in the table`);
+    }
+  };
+
+  const renames = new Map(parseMapping(attributes.rename));
+  for (const name of renames.keys()) checkColumn(name, 'rename');
+
+  const filters = new Map<string, string[]>();
+  for (const [name, chain] of parseMapping(attributes.format)) {
+    checkColumn(name, 'format');
+    const list = chain.split('|').map((f) => f.trim()).filter(Boolean);
+    for (const filter of list) {
+      const filterName = filter.split(':')[0]!.trim();
+      if (!(DATA_FILTERS as readonly string[]).includes(filterName)) {
+        throw new Error(`format: unknown filter "${filterName}" (available: ${DATA_FILTERS.join(', ')})`);
+      }
+    }
+    filters.set(name, list);
+  }
+
+  const aligns = new Map<string, TableAlign>();
+  for (const [name, align] of parseMapping(attributes.align)) {
+    checkColumn(name, 'align');
+    if (!['left', 'right', 'center', 'decimal'].includes(align)) {
+      throw new Error(`align: "${align}" must be left, right, center or decimal`);
+    }
+    aligns.set(name, align as TableAlign);
+  }
+
+  const columns = selected.map((name, c) => {
+    const useWildcard = numeric[c]!;
+    const chain = filters.get(name) ?? (useWildcard ? filters.get('*') : undefined) ?? [];
+    const align = aligns.get(name) ?? (useWildcard ? aligns.get('*') : undefined) ?? (numeric[c] ? 'right' : null);
+    let cells = raw[c]!.map((value) => formatCell(value, chain));
+    if (align === 'decimal') cells = alignDecimals(cells, options.latex ?? false);
+    return { header: renames.get(name) ?? name, cells, align };
+  });
+
+  const separator = columns.map(({ align }) => {
+    if (align === 'left') return ':---';
+    if (align === 'center') return ':---:';
+    if (align === 'right' || align === 'decimal') return '---:';
+    return '---';
+  });
+
+  const lines = [
+    `| ${columns.map((col) => escapeCell(col.header)).join(' | ')} |`,
+    `|${separator.join('|')}|`,
+    ...table.rows.map((_, r) => `| ${columns.map((col) => escapeCell(col.cells[r]!)).join(' | ')} |`),
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Replace table directives with pipe tables built from their data files.
+ *
+ * @throws {Error} If a data file is missing or a directive is invalid; the
+ *   message names the directive's label or source
+ */
+export function expandTableDirectives(content: string, options: TableDirectiveOptions): string {
+  const directives = findTableDirectives(content);
+  if (directives.length === 0) return content;
+
+  const lines = content.split('\n');
+  for (const directive of [...directives].reverse()) {
+    const name = directive.label ? `tbl:${directive.label}` : directive.src;
+    let table: string;
+    try {
+      const file = readDataFile(path.resolve(options.directory, directive.src), directive.attributes.sheet);
+      if (file.kind !== 'csv') {
+        throw new Error(`${directive.src} is not a CSV, TSV or XLSX file`);
+      }
+      table = renderDataTable(file.table, directive.attributes, { latex: options.latex });
+    } catch (err) {
+      throw new Error(`Table directive ${name}: ${(err as Error).message}`);
+    }
+
+    const caption = escapeCaption(directive.attributes.caption ?? '');
+    const supp = directive.label ? options.registry?.tables.get(directive.label) : undefined;
+    let captionLine: string | null = null;
+    if (supp?.isSupp) {
+      // Supplementary anchors are dropped and numbered directly, as
+      // numberSupplementaryCaptions does for hand-written tables
+      captionLine = `Table: ${options.tableTitle ?? 'Table'} S${supp.num}: ${caption}`.trimEnd();
+    } else if (directive.label) {
+      captionLine = `Table: ${caption ? caption + ' ' : ''}{#tbl:${directive.label}}`;
+    } else if (caption) {
+      captionLine = `Table: ${caption}`;
+    }
+
+    const blocks = [table, captionLine, directive.body].filter((b): b is string => !!b);
+    lines.splice(directive.start, directive.end - directive.start + 1, blocks.join('\n\n'));
+  }
+
+  return lines.join('\n');
+}
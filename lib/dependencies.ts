@@ -28,6 +28,17 @@ export function hasPandocCrossref(): boolean {
   return commandExists('pandoc-crossref');
 }
 
+/**
+ * pandoc-crossref version (e.g. "0.3.17.0"), or null when the filter is
+ * unavailable.
+ */
+export function getPandocCrossrefVersion(): string | null {
+  const out = runVersion('pandoc-crossref');
+  if (!out) return null;
+  const m = out.match(/v?(\d+(?:\.\d+)+)/);
+  return m ? m[1]! : null;
+}
+
 /**
  * Check if pandoc is available
  */
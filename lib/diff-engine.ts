@@ -22,6 +22,7 @@ import {
   restoreTables,
 } from './protect-restore.js';
 import { normalizeWhitespace } from './utils.js';
+import { splitChangeAuthor, withChangeAuthor } from './change-author.js';
 import type { WordTable } from './word-extraction.js';
 
 // ============================================
@@ -362,11 +363,17 @@ export function generateSmartDiff(
  * Clean up redundant adjacent annotations
  */
 export function cleanupAnnotations(text: string): string {
-  // Convert adjacent delete+insert to substitution
-  text = text.replace(/\{--(.+?)--\}\s*\{\+\+(.+?)\+\+\}/g, '{~~$1~>$2~~}');
+  // Convert adjacent delete+insert to substitution (when by the same author)
+  const substitution = (match: string, oldRaw: string, newRaw: string): string => {
+    const del = splitChangeAuthor(oldRaw);
+    const ins = splitChangeAuthor(newRaw);
+    if (del.author !== ins.author) return match;
+    return `{~~${withChangeAuthor(del.rest, del.author)}~>${ins.rest}~~}`;
+  };
+  text = text.replace(/\{--(.+?)--\}\s*\{\+\+(.+?)\+\+\}/g, (match, oldRaw: string, newRaw: string) => substitution(match, oldRaw, newRaw));
 
   // Also handle insert+delete
-  text = text.replace(/\{\+\+(.+?)\+\+\}\s*\{--(.+?)--\}/g, '{~~$2~>$1~~}');
+  text = text.replace(/\{\+\+(.+?)\+\+\}\s*\{--(.+?)--\}/g, (match, newRaw: string, oldRaw: string) => substitution(match, oldRaw, newRaw));
 
   // Fix malformed patterns
   text = text.replace(/\{--([^}]+?)~>([^}]+?)~~\}/g, '{~~$1~>$2~~}');
@@ -9,6 +9,9 @@ import * as fs from 'fs';
 interface BuildContext {
   bibPath?: string;
   format?: string;
+  /** Prebuild step command and log file (prebuild_failed) */
+  command?: string;
+  logPath?: string;
 }
 
 /**
@@ -215,6 +218,11 @@ export function getAnnotationSuggestions(issue: string): string[] {
       suggestions.push('Or "rev status <file>" for a summary');
       break;
 
+    case 'unknown_id':
+      suggestions.push('Use "rev comments <file>" to see comment IDs ([c:...])');
+      suggestions.push('Give comments without one an ID with "rev comments <file> --add-ids"');
+      break;
+
     case 'no_author':
       suggestions.push('Set your author name:');
       suggestions.push('  rev config user "Your Name"');
@@ -267,6 +275,17 @@ export function getBuildSuggestions(issue: string, context: BuildContext = {}):
       suggestions.push('  - Math mode errors');
       suggestions.push('Try "rev build docx" to bypass LaTeX');
       break;
+
+    case 'prebuild_failed':
+      suggestions.push('Prebuild steps run before sections are combined; nothing was built');
+      if (context.logPath) {
+        suggestions.push(`Full output: ${context.logPath}`);
+      }
+      if (context.command) {
+        suggestions.push(`Run it by hand from the project directory: ${context.command}`);
+      }
+      suggestions.push('Check the step\'s run, inputs and outputs under prebuild: in rev.yaml');
+      break;
   }
 
   return suggestions;
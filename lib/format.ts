@@ -4,6 +4,7 @@
  */
 
 import chalk from 'chalk';
+import { stripChangeAuthors } from './change-author.js';
 
 // Type definitions for function parameters
 interface TableOptions {
@@ -407,6 +408,7 @@ export function diff(insertions: number, deletions: number, substitutions: numbe
 export function inlineDiffPreview(text: string, options: InlineDiffPreviewOptions = {}): string {
   const { maxLines = 10, contextChars = 40 } = options;
   const lines: string[] = [];
+  text = stripChangeAuthors(text);
 
   // Find all changes
   const changes: Array<{
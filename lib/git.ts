@@ -3,7 +3,7 @@
  * Compare sections against git history
  */
 
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 import * as fs from 'fs';
 import * as path from 'path';
 import { diffWords } from 'diff';
@@ -75,6 +75,62 @@ export function getFileAtRef(filePath: string, ref: string): string | null {
   }
 }
 
+/**
+ * Resolve a ref (branch, tag, commit) to its full commit hash
+ * @param ref - Git reference
+ * @param cwd - Directory inside the repository (default: process cwd)
+ * @throws {Error} If the ref does not name a commit
+ */
+export function resolveCommit(ref: string, cwd?: string): string {
+  try {
+    return execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { stdio: 'pipe', cwd })
+      .toString()
+      .trim();
+  } catch {
+    throw new Error(`Unknown git revision: ${ref}`);
+  }
+}
+
+/** Outputs and media that are never needed to rebuild markdown at a ref */
+const EXPORT_SKIP_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.tif', '.tiff', '.bmp', '.svg', '.eps', '.pdf',
+  '.docx', '.pptx', '.mp4', '.zip',
+]);
+
+/**
+ * Write the text and data files under a directory as they were at a ref,
+ * so the project can be combined as it stood then. Images and built
+ * outputs are skipped.
+ * @param ref - Git reference
+ * @param directory - Project directory inside the repository
+ * @param dest - Empty directory to write into
+ * @returns Paths written, relative to dest
+ * @throws {Error} If the ref does not name a commit
+ */
+export function exportDirectoryAtRef(ref: string, directory: string, dest: string): string[] {
+  const commit = resolveCommit(ref, directory);
+  const listing = execFileSync('git', ['ls-tree', '-r', '-z', '--name-only', commit, '--', '.'], {
+    stdio: 'pipe',
+    cwd: directory,
+    maxBuffer: 64 * 1024 * 1024,
+  }).toString();
+
+  const written: string[] = [];
+  for (const file of listing.split('\0').filter(Boolean)) {
+    if (EXPORT_SKIP_EXTENSIONS.has(path.extname(file).toLowerCase())) continue;
+    const content = execFileSync('git', ['show', `${commit}:./${file}`], {
+      stdio: 'pipe',
+      cwd: directory,
+      maxBuffer: 256 * 1024 * 1024,
+    });
+    const target = path.join(dest, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    written.push(file);
+  }
+  return written;
+}
+
 /**
  * Get list of changed files between refs
  * @param fromRef - Starting reference
@@ -211,16 +267,30 @@ export function getRecentCommits(limit: number = 10): CommitInfo[] {
 
 /**
  * Check if there are uncommitted changes
+ * @param cwd - Directory inside the repository (default: process cwd)
  */
-export function hasUncommittedChanges(): boolean {
+export function hasUncommittedChanges(cwd?: string): boolean {
   try {
-    const output = execSync('git status --porcelain', { stdio: 'pipe' }).toString();
+    const output = execSync('git status --porcelain', { stdio: 'pipe', cwd }).toString();
     return output.trim().length > 0;
   } catch {
     return false;
   }
 }
 
+/**
+ * Get the full hash of the commit checked out at HEAD
+ * @param cwd - Directory inside the repository (default: process cwd)
+ * @returns Commit hash, or null outside a repository or before the first commit
+ */
+export function getHeadCommit(cwd?: string): string | null {
+  try {
+    return execSync('git rev-parse HEAD', { stdio: 'pipe', cwd }).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get tags
  */
@@ -240,12 +310,13 @@ export function getTags(): string[] {
  * Get blame information for a file
  * Returns author and commit info for each line
  * @param filePath - Path to file
+ * @param cwd - Directory inside the repository (default: process cwd)
  */
-export function getFileBlame(filePath: string): BlameEntry[] {
+export function getFileBlame(filePath: string, cwd?: string): BlameEntry[] {
   try {
     const output = execSync(
       `git blame --line-porcelain "${filePath}"`,
-      { stdio: 'pipe', maxBuffer: 10 * 1024 * 1024 }
+      { stdio: 'pipe', maxBuffer: 10 * 1024 * 1024, cwd }
     ).toString();
 
     const lines = output.split('\n');
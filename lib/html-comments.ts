@@ -0,0 +1,157 @@
+/**
+ * HTML rendering of CriticMarkup for browser review
+ *
+ * Converts CriticMarkup to raw HTML inlines that pandoc passes through to
+ * html5 output, plus a stylesheet that shows insertions, deletions and
+ * margin comments the way reviewers expect.
+ */
+
+import { escapeXml, FENCED_CODE_PATTERN, CODE_SPAN_PATTERN } from './utils.js';
+import { splitCommentId } from './comment-ids.js';
+import { stripChangeAuthors } from './change-author.js';
+
+/**
+ * Stylesheet injected into the HTML head. Comments float into the right
+ * margin on wide screens and fall back to inline boxes on narrow ones.
+ */
+export const CRITIC_HTML_STYLES = `<style>
+/* docrev: CriticMarkup rendering */
+ins.critic-ins { color: #15803d; background: #dcfce7; text-decoration: underline; }
+del.critic-del { color: #b91c1c; background: #fee2e2; text-decoration: line-through; }
+mark.critic-mark { background: #fef08a; }
+.critic-comment {
+  display: inline-block;
+  font-size: 0.8em;
+  line-height: 1.3;
+  color: #1e3a8a;
+  background: #eff6ff;
+  border-left: 3px solid #3b82f6;
+  padding: 0.2em 0.5em;
+  margin: 0 0.2em;
+}
+.critic-comment.critic-resolved { opacity: 0.55; border-left-color: #9ca3af; }
+.critic-comment-author { font-weight: bold; margin-right: 0.3em; }
+@media (min-width: 70em) {
+  body { max-width: 60em; padding-right: 20em; }
+  .critic-comment {
+    display: block;
+    float: right;
+    clear: right;
+    width: 16em;
+    margin-right: -19em;
+    margin-bottom: 0.5em;
+  }
+}
+</style>
+`;
+
+/**
+ * Counts of converted annotations
+ */
+export interface HtmlCriticCounts {
+  insertions: number;
+  deletions: number;
+  substitutions: number;
+  highlights: number;
+  comments: number;
+}
+
+/**
+ * Result of CriticMarkup → HTML conversion
+ */
+export interface HtmlCriticResult {
+  markdown: string;
+  counts: HtmlCriticCounts;
+  styles: string;
+}
+
+/**
+ * Wrap inline markdown in a raw HTML element. Pandoc parses markdown between
+ * raw inline tags but a blank line ends the inline context, so multi-paragraph
+ * spans are closed and reopened around each paragraph break.
+ */
+function wrapInline(tag: string, className: string, text: string): string {
+  const open = `<${tag} class="${className}">`;
+  const close = `</${tag}>`;
+  return open + text.replace(/\n\s*\n/g, `${close}\n\n${open}`) + close;
+}
+
+/**
+ * Render a comment body as a margin note. Comment text is plain prose, so it
+ * is HTML-escaped rather than parsed as markdown.
+ */
+function renderComment(content: string): string {
+  let text = splitCommentId(content).rest.trim();
+  let resolved = false;
+  if (/^[✓✔]\s*/.test(text)) {
+    resolved = true;
+    text = text.replace(/^[✓✔]\s*/, '');
+  }
+  if (/\s*\[(RESOLVED|✓)\]$/.test(text)) {
+    resolved = true;
+    text = text.replace(/\s*\[(RESOLVED|✓)\]$/, '').trim();
+  }
+
+  const className = resolved ? 'critic-comment critic-resolved' : 'critic-comment';
+  const authorMatch = text.match(/^([^:]{1,30}):\s*([\s\S]+)$/);
+  if (authorMatch) {
+    const [, author, body] = authorMatch;
+    return `<span class="${className}"><span class="critic-comment-author">${escapeXml(author!.trim())}</span>${escapeXml(body!.trim())}</span>`;
+  }
+  return `<span class="${className}">${escapeXml(text)}</span>`;
+}
+
+/**
+ * Convert CriticMarkup to HTML inlines
+ * {++text++}     -> <ins class="critic-ins">text</ins>
+ * {--text--}     -> <del class="critic-del">text</del>
+ * {~~old~>new~~} -> <del ...>old</del><ins ...>new</ins>
+ * {==text==}     -> <mark class="critic-mark">text</mark>
+ * {>>A: note<<}  -> <span class="critic-comment">...</span>
+ *
+ * Inserted, deleted and highlighted text stays markdown so citations,
+ * emphasis and cross-references inside a change still render. Code blocks
+ * and inline code keep CriticMarkup as written.
+ *
+ * @param markdown - Markdown with CriticMarkup
+ * @returns Converted markdown, per-type counts and the stylesheet
+ */
+export function convertCriticMarkupToHtml(markdown: string): HtmlCriticResult {
+  const counts: HtmlCriticCounts = { insertions: 0, deletions: 0, substitutions: 0, highlights: 0, comments: 0 };
+
+  // Code is set aside while the markup is converted, so a change may still
+  // contain inline code
+  const code: string[] = [];
+  const protect = (match: string) => `CODEBLOCK${code.push(match) - 1}ENDCODE`;
+  let result = stripChangeAuthors(markdown.replace(FENCED_CODE_PATTERN, protect).replace(CODE_SPAN_PATTERN, protect));
+
+  // Substitutions first: their `~>` separator would otherwise be left behind
+  result = result.replace(/\{~~([\s\S]+?)~>([\s\S]+?)~~\}/g, (_match, oldText: string, newText: string) => {
+    counts.substitutions++;
+    return wrapInline('del', 'critic-del', oldText) + wrapInline('ins', 'critic-ins', newText);
+  });
+
+  result = result.replace(/\{\+\+([\s\S]+?)\+\+\}/g, (_match, text: string) => {
+    counts.insertions++;
+    return wrapInline('ins', 'critic-ins', text);
+  });
+
+  result = result.replace(/\{--([\s\S]+?)--\}/g, (_match, text: string) => {
+    counts.deletions++;
+    return wrapInline('del', 'critic-del', text);
+  });
+
+  result = result.replace(/\{==([\s\S]+?)==\}/g, (_match, text: string) => {
+    counts.highlights++;
+    return wrapInline('mark', 'critic-mark', text);
+  });
+
+  result = result.replace(/\{>>([\s\S]+?)<<\}/g, (_match, content: string) => {
+    counts.comments++;
+    return renderComment(content);
+  });
+
+  result = result.replace(/CODEBLOCK(\d+)ENDCODE/g, (_match, index: string) => code[Number(index)]!);
+
+  return { markdown: result, counts, styles: CRITIC_HTML_STYLES };
+}
@@ -37,6 +37,7 @@ import {
   convertVisibleComments,
 } from './restore-references.js';
 import { findAnchorInText, findAllOccurrences } from './anchor-match.js';
+import { splitCommentId, withCommentId } from './comment-ids.js';
 
 /**
  * Pick the best position from candidate `occurrences` given the
@@ -173,9 +174,11 @@ export interface InsertCommentsOptions {
    * insertions made at an approximate (proportional / context-only) position
    * that should be reviewed with `rev verify-anchors`, `deduped` counts
    * comments already present at their anchor (skipped on re-sync), and
-   * `unmatched` counts comments that could not be placed at all.
+   * `unmatched` counts comments that could not be placed at all. `updated`
+   * counts existing comments rewritten: found by stable ID with text changed
+   * in Word, or given the ID of the Word comment they were synced from.
    */
-  outStats?: { placed: number; deduped: number; unmatched: number; lowConfidence?: number };
+  outStats?: { placed: number; deduped: number; unmatched: number; lowConfidence?: number; updated?: number };
 }
 
 /**
@@ -188,11 +191,93 @@ function placementConfidence(strategy: string | undefined): 'high' | 'low' {
   return /proportional|position-only|context/.test(strategy) ? 'low' : 'high';
 }
 
+/** A `{>>...<<}` block already in the markdown */
+interface MarkdownCommentBlock {
+  start: number;
+  end: number;
+  id: string | null;
+  reply: boolean;
+  author: string;
+  text: string;
+  /** Trailing ` [RESOLVED]` / ` [✓]` marker, kept when the text is updated */
+  resolvedMark: string;
+}
+
+function scanCommentBlocks(markdown: string): MarkdownCommentBlock[] {
+  const blocks: MarkdownCommentBlock[] = [];
+  for (const m of markdown.matchAll(/\{>>([\s\S]+?)<<\}/g)) {
+    const { id, rest } = splitCommentId(m[1] ?? '');
+    const resolvedMark = rest.match(/\s*\[(?:RESOLVED|✓)\]$/)?.[0] ?? '';
+    let content = rest.slice(0, rest.length - resolvedMark.length);
+    const reply = content.startsWith('↪ ');
+    if (reply) content = content.slice(2);
+    const colonIdx = content.indexOf(':');
+    const hasAuthor = colonIdx > 0 && colonIdx < 30;
+    blocks.push({
+      start: m.index ?? 0,
+      end: (m.index ?? 0) + m[0].length,
+      id,
+      reply,
+      author: hasAuthor ? content.slice(0, colonIdx).trim() : '',
+      text: hasAuthor ? content.slice(colonIdx + 1).trim() : content.trim(),
+      resolvedMark,
+    });
+  }
+  return blocks;
+}
+
+function formatCommentBlock(id: string | null | undefined, author: string, text: string, reply: boolean, resolvedMark = ''): string {
+  return `{>>${withCommentId(`${reply ? '↪ ' : ''}${author}: ${text}`, id)}${resolvedMark}<<}`;
+}
+
+/** Resolved marker for a comment marked done in Word */
+function wordResolvedMark(c: { resolved?: boolean }): string {
+  return c.resolved ? ' [RESOLVED]' : '';
+}
+
+/**
+ * Resolved marker for a comment already in the markdown. Word's done flag
+ * decides when the docx records one, so reopening a comment in Word clears
+ * the marker; without it a local resolution is kept.
+ */
+function syncedResolvedMark(localMark: string, c: { resolved?: boolean }): string {
+  if (c.resolved === false) return '';
+  return localMark || wordResolvedMark(c);
+}
+
+/**
+ * First copy of a comment block in a text, with or without a resolved marker
+ */
+function findCommentBlock(text: string, block: string): { at: number; length: number; resolvedMark: string } | null {
+  const open = block.slice(0, -'<<}'.length);
+  for (let at = text.indexOf(open); at >= 0; at = text.indexOf(open, at + 1)) {
+    const tail = text.slice(at + open.length).match(/^(\s*\[(?:RESOLVED|✓)\])?<<\}/);
+    if (tail) return { at, length: open.length + tail[0].length, resolvedMark: tail[1] ?? '' };
+  }
+  return null;
+}
+
+/**
+ * End offset of the thread that starts with `blocks[index]`: the block plus
+ * the replies right after it
+ */
+function threadEnd(markdown: string, blocks: MarkdownCommentBlock[], index: number): number {
+  let end = blocks[index]!.end;
+  for (let i = index + 1; i < blocks.length; i++) {
+    const next = blocks[i]!;
+    if (!next.reply || !/^\s?$/.test(markdown.slice(end, next.start))) break;
+    end = next.end;
+  }
+  return end;
+}
+
 export interface CommentWithPos {
   id: string;
   author: string;
   text: string;
   date: string;
+  stableId?: string;
+  resolved?: boolean;
   pos: number;
   anchorText: string | null;
   anchorEnd?: number;
@@ -338,7 +423,6 @@ export function insertCommentsIntoMarkdown(
   const { quiet = false, sectionBoundary = null, wrapAnchor = true, outStats } = options;
   let result = markdown;
   let unmatchedCount = 0;
-  let placedCount = 0;
   let lowConfidenceCount = 0;
   const duplicateWarnings: string[] = [];
   const usedPositions = new Set<number>(); // For tie-breaking: track used positions
@@ -368,13 +452,71 @@ export function insertCommentsIntoMarkdown(
     if (root !== c.id) replyRootId.set(c.id, root);
   }
 
+  // Comments whose stable ID is already in the markdown (the docx was built
+  // from it, or this is a repeat sync) are updated in place, and new replies
+  // to them join the existing thread. Only the rest are placed by anchor.
+  let updatedCount = 0;
+  let dedupedCount = 0;
+  let placedCount = 0;
+  const handled = new Set<string>();
+  const findById = (id: string) => {
+    const blocks = scanCommentBlocks(result);
+    const index = blocks.findIndex(b => b.id === id);
+    return index >= 0 ? { blocks, index, block: blocks[index]! } : null;
+  };
+  const updateBlock = (block: MarkdownCommentBlock, c: WordComment) => {
+    // A docx built before done flags were written carries the marker as part
+    // of the comment text (and done="0"), so that marker wins
+    const mark = c.text.match(/\s*\[(?:RESOLVED|✓)\]$/)?.[0] ?? '';
+    const text = c.text.slice(0, c.text.length - mark.length);
+    const resolvedMark = mark ? block.resolvedMark || mark : syncedResolvedMark(block.resolvedMark, c);
+    if (block.author === c.author && block.text === text && resolvedMark === block.resolvedMark) {
+      dedupedCount++;
+      return;
+    }
+    const updated = formatCommentBlock(block.id, c.author, text, block.reply, resolvedMark);
+    result = result.slice(0, block.start) + updated + result.slice(block.end);
+    updatedCount++;
+  };
+  for (const c of comments) {
+    if (!c.stableId || replyRootId.has(c.id)) continue;
+    const found = findById(c.stableId);
+    if (!found) continue;
+    handled.add(c.id);
+    updateBlock(found.block, c);
+  }
+  for (const c of comments) {
+    const rootId = replyRootId.get(c.id);
+    if (!rootId) continue;
+    const root = inputById.get(rootId);
+    if (!root || !handled.has(root.id)) continue;
+    handled.add(c.id);
+    const existing = c.stableId ? findById(c.stableId) : null;
+    if (existing) {
+      updateBlock(existing.block, c);
+      continue;
+    }
+    const thread = findById(root.stableId!);
+    if (!thread) continue;
+    const end = threadEnd(result, thread.blocks, thread.index);
+    const members = thread.blocks.filter(b => b.start >= thread.block.start && b.end <= end);
+    const same = c.stableId ? undefined : members.find(b => b.author === c.author && b.text === c.text);
+    if (same) {
+      updateBlock(same, c);
+      continue;
+    }
+    result = result.slice(0, end) + formatCommentBlock(c.stableId, c.author, c.text, true, wordResolvedMark(c)) + result.slice(end);
+    placedCount++;
+  }
+  const pending = handled.size > 0 ? comments.filter(c => !handled.has(c.id)) : comments;
+
   // Anchor matching primitives live in lib/anchor-match.ts so that
   // `rev verify-anchors` can use the same strategies for drift reporting.
 
   // Get all positions in order (for sequential tie-breaking).
   // Replies skip scoring entirely — they piggyback on their root's position
   // in the emit pass below.
-  const commentsWithPositions = comments.map((c): CommentWithPos => {
+  const commentsWithPositions = pending.map((c): CommentWithPos => {
     if (replyRootId.has(c.id)) {
       return { ...c, pos: -1, anchorText: null, strategy: 'reply' };
     }
@@ -510,7 +652,7 @@ export function insertCommentsIntoMarkdown(
   const byId = new Map<string, CommentWithPos>();
   for (const cwp of commentsWithPositions) byId.set(cwp.id, cwp);
   const repliesByRoot = new Map<string, CommentWithPos[]>();
-  for (const c of comments) {
+  for (const c of pending) {
     const rootId = replyRootId.get(c.id);
     if (!rootId) continue;
     const cwp = byId.get(c.id);
@@ -559,15 +701,28 @@ export function insertCommentsIntoMarkdown(
   // duplicates. A 200-char window catches both wrapped
   // (`{>>...<<}[anchor]{.mark}`) and bare (`{>>...<<}anchor`) forms while
   // ignoring incidental matches farther away.
-  let dedupedCount = 0;
   for (const c of matchedRoots) {
-    const parentBlock = `{>>${c.author}: ${c.text}<<}`;
+    const parentBlock = formatCommentBlock(c.stableId, c.author, c.text, false, wordResolvedMark(c));
     const replies = repliesByRoot.get(c.id) ?? [];
     const windowStart = Math.max(0, c.pos - 200);
     const windowEnd = Math.min(result.length, c.pos + 200);
-    if (result.slice(windowStart, windowEnd).includes(parentBlock)) {
-      // Cluster already synced; treat all members as deduped.
-      dedupedCount += 1 + replies.length;
+    const window = result.slice(windowStart, windowEnd);
+    const synced = findCommentBlock(window, formatCommentBlock(c.stableId, c.author, c.text, false))
+      ?? findCommentBlock(window, formatCommentBlock(null, c.author, c.text, false));
+    if (synced) {
+      // Cluster already synced; treat all members as deduped. A copy synced
+      // before it had an ID takes the ID now, and one resolved or reopened in
+      // Word since follows it.
+      const existing = window.slice(synced.at, synced.at + synced.length);
+      const updated = formatCommentBlock(c.stableId, c.author, c.text, false, syncedResolvedMark(synced.resolvedMark, c));
+      if (existing !== updated) {
+        const at = windowStart + synced.at;
+        result = result.slice(0, at) + updated + result.slice(at + synced.length);
+        updatedCount++;
+      } else {
+        dedupedCount++;
+      }
+      dedupedCount += replies.length;
       continue;
     }
     // Replies carry an explicit `↪ ` author prefix so the round-trip does not
@@ -575,7 +730,7 @@ export function insertCommentsIntoMarkdown(
     // distinct clusters frequently land at the same anchor position; without
     // the prefix the re-parse would misthread them. The injection side strips
     // `↪ ` back off the author so Word renders the original name.
-    const replyBlocks = replies.map(r => `{>>↪ ${r.author}: ${r.text}<<}`);
+    const replyBlocks = replies.map(r => formatCommentBlock(r.stableId, r.author, r.text, true, wordResolvedMark(r)));
     const combined = parentBlock + replyBlocks.join('');
     if (wrapAnchor && c.anchorText && c.anchorEnd) {
       const before = result.slice(0, c.pos);
@@ -598,6 +753,7 @@ export function insertCommentsIntoMarkdown(
     outStats.lowConfidence = lowConfidenceCount;
     outStats.deduped = dedupedCount;
     outStats.unmatched = unmatchedCount;
+    outStats.updated = updatedCount;
   }
 
   // Log warnings unless quiet mode
@@ -611,6 +767,9 @@ export function insertCommentsIntoMarkdown(
     if (dedupedCount > 0) {
       console.warn(`Note: ${dedupedCount} comment(s) already present at anchor — skipped to avoid duplication`);
     }
+    if (updatedCount > 0) {
+      console.warn(`Note: ${updatedCount} comment(s) matched by ID and updated in place`);
+    }
     if (duplicateWarnings.length > 0) {
       console.warn(`Warning: Duplicate anchor text found (using context & tie-breaks for placement):`);
       for (const w of duplicateWarnings) {
@@ -0,0 +1,464 @@
+/**
+ * Include (transclusion) directives for shared snippets
+ *
+ * Funding statements, data-availability text and methods boilerplate can live
+ * in one file and be pulled into any section, in this project or another:
+ *
+ *   {{include:../shared/funding.md}}
+ *
+ *   ::: {include="../shared/data-availability.md"}
+ *   :::
+ *
+ * Directives occupy their own line. Paths resolve relative to the including
+ * file, included files may include others, and cycles are an error. Files
+ * must lie inside the project directory or one of the `includePaths`
+ * directories in rev.yaml.
+ *
+ * combineSections() wraps each expansion in `<!-- @include:path -->` markers
+ * so splitAnnotatedPaper() can fold it back into the directive; `rev sync`
+ * locates included text in the reviewed document with restoreIncludes().
+ * Reviewer edits inside included text are reported, never written into the
+ * section file.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { stripChangeAuthors } from './change-author.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface IncludeOptions {
+  /** Project directory; always an allowed include root */
+  root: string;
+  /** Further directories includes may read from (rev.yaml `includePaths`) */
+  includePaths?: string[];
+  /** Wrap each expansion in `<!-- @include:... -->` markers */
+  markers?: boolean;
+}
+
+/** Reviewer changes found inside included text (not applied) */
+export interface IncludeEdit {
+  /** Include path as written in the directive */
+  include: string;
+  /** CriticMarkup annotations (changes and comments) in the included text */
+  annotations: number;
+  /** The annotated included text, for the user to apply to the shared file */
+  text: string;
+}
+
+export interface RestoreIncludesResult {
+  text: string;
+  edits: IncludeEdit[];
+  /**
+   * Includes whose text could not be located in the reviewed document. Their
+   * directive is put back between the neighbouring blocks of the original
+   * section, replacing whatever the reviewed document has there.
+   */
+  unmatched: string[];
+  /**
+   * Unmatched includes whose neighbours could not be located either, so the
+   * directive has no place in the reviewed text; the section should be left
+   * as it is
+   */
+  unplaced: string[];
+}
+
+interface IncludeDirective {
+  /** First line of the directive */
+  start: number;
+  /** Last line (inclusive); differs from start for the div form */
+  end: number;
+  include: string;
+  form: 'variable' | 'div';
+}
+
+// =============================================================================
+// Patterns
+// =============================================================================
+
+/** `{{include:path}}` alone on a line */
+const INCLUDE_LINE_PATTERN = /^\s*\{\{include:\s*([^}]+?)\s*\}\}\s*$/;
+
+/** Opening fence of a fenced div, as in lib/variants.ts */
+const DIV_OPEN_PATTERN = /^(:{3,})\s*(\{[^}]*\}|[^\s{:][^\s]*)\s*:*\s*$/;
+const DIV_CLOSE_PATTERN = /^:{3,}\s*$/;
+
+/** `include=path` inside a div attribute block */
+const DIV_INCLUDE_ATTR = /(?:^|[\s{])include\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+))/;
+
+/** Expansion markers written by expandIncludes({ markers: true }) */
+const MARKER_PATTERN = /<!--\s*@include:(\S+)( div)?\s*-->\n?([\s\S]*?)\n?<!--\s*@\/include:\1\s*-->/g;
+
+/** Guards against runaway nesting that is not a cycle (e.g. generated files) */
+const MAX_INCLUDE_DEPTH = 16;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function findDirectives(content: string): IncludeDirective[] {
+  const lines = content.split('\n');
+  const directives: IncludeDirective[] = [];
+  let fence: string | null = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i]!.trimEnd();
+
+    // Directives inside code blocks are examples, not includes
+    const codeFence = trimmed.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (codeFence && codeFence[1]!.startsWith(fence)) fence = null;
+      continue;
+    }
+    if (codeFence) {
+      fence = codeFence[1]!;
+      continue;
+    }
+
+    const line = trimmed.match(INCLUDE_LINE_PATTERN);
+    if (line) {
+      directives.push({ start: i, end: i, include: line[1]!, form: 'variable' });
+      continue;
+    }
+
+    const open = trimmed.match(DIV_OPEN_PATTERN);
+    const attr = open?.[2]!.startsWith('{') ? open[2]!.match(DIV_INCLUDE_ATTR) : null;
+    if (attr) {
+      // The div's own content is replaced; find its matching closing fence
+      let depth = 1;
+      let end = i;
+      for (let j = i + 1; j < lines.length; j++) {
+        const inner = lines[j]!.trimEnd();
+        if (DIV_CLOSE_PATTERN.test(inner)) depth--;
+        else if (DIV_OPEN_PATTERN.test(inner)) depth++;
+        if (depth === 0) {
+          end = j;
+          break;
+        }
+      }
+      directives.push({ start: i, end, include: (attr[1] ?? attr[2] ?? attr[3])!, form: 'div' });
+      i = end;
+    }
+  }
+
+  return directives;
+}
+
+function directiveText(include: string, form: 'variable' | 'div'): string {
+  return form === 'div' ? `::: {include="${include}"}\n:::` : `{{include:${include}}}`;
+}
+
+function isWithin(dir: string, target: string): boolean {
+  const rel = path.relative(dir, target);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function realpathOrSelf(p: string): string {
+  try {
+    return fs.realpathSync(p);
+  } catch {
+    return path.resolve(p);
+  }
+}
+
+/**
+ * Resolve an include path and check it against the allowed roots. Symlinks
+ * are resolved first so a link cannot escape the sandbox.
+ */
+function resolveInclude(include: string, fromFile: string, options: IncludeOptions): string {
+  const target = path.resolve(path.dirname(fromFile), include);
+  const from = path.relative(options.root, fromFile) || fromFile;
+
+  if (!fs.existsSync(target)) {
+    throw new Error(`Include not found: ${include} (in ${from})`);
+  }
+
+  const real = realpathOrSelf(target);
+  const roots = [options.root, ...(options.includePaths ?? []).map((p) => path.resolve(options.root, p))];
+  if (!roots.some((root) => isWithin(realpathOrSelf(root), real))) {
+    throw new Error(
+      `Include outside the project: ${include} (in ${from}). ` +
+      'Add its directory to includePaths in rev.yaml to allow it.'
+    );
+  }
+
+  return real;
+}
+
+function stripFrontmatter(content: string): string {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  return match ? content.slice(match[0].length) : content;
+}
+
+function expandFile(
+  content: string,
+  file: string,
+  options: IncludeOptions,
+  stack: string[]
+): string {
+  const directives = findDirectives(content);
+  if (directives.length === 0) return content;
+
+  if (stack.length > MAX_INCLUDE_DEPTH) {
+    throw new Error(`Includes nested more than ${MAX_INCLUDE_DEPTH} levels deep (in ${path.relative(options.root, file)})`);
+  }
+
+  const lines = content.split('\n');
+  // Replace from the bottom so earlier line numbers stay valid
+  for (const directive of [...directives].reverse()) {
+    const target = resolveInclude(directive.include, file, options);
+    if (stack.includes(target)) {
+      const chain = [...stack, target].map((p) => path.relative(options.root, p) || p);
+      throw new Error(`Include cycle: ${chain.join(' → ')}`);
+    }
+
+    const raw = stripFrontmatter(fs.readFileSync(target, 'utf-8'));
+    const expanded = expandFile(raw, target, options, [...stack, target]).trim();
+    const replacement = options.markers
+      ? [
+        `<!-- @include:${directive.include}${directive.form === 'div' ? ' div' : ''} -->`,
+        expanded,
+        `<!-- @/include:${directive.include} -->`,
+      ]
+      : [expanded];
+    lines.splice(directive.start, directive.end - directive.start + 1, ...replacement);
+  }
+
+  return lines.join('\n');
+}
+
+/** CriticMarkup annotations in a block of text */
+function countCriticMarkup(text: string): number {
+  return (text.match(/\{\+\+|\{--|\{~~|\{>>|\{==/g) || []).length;
+}
+
+/**
+ * Text as it read before review: insertions and comments dropped, deletions
+ * and substitution originals kept, normalised to lowercase words.
+ */
+function originalWords(text: string): string[] {
+  const original = stripChangeAuthors(text)
+    .replace(/\{\+\+[\s\S]*?\+\+\}/g, '')
+    .replace(/\{--([\s\S]*?)--\}/g, '$1')
+    .replace(/\{~~([\s\S]*?)~>[\s\S]*?~~\}/g, '$1')
+    .replace(/\{>>[\s\S]*?<<\}/g, '')
+    .replace(/\{==([\s\S]*?)==\}/g, '$1');
+  return original.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Whether a reviewed block reads like a source block. A word-overlap check
+ * rather than equality, since the Word round trip renders citations and
+ * cross-references differently from the markdown source.
+ */
+function blocksMatch(reviewed: string[], source: string[]): boolean {
+  if (reviewed.length === 0 || source.length === 0) return false;
+  if (reviewed.join(' ') === source.join(' ')) return true;
+  const sourceSet = new Set(source);
+  const common = reviewed.filter((w) => sourceSet.has(w)).length;
+  return common / Math.max(reviewed.length, source.length) >= 0.8;
+}
+
+function splitBlocks(text: string): string[] {
+  return text.split(/\n[ \t]*\n/).filter((b) => b.trim().length > 0);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Check if content contains include directives
+ */
+export function hasIncludes(content: string): boolean {
+  return content.includes('include') && findDirectives(content).length > 0;
+}
+
+/**
+ * Expand include directives recursively.
+ *
+ * @param content - Markdown of the including file
+ * @param file - Path of the including file (includes resolve relative to it)
+ * @param options - Sandbox roots and marker output
+ * @returns Markdown with every directive replaced by the included text
+ * @throws {Error} If an include is missing, outside the allowed roots, or
+ *   part of a cycle
+ */
+export function expandIncludes(content: string, file: string, options: IncludeOptions): string {
+  const abs = realpathOrSelf(path.resolve(options.root, file));
+  return expandFile(content, abs, options, [abs]);
+}
+
+/**
+ * Fold `<!-- @include:... -->` marker regions (from combineSections) back
+ * into their directives. Annotated text inside a region is reported, not
+ * kept, so reviewer edits never land in the section file.
+ */
+export function collapseIncludeMarkers(content: string): { text: string; edits: IncludeEdit[] } {
+  const edits: IncludeEdit[] = [];
+  const text = content.replace(MARKER_PATTERN, (_match, include: string, div: string | undefined, body: string) => {
+    const annotations = countCriticMarkup(body);
+    if (annotations > 0) {
+      edits.push({ include, annotations, text: body.trim() });
+    }
+    return directiveText(include, div ? 'div' : 'variable');
+  });
+  return { text, edits };
+}
+
+/**
+ * Put include directives back into section text imported from a reviewed
+ * Word document, where the included text appears inline.
+ *
+ * Each include of the original section file is expanded and located in the
+ * reviewed text block by block, comparing against the pre-review wording so
+ * tracked changes do not hide it. The matched blocks (and any blocks the
+ * reviewer inserted between them) are replaced by the directive; annotations
+ * inside them are returned as edits. An include that cannot be found keeps
+ * its directive, placed by its neighbouring blocks, and is listed as
+ * unmatched.
+ *
+ * @param reviewed - Section markdown imported from Word (with CriticMarkup)
+ * @param original - Current section file content
+ * @param file - Section file path
+ * @param options - Sandbox roots, as for expandIncludes()
+ */
+export function restoreIncludes(
+  reviewed: string,
+  original: string,
+  file: string,
+  options: IncludeOptions
+): RestoreIncludesResult {
+  const directives = findDirectives(original);
+  if (directives.length === 0) return { text: reviewed, edits: [], unmatched: [], unplaced: [] };
+
+  const abs = realpathOrSelf(path.resolve(options.root, file));
+  const blocks = splitBlocks(reviewed);
+  const blockWords = blocks.map(originalWords);
+  // Reviewed block ranges replaced by a directive; `end` is `start - 1` for a
+  // directive put back where the reviewed text has nothing
+  const replaced = new Map<number, { end: number; directive: string }>();
+  const located: Array<{ start: number; end: number } | null> = directives.map(() => null);
+  const edits: IncludeEdit[] = [];
+  const unmatched: string[] = [];
+  const unplaced: string[] = [];
+  let searchFrom = 0;
+
+  for (const [index, directive] of directives.entries()) {
+    let sourceBlocks: string[][];
+    try {
+      const target = resolveInclude(directive.include, abs, options);
+      const raw = stripFrontmatter(fs.readFileSync(target, 'utf-8'));
+      sourceBlocks = splitBlocks(expandFile(raw, target, { ...options, markers: false }, [abs, target]))
+        .map(originalWords)
+        .filter((w) => w.length > 0);
+    } catch {
+      unmatched.push(directive.include);
+      continue;
+    }
+    if (sourceBlocks.length === 0) {
+      unmatched.push(directive.include);
+      continue;
+    }
+
+    // Find the first reviewed block matching the include's first block, then
+    // walk forward; blocks with no pre-review words are reviewer insertions
+    let found: { start: number; end: number } | null = null;
+    for (let i = searchFrom; i < blocks.length && !found; i++) {
+      if (!blocksMatch(blockWords[i]!, sourceBlocks[0]!)) continue;
+      let k = 1;
+      let j = i;
+      while (k < sourceBlocks.length && j + 1 < blocks.length) {
+        j++;
+        if (blockWords[j]!.length === 0) continue;
+        if (!blocksMatch(blockWords[j]!, sourceBlocks[k]!)) break;
+        k++;
+      }
+      if (k === sourceBlocks.length) found = { start: i, end: j };
+    }
+
+    if (!found) {
+      unmatched.push(directive.include);
+      continue;
+    }
+
+    const region = blocks.slice(found.start, found.end + 1).join('\n\n');
+    const annotations = countCriticMarkup(region);
+    if (annotations > 0) {
+      edits.push({ include: directive.include, annotations, text: region.trim() });
+    }
+    replaced.set(found.start, { end: found.end, directive: directiveText(directive.include, directive.form) });
+    located[index] = found;
+    searchFrom = found.end + 1;
+  }
+
+  // An include whose text was rewritten without track changes (or whose file
+  // is unreadable) keeps its directive: it goes between the reviewed blocks
+  // that match its neighbours in the original section, and the reviewed text
+  // there is dropped, since it belongs to the shared file.
+  const lines = original.split('\n');
+  for (const [index, directive] of directives.entries()) {
+    if (located[index] || !unmatched.includes(directive.include)) continue;
+    const before = splitBlocks(lines.slice(0, directive.start).join('\n')).pop();
+    const after = splitBlocks(lines.slice(directive.end + 1).join('\n'))[0];
+    const previous = located.slice(0, index).reverse().find((range) => range);
+    const lowerBound = previous ? previous.end + 1 : 0;
+
+    let start: number | null = null;
+    if (before === undefined) {
+      start = lowerBound;
+    } else if (findDirectives(before).length > 0) {
+      start = located[index - 1] ? located[index - 1]!.end + 1 : null;
+    } else {
+      const words = originalWords(before);
+      for (let i = lowerBound; i < blocks.length && start === null; i++) {
+        if (blocksMatch(blockWords[i]!, words)) start = i + 1;
+      }
+    }
+
+    let end: number | null = null;
+    if (start !== null) {
+      if (after === undefined) {
+        end = blocks.length - 1;
+      } else if (findDirectives(after).length > 0) {
+        end = located[index + 1] ? located[index + 1]!.start - 1 : null;
+      } else {
+        const words = originalWords(after);
+        for (let i = start; i < blocks.length && end === null; i++) {
+          if (blocksMatch(blockWords[i]!, words)) end = i - 1;
+        }
+      }
+    }
+
+    const overlaps = start !== null && end !== null && (replaced.has(start)
+      || [...replaced].some(([s, hit]) => s <= end! && hit.end >= start! && hit.end >= s));
+    if (start === null || end === null || end < start - 1 || overlaps) {
+      unplaced.push(directive.include);
+      continue;
+    }
+
+    const region = blocks.slice(start, end + 1).join('\n\n');
+    const annotations = countCriticMarkup(region);
+    if (annotations > 0) {
+      edits.push({ include: directive.include, annotations, text: region.trim() });
+    }
+    replaced.set(start, { end, directive: directiveText(directive.include, directive.form) });
+    located[index] = { start, end };
+  }
+
+  if (replaced.size === 0) return { text: reviewed, edits, unmatched, unplaced };
+
+  const out: string[] = [];
+  for (let i = 0; i <= blocks.length; i++) {
+    const hit = replaced.get(i);
+    if (hit) out.push(hit.directive);
+    if (hit && hit.end >= i) {
+      i = hit.end;
+    } else if (i < blocks.length) {
+      out.push(blocks[i]!);
+    }
+  }
+  return { text: out.join('\n\n').trimEnd() + (reviewed.endsWith('\n') ? '\n' : ''), edits, unmatched, unplaced };
+}
@@ -5,9 +5,11 @@
 
 import * as fs from 'fs';
 import * as path from 'path';
-import type { JournalProfile, JournalRequirements, JournalFormatting, ValidationResult } from './types.js';
+import type { Author, JournalProfile, JournalRequirements, JournalFormatting, ValidationResult } from './types.js';
 import { loadCustomProfiles } from './plugins.js';
 import { countWords } from './utils.js';
+import { countManuscriptWords } from './word-count.js';
+import { checkAuthorContributions, hasContributions } from './credit.js';
 
 /**
  * Journal requirement profiles
@@ -18,7 +20,12 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
     name: 'Nature',
     url: 'https://www.nature.com/nature/for-authors',
     requirements: {
-      wordLimit: { main: 3000, abstract: 150 },
+      wordLimit: {
+        main: 3000,
+        abstract: 150,
+        // Main text only: no abstract, Methods, references or figure legends
+        counting: { exclude: ['Abstract', 'Methods', 'References', 'Acknowledgements'], captions: false },
+      },
       references: { max: 50, doiRequired: true },
       figures: { max: 6 },
       sections: ['Abstract', 'Introduction', 'Results', 'Discussion', 'Methods'],
@@ -33,7 +40,12 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
     name: 'Science',
     url: 'https://www.science.org/content/page/instructions-preparing-initial-manuscript',
     requirements: {
-      wordLimit: { main: 2500, abstract: 125 },
+      wordLimit: {
+        main: 2500,
+        abstract: 125,
+        // Figure legends and notes count towards the limit
+        counting: { exclude: ['Abstract'], captions: true, footnotes: true },
+      },
       references: { max: 40, doiRequired: true },
       figures: { max: 4 },
       sections: ['Abstract', 'Introduction', 'Results', 'Discussion'],
@@ -51,6 +63,7 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
       wordLimit: { abstract: 300 },
       references: { doiRequired: false },
       sections: ['Abstract', 'Introduction', 'Methods', 'Results', 'Discussion'],
+      contributions: true,
     },
     formatting: {
       csl: 'plos',
@@ -66,9 +79,11 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
       references: { max: 50, doiRequired: true },
       figures: { max: 6 },
       sections: ['Abstract', 'Introduction', 'Results', 'Discussion'],
+      contributions: true,
     },
     formatting: {
       csl: 'pnas',
+      contributions: { names: 'initials', groupBy: 'role' },
       pdf: { documentclass: 'article', fontsize: '9pt', geometry: 'margin=2cm', linestretch: 1.2, numbersections: false },
     },
   },
@@ -112,6 +127,7 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
       wordLimit: { abstract: 150 },
       references: { doiRequired: true },
       sections: ['Abstract', 'Introduction', 'Results', 'Discussion', 'Methods'],
+      contributions: true,
     },
     formatting: {
       csl: 'elife',
@@ -127,9 +143,11 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
       references: { max: 100, doiRequired: true },
       figures: { max: 7 },
       sections: ['Abstract', 'Introduction', 'Results', 'Discussion'],
+      contributions: true,
     },
     formatting: {
       csl: 'cell',
+      contributions: { names: 'initials', groupBy: 'role' },
       pdf: { fontsize: '12pt', geometry: 'margin=2.5cm', linestretch: 2 },
     },
   },
@@ -142,6 +160,10 @@ export const JOURNAL_PROFILES: Record<string, JournalProfile> = {
       references: { max: 60, doiRequired: true },
       figures: { max: 4 },
       sections: ['Summary', 'Results', 'Discussion'],
+      contributions: true,
+    },
+    formatting: {
+      contributions: { names: 'initials', groupBy: 'role' },
     },
   },
 
@@ -439,10 +461,19 @@ interface ManuscriptValidationResult {
   url?: string;
 }
 
+interface ManuscriptValidationOptions {
+  /** Authors from rev.yaml, for the contributions check */
+  authors?: (string | Author)[];
+}
+
 /**
  * Validate manuscript against journal requirements
  */
-export function validateManuscript(text: string, journalId: string): ManuscriptValidationResult {
+export function validateManuscript(
+  text: string,
+  journalId: string,
+  options: ManuscriptValidationOptions = {}
+): ManuscriptValidationResult {
   const profile = getJournalProfile(journalId);
 
   if (!profile) {
@@ -462,7 +493,10 @@ export function validateManuscript(text: string, journalId: string): ManuscriptV
   const abstract = extractAbstract(text);
   const title = extractTitle(text);
   const sections = extractSections(text);
-  const mainWordCount = countWords(text);
+  // Profiles without counting rules keep the plain count of the whole text
+  const mainWordCount = req.wordLimit?.counting
+    ? countManuscriptWords([{ file: '', text }], req.wordLimit.counting).counted
+    : countWords(text);
   const figureCount = countFigures(text);
   const tableCount = countTables(text);
   const refCount = countReferences(text);
@@ -519,6 +553,14 @@ export function validateManuscript(text: string, journalId: string): ManuscriptV
     }
   }
 
+  // Author contributions (CRediT)
+  if (req.contributions && !hasContributions(options.authors)) {
+    warnings.push('Author contributions required - add CRediT roles: to authors in rev.yaml');
+  }
+  for (const issue of checkAuthorContributions(options.authors)) {
+    warnings.push(issue.message);
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -532,12 +574,16 @@ export function validateManuscript(text: string, journalId: string): ManuscriptV
 /**
  * Validate multiple files against journal requirements
  */
-export function validateProject(files: string[], journalId: string): ManuscriptValidationResult {
+export function validateProject(
+  files: string[],
+  journalId: string,
+  options: ManuscriptValidationOptions = {}
+): ManuscriptValidationResult {
   // Combine all file contents
   const combined = files
     .filter(f => fs.existsSync(f))
     .map(f => fs.readFileSync(f, 'utf-8'))
     .join('\n\n');
 
-  return validateManuscript(combined, journalId);
+  return validateManuscript(combined, journalId, options);
 }
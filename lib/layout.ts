@@ -0,0 +1,294 @@
+/**
+ * Submission layouts: figures and tables at the end
+ *
+ * Many journals want captions and text in the reading flow but the figures
+ * themselves after the references, one per page, followed by the tables.
+ * With `layout: figures-at-end` in rev.yaml (or a variant or journal profile),
+ * combineSections moves every `{#fig:...}` image and `{#tbl:...}` table into
+ * trailing "Figures" and "Tables" sections and can leave a
+ * "[Figure 2 about here]" placeholder where each one was.
+ *
+ * Moved items keep their anchors and their relative order, so pandoc-crossref
+ * and the built-in numbering give the same numbers as the inline layout.
+ * Everything is wrapped in HTML comment markers (dropped by pandoc) so
+ * restoreFloats() can put paper.md back into reading order before it is
+ * split into section files.
+ */
+
+import type { Registry } from './types.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export type LayoutMode = 'inline' | 'figures-at-end';
+
+export interface LayoutConfig {
+  mode?: LayoutMode;
+  /** Leave "[Figure 2 about here]" where each moved item was (default false) */
+  placeholders?: boolean;
+  /** Heading of the trailing figures section (default "Figures") */
+  figuresTitle?: string;
+  /** Heading of the trailing tables section (default "Tables") */
+  tablesTitle?: string;
+}
+
+export type LayoutSetting = LayoutMode | LayoutConfig;
+
+export interface FloatsOptions {
+  placeholders?: boolean;
+  figuresTitle?: string;
+  tablesTitle?: string;
+  /** Caption titles used in placeholders (crossref.figureTitle/tableTitle) */
+  figureTitle?: string;
+  tableTitle?: string;
+  /** Registry giving placeholder numbers */
+  registry?: Registry;
+  /** Markdown placed before the trailing sections (e.g. a references div) */
+  prelude?: string;
+}
+
+export interface FloatsResult {
+  text: string;
+  figures: number;
+  tables: number;
+}
+
+interface Block {
+  start: number;
+  end: number;
+}
+
+interface Float {
+  kind: 'fig' | 'tbl';
+  label: string;
+  start: number;
+  end: number;
+}
+
+// =============================================================================
+// Patterns
+// =============================================================================
+
+/**
+ * Where the trailing sections go when the document continues after the main
+ * text (an in-document supplement); otherwise they are appended at the end.
+ */
+export const FLOATS_INSERT_MARKER = '<!-- @floats:here -->';
+
+const DIV_OPEN_PATTERN = /^(:{3,})\s*(\{[^}]*\}|[^\s{:][^\s]*)\s*:*\s*$/;
+const DIV_CLOSE_PATTERN = /^:{3,}\s*$/;
+const CODE_FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/** A paragraph that is a single image with a #fig: id */
+const FIGURE_BLOCK = /^!\[[\s\S]*\]\([^)]*\)\{[^}]*#fig:([a-zA-Z0-9_-]+)[^}]*\}\s*$/;
+
+/** A fenced div carrying a #fig: or #tbl: id (subfigures, table directives) */
+const FLOAT_DIV_OPEN = /^:{3,}\s*\{[^}]*#(fig|tbl):([a-zA-Z0-9_-]+)[^}]*\}/;
+
+/** `Table: caption {#tbl:label}` or `: caption {#tbl:label}` */
+const TABLE_CAPTION_LINE = /^(?:Table:|:)\s.*\{[^}]*#tbl:([a-zA-Z0-9_-]+)[^}]*\}\s*$/;
+
+/** A row of a pipe or grid table */
+const TABLE_ROW_LINE = /^\s*[|+]/;
+
+const PAGE_BREAK = [
+  '```{=latex}',
+  '\\clearpage',
+  '```',
+  '',
+  '```{=openxml}',
+  '<w:p><w:r><w:br w:type="page"/></w:r></w:p>',
+  '```',
+].join('\n');
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/**
+ * Normalize the `layout` setting. Returns null for the default inline layout.
+ *
+ * @throws {Error} For an unknown mode
+ */
+export function resolveLayout(value: LayoutSetting | null | undefined): Required<Omit<LayoutConfig, 'mode'>> | null {
+  if (value === undefined || value === null) return null;
+  const config: LayoutConfig = typeof value === 'string' ? { mode: value } : value;
+  const mode = config.mode ?? 'figures-at-end';
+  if (mode !== 'inline' && mode !== 'figures-at-end') {
+    throw new Error(`layout must be inline or figures-at-end (got "${String(mode)}")`);
+  }
+  if (mode === 'inline') return null;
+  return {
+    placeholders: config.placeholders ?? false,
+    figuresTitle: config.figuresTitle ?? 'Figures',
+    tablesTitle: config.tablesTitle ?? 'Tables',
+  };
+}
+
+// =============================================================================
+// Moving floats
+// =============================================================================
+
+/** Split lines into blocks separated by blank lines; fences and divs stay whole */
+function scanBlocks(lines: string[]): Block[] {
+  const blocks: Block[] = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i]!.trim() === '') {
+      i++;
+      continue;
+    }
+    const start = i;
+    const fence = lines[i]!.match(CODE_FENCE_PATTERN);
+    if (fence) {
+      i++;
+      while (i < lines.length && !lines[i]!.trimStart().startsWith(fence[1]!)) i++;
+    } else if (DIV_OPEN_PATTERN.test(lines[i]!.trimEnd())) {
+      let depth = 1;
+      while (++i < lines.length) {
+        const line = lines[i]!.trimEnd();
+        if (DIV_CLOSE_PATTERN.test(line)) depth--;
+        else if (DIV_OPEN_PATTERN.test(line)) depth++;
+        if (depth === 0) break;
+      }
+    } else {
+      while (i + 1 < lines.length && lines[i + 1]!.trim() !== '') i++;
+    }
+    blocks.push({ start, end: Math.min(i, lines.length - 1) });
+    i++;
+  }
+  return blocks;
+}
+
+function isTableBody(lines: string[]): boolean {
+  return lines.length > 0 && lines.every((line) => TABLE_ROW_LINE.test(line));
+}
+
+/** Find figures and tables (with their captions) among the blocks */
+function findFloats(lines: string[], blocks: Block[]): Float[] {
+  const text = (b: Block) => lines.slice(b.start, b.end + 1);
+  const floats: Float[] = [];
+  const used = new Set<number>();
+
+  for (let k = 0; k < blocks.length; k++) {
+    if (used.has(k)) continue;
+    const block = blocks[k]!;
+    const blockLines = text(block);
+    const joined = blockLines.join('\n');
+
+    const div = blockLines[0]!.match(FLOAT_DIV_OPEN);
+    if (div) {
+      floats.push({ kind: div[1] as 'fig' | 'tbl', label: div[2]!, start: block.start, end: block.end });
+      continue;
+    }
+
+    const figure = joined.match(FIGURE_BLOCK);
+    if (figure) {
+      floats.push({ kind: 'fig', label: figure[1]!, start: block.start, end: block.end });
+      continue;
+    }
+
+    // Caption inside the table block (first or last line)
+    const captionAt = [0, blockLines.length - 1].find((at) => TABLE_CAPTION_LINE.test(blockLines[at]!));
+    if (captionAt !== undefined) {
+      const rest = blockLines.filter((_, at) => at !== captionAt);
+      const label = blockLines[captionAt]!.match(TABLE_CAPTION_LINE)![1]!;
+      if (isTableBody(rest)) {
+        floats.push({ kind: 'tbl', label, start: block.start, end: block.end });
+        continue;
+      }
+      // Caption paragraph before or after its table
+      if (blockLines.length === 1) {
+        const prev = blocks[k - 1];
+        const next = blocks[k + 1];
+        if (prev && !used.has(k - 1) && isTableBody(text(prev)) && floats.at(-1)?.end !== prev.end) {
+          floats.push({ kind: 'tbl', label, start: prev.start, end: block.end });
+        } else if (next && isTableBody(text(next))) {
+          floats.push({ kind: 'tbl', label, start: block.start, end: next.end });
+          used.add(k + 1);
+        }
+      }
+    }
+  }
+
+  return floats;
+}
+
+function placeholder(float: Float, options: FloatsOptions): string {
+  const info = float.kind === 'fig' ? options.registry?.figures.get(float.label) : options.registry?.tables.get(float.label);
+  const title = float.kind === 'fig' ? (options.figureTitle ?? 'Figure') : (options.tableTitle ?? 'Table');
+  return `\\[${title} ${info?.num ?? '??'} about here\\]`;
+}
+
+function trailingSection(name: string, title: string, items: string[]): string {
+  return [
+    `<!-- @floats:${name} -->`,
+    PAGE_BREAK,
+    '',
+    `# ${title} {.unnumbered}`,
+    '',
+    items.join(`\n\n${PAGE_BREAK}\n\n`),
+    `<!-- @/floats:${name} -->`,
+  ].join('\n');
+}
+
+/**
+ * Move figures and tables into trailing sections.
+ *
+ * Only content before FLOATS_INSERT_MARKER (if present) is scanned, and the
+ * trailing sections are inserted there; the marker itself is removed.
+ */
+export function moveFloatsToEnd(content: string, options: FloatsOptions = {}): FloatsResult {
+  const at = content.indexOf(FLOATS_INSERT_MARKER);
+  const head = at >= 0 ? content.slice(0, at) : content;
+  const tail = at >= 0 ? content.slice(at + FLOATS_INSERT_MARKER.length) : '';
+
+  const lines = head.split('\n');
+  const floats = findFloats(lines, scanBlocks(lines));
+  const figures: string[] = [];
+  const tables: string[] = [];
+
+  for (const float of [...floats].reverse()) {
+    const key = `${float.kind}:${float.label}`;
+    const body = lines.slice(float.start, float.end + 1).join('\n');
+    const item = `<!-- @float-body:${key} -->\n${body}\n<!-- @/float-body:${key} -->`;
+    (float.kind === 'fig' ? figures : tables).unshift(item);
+
+    const inPlace = [`<!-- @float:${key} -->`];
+    if (options.placeholders) inPlace.push(placeholder(float, options));
+    inPlace.push(`<!-- @/float:${key} -->`);
+    lines.splice(float.start, float.end - float.start + 1, ...inPlace);
+  }
+
+  const trailing: string[] = [];
+  if (options.prelude) {
+    trailing.push(`<!-- @floats:prelude -->\n${options.prelude.trim()}\n<!-- @/floats:prelude -->`);
+  }
+  if (figures.length > 0) trailing.push(trailingSection('figures', options.figuresTitle ?? 'Figures', figures));
+  if (tables.length > 0) trailing.push(trailingSection('tables', options.tablesTitle ?? 'Tables', tables));
+
+  let text = lines.join('\n');
+  if (trailing.length > 0 && floats.length > 0) {
+    text = `${text.trimEnd()}\n\n${trailing.join('\n\n')}\n\n`;
+  }
+  return { text: text + tail.replace(/^\n+/, ''), figures: figures.length, tables: tables.length };
+}
+
+/**
+ * Undo moveFloatsToEnd(): put each moved item (with any annotations made on
+ * it) back where it came from, drop placeholders and trailing sections.
+ */
+export function restoreFloats(content: string): string {
+  if (!content.includes('<!-- @float')) return content;
+
+  const bodies = new Map<string, string>();
+  for (const m of content.matchAll(/<!-- @float-body:(\w+:[\w-]+) -->\n([\s\S]*?)\n<!-- @\/float-body:\1 -->/g)) {
+    bodies.set(m[1]!, m[2]!);
+  }
+
+  return content
+    .replace(/\n*<!-- @floats:(\w+) -->[\s\S]*?<!-- @\/floats:\1 -->\n*/g, '\n\n')
+    .replace(/<!-- @float:(\w+:[\w-]+) -->[\s\S]*?<!-- @\/float:\1 -->/g, (match, key: string) => bodies.get(key) ?? match)
+    .replace(/\n{3,}$/, '\n');
+}
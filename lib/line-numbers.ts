@@ -0,0 +1,106 @@
+/**
+ * Line numbers for review manuscripts
+ *
+ * `pdf.lineNumbers` and `docx.lineNumbers` (also settable in a journal
+ * profile's `formatting`) take `continuous`, `page` (restart on every page),
+ * `true` (continuous) or `false`. PDF and TeX outputs load the lineno package
+ * through a header include; DOCX outputs get a `w:lnNumType` section property
+ * patched into word/document.xml after pandoc has written the file.
+ */
+
+import AdmZip from 'adm-zip';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export type LineNumberMode = 'continuous' | 'page';
+
+export type LineNumbersSetting = LineNumberMode | boolean;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const LINE_NUMBER_MODES: readonly LineNumberMode[] = ['continuous', 'page'];
+
+/** Word's restart values for each mode */
+const DOCX_RESTART: Record<LineNumberMode, string> = {
+  continuous: 'continuous',
+  page: 'newPage',
+};
+
+/**
+ * sectPr children that must follow w:lnNumType (ECMA-376 §17.6.17 order).
+ * The new element goes before the first of these that is present.
+ */
+const SECTPR_AFTER_LNNUMTYPE = [
+  'pgNumType', 'cols', 'formProt', 'vAlign', 'noEndnote', 'titlePg',
+  'textDirection', 'bidi', 'rtlGutter', 'docGrid', 'printerSettings', 'sectPrChange',
+];
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Normalize a `lineNumbers` setting to a mode, or null when off.
+ *
+ * @param key - Config key for the error message, e.g. "pdf.lineNumbers"
+ * @throws {Error} For values other than continuous, page, true or false
+ */
+export function resolveLineNumbers(value: unknown, key: string): LineNumberMode | null {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return 'continuous';
+  if (typeof value === 'string' && (LINE_NUMBER_MODES as readonly string[]).includes(value)) {
+    return value as LineNumberMode;
+  }
+  throw new Error(`${key} must be continuous, page, true or false (got ${JSON.stringify(value)})`);
+}
+
+/**
+ * LaTeX preamble that numbers every line, restarting per page in `page` mode
+ */
+export function latexLineNumbersHeader(mode: LineNumberMode): string {
+  const options = mode === 'page' ? '[pagewise]' : '';
+  return `\\usepackage${options}{lineno}\n\\linenumbers\n`;
+}
+
+/**
+ * Set line numbering on every section of a WordprocessingML main document,
+ * replacing any existing `w:lnNumType`.
+ */
+export function setDocxLineNumbers(documentXml: string, mode: LineNumberMode): string {
+  const element = `<w:lnNumType w:countBy="1" w:restart="${DOCX_RESTART[mode]}"/>`;
+  const nextChild = new RegExp(`<w:(?:${SECTPR_AFTER_LNNUMTYPE.join('|')})\\b`);
+
+  let patched = documentXml.replace(/<w:sectPr\b([^>]*?)\/>/g, '<w:sectPr$1></w:sectPr>');
+  patched = patched.replace(/(<w:sectPr\b[^>]*>)([\s\S]*?)(<\/w:sectPr>)/g, (_match, open: string, body: string, close: string) => {
+    const cleaned = body.replace(/<w:lnNumType\b[^>]*?(?:\/>|>[\s\S]*?<\/w:lnNumType>)/g, '');
+    const at = cleaned.search(nextChild);
+    const inner = at < 0 ? cleaned + element : cleaned.slice(0, at) + element + cleaned.slice(at);
+    return open + inner + close;
+  });
+
+  // A body without a final section gets one so the setting has somewhere to live
+  if (!/<w:sectPr\b/.test(patched)) {
+    patched = patched.replace(/<\/w:body>/, `<w:sectPr>${element}</w:sectPr></w:body>`);
+  }
+  return patched;
+}
+
+/**
+ * Patch line numbering into a .docx file in place.
+ *
+ * @throws {Error} If the file has no word/document.xml
+ */
+export function applyDocxLineNumbers(docxPath: string, mode: LineNumberMode): void {
+  const zip = new AdmZip(docxPath);
+  const entry = zip.getEntry('word/document.xml');
+  if (!entry) {
+    throw new Error(`${docxPath} has no word/document.xml`);
+  }
+  const xml = entry.getData().toString('utf8');
+  zip.updateFile('word/document.xml', Buffer.from(setDocxLineNumbers(xml, mode), 'utf8'));
+  zip.writeZip(docxPath);
+}
@@ -250,8 +250,8 @@ export function pickStyle(macro: MacroDef, format: string): MacroFormatStyle {
  *
  * Returns the absolute path to the written sidecar.
  */
-export function writeMacrosSidecar(directory: string, macros: MacroDef[]): string {
-  const sidecarPath = path.join(directory, '.macros.json');
+export function writeMacrosSidecar(directory: string, macros: MacroDef[], fileName: string = '.macros.json'): string {
+  const sidecarPath = path.join(directory, fileName);
   fs.writeFileSync(sidecarPath, JSON.stringify({ macros }), 'utf-8');
   return sidecarPath;
 }
@@ -10,6 +10,7 @@ import * as path from 'path';
 import * as crypto from 'crypto';
 import { diffWords, diffSentences } from 'diff';
 import { extractFromWord, extractWordComments } from './import.js';
+import { readBuildId } from './build-manifest.js';
 import type { ReviewerChange, Conflict, MergeResult } from './types.js';
 
 // =============================================================================
@@ -46,6 +47,8 @@ interface ReviewerDoc {
 interface ReviewerComment {
   text: string;
   reviewer: string;
+  /** Marked done in Word */
+  resolved?: boolean;
 }
 
 interface MergeOptions {
@@ -56,6 +59,9 @@ interface MergeOptions {
 interface CheckMatchResult {
   matches: boolean;
   similarity: number;
+  /** Build IDs embedded by `rev build` (null when the document has none) */
+  baseBuildId?: string | null;
+  reviewerBuildId?: string | null;
 }
 
 interface ConflictDetectionResult {
@@ -164,16 +170,24 @@ export function computeSimilarity(text1: string, text2: string): number {
 }
 
 /**
- * Check if base document matches reviewer document (similarity check)
+ * Check if base document matches reviewer document. Documents carrying the
+ * same build ID (see lib/build-manifest.ts) match outright; otherwise fall
+ * back to a word-overlap similarity check.
  */
 export async function checkBaseMatch(basePath: string, reviewerPath: string): Promise<CheckMatchResult> {
+  const baseBuildId = await readBuildId(basePath);
+  const reviewerBuildId = await readBuildId(reviewerPath);
+  if (baseBuildId && baseBuildId === reviewerBuildId) {
+    return { matches: true, similarity: 1, baseBuildId, reviewerBuildId };
+  }
+
   try {
     const { text: baseText } = await extractFromWord(basePath);
     const { text: reviewerText } = await extractFromWord(reviewerPath);
     const similarity = computeSimilarity(baseText, reviewerText);
-    return { matches: similarity > 0.5, similarity };
+    return { matches: similarity > 0.5, similarity, baseBuildId, reviewerBuildId };
   } catch {
-    return { matches: false, similarity: 0 };
+    return { matches: false, similarity: 0, baseBuildId, reviewerBuildId };
   }
 }
 
@@ -363,8 +377,9 @@ export function detectConflicts(allChanges: ReviewerChange[][]): ConflictDetecti
  * @param changes - Must be sorted by position
  */
 export function applyChanges(originalText: string, changes: ReviewerChange[]): string {
-  // Sort by position descending to apply from end to start
-  const sorted = [...changes].sort((a, b) => b.start - a.start);
+  // Sort by position descending to apply from end to start; at a shared
+  // start, the range goes first so an insertion there lands before it
+  const sorted = [...changes].sort((a, b) => b.start - a.start || b.end - a.end);
 
   let result = originalText;
 
@@ -381,6 +396,20 @@ export function applyChanges(originalText: string, changes: ReviewerChange[]): s
   return result;
 }
 
+/**
+ * Three-way merge of reviewed text with local edits made since both left
+ * the same base: each side is diffed against the base at sentence level and
+ * the changes are applied together.
+ * @returns Merged text, or null when both sides changed the same sentence
+ */
+export function mergeWithLocalEdits(baseText: string, reviewedText: string, localText: string): string | null {
+  const reviewed = extractChanges(baseText, reviewedText, 'reviewed');
+  const local = extractChanges(baseText, localText, 'local');
+  const { conflicts, nonConflicting } = detectConflicts([reviewed, local]);
+  if (conflicts.length > 0) return null;
+  return applyChanges(baseText, nonConflicting);
+}
+
 /**
  * Apply changes as CriticMarkup annotations
  */
@@ -558,7 +587,7 @@ async function mergeReviewerDocsCore(
   let merged = applyChangesAsAnnotations(baseText, nonConflicting);
 
   for (const comment of allComments) {
-    merged += `\n{>>${comment.reviewer}: ${comment.text}<<}`;
+    merged += `\n{>>${comment.reviewer}: ${comment.text}${comment.resolved ? ' [RESOLVED]' : ''}<<}`;
   }
 
   const stats = {
@@ -589,6 +618,19 @@ export async function mergeThreeWay(
   return { ...result, baseText };
 }
 
+/**
+ * Merge multiple Word documents against base text obtained without a base
+ * document, e.g. the section files at the commit a build came from
+ */
+export async function mergeFromBaseText(
+  baseText: string,
+  reviewerDocs: ReviewerDoc[],
+  options: MergeOptions = {}
+): Promise<MergeResult & { baseText: string }> {
+  const result = await mergeReviewerDocsCore(baseText, reviewerDocs, options);
+  return { ...result, baseText };
+}
+
 /**
  * Merge multiple Word documents against an original markdown file
  * Legacy function - use mergeThreeWay for proper three-way merge
@@ -0,0 +1,255 @@
+/**
+ * Built-in cross-reference numbering (pandoc-crossref fallback)
+ *
+ * When the pandoc-crossref filter is not installed, @fig:/@tbl:/@eq:/@sec:
+ * references and {#tbl:...}/{#eq:...} anchors would reach the output raw.
+ * This pass numbers figures, tables, equations and sections from the
+ * buildRegistry() registry and rewrites references to plain text before
+ * pandoc runs, following the `crossref:` titles and prefixes in rev.yaml.
+ */
+
+import type { Registry } from './types.js';
+import { replaceOutsideCode } from './utils.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/**
+ * Titles and prefixes, as in the `crossref:` block of rev.yaml. Prefixes are
+ * `[singular, plural]` or one string used for both.
+ */
+export interface NativeCrossrefOptions {
+  figureTitle?: string;
+  tableTitle?: string;
+  figPrefix?: string | string[];
+  tblPrefix?: string | string[];
+  eqnPrefix?: string | string[];
+  secPrefix?: string | string[];
+  /**
+   * LaTeX output (pdf/tex). LaTeX numbers figure and table captions itself,
+   * unlabeled ones included, so captions are left alone, figure and table
+   * references become `\ref{...}` and equations get `\tag{n}`.
+   */
+  latex?: boolean;
+}
+
+export interface NativeCrossrefResult {
+  text: string;
+  numbered: { figures: number; tables: number; equations: number };
+  /** References rewritten to display text */
+  resolved: number;
+  /** References whose label is not in the registry (rendered as "??") */
+  unresolved: string[];
+}
+
+type RefType = 'fig' | 'tbl' | 'eq' | 'sec';
+
+interface RefItem {
+  type: RefType;
+  label: string;
+  /** `-@fig:label` — number without prefix */
+  suppress: boolean;
+  raw: string;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** pandoc-crossref defaults for prefixes missing from the config */
+const DEFAULT_PREFIXES: Record<RefType, [string, string]> = {
+  fig: ['Fig.', 'Figs.'],
+  tbl: ['Table', 'Tables'],
+  eq: ['Eq.', 'Eqs.'],
+  sec: ['Section', 'Sections'],
+};
+
+const REF = String.raw`-?@(?:fig|tbl|eq|sec):[A-Za-z0-9_-]+`;
+
+/** [@fig:a; @fig:b] — a bracketed group made only of crossrefs */
+const REF_GROUP_PATTERN = new RegExp(String.raw`\[\s*(${REF}(?:\s*[;,]\s*${REF})*)\s*\](?![({[])`, 'gi');
+
+/** Bare @fig:label (not part of an email address or a citation key) */
+const BARE_REF_PATTERN = /(?<![\w@.-])(-?)@(fig|tbl|eq|sec):([A-Za-z0-9_-]+)/gi;
+
+/** Consecutive numbers collapse into a range from this many items on */
+const MIN_RANGE_LENGTH = 3;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function prefixPair(type: RefType, options: NativeCrossrefOptions): [string, string] {
+  const value =
+    type === 'fig' ? options.figPrefix
+      : type === 'tbl' ? options.tblPrefix
+        : type === 'eq' ? options.eqnPrefix
+          : options.secPrefix;
+  if (Array.isArray(value) && value.length > 0) {
+    return [value[0]!, value[1] ?? value[0]!];
+  }
+  if (typeof value === 'string') return [value, value];
+  return DEFAULT_PREFIXES[type];
+}
+
+function parseRefItem(raw: string): RefItem {
+  const m = raw.match(/^(-?)@(fig|tbl|eq|sec):([A-Za-z0-9_-]+)$/i)!;
+  return { type: m[2]!.toLowerCase() as RefType, label: m[3]!, suppress: m[1] === '-', raw };
+}
+
+/**
+ * Display number for a label ("3", "S2", "2.1"), or null when unknown
+ */
+function lookupNumber(registry: Registry, type: RefType, label: string): string | null {
+  if (type === 'sec') return registry.sections?.get(label)?.number ?? null;
+  const collection = type === 'fig' ? registry.figures : type === 'tbl' ? registry.tables : registry.equations;
+  const info = collection.get(label);
+  if (!info) return null;
+  return info.isSupp ? `S${info.num}` : `${info.num}`;
+}
+
+/**
+ * Join numbers, collapsing runs of consecutive plain integers ("1-3, 5")
+ */
+function joinNumbers(numbers: string[]): string {
+  const parts: string[] = [];
+  let i = 0;
+  while (i < numbers.length) {
+    let j = i;
+    while (
+      j + 1 < numbers.length &&
+      /^\d+$/.test(numbers[j]!) &&
+      /^\d+$/.test(numbers[j + 1]!) &&
+      Number(numbers[j + 1]) === Number(numbers[j]) + 1
+    ) {
+      j++;
+    }
+    if (j - i + 1 >= MIN_RANGE_LENGTH) {
+      parts.push(`${numbers[i]}-${numbers[j]}`);
+    } else {
+      parts.push(...numbers.slice(i, j + 1));
+    }
+    i = j + 1;
+  }
+  return parts.join(', ');
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Number captions and equations and rewrite references for a build without
+ * pandoc-crossref.
+ *
+ * - `@fig:map` → "Fig. 1"; `[@fig:a; @fig:b; @fig:c]` → "Figs. 1-3";
+ *   `-@fig:map` → "1". Unknown labels render as "??", like pandoc-crossref.
+ *   Frontmatter and code are left as written.
+ * - Figure and table captions gain "Figure 1: " / "Table 1: " (non-LaTeX
+ *   formats). LaTeX numbers its own captions, counting unlabeled ones too,
+ *   so there references to main-text figures and tables are `\ref{fig:map}`
+ *   and table captions get a `\label`.
+ * - `$$...$$ {#eq:label}` gets its number: `\tag{n}` in LaTeX, `\qquad (n)`
+ *   elsewhere.
+ * - `{#tbl:...}` attributes are dropped from table captions so they do not
+ *   print raw. Figure and heading ids stay, since pandoc reads them natively.
+ *
+ * @param markdown - Prepared markdown (frontmatter included)
+ * @param registry - Registry from buildRegistry() for the same content
+ * @param options - crossref titles/prefixes from BuildConfig
+ */
+export function applyNativeCrossref(
+  markdown: string,
+  registry: Registry,
+  options: NativeCrossrefOptions = {}
+): NativeCrossrefResult {
+  const numbered = { figures: 0, tables: 0, equations: 0 };
+  const unresolved: string[] = [];
+  let resolved = 0;
+
+  const render = (items: RefItem[]): string => {
+    // Consecutive items of the same type share one prefix: "Figs. 1, 2"
+    const groups: RefItem[][] = [];
+    for (const item of items) {
+      const last = groups[groups.length - 1];
+      if (last && last[0]!.type === item.type && last[0]!.suppress === item.suppress) {
+        last.push(item);
+      } else {
+        groups.push([item]);
+      }
+    }
+    return groups
+      .map((group) => {
+        const numbers = group.map((item) => {
+          const num = lookupNumber(registry, item.type, item.label);
+          if (num === null) {
+            unresolved.push(item.raw.replace(/^-/, ''));
+            return '??';
+          }
+          resolved++;
+          // Supplementary items live in the other document: keep "S1"
+          if (options.latex && (item.type === 'fig' || item.type === 'tbl') && !num.startsWith('S')) {
+            return `\\ref{${item.type}:${item.label}}`;
+          }
+          return num;
+        });
+        const joined = joinNumbers(numbers);
+        if (group[0]!.suppress) return joined;
+        const [singular, plural] = prefixPair(group[0]!.type, options);
+        return `${numbers.length > 1 ? plural : singular} ${joined}`;
+      })
+      .join(', ');
+  };
+
+  // 1. References: bracketed groups first, then bare references
+  let text = replaceOutsideCode(markdown, (chunk) =>
+    chunk
+      .replace(REF_GROUP_PATTERN, (_match, inner: string) => render(inner.split(/\s*[;,]\s*/).map(parseRefItem)))
+      .replace(BARE_REF_PATTERN, (match) => render([parseRefItem(match)])),
+  true);
+
+  // 2. Figure captions: ![caption](path){#fig:label ...}
+  if (!options.latex) {
+    const figureTitle = options.figureTitle ?? 'Figure';
+    text = replaceOutsideCode(text, (chunk) => chunk.replace(
+      /!\[((?:[^[\]]|\[[^\]]*\])*)\](\([^)]*\)\{#fig:([a-zA-Z0-9_-]+))/g,
+      (match, caption: string, rest: string, label: string) => {
+        const num = lookupNumber(registry, 'fig', label);
+        if (num === null) return match;
+        numbered.figures++;
+        return `![${figureTitle} ${num}: ${caption}]${rest}`;
+      }
+    ));
+  }
+
+  // 3. Table captions: "Table: caption {#tbl:label}" or ": caption {#tbl:label}"
+  const tableTitle = options.tableTitle ?? 'Table';
+  text = replaceOutsideCode(text, (chunk) => chunk.replace(
+    /^(Table:|:)([ \t]+)(.*?)[ \t]*\{#tbl:([a-zA-Z0-9_-]+)[^}]*\}[ \t]*$/gm,
+    (match, marker: string, space: string, caption: string, label: string) => {
+      const num = lookupNumber(registry, 'tbl', label);
+      if (num === null) return `${marker}${space}${caption}`;
+      numbered.tables++;
+      return options.latex
+        ? `${marker}${space}${caption} \\label{tbl:${label}}`
+        : `${marker}${space}${tableTitle} ${num}: ${caption}`;
+    }
+  ));
+
+  // 4. Display equations: $$ ... $$ {#eq:label}
+  text = replaceOutsideCode(text, (chunk) => chunk.replace(
+    /\$\$([\s\S]+?)\$\$[ \t]*\{#eq:([a-zA-Z0-9_-]+)[^}]*\}/g,
+    (match, body: string, label: string) => {
+      const num = lookupNumber(registry, 'eq', label);
+      if (num === null) return `$$${body}$$`;
+      numbered.equations++;
+      const trimmed = body.replace(/\s+$/, '');
+      const trailing = body.slice(trimmed.length);
+      const tag = options.latex ? ` \\tag{${num}}` : ` \\qquad (${num})`;
+      return `$$${trimmed}${tag}${trailing}$$`;
+    }
+  ));
+
+  return { text, numbered, resolved, unresolved };
+}
@@ -317,9 +317,9 @@ export type FlowItem =
   | { kind: 'commentStart'; id: string; xmlStart: number; xmlEnd: number }
   | { kind: 'commentEnd'; id: string; xmlStart: number; xmlEnd: number }
   | { kind: 'commentRef'; id: string }
-  | { kind: 'insStart' }
+  | { kind: 'insStart'; author?: string }
   | { kind: 'insEnd' }
-  | { kind: 'delStart' }
+  | { kind: 'delStart'; author?: string }
   | { kind: 'delEnd' };
 
 /**
@@ -378,10 +378,10 @@ export function walkBody(xml: string, ns?: NsContext): FlowItem[] {
           flow.push({ kind: 'runStart', xmlStart: tok.start, xmlContentStart: tok.end });
           break;
         case 'ins':
-          flow.push({ kind: 'insStart' });
+          flow.push({ kind: 'insStart', author: nsCtx.wmlAttr(tok, 'author') });
           break;
         case 'del':
-          flow.push({ kind: 'delStart' });
+          flow.push({ kind: 'delStart', author: nsCtx.wmlAttr(tok, 'author') });
           break;
         default:
           break;
@@ -645,6 +645,13 @@ export interface ExtractedComment {
   text: string;
   /** Parent comment id for a reply, resolved from commentsExtended.xml. */
   parentId?: string;
+  /** Word's durable comment id from commentsIds.xml, kept across saves. */
+  durableId?: string;
+  /**
+   * Done (resolved) state from commentsExtended.xml's `w15:done`; undefined
+   * when the docx records none for this comment.
+   */
+  done?: boolean;
 }
 
 /** First attribute with the given local name, regardless of namespace prefix. */
@@ -717,25 +724,50 @@ export function extractComments(zip: AdmZip): ExtractedComment[] {
     }
   }
 
-  // Resolve reply links from commentsExtended.xml (absent for non-Word sources).
+  // Resolve reply links and done flags from commentsExtended.xml (absent for
+  // non-Word sources).
   const extendedXml = readPartText(zip, 'word/commentsExtended.xml');
   if (extendedXml && paraIdToCommentId.size > 0) {
     const parentByCommentId = new Map<string, string>();
+    const doneByCommentId = new Map<string, boolean>();
     for (const tok of tokenizeXml(extendedXml)) {
       if (tok.kind !== 'selfclose' && tok.kind !== 'open') continue;
       if (tok.local !== 'commentEx') continue;
       const paraId = attrByLocal(tok, 'paraId');
+      const childId = paraId ? paraIdToCommentId.get(paraId) : undefined;
+      if (!childId) continue;
+      const done = attrByLocal(tok, 'done');
+      doneByCommentId.set(childId, done === '1' || done === 'true');
       const parentParaId = attrByLocal(tok, 'paraIdParent');
-      if (!paraId || !parentParaId) continue;
-      const childId = paraIdToCommentId.get(paraId);
-      const parentId = paraIdToCommentId.get(parentParaId);
-      if (childId && parentId && childId !== parentId) {
+      const parentId = parentParaId ? paraIdToCommentId.get(parentParaId) : undefined;
+      if (parentId && childId !== parentId) {
         parentByCommentId.set(childId, parentId);
       }
     }
     for (const c of comments) {
       const parent = parentByCommentId.get(c.id);
       if (parent) c.parentId = parent;
+      const done = doneByCommentId.get(c.id);
+      if (done !== undefined) c.done = done;
+    }
+  }
+
+  // Durable ids from commentsIds.xml (Word 2016+), keyed by the last
+  // paragraph's paraId; any of a comment's paraIds resolves it.
+  const idsXml = readPartText(zip, 'word/commentsIds.xml');
+  if (idsXml && paraIdToCommentId.size > 0) {
+    const durableByCommentId = new Map<string, string>();
+    for (const tok of tokenizeXml(idsXml)) {
+      if (tok.kind !== 'selfclose' && tok.kind !== 'open') continue;
+      if (tok.local !== 'commentId') continue;
+      const paraId = attrByLocal(tok, 'paraId');
+      const durableId = attrByLocal(tok, 'durableId');
+      const commentId = paraId ? paraIdToCommentId.get(paraId) : undefined;
+      if (commentId && durableId) durableByCommentId.set(commentId, durableId);
+    }
+    for (const c of comments) {
+      const durableId = durableByCommentId.get(c.id);
+      if (durableId) c.durableId = durableId;
     }
   }
 
@@ -0,0 +1,396 @@
+/**
+ * PDF page-limit and layout validation
+ *
+ * Grant proposals and letters journals limit pages rather than words. A
+ * profile's `requirements.pageLimit` sets a total, per-section limits and the
+ * expected paper size and margins:
+ *
+ *   pageLimit:
+ *     total: 15
+ *     exclude: [References]          # pages only these sections use don't count
+ *     sections:
+ *       Specific Aims: 1
+ *       Research Strategy: 12
+ *     paperSize: letter              # a4, letter or legal
+ *     margins: 0.5in                 # minimum; or { top, bottom, left, right }
+ *
+ * readPdfLayout reads the built PDF: page sizes and the outline bookmarks
+ * (pandoc's LaTeX output bookmarks every heading) with pdf-lib, and the text
+ * extent of each page with pdfjs-dist for margins. checkPageLimits compares
+ * that layout against a PageLimit.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  PDFDocument,
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRef,
+  PDFString,
+} from 'pdf-lib';
+import type { PDFObject } from 'pdf-lib';
+import type { PageLimit } from './types.js';
+import { headingMatches } from './word-count.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Paper sizes in PostScript points (width × height, portrait) */
+export const PAPER_SIZES: Record<string, [number, number]> = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+  legal: [612, 1008],
+};
+
+/** Points per unit for margin values */
+const UNIT_POINTS: Record<string, number> = { pt: 1, in: 72, cm: 72 / 2.54, mm: 72 / 25.4 };
+
+/** Rounding slack for paper sizes and margins, in points */
+const TOLERANCE = 1.5;
+
+/**
+ * A bookmark whose target lies this close to the top of its page starts the
+ * page, so the page before it is the previous section's last
+ */
+const PAGE_TOP_FRACTION = 0.85;
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface OutlineEntry {
+  title: string;
+  /** 0 for top-level bookmarks */
+  level: number;
+  /** 0-based page index */
+  page: number;
+  /** Target y coordinate, when the destination gives one */
+  top: number | null;
+}
+
+export interface PageMargins {
+  top: number;
+  bottom: number;
+  left: number;
+  right: number;
+}
+
+export interface PdfLayout {
+  pageSizes: { width: number; height: number }[];
+  outline: OutlineEntry[];
+  /** Text-free border of each page in points; null for pages without text */
+  margins: (PageMargins | null)[];
+}
+
+export interface SectionPages {
+  /** PageLimit.sections key */
+  name: string;
+  /** Matching bookmark title, or null when no bookmark matched */
+  title: string | null;
+  pages: number;
+  limit: number;
+}
+
+export interface PageLimitResult {
+  errors: string[];
+  warnings: string[];
+  pages: number;
+  /** Pages counted against `total` (pages only excluded sections use are left out) */
+  countedPages: number;
+  sections: SectionPages[];
+  /** Smallest margin on each side over all pages, in points */
+  minMargins: PageMargins | null;
+}
+
+// =============================================================================
+// Reading
+// =============================================================================
+
+function decodeTitle(value: PDFObject | undefined): string {
+  if (value instanceof PDFString || value instanceof PDFHexString) return value.decodeText().trim();
+  return '';
+}
+
+/**
+ * Look up a named destination in the catalog's /Dests dict or /Names tree
+ */
+function lookupNamedDest(doc: PDFDocument, name: string): PDFObject | undefined {
+  const catalog = doc.catalog;
+  const dests = catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  const direct = dests?.lookup(PDFName.of(name));
+  if (direct) return direct;
+
+  const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const visited = new Set<PDFDict>();
+  const search = (node: PDFDict | undefined): PDFObject | undefined => {
+    if (!node || visited.has(node)) return undefined;
+    visited.add(node);
+    const pairs = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (pairs) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) {
+        if (decodeTitle(pairs.lookup(i)) === name) return pairs.lookup(i + 1);
+      }
+    }
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    for (let i = 0; kids && i < kids.size(); i++) {
+      const found = search(kids.lookupMaybe(i, PDFDict));
+      if (found) return found;
+    }
+    return undefined;
+  };
+  return search(names?.lookupMaybe(PDFName.of('Dests'), PDFDict));
+}
+
+/**
+ * Resolve an outline item's /Dest or GoTo action to a page index and top
+ */
+function resolveDestination(doc: PDFDocument, item: PDFDict, pageRefs: PDFRef[]): { page: number; top: number | null } | null {
+  let dest: PDFObject | undefined = item.lookup(PDFName.of('Dest'));
+  if (!dest) {
+    const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+    dest = action?.lookup(PDFName.of('D'));
+  }
+  if (dest instanceof PDFName) dest = lookupNamedDest(doc, dest.decodeText());
+  else if (dest instanceof PDFString || dest instanceof PDFHexString) dest = lookupNamedDest(doc, dest.decodeText());
+  if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+  if (!(dest instanceof PDFArray)) return null;
+
+  const target = dest.get(0);
+  const page = target instanceof PDFRef ? pageRefs.findIndex((ref) => ref === target || ref.toString() === target.toString()) : -1;
+  if (page < 0) return null;
+
+  // [page /XYZ left top zoom] and [page /FitH top] carry the target's height
+  const kind = dest.lookup(1);
+  const topIndex = kind instanceof PDFName && kind.decodeText() === 'XYZ' ? 3 : 2;
+  const top = dest.lookup(topIndex);
+  return { page, top: top instanceof PDFNumber ? top.asNumber() : null };
+}
+
+/**
+ * Read the outline (bookmarks) of a PDF in document order
+ */
+export function readOutline(doc: PDFDocument): OutlineEntry[] {
+  const entries: OutlineEntry[] = [];
+  const pageRefs = doc.getPages().map((page) => page.ref);
+  const outlines = doc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  const visited = new Set<PDFDict>();
+
+  const walk = (first: PDFDict | undefined, level: number): void => {
+    for (let item = first; item && !visited.has(item); item = item.lookupMaybe(PDFName.of('Next'), PDFDict)) {
+      visited.add(item);
+      const target = resolveDestination(doc, item, pageRefs);
+      if (target) entries.push({ title: decodeTitle(item.lookup(PDFName.of('Title'))), level, ...target });
+      walk(item.lookupMaybe(PDFName.of('First'), PDFDict), level + 1);
+    }
+  };
+  walk(outlines?.lookupMaybe(PDFName.of('First'), PDFDict), 0);
+
+  return entries;
+}
+
+/**
+ * Text-free border of each page, from pdfjs-dist text positions. Items that
+ * are only digits (page and line numbers) may sit in the margins and are
+ * skipped.
+ */
+async function measureMargins(data: Uint8Array): Promise<(PageMargins | null)[]> {
+  // Load pdfjs-dist dynamically (requires DOMMatrix, not available in Node 18)
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({ data, useSystemFonts: true }).promise;
+  const margins: (PageMargins | null)[] = [];
+
+  try {
+    for (let i = 0; i < pdf.numPages; i++) {
+      const page = await pdf.getPage(i + 1);
+      // Text positions are in unrotated page space, like page.view
+      const [x0 = 0, y0 = 0, x1 = 0, y1 = 0] = page.view as number[];
+      const width = x1 - x0;
+      const height = y1 - y0;
+      let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+
+      const content = await page.getTextContent();
+      for (const item of content.items as { str?: string; transform?: number[]; width?: number; height?: number }[]) {
+        const text = item.str?.trim();
+        if (!text || /^\d+$/.test(text) || !item.transform) continue;
+        const x = item.transform[4]! - x0;
+        const y = item.transform[5]! - y0;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x + (item.width ?? 0));
+        maxY = Math.max(maxY, y + (item.height ?? 0));
+      }
+      margins.push(minX === Infinity ? null : { top: height - maxY, bottom: minY, left: minX, right: width - maxX });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return margins;
+}
+
+/**
+ * Read page sizes, bookmarks and (optionally) text margins of a PDF
+ */
+export async function readPdfLayout(pdfPath: string, options: { margins?: boolean } = {}): Promise<PdfLayout> {
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const doc = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  const pageSizes = doc.getPages().map((page) => {
+    const { width, height } = page.getSize();
+    return page.getRotation().angle % 180 === 0 ? { width, height } : { width: height, height: width };
+  });
+
+  return {
+    pageSizes,
+    outline: readOutline(doc),
+    margins: options.margins ? await measureMargins(data) : [],
+  };
+}
+
+// =============================================================================
+// Checking
+// =============================================================================
+
+/**
+ * Parse a margin such as `2.5cm`, `1in`, `72pt` or a number of points
+ */
+export function parseLength(value: string | number): number {
+  if (typeof value === 'number') return value;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(pt|in|cm|mm)?$/);
+  if (!m) throw new Error(`Invalid length: ${value} (use e.g. 2.5cm, 1in, 20mm or 72pt)`);
+  return Number(m[1]) * UNIT_POINTS[m[2] ?? 'pt']!;
+}
+
+function formatLength(points: number): string {
+  return `${(points / UNIT_POINTS.cm!).toFixed(2)}cm`;
+}
+
+/**
+ * Pages each bookmark spans: from its page to the page before the next
+ * bookmark at the same or a higher level, or that bookmark's page when it
+ * starts partway down (a shared page counts for both sections)
+ */
+export function bookmarkPages(layout: PdfLayout): { entry: OutlineEntry; first: number; last: number }[] {
+  const lastPage = layout.pageSizes.length - 1;
+  return layout.outline.map((entry, i) => {
+    const next = layout.outline.slice(i + 1).find((other) => other.level <= entry.level);
+    if (!next) return { entry, first: entry.page, last: lastPage };
+    const height = layout.pageSizes[next.page]?.height ?? 0;
+    const startsPage = next.top === null || next.top >= height * PAGE_TOP_FRACTION;
+    return { entry, first: entry.page, last: Math.max(entry.page, startsPage ? next.page - 1 : next.page) };
+  });
+}
+
+function checkPaperSize(layout: PdfLayout, paperSize: string, errors: string[]): void {
+  const expected = PAPER_SIZES[paperSize.toLowerCase()];
+  if (!expected) {
+    errors.push(`Unknown paper size: ${paperSize} (use ${Object.keys(PAPER_SIZES).join(', ')})`);
+    return;
+  }
+  const fits = ({ width, height }: { width: number; height: number }) =>
+    (Math.abs(width - expected[0]) <= TOLERANCE && Math.abs(height - expected[1]) <= TOLERANCE) ||
+    (Math.abs(width - expected[1]) <= TOLERANCE && Math.abs(height - expected[0]) <= TOLERANCE);
+  const wrong = layout.pageSizes.map((size, i) => ({ size, page: i + 1 })).filter(({ size }) => !fits(size));
+  if (wrong.length > 0) {
+    const { size } = wrong[0]!;
+    const pages = wrong.map((w) => w.page);
+    errors.push(
+      `Paper size is not ${paperSize} on ${pages.length === layout.pageSizes.length ? 'any page' : `page(s) ${pages.join(', ')}`} ` +
+      `(${Math.round(size.width)}×${Math.round(size.height)}pt)`
+    );
+  }
+}
+
+function checkMargins(layout: PdfLayout, margins: NonNullable<PageLimit['margins']>, errors: string[]): PageMargins | null {
+  const sides = ['top', 'bottom', 'left', 'right'] as const;
+  const required = typeof margins === 'object'
+    ? Object.fromEntries(sides.map((side) => [side, margins[side] === undefined ? 0 : parseLength(margins[side]!)]))
+    : Object.fromEntries(sides.map((side) => [side, parseLength(margins)]));
+
+  let smallest: PageMargins | null = null;
+  for (const page of layout.margins) {
+    if (!page) continue;
+    smallest = smallest
+      ? Object.fromEntries(sides.map((side) => [side, Math.min(smallest![side], page[side])])) as unknown as PageMargins
+      : { ...page };
+  }
+  if (!smallest) return null;
+
+  for (const side of sides) {
+    const min = required[side]!;
+    if (min > 0 && smallest[side] < min - TOLERANCE) {
+      const pages = layout.margins.flatMap((m, i) => (m && m[side] < min - TOLERANCE ? [i + 1] : []));
+      errors.push(
+        `${side[0]!.toUpperCase()}${side.slice(1)} margin ${formatLength(smallest[side])} is below ${formatLength(min)} ` +
+        `on page(s) ${pages.slice(0, 10).join(', ')}${pages.length > 10 ? ', ...' : ''}`
+      );
+    }
+  }
+  return smallest;
+}
+
+/**
+ * Compare a PDF layout against page limits
+ */
+export function checkPageLimits(layout: PdfLayout, limit: PageLimit): PageLimitResult {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const pages = layout.pageSizes.length;
+  const spans = bookmarkPages(layout);
+
+  // A page leaves the total only when every bookmark on it is excluded
+  let countedPages = pages;
+  if (limit.exclude?.length) {
+    const owners: boolean[][] = Array.from({ length: pages }, () => []);
+    for (const { entry, first, last } of spans) {
+      const excluded = limit.exclude.some((name) => headingMatches(entry.title, name));
+      for (let p = first; p <= last; p++) owners[p]!.push(excluded);
+    }
+    countedPages = owners.filter((flags) => flags.length === 0 || flags.some((excluded) => !excluded)).length;
+  }
+  if (limit.total && countedPages > limit.total) {
+    errors.push(`PDF has ${countedPages} page(s), over the ${limit.total}-page limit by ${countedPages - limit.total}`);
+  }
+
+  const sections: SectionPages[] = [];
+  for (const [name, max] of Object.entries(limit.sections ?? {})) {
+    const span = spans.find(({ entry }) => headingMatches(entry.title, name));
+    if (!span) {
+      warnings.push(`No PDF bookmark matches section "${name}"; its page limit was not checked`);
+      sections.push({ name, title: null, pages: 0, limit: max });
+      continue;
+    }
+    const count = span.last - span.first + 1;
+    sections.push({ name, title: span.entry.title, pages: count, limit: max });
+    if (count > max) {
+      errors.push(`${span.entry.title} spans ${count} page(s) (pages ${span.first + 1}-${span.last + 1}), over its ${max}-page limit`);
+    }
+  }
+  if (limit.sections && Object.keys(limit.sections).length > 0 && layout.outline.length === 0) {
+    warnings.push('PDF has no bookmarks; build it with rev build pdf so sections can be found');
+  }
+
+  if (limit.paperSize) checkPaperSize(layout, limit.paperSize, errors);
+  const minMargins = limit.margins !== undefined ? checkMargins(layout, limit.margins, errors) : null;
+
+  return { errors, warnings, pages, countedPages, sections, minMargins };
+}
+
+/**
+ * Read a built PDF and check it against page limits. Throws with the file
+ * name when the PDF cannot be read.
+ */
+export async function validatePdfPageLimits(pdfPath: string, limit: PageLimit): Promise<PageLimitResult> {
+  let layout: PdfLayout;
+  try {
+    layout = await readPdfLayout(pdfPath, { margins: limit.margins !== undefined });
+  } catch (err) {
+    throw new Error(`Cannot read ${path.basename(pdfPath)}: ${(err as Error).message}`);
+  }
+  return checkPageLimits(layout, limit);
+}
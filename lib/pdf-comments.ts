@@ -5,6 +5,7 @@
  */
 
 import { escapeLatex } from './utils.js';
+import { stripChangeAuthors } from './change-author.js';
 
 /**
  * LaTeX preamble for margin comments
@@ -83,8 +84,9 @@ export function convertCommentsToMarginNotes(
   let commentCount = 0;
 
   // Pattern for CriticMarkup comments: {>>author: text<<} or {>>text<<}
-  // Also handle resolved comments: {>>✓ author: text<<}
-  const commentPattern = /\{>>(✓\s*)?([^<]+)<<\}/g;
+  // Also handle resolved comments: {>>✓ author: text<<}. A stable `[c:id]`
+  // prefix is dropped.
+  const commentPattern = /\{>>(?:\[c:[0-9a-f]{1,8}\]\s*)?(✓\s*)?([^<]+)<<\}/gi;
 
   const converted = markdown.replace(commentPattern, (match, resolved, content) => {
     // Skip resolved comments if requested
@@ -119,6 +121,23 @@ export function convertCommentsToMarginNotes(
   };
 }
 
+/**
+ * Options for track changes conversion
+ */
+export interface TrackChangesOptions {
+  /**
+   * Keep markdown inside changes (emphasis, citations, math, crossrefs)
+   * instead of escaping it as plain text: the styling is opened and closed
+   * by raw LaTeX spans so pandoc still converts what lies between them.
+   */
+  keepMarkdown?: boolean;
+  /**
+   * color: green insertions, red strikeout (default).
+   * underline: blue underlined insertions, red strikeout, as latexdiff does.
+   */
+  style?: 'color' | 'underline';
+}
+
 /**
  * Result of track changes conversion
  */
@@ -127,6 +146,11 @@ export interface TrackChangesResult {
   preamble: string;
 }
 
+/** Pandoc raw LaTeX inline */
+function rawLatex(tex: string): string {
+  return `\`${tex}\`{=latex}`;
+}
+
 /**
  * Convert track changes to visible LaTeX formatting
  * {++inserted++} -> \textcolor{green}{inserted}
@@ -134,27 +158,52 @@ export interface TrackChangesResult {
  * {~~old~>new~~} -> \textcolor{red}{\sout{old}}\textcolor{green}{new}
  *
  * @param markdown - Markdown with track changes
+ * @param options - { keepMarkdown: boolean, style: 'color' | 'underline' }
  * @returns Converted markdown and preamble
  */
-export function convertTrackChangesToLatex(markdown: string): TrackChangesResult {
-  let result = markdown;
-
-  // Insertions: {++text++} -> green text
-  result = result.replace(/\{\+\+([^+]+)\+\+\}/g, (match, text) => {
-    return `\\textcolor{green}{${escapeLatex(text)}}`;
-  });
-
-  // Deletions: {--text--} -> red strikethrough
-  result = result.replace(/\{--([^-]+)--\}/g, (match, text) => {
-    return `\\textcolor{red}{\\sout{${escapeLatex(text)}}}`;
-  });
-
-  // Substitutions: {~~old~>new~~} -> red strikethrough + green new
-  result = result.replace(/\{~~([^~]+)~>([^~]+)~~\}/g, (match, oldText, newText) => {
-    return `\\textcolor{red}{\\sout{${escapeLatex(oldText)}}}\\textcolor{green}{${escapeLatex(newText)}}`;
-  });
+export function convertTrackChangesToLatex(markdown: string, options: TrackChangesOptions = {}): TrackChangesResult {
+  const { keepMarkdown = false, style = 'color' } = options;
+  let result = stripChangeAuthors(markdown);
+
+  const insertColor = style === 'underline' ? 'insertblue' : 'green';
+  const deleteColor = style === 'underline' ? 'deletered' : 'red';
+  const insertOpen = style === 'underline' ? `\\textcolor{${insertColor}}{\\uline{` : `\\textcolor{${insertColor}}{`;
+  const insertClose = style === 'underline' ? '}}' : '}';
+  const deleteOpen = `\\textcolor{${deleteColor}}{\\sout{`;
+  const deleteClose = '}}';
+
+  if (keepMarkdown) {
+    const insert = (text: string) => rawLatex(insertOpen) + text + rawLatex(insertClose);
+    const remove = (text: string) => rawLatex(deleteOpen) + text + rawLatex(deleteClose);
+    result = result.replace(/\{\+\+([\s\S]+?)\+\+\}/g, (match, text) => insert(text));
+    result = result.replace(/\{--([\s\S]+?)--\}/g, (match, text) => remove(text));
+    result = result.replace(/\{~~([\s\S]+?)~>([\s\S]+?)~~\}/g, (match, oldText, newText) => remove(oldText) + insert(newText));
+  } else {
+    // Insertions: {++text++} -> green text
+    result = result.replace(/\{\+\+([^+]+)\+\+\}/g, (match, text) => {
+      return `${insertOpen}${escapeLatex(text)}${insertClose}`;
+    });
+
+    // Deletions: {--text--} -> red strikethrough
+    result = result.replace(/\{--([^-]+)--\}/g, (match, text) => {
+      return `${deleteOpen}${escapeLatex(text)}${deleteClose}`;
+    });
+
+    // Substitutions: {~~old~>new~~} -> red strikethrough + green new
+    result = result.replace(/\{~~([^~]+)~>([^~]+)~~\}/g, (match, oldText, newText) => {
+      return `${deleteOpen}${escapeLatex(oldText)}${deleteClose}${insertOpen}${escapeLatex(newText)}${insertClose}`;
+    });
+  }
 
-  const preamble = `
+  const preamble = style === 'underline'
+    ? `
+% Track changes visualization
+\\usepackage{xcolor}
+\\usepackage[normalem]{ulem}
+\\definecolor{insertblue}{RGB}{37, 99, 235}
+\\definecolor{deletered}{RGB}{239, 68, 68}
+`
+    : `
 % Track changes visualization
 \\usepackage{xcolor}
 \\usepackage[normalem]{ulem}
@@ -198,6 +247,7 @@ export function getCombinedPreamble(options: PreambleOptions = {}): string {
     }
     preamble += `
 \\definecolor{insertgreen}{RGB}{34, 197, 94}
+\\definecolor{insertblue}{RGB}{37, 99, 235}
 \\definecolor{deletered}{RGB}{239, 68, 68}
 `;
   }
@@ -10,12 +10,14 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import * as yaml from 'yaml';
+import type { PageLimit, WordCountRules } from './types.js';
 
 /**
  * Journal profile requirements
  */
 interface ProfileRequirements {
-  wordLimit?: Record<string, number | null>;
+  wordLimit?: { main?: number | null; abstract?: number | null; counting?: WordCountRules; [key: string]: unknown };
+  pageLimit?: PageLimit | null;
   references?: Record<string, unknown>;
   figures?: Record<string, unknown>;
   sections?: Record<string, unknown>;
@@ -172,12 +174,14 @@ function normalizeProfile(profile: Profile): NormalizedProfile {
     custom: true,
     requirements: {
       wordLimit: profile.requirements?.wordLimit || (profile as { wordLimit?: Record<string, number> }).wordLimit || {},
+      pageLimit: profile.requirements?.pageLimit || (profile as { pageLimit?: PageLimit }).pageLimit || null,
       references: profile.requirements?.references || (profile as { references?: Record<string, unknown> }).references || {},
       figures: profile.requirements?.figures || (profile as { figures?: Record<string, unknown> }).figures || {},
       sections: profile.requirements?.sections || (profile as { sections?: Record<string, unknown> }).sections || {},
       authors: profile.requirements?.authors || (profile as { authors?: Record<string, unknown> }).authors || {},
       keywords: profile.requirements?.keywords || (profile as { keywords?: { min?: number; max?: number } }).keywords || null,
       dataAvailability: profile.requirements?.dataAvailability || (profile as { dataAvailability?: boolean }).dataAvailability || false,
+      contributions: profile.requirements?.contributions || (profile as { contributions?: boolean }).contributions || false,
       ...profile.requirements,
     },
   };
@@ -235,6 +239,21 @@ wordLimit:
   main: 8000      # null for no limit
   abstract: 300
   title: null     # characters
+  counting:       # what the main limit counts
+    exclude: [Abstract, Methods, References]
+    captions: false
+    tables: false
+    footnotes: true
+    citations: false
+
+# Page limits, checked against the built PDF (remove if none)
+# pageLimit:
+#   total: 15
+#   exclude: [References]
+#   sections:
+#     Specific Aims: 1
+#   paperSize: letter   # a4, letter or legal
+#   margins: 0.5in
 
 # Reference requirements
 references:
@@ -263,6 +282,7 @@ keywords:
 
 # Other requirements
 dataAvailability: true
+contributions: true     # Author contributions (CRediT roles) required
 highlights: false
 graphicalAbstract: false
 
@@ -274,11 +294,17 @@ graphicalAbstract: false
 #     geometry: margin=1in
 #     linestretch: 1.5
 #     numbersections: false
+#     lineNumbers: continuous  # or page (restart on every page)
 #   docx:
 #     reference: null       # Path to reference .docx template
+#     lineNumbers: continuous
 #   crossref:
 #     figPrefix: [Fig., Figs.]
 #     tblPrefix: [Table, Tables]
+#   layout: figures-at-end  # Figures and tables after the references
+#   contributions:          # Style of {{contributions}}
+#     names: initials       # or full
+#     groupBy: role         # or author
 `;
 }
 
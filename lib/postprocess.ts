@@ -2,7 +2,7 @@
  * Postprocess scripting for docrev
  *
  * Allows users to run custom scripts after output generation.
- * Supports shell scripts, PowerShell, Python, and Node.js.
+ * Supports shell scripts, PowerShell, Python, R, and Node.js.
  */
 
 import * as fs from 'fs';
@@ -34,6 +34,47 @@ interface PostprocessResult {
   error?: string;
 }
 
+/**
+ * How to launch a script file: interpreter, arguments and whether it needs a
+ * shell, chosen by extension
+ */
+export interface ScriptCommand {
+  command: string;
+  args: string[];
+  useShell: boolean;
+}
+
+/**
+ * Choose the interpreter for a script by its extension (.ps1, .py, .R,
+ * .js/.mjs; anything else runs with bash)
+ */
+export function scriptCommand(scriptPath: string): ScriptCommand {
+  const ext = path.extname(scriptPath).toLowerCase();
+  const isWindows = process.platform === 'win32';
+
+  if (ext === '.ps1') {
+    return { command: 'powershell', args: ['-ExecutionPolicy', 'Bypass', '-File', scriptPath], useShell: false };
+  }
+  if (ext === '.py') {
+    // Python needs shell on Windows for PATH resolution; wrap the path in
+    // quotes there to handle spaces
+    return {
+      command: isWindows ? 'python' : 'python3',
+      args: [isWindows ? `"${scriptPath}"` : scriptPath],
+      useShell: isWindows,
+    };
+  }
+  if (ext === '.r') {
+    return { command: 'Rscript', args: [scriptPath], useShell: false };
+  }
+  if (ext === '.js' || ext === '.mjs') {
+    // Use the same Node that's running this script
+    return { command: process.execPath, args: [scriptPath], useShell: false };
+  }
+  // Assume shell script (.sh or no extension)
+  return { command: isWindows ? 'bash' : '/bin/bash', args: [scriptPath], useShell: false };
+}
+
 /**
  * Execute a script with environment variables
  */
@@ -43,34 +84,8 @@ export async function executeScript(
   options: ExecutionOptions = {}
 ): Promise<ExecutionResult> {
   return new Promise((resolve) => {
-    const ext = path.extname(scriptPath).toLowerCase();
     const isWindows = process.platform === 'win32';
-    let command: string;
-    let args: string[];
-    let useShell: boolean;
-
-    // Determine how to run based on extension
-    if (ext === '.ps1') {
-      command = 'powershell';
-      args = ['-ExecutionPolicy', 'Bypass', '-File', scriptPath];
-      useShell = false;
-    } else if (ext === '.py') {
-      // Python needs shell on Windows for PATH resolution
-      command = isWindows ? 'python' : 'python3';
-      // On Windows, wrap path in quotes to handle spaces
-      args = [isWindows ? `"${scriptPath}"` : scriptPath];
-      useShell = isWindows;
-    } else if (ext === '.js' || ext === '.mjs') {
-      // Node.js is typically in PATH and works without shell
-      command = process.execPath; // Use the same Node that's running this script
-      args = [scriptPath];
-      useShell = false;
-    } else {
-      // Assume shell script (.sh or no extension)
-      command = isWindows ? 'bash' : '/bin/bash';
-      args = [scriptPath];
-      useShell = false;
-    }
+    const { command, args, useShell } = scriptCommand(scriptPath);
 
     const proc = spawn(command, args, {
       env: { ...process.env, ...env },
@@ -0,0 +1,439 @@
+/**
+ * Prebuild steps
+ *
+ * `prebuild:` in rev.yaml lists commands that produce build inputs, such as
+ * figures rendered by an R script or a refreshed results.json:
+ *
+ *   prebuild:
+ *     - name: figures
+ *       run: Rscript analysis/figures.R
+ *       inputs: [analysis/figures.R, data/*.csv]
+ *       outputs: [figures/abundance.png, figures/trend.png]
+ *     - name: results
+ *       run: scripts/summarise.py
+ *       inputs: [data/*.csv]
+ *       outputs: [results.json]
+ *
+ * Steps run before sections are combined, make-style: a step runs when one
+ * of its outputs is missing or when its command or the contents of its
+ * inputs changed since its last successful run (hashes in
+ * .rev/prebuild-state.json). A step that reads another step's outputs runs
+ * after it, whatever the order in rev.yaml. Each run's output goes to
+ * .rev/logs/<name>.log, and the first failing step stops the build.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { spawn } from 'child_process';
+import { collectInputHashes, computeCacheKey } from './build-cache.js';
+import type { BuildInputHashes } from './build-cache.js';
+import { getBuildSuggestions } from './errors.js';
+import { scriptCommand } from './postprocess.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Last successful run per step, relative to the project directory */
+const STATE_FILE = path.join('.rev', 'prebuild-state.json');
+
+/** Step logs, relative to the project directory */
+export const PREBUILD_LOG_DIR = path.join('.rev', 'logs');
+
+/** Bump when the state layout changes so every step reruns once */
+const STATE_VERSION = 1;
+
+/** Directories never searched when expanding input globs */
+const GLOB_SKIP_DIRS = new Set(['node_modules', '.git', '.rev']);
+
+/** stderr lines quoted in a failing step's error */
+const ERROR_TAIL_LINES = 5;
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface PrebuildStep {
+  /** Used in messages and the log filename. Default: derived from `run`. */
+  name?: string;
+  /** Shell command, or a script path run by its interpreter (see scriptCommand) */
+  run: string;
+  /** Files or globs (`*`, `**`, `?`) the step reads, relative to the project */
+  inputs?: string[];
+  /** Files the step writes, relative to the project */
+  outputs?: string[];
+}
+
+/** A validated step with its name filled in and paths normalized */
+export interface ResolvedPrebuildStep {
+  name: string;
+  run: string;
+  inputs: string[];
+  outputs: string[];
+}
+
+export interface PrebuildOptions {
+  /** Echo step output to the terminal as well as the log */
+  verbose?: boolean;
+  signal?: AbortSignal;
+  /** Passed to steps as CONFIG_PATH */
+  configPath?: string | null;
+  /** Called before a step runs (not for steps that are up to date) */
+  onStep?: (name: string) => void;
+}
+
+export interface PrebuildStepResult {
+  name: string;
+  /** False when the step was up to date and skipped */
+  ran: boolean;
+  /** Why the step ran: first run, inputs changed, a missing output, ... */
+  reason?: string;
+  /** Log file relative to the project directory */
+  logPath?: string;
+  durationMs?: number;
+}
+
+interface StepState {
+  key: string;
+  ranAt: string;
+}
+
+interface StateData {
+  version: number;
+  steps: Record<string, StepState>;
+}
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/** Project-relative path with forward slashes and no leading ./ */
+function normalizePath(file: string): string {
+  return path.posix.normalize(file.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+function defaultStepName(run: string): string {
+  return run.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'step';
+}
+
+/**
+ * Validate the `prebuild:` setting. Throws on malformed entries, duplicate
+ * names and steps that depend on each other in a cycle; returns the steps in
+ * the order they run.
+ */
+export function normalizePrebuildSteps(value: unknown): ResolvedPrebuildStep[] {
+  if (value == null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error('prebuild must be a list of steps');
+  }
+
+  const steps: ResolvedPrebuildStep[] = [];
+  const names = new Set<string>();
+  value.forEach((entry, i) => {
+    const step = entry as Partial<PrebuildStep> | null;
+    if (!step || typeof step !== 'object' || typeof step.run !== 'string' || !step.run.trim()) {
+      throw new Error(`prebuild[${i}] needs a run command`);
+    }
+    for (const key of ['inputs', 'outputs'] as const) {
+      const list = step[key];
+      if (list !== undefined && (!Array.isArray(list) || list.some((p) => typeof p !== 'string'))) {
+        throw new Error(`prebuild[${i}].${key} must be a list of paths`);
+      }
+    }
+    const outputs = (step.outputs ?? []).map(normalizePath);
+    const globbed = outputs.find((p) => /[*?]/.test(p));
+    if (globbed) {
+      throw new Error(`prebuild[${i}].outputs must name files, not patterns: ${globbed}`);
+    }
+
+    const name = step.name ? String(step.name) : defaultStepName(step.run);
+    if (names.has(name)) {
+      throw new Error(`Duplicate prebuild step name: ${name}`);
+    }
+    names.add(name);
+    steps.push({ name, run: step.run.trim(), inputs: (step.inputs ?? []).map(normalizePath), outputs });
+  });
+
+  return orderPrebuildSteps(steps);
+}
+
+/**
+ * Sort steps so that each runs after the steps whose outputs it reads.
+ * Independent steps keep their rev.yaml order.
+ */
+export function orderPrebuildSteps(steps: ResolvedPrebuildStep[]): ResolvedPrebuildStep[] {
+  const dependsOn = steps.map((step) =>
+    steps.filter((other) => other !== step && other.outputs.some((out) => step.inputs.some((input) => matchesGlob(input, out))))
+  );
+
+  const ordered: ResolvedPrebuildStep[] = [];
+  const remaining = new Set(steps);
+  while (remaining.size > 0) {
+    const next = steps.find((step, i) => remaining.has(step) && dependsOn[i]!.every((dep) => !remaining.has(dep)));
+    if (!next) {
+      const cycle = [...remaining].map((step) => step.name).join(', ');
+      throw new Error(`prebuild steps read each other's outputs in a cycle: ${cycle}`);
+    }
+    ordered.push(next);
+    remaining.delete(next);
+  }
+  return ordered;
+}
+
+/**
+ * Output files declared by `prebuild:` steps. Lenient: malformed settings
+ * yield nothing here and are reported when the steps run.
+ */
+export function prebuildOutputs(value: unknown): string[] {
+  try {
+    return normalizePrebuildSteps(value).flatMap((step) => step.outputs);
+  } catch {
+    return [];
+  }
+}
+
+// =============================================================================
+// Globs
+// =============================================================================
+
+function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i]!;
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // `**/` spans zero or more directories
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * True when a project-relative file matches an input path or glob
+ */
+export function matchesGlob(pattern: string, file: string): boolean {
+  return globToRegExp(normalizePath(pattern)).test(normalizePath(file));
+}
+
+/**
+ * Expand input globs to the project files they match, sorted. Plain paths
+ * are kept even when missing, so that creating them later counts as a
+ * change.
+ */
+export function expandInputs(directory: string, patterns: string[]): string[] {
+  const files = new Set<string>();
+  for (const raw of patterns) {
+    const pattern = normalizePath(raw);
+    if (!/[*?]/.test(pattern)) {
+      files.add(pattern);
+      continue;
+    }
+
+    // Only search below the directories named before the first wildcard
+    const segments = pattern.split('/');
+    const fixed = segments.slice(0, segments.findIndex((s) => /[*?]/.test(s))).join('/');
+    const matcher = globToRegExp(pattern);
+    const walk = (rel: string): void => {
+      let entries: fs.Dirent[];
+      try {
+        entries = fs.readdirSync(path.join(directory, rel), { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const child = rel ? `${rel}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (!GLOB_SKIP_DIRS.has(entry.name)) walk(child);
+        } else if (matcher.test(child)) {
+          files.add(child);
+        }
+      }
+    };
+    walk(fixed);
+  }
+  return [...files].sort();
+}
+
+// =============================================================================
+// State
+// =============================================================================
+
+function readState(directory: string): StateData {
+  const statePath = path.join(directory, STATE_FILE);
+  try {
+    if (fs.existsSync(statePath)) {
+      const data = JSON.parse(fs.readFileSync(statePath, 'utf-8')) as StateData;
+      if (data.version === STATE_VERSION && data.steps) return data;
+    }
+  } catch (e) {
+    if (process.env.DEBUG) {
+      console.warn('prebuild: Failed to read state:', (e as Error).message);
+    }
+  }
+  return { version: STATE_VERSION, steps: {} };
+}
+
+function writeState(directory: string, data: StateData): void {
+  const statePath = path.join(directory, STATE_FILE);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * Key for a step's last run: its command plus the hash of every input
+ */
+function stepKey(step: ResolvedPrebuildStep, inputs: BuildInputHashes): string {
+  return computeCacheKey(`prebuild:${step.name}`, inputs, { run: step.run });
+}
+
+/**
+ * Why a step has to run, or null when it is up to date
+ */
+function staleReason(directory: string, step: ResolvedPrebuildStep, key: string, previous: StepState | undefined): string | null {
+  if (step.inputs.length > 0 && !previous) return 'first run';
+  const missing = step.outputs.find((out) => !fs.existsSync(path.join(directory, out)));
+  if (missing) return `missing ${missing}`;
+  if (step.inputs.length === 0) {
+    // Nothing to compare against: outputs alone decide, and a step with
+    // neither inputs nor outputs runs on every build
+    return step.outputs.length === 0 ? 'no inputs or outputs declared' : null;
+  }
+  if (previous!.key !== key) return 'inputs changed';
+  return null;
+}
+
+// =============================================================================
+// Running
+// =============================================================================
+
+function stepError(step: ResolvedPrebuildStep, detail: string, logPath?: string): Error {
+  const suggestions = getBuildSuggestions('prebuild_failed', { command: step.run, logPath });
+  return new Error([`Prebuild step "${step.name}" ${detail}`, ...suggestions.map((s) => `  ${s}`)].join('\n'));
+}
+
+/**
+ * Run one step, writing its output to logFile. Resolves with the exit code,
+ * or an error message when the process could not start or was stopped.
+ */
+function executeStep(
+  directory: string,
+  step: ResolvedPrebuildStep,
+  logFile: string,
+  options: PrebuildOptions
+): Promise<{ success: boolean; error?: string; stderr: string }> {
+  return new Promise((resolve) => {
+    // A lone script path runs with its interpreter; anything else is a shell command
+    const scriptPath = path.resolve(directory, step.run);
+    const isScript = !/\s/.test(step.run) && fs.existsSync(scriptPath) && fs.statSync(scriptPath).isFile();
+    const { command, args, useShell } = isScript
+      ? scriptCommand(scriptPath)
+      : { command: step.run, args: [] as string[], useShell: true };
+
+    const log = fs.openSync(logFile, 'w');
+    fs.writeSync(log, `$ ${step.run}\n# ${new Date().toISOString()} in ${directory}\n\n`);
+
+    let stderr = '';
+    let settled = false;
+    const finish = (result: { success: boolean; error?: string }) => {
+      if (settled) return;
+      settled = true;
+      fs.writeSync(log, `\n# ${result.success ? 'exit code 0' : result.error}\n`);
+      fs.closeSync(log);
+      resolve({ ...result, stderr });
+    };
+
+    const proc = spawn(command, args, {
+      env: {
+        ...process.env,
+        PROJECT_DIR: directory,
+        CONFIG_PATH: options.configPath || '',
+        PREBUILD_STEP: step.name,
+      },
+      cwd: directory,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      shell: useShell,
+      signal: options.signal,
+    });
+
+    proc.stdout.on('data', (data: Buffer) => {
+      fs.writeSync(log, data);
+      if (options.verbose) process.stdout.write(data);
+    });
+    proc.stderr.on('data', (data: Buffer) => {
+      stderr += data.toString();
+      fs.writeSync(log, data);
+      if (options.verbose) process.stderr.write(data);
+    });
+    proc.on('error', (err) => finish({ success: false, error: err.message }));
+    proc.on('close', (code, signal) => {
+      if (code === 0) finish({ success: true });
+      else finish({ success: false, error: code === null ? `stopped by ${signal}` : `exit code ${code}` });
+    });
+  });
+}
+
+/**
+ * Run the `prebuild:` steps of a project that are out of date, in dependency
+ * order. Throws on the first failing step (or a step that did not write its
+ * declared outputs) with the log path and suggestions in the message.
+ */
+export async function runPrebuild(
+  directory: string,
+  setting: unknown,
+  options: PrebuildOptions = {}
+): Promise<PrebuildStepResult[]> {
+  const steps = normalizePrebuildSteps(setting);
+  if (steps.length === 0) return [];
+
+  const state = readState(directory);
+  const results: PrebuildStepResult[] = [];
+
+  for (const step of steps) {
+    if (options.signal?.aborted) throw new Error('Build cancelled');
+
+    // Hashed after earlier steps ran, so a step reruns when an upstream step
+    // changed the files it reads
+    const key = stepKey(step, collectInputHashes(directory, expandInputs(directory, step.inputs)));
+    const reason = staleReason(directory, step, key, state.steps[step.name]);
+    if (!reason) {
+      results.push({ name: step.name, ran: false });
+      continue;
+    }
+
+    options.onStep?.(step.name);
+    const logPath = path.join(PREBUILD_LOG_DIR, `${step.name.replace(/[^\w.-]+/g, '-')}.log`);
+    fs.mkdirSync(path.join(directory, PREBUILD_LOG_DIR), { recursive: true });
+
+    const started = Date.now();
+    const run = await executeStep(directory, step, path.join(directory, logPath), options);
+    if (!run.success) {
+      if (options.signal?.aborted) throw new Error('Build cancelled');
+      const tail = run.stderr.trim().split('\n').slice(-ERROR_TAIL_LINES).join('\n');
+      throw stepError(step, `failed (${run.error})${tail ? `:\n${tail}` : ''}`, logPath);
+    }
+
+    const missing = step.outputs.filter((out) => !fs.existsSync(path.join(directory, out)));
+    if (missing.length > 0) {
+      throw stepError(step, `finished but did not write ${missing.join(', ')}`, logPath);
+    }
+
+    // Recorded per step, so a later failure does not rerun the steps before it
+    state.steps[step.name] = { key, ranAt: new Date().toISOString() };
+    writeState(directory, state);
+    results.push({ name: step.name, ran: true, reason, logPath, durationMs: Date.now() - started });
+  }
+
+  return results;
+}
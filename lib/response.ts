@@ -35,8 +35,8 @@ export function parseCommentsWithReplies(text: string, file: string = ''): Comme
   const comments: CommentWithReplies[] = [];
   const lines = text.split('\n');
 
-  // Pattern for comments: {>>Author: text<<}
-  const commentPattern = /\{>>([^:]+):\s*([^<]+)<<\}/g;
+  // Pattern for comments: {>>Author: text<<}, after any stable `[c:id]`
+  const commentPattern = /\{>>(?:\[c:[0-9a-f]{1,8}\]\s*)?([^:]+):\s*([^<]+)<<\}/gi;
 
   for (let lineNum = 0; lineNum < lines.length; lineNum++) {
     const line = lines[lineNum];
@@ -6,6 +6,7 @@ import * as readline from 'readline';
 import chalk from 'chalk';
 import type { Annotation, Comment } from './types.js';
 import { getTrackChanges, getComments, applyDecision } from './annotations.js';
+import type { CommentMetaFilter } from './comment-meta.js';
 
 interface ReviewResult {
   text: string;
@@ -16,6 +17,8 @@ interface ReviewResult {
 
 interface CommentReviewOptions {
   author?: string;
+  /** Review only comments with these tags, priority or assignee */
+  filter?: CommentMetaFilter;
   addReply?: (text: string, comment: Comment, author: string, replyText: string) => string;
   setCommentStatus?: (text: string, comment: Comment, resolved: boolean) => string;
 }
@@ -243,8 +246,8 @@ function formatComment(comment: Comment, index: number, total: number): string {
  * Run interactive comment review session
  */
 export async function interactiveCommentReview(text: string, options: CommentReviewOptions = {}): Promise<CommentReviewResult> {
-  const { author = 'Author', addReply, setCommentStatus } = options;
-  const comments = getComments(text, { pendingOnly: true }) as Comment[];
+  const { author = 'Author', filter = {}, addReply, setCommentStatus } = options;
+  const comments = getComments(text, { pendingOnly: true, ...filter }) as Comment[];
 
   if (comments.length === 0) {
     console.log(chalk.green('No pending comments found.'));
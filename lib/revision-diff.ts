@@ -0,0 +1,625 @@
+/**
+ * Marked-up manuscripts between git revisions
+ *
+ * `rev build docx|pdf --diff-from <ref>` combines the project as it stood at
+ * <ref> and as it stands now and diffs the two paper.md files word by word.
+ * DOCX output carries the differences as real Word revisions
+ * (`w:ins`/`w:del`), attributed to whoever last committed the changed lines;
+ * PDF output renders them as CriticMarkup through lib/pdf-comments.ts (blue
+ * underline, red strikeout).
+ *
+ * The diff works block by block: paragraphs, headings and list items are
+ * diffed at word level, while tables, code, figures and other structural
+ * blocks are compared whole (a changed table appears in its new form,
+ * unmarked, and is counted in `unmarkedBlocks`; the PDF gets a margin note
+ * instead). Citations, math, cross-references, anchors and links are swapped
+ * for placeholders from lib/protect-restore.ts first, so they are inserted or
+ * deleted as a unit.
+ */
+
+import * as fs from 'fs';
+import { execSync } from 'child_process';
+import * as os from 'os';
+import * as path from 'path';
+import { diffArrays, diffWords } from 'diff';
+import { stripAnnotations } from './annotations.js';
+import {
+  extractMarkdownPrefix,
+  protectAnchors,
+  protectCitations,
+  protectCrossrefs,
+  protectImages,
+  protectMath,
+} from './protect-restore.js';
+import { trackChangeSpan } from './trackchanges.js';
+import { convertTrackChangesToLatex, getCombinedPreamble } from './pdf-comments.js';
+import { escapeLatex } from './utils.js';
+import { exportDirectoryAtRef, getFileBlame, resolveCommit } from './git.js';
+import {
+  type BuildConfig,
+  applyVariant,
+  combineSections,
+  findMainSections,
+  getSupplementSections,
+  loadConfig,
+  prepareForFormat,
+  resolveOutputPath,
+  runPandoc,
+} from './build.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+export interface Attribution {
+  author: string;
+  /** ISO 8601 timestamp */
+  date: string;
+}
+
+export type RevisionMarkup = (type: 'insert' | 'delete', content: string, attribution: Attribution) => string;
+
+/** A table, figure or other block that was added, removed or changed as a whole */
+export interface BlockChange {
+  type: 'insert' | 'delete' | 'change';
+  kind: 'figure' | 'table' | 'other';
+  /** Crossref label (fig:..., tbl:...), if the block has one */
+  label?: string;
+}
+
+export interface RevisionDiffOptions {
+  /** Attribution for changes no blame entry accounts for */
+  fallback: Attribution;
+  /** Attribution for a changed line of the new text (raw markdown), if known */
+  attribute?: (line: string) => Attribution | null;
+  /** Renders one insertion or deletion (default: docx revision spans) */
+  markup?: RevisionMarkup;
+  /** Markdown block placed before (or, for removals, instead of) a block changed as a whole */
+  blockNote?: (change: BlockChange) => string | null;
+}
+
+export interface RevisionDiffResult {
+  markdown: string;
+  insertions: number;
+  deletions: number;
+  /** Tables, figures, code and other blocks that changed but cannot carry revision marks */
+  unmarkedBlocks: number;
+}
+
+export interface RevisionBuildOptions {
+  /** Author for changes that blame cannot attribute (default: git user.name) */
+  author?: string;
+  /** CLI output override (see resolveOutputPath) */
+  output?: string;
+  pandocArgs?: string[];
+}
+
+export interface RevisionBuildResult extends RevisionDiffResult {
+  outputPath: string;
+  commit: string;
+}
+
+interface Block {
+  kind: 'prose' | 'atomic';
+  lines: string[];
+  key: string;
+}
+
+interface Atoms {
+  originals: string[];
+  index: Map<string, number>;
+  anchors: Set<number>;
+}
+
+// =============================================================================
+// Patterns
+// =============================================================================
+
+const PLACEHOLDER_PATTERN = /(ANCHORBLOCK|MATHBLOCK|CITEREF|XREFBLOCK|IMAGEBLOCK|LINKBLOCK)(\d+)(ENDANCHOR|ENDMATH|ENDCITE|ENDXREF|ENDIMAGE|ENDLINK)/g;
+const ATOM_PATTERN = /REVATOM(\d+)END/g;
+const LINK_PATTERN = /\[[^\]\n]*\]\([^)\n]*\)/g;
+const CODE_FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const DIV_FENCE_PATTERN = /^:{3,}/;
+const COMMENT_LINE_PATTERN = /^\s*<!--[\s\S]*?-->\s*$/;
+const FRONTMATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n---\r?\n/;
+const FLOAT_LABEL_PATTERN = /\{#((fig|tbl):[\w:.-]+)/;
+const TABLE_LINE_PATTERN = /^\s*(?:\||\+[-=]|Table:|: )/;
+const CAPTION_PATTERN = /^\s*(?:Table:|: )/;
+
+/** Lines that make a paragraph structural (tables, raw blocks, figures, captions) */
+const ATOMIC_LINE_PATTERN = /^\s*(?:\||\+[-=]|<|\\|Table:|: |!\[|\$\$)/;
+
+// =============================================================================
+// Atoms
+// =============================================================================
+
+/**
+ * Replace citations, math, cross-references, anchors, images and links with
+ * REVATOM<n>END placeholders shared between both texts, so identical items
+ * get identical tokens.
+ */
+function protectAtoms(text: string, atoms: Atoms): string {
+  const replaced = new Map<string, string>();
+  const remember = (items: Array<{ original: string; placeholder: string }>) => {
+    for (const item of items) replaced.set(item.placeholder, item.original);
+  };
+
+  const math = protectMath(text);
+  remember(math.mathBlocks);
+  const anchors = protectAnchors(math.text);
+  remember(anchors.anchors);
+  const citations = protectCitations(anchors.text);
+  citations.citations.forEach((original, i) => replaced.set(`CITEREF${i}ENDCITE`, original));
+  const crossrefs = protectCrossrefs(citations.text);
+  remember(crossrefs.crossrefs);
+  const images = protectImages(crossrefs.text);
+  remember(images.images);
+  let links = 0;
+  const linked = images.text.replace(LINK_PATTERN, (match) => {
+    const placeholder = `LINKBLOCK${links++}ENDLINK`;
+    replaced.set(placeholder, match);
+    return placeholder;
+  });
+
+  // Nested placeholders (a crossref inside a citation) are restored first
+  const expand = (value: string): string => value.replace(PLACEHOLDER_PATTERN, (m) => expand(replaced.get(m) ?? m));
+
+  return linked.replace(PLACEHOLDER_PATTERN, (placeholder, kind: string) => {
+    const original = expand(replaced.get(placeholder) ?? placeholder);
+    let n = atoms.index.get(original);
+    if (n === undefined) {
+      n = atoms.originals.length;
+      atoms.originals.push(original);
+      atoms.index.set(original, n);
+      if (kind === 'ANCHORBLOCK') atoms.anchors.add(n);
+    }
+    return `REVATOM${n}END`;
+  });
+}
+
+function restoreAtoms(text: string, atoms: Atoms): string {
+  return text.replace(ATOM_PATTERN, (match, n: string) => atoms.originals[Number(n)] ?? match);
+}
+
+// =============================================================================
+// Blocks
+// =============================================================================
+
+function normalizeKey(lines: string[]): string {
+  return lines.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split markdown into blank-line separated blocks (code fences and figure
+ * divs stay whole, tables keep their captions), then protect atoms inside
+ * each block.
+ */
+function scanBlocks(text: string, atoms: Atoms): Block[] {
+  const lines = text.split('\n');
+  const blocks: Block[] = [];
+  const isCaption = (raw: string[]) => CAPTION_PATTERN.test(raw[0]!);
+  const isTable = (raw: string[]) => raw.some((l) => /^\s*(?:\||\+[-=])/.test(l));
+  let previousRaw: string[] | null = null;
+  const push = (kind: Block['kind'], raw: string[]) => {
+    const blockLines = protectAtoms(raw.join('\n'), atoms).split('\n');
+    const last = blocks[blocks.length - 1];
+    // A table caption goes with its table, before or after it
+    if (last && previousRaw && kind === 'atomic' && last.kind === 'atomic' &&
+        ((isCaption(raw) && isTable(previousRaw)) || (isCaption(previousRaw) && isTable(raw)))) {
+      last.lines.push('', ...blockLines);
+      last.key = `atomic:${normalizeKey(last.lines)}`;
+      previousRaw = [...previousRaw, '', ...raw];
+      return;
+    }
+    blocks.push({ kind, lines: blockLines, key: `${kind}:${normalizeKey(blockLines)}` });
+    previousRaw = raw;
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i]!;
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(CODE_FENCE_PATTERN);
+    if (fence) {
+      const start = i++;
+      while (i < lines.length && !lines[i]!.trimStart().startsWith(fence[1]!)) i++;
+      push('atomic', lines.slice(start, ++i));
+      continue;
+    }
+    if (DIV_FENCE_PATTERN.test(line)) {
+      // Figure, table and table-directive divs stay whole; other fences
+      // (variants, layout) are structure around prose that is diffed
+      if (FLOAT_LABEL_PATTERN.test(line) || /\{[^}]*\.table\b/.test(line)) {
+        const start = i++;
+        let depth = 1;
+        while (i < lines.length && depth > 0) {
+          if (/^:{3,}\s*$/.test(lines[i]!)) depth--;
+          else if (DIV_FENCE_PATTERN.test(lines[i]!)) depth++;
+          i++;
+        }
+        push('atomic', lines.slice(start, i));
+      } else {
+        push('atomic', [line]);
+        i++;
+      }
+      continue;
+    }
+
+    const start = i;
+    while (
+      i < lines.length &&
+      lines[i]!.trim() !== '' &&
+      (i === start || (!CODE_FENCE_PATTERN.test(lines[i]!) && !DIV_FENCE_PATTERN.test(lines[i]!)))
+    ) {
+      i++;
+    }
+    const blockLines = lines.slice(start, i);
+    push(blockLines.some((l) => ATOMIC_LINE_PATTERN.test(l)) ? 'atomic' : 'prose', blockLines);
+  }
+  return blocks;
+}
+
+/** What a whole-block change is about, for notes */
+function describeBlock(block: Block, atoms: Atoms, type: BlockChange['type']): BlockChange {
+  const text = restoreAtoms(block.lines.join('\n'), atoms);
+  const label = text.match(FLOAT_LABEL_PATTERN);
+  let kind: BlockChange['kind'] = 'other';
+  if (label) kind = label[2] === 'fig' ? 'figure' : 'table';
+  else if (text.includes('![')) kind = 'figure';
+  else if (block.lines.some((line) => TABLE_LINE_PATTERN.test(line))) kind = 'table';
+  return label ? { type, kind, label: label[1] } : { type, kind };
+}
+
+/** A plain paragraph (no heading, list or quote prefixes) */
+function isParagraph(block: Block): boolean {
+  return block.lines.every((line) => extractMarkdownPrefix(line).prefix === '');
+}
+
+function prefixes(block: Block): string[] {
+  return block.lines.map((line) => extractMarkdownPrefix(line).prefix);
+}
+
+/** Whether two prose blocks are versions of each other rather than unrelated text */
+function pairable(oldBlock: Block, newBlock: Block): boolean {
+  if (oldBlock.kind !== 'prose' || newBlock.kind !== 'prose') return false;
+  if (isParagraph(oldBlock) !== isParagraph(newBlock)) return false;
+  if (!isParagraph(oldBlock) && prefixes(oldBlock).join('\n') !== prefixes(newBlock).join('\n')) return false;
+
+  const parts = diffWords(normalizeKey(oldBlock.lines), normalizeKey(newBlock.lines));
+  let same = 0;
+  let total = 0;
+  for (const part of parts) {
+    const words = part.value.trim() ? part.value.trim().split(/\s+/).length : 0;
+    total += words;
+    if (!part.added && !part.removed) same += words;
+  }
+  return total > 0 && same / total >= 0.3;
+}
+
+// =============================================================================
+// Diff
+// =============================================================================
+
+/**
+ * Diff two versions of a combined manuscript into markdown that carries the
+ * changes as revision marks.
+ *
+ * The new version's frontmatter is kept; HTML comments (build markers) and
+ * CriticMarkup are dropped from both sides first.
+ */
+export function diffRevisions(oldMarkdown: string, newMarkdown: string, options: RevisionDiffOptions): RevisionDiffResult {
+  const markup = options.markup ?? ((type, content, who) => trackChangeSpan(type, content, who.author, who.date));
+  const atoms: Atoms = { originals: [], index: new Map(), anchors: new Set() };
+  const stats = { insertions: 0, deletions: 0, unmarkedBlocks: 0 };
+
+  const frontmatter = newMarkdown.match(FRONTMATTER_PATTERN)?.[0] ?? '';
+  const prepare = (text: string) => stripAnnotations(text.replace(FRONTMATTER_PATTERN, ''))
+    .split('\n')
+    .filter((line) => !COMMENT_LINE_PATTERN.test(line))
+    .join('\n');
+  const oldBlocks = scanBlocks(prepare(oldMarkdown), atoms);
+  const newBlocks = scanBlocks(prepare(newMarkdown), atoms);
+
+  const attributeLine = (line: string | undefined): Attribution =>
+    (line !== undefined && options.attribute?.(restoreAtoms(line, atoms))) || options.fallback;
+
+  /** One revision mark; surrounding whitespace stays outside, anchors never inside */
+  const mark = (type: 'insert' | 'delete', value: string, who: Attribution): string => {
+    const lead = value.match(/^\s*/)![0];
+    const trail = value.slice(lead.length).match(/\s*$/)![0];
+    const core = value.slice(lead.length, value.length - trail.length);
+    if (!core) return type === 'insert' ? value : '';
+
+    const pieces = core.split(/(REVATOM\d+END)/);
+    let out = '';
+    let pending = '';
+    const flush = () => {
+      if (pending.trim()) {
+        const inner = pending.trim().replace(/([[\]])/g, '\\$1');
+        const pad = pending.match(/^\s*/)![0];
+        const tail = pending.match(/\s*$/)![0];
+        out += pad + markup(type, inner, who) + tail;
+        if (type === 'insert') stats.insertions++;
+        else stats.deletions++;
+      } else {
+        out += pending;
+      }
+      pending = '';
+    };
+    for (const piece of pieces) {
+      const atom = piece.match(/^REVATOM(\d+)END$/);
+      if (atom && atoms.anchors.has(Number(atom[1]))) {
+        flush();
+        if (type === 'insert') out += piece;
+      } else {
+        pending += piece;
+      }
+    }
+    flush();
+    return lead + out + (type === 'insert' || out ? trail : '');
+  };
+
+  /** Word-level diff of one line (or a paragraph joined into one line) */
+  const diffText = (oldText: string, newText: string, lineAt: (offset: number) => string | undefined): string => {
+    let out = '';
+    let offset = 0;
+    for (const part of diffWords(oldText, newText)) {
+      if (part.added) {
+        out += mark('insert', part.value, attributeLine(lineAt(offset)));
+        offset += part.value.length;
+      } else if (part.removed) {
+        out += mark('delete', part.value, attributeLine(lineAt(offset)));
+      } else {
+        out += part.value;
+        offset += part.value.length;
+      }
+    }
+    return out;
+  };
+
+  /** Two atomic blocks that are versions of the same figure, table or block */
+  const sameFloat = (oldBlock: Block, newBlock: Block): boolean => {
+    if (oldBlock.kind !== 'atomic' || newBlock.kind !== 'atomic') return false;
+    const before = describeBlock(oldBlock, atoms, 'change');
+    const after = describeBlock(newBlock, atoms, 'change');
+    return before.kind === after.kind && before.label === after.label;
+  };
+
+  const noteFor = (block: Block, type: BlockChange['type']): string | null => {
+    if (!options.blockNote) return null;
+    const change = describeBlock(block, atoms, type);
+    // Bare div fences open or close something noted elsewhere
+    if (change.kind === 'other' && block.lines.length === 1 && DIV_FENCE_PATTERN.test(block.lines[0]!)) return null;
+    return options.blockNote(change);
+  };
+
+  const wholeBlock = (type: 'insert' | 'delete', block: Block): string | null => {
+    if (block.kind === 'atomic') {
+      stats.unmarkedBlocks++;
+      const note = noteFor(block, type);
+      if (type === 'delete') return note;
+      return note ? `${note}\n\n${block.lines.join('\n')}` : block.lines.join('\n');
+    }
+    const who = type === 'insert' ? attributeLine(block.lines[0]) : options.fallback;
+    if (isParagraph(block)) return mark(type, block.lines.join(' '), who);
+    return block.lines.map((line) => {
+      const { prefix, content } = extractMarkdownPrefix(line);
+      return prefix + mark(type, content, type === 'insert' ? attributeLine(line) : who);
+    }).join('\n');
+  };
+
+  const changedBlock = (oldBlock: Block, newBlock: Block): string => {
+    if (isParagraph(newBlock)) {
+      // Joined with single spaces so offsets still map to the original lines
+      const joined = newBlock.lines.join(' ');
+      const starts = newBlock.lines.map((_, i) => newBlock.lines.slice(0, i).join(' ').length + (i > 0 ? 1 : 0));
+      const lineAt = (offset: number) => newBlock.lines[Math.max(0, starts.findIndex((s, i) => offset >= s && (starts[i + 1] === undefined || offset < starts[i + 1]!)))];
+      return diffText(oldBlock.lines.join(' '), joined, lineAt);
+    }
+    return newBlock.lines.map((line, i) => {
+      const { prefix, content } = extractMarkdownPrefix(line);
+      const oldContent = extractMarkdownPrefix(oldBlock.lines[i]!).content;
+      return prefix + diffText(oldContent, content, () => line);
+    }).join('\n');
+  };
+
+  const output: string[] = [];
+  const emit = (text: string | null) => {
+    if (text !== null && text.trim() !== '') output.push(text);
+  };
+
+  const parts = diffArrays(oldBlocks.map((b) => b.key), newBlocks.map((b) => b.key));
+  let oldAt = 0;
+  let newAt = 0;
+  for (let p = 0; p < parts.length; p++) {
+    const part = parts[p]!;
+    if (!part.added && !part.removed) {
+      for (let k = 0; k < part.count!; k++) emit(newBlocks[newAt++]!.lines.join('\n'));
+      oldAt += part.count!;
+      continue;
+    }
+
+    // Collect an adjacent removed + added run and pair its blocks in order
+    const removed: Block[] = [];
+    const added: Block[] = [];
+    while (p < parts.length && (parts[p]!.added || parts[p]!.removed)) {
+      const run = parts[p]!;
+      for (let k = 0; k < run.count!; k++) {
+        if (run.removed) removed.push(oldBlocks[oldAt++]!);
+        else added.push(newBlocks[newAt++]!);
+      }
+      p++;
+    }
+    p--;
+
+    const pairs = Math.max(removed.length, added.length);
+    for (let k = 0; k < pairs; k++) {
+      const oldBlock = removed[k];
+      const newBlock = added[k];
+      if (oldBlock && newBlock && pairable(oldBlock, newBlock)) {
+        emit(changedBlock(oldBlock, newBlock));
+      } else if (oldBlock && newBlock && sameFloat(oldBlock, newBlock)) {
+        stats.unmarkedBlocks++;
+        emit(noteFor(newBlock, 'change'));
+        emit(newBlock.lines.join('\n'));
+      } else {
+        if (oldBlock) emit(wholeBlock('delete', oldBlock));
+        if (newBlock) emit(wholeBlock('insert', newBlock));
+      }
+    }
+  }
+
+  const body = restoreAtoms(output.join('\n\n'), atoms);
+  return { markdown: `${frontmatter}${frontmatter ? '\n' : ''}${body}\n`, ...stats };
+}
+
+// =============================================================================
+// Attribution
+// =============================================================================
+
+/**
+ * Attribute lines by `git blame` of the section files: each line's content
+ * maps to the author and date of the commit that last changed it (the most
+ * recent one when the same line appears twice). Uncommitted lines are left
+ * out, so they fall back to the default author.
+ */
+export function collectLineAttributions(directory: string, files: string[]): Map<string, Attribution> {
+  const byLine = new Map<string, Attribution>();
+  for (const file of files) {
+    for (const entry of getFileBlame(path.resolve(directory, file), directory)) {
+      if (!entry.author || entry.author === 'Not Committed Yet') continue;
+      const key = entry.content.trim();
+      if (!key) continue;
+      const date = `${entry.date}T00:00:00Z`;
+      const existing = byLine.get(key);
+      if (!existing || existing.date < date) byLine.set(key, { author: entry.author, date });
+    }
+  }
+  return byLine;
+}
+
+// =============================================================================
+// Build
+// =============================================================================
+
+function gitUserName(directory: string): string | null {
+  try {
+    return execSync('git config user.name', { stdio: 'pipe', cwd: directory }).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function criticMarkup(type: 'insert' | 'delete', content: string): string {
+  return type === 'insert' ? `{++${content}++}` : `{--${content}--}`;
+}
+
+const CHANGE_VERBS: Record<BlockChange['type'], string> = { insert: 'added', delete: 'removed', change: 'changed' };
+const BLOCK_NAMES: Record<BlockChange['kind'], string> = { figure: 'Figure', table: 'Table', other: 'Block' };
+
+/** Margin note for a figure or table that cannot be marked up inside its float */
+function pdfBlockNote(change: BlockChange): string {
+  const what = change.label ? `${BLOCK_NAMES[change.kind]} ${change.label}` : BLOCK_NAMES[change.kind];
+  return `\`\\margincomment{${escapeLatex(`${what} ${CHANGE_VERBS[change.type]}`)}}\`{=latex}`;
+}
+
+/**
+ * Build `<name>-diff-<ref>.docx` or `.pdf`: the current manuscript with every
+ * change since `ref` marked up. DOCX changes are Word revisions attributed by
+ * `git blame`; PDF changes are underlined and struck out, with margin notes
+ * for changed figures and tables.
+ *
+ * @throws {Error} If `ref` is not a commit or the project did not exist there
+ */
+export async function buildRevisionDiff(
+  directory: string,
+  config: BuildConfig,
+  ref: string,
+  format: 'docx' | 'pdf',
+  options: RevisionBuildOptions = {}
+): Promise<RevisionBuildResult> {
+  const commit = resolveCommit(ref, directory);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-diff-'));
+  const diffPath = path.join(directory, `.paper-diff-${format}.md`);
+  const preamblePath = path.join(directory, '.paper-diff.preamble.tex');
+  let preparedPath: string | null = null;
+
+  try {
+    const files = exportDirectoryAtRef(commit, directory, tempDir);
+    if (!files.some((f) => f.endsWith('.md'))) {
+      throw new Error(`No markdown files at ${ref} in ${directory}`);
+    }
+
+    let oldConfig = loadConfig(tempDir);
+    if (config._variant) {
+      try {
+        oldConfig = applyVariant(oldConfig, config._variant, tempDir);
+      } catch {
+        // Variant added after ref: compare against the full document
+      }
+    }
+    const oldMarkdown = fs.readFileSync(combineSections(tempDir, oldConfig), 'utf-8');
+    const newMarkdown = fs.readFileSync(combineSections(directory, config), 'utf-8');
+
+    const fallback: Attribution = {
+      author: options.author || gitUserName(directory) || 'Author',
+      date: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    };
+
+    let buildConfig = config;
+    let diff: RevisionDiffResult;
+    if (format === 'docx') {
+      const sections = [...findMainSections(directory, config), ...getSupplementSections(config)];
+      const attributions = collectLineAttributions(directory, sections);
+      diff = diffRevisions(oldMarkdown, newMarkdown, {
+        fallback,
+        attribute: (line) => attributions.get(line.trim()) ?? null,
+      });
+      fs.writeFileSync(diffPath, diff.markdown, 'utf-8');
+    } else {
+      diff = diffRevisions(oldMarkdown, newMarkdown, { fallback, markup: criticMarkup, blockNote: pdfBlockNote });
+      const hasNotes = diff.unmarkedBlocks > 0;
+      const { markdown } = convertTrackChangesToLatex(diff.markdown, { keepMarkdown: true, style: 'underline' });
+      fs.writeFileSync(diffPath, markdown, 'utf-8');
+
+      // Pandoc takes the preamble through -H, after any user header file
+      const preamble: string[] = [];
+      const existingHeader = config.pdf.headerIncludes;
+      if (existingHeader) {
+        const existingPath = path.isAbsolute(existingHeader) ? existingHeader : path.join(directory, existingHeader);
+        if (fs.existsSync(existingPath)) preamble.push(fs.readFileSync(existingPath, 'utf-8'));
+      }
+      preamble.push(getCombinedPreamble({ comments: hasNotes, trackChanges: true }));
+      fs.writeFileSync(preamblePath, preamble.join('\n'), 'utf-8');
+      buildConfig = {
+        ...config,
+        pdf: {
+          ...config.pdf,
+          headerIncludes: preamblePath,
+          ...(hasNotes ? { geometry: 'left=2.5cm,right=4.5cm,top=2.5cm,bottom=2.5cm,marginparwidth=3.5cm' } : {}),
+        },
+      };
+    }
+
+    preparedPath = prepareForFormat(diffPath, format, buildConfig);
+
+    const slug = ref.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '');
+    const outputPath = resolveOutputPath(directory, config, format, { cliOverride: options.output, suffix: `-diff-${slug}` });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    const result = await runPandoc(preparedPath, format, buildConfig, { outputPath, pandocArgs: options.pandocArgs });
+    if (!result.success) {
+      throw new Error(result.error || 'pandoc failed');
+    }
+    return { ...diff, outputPath, commit };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    for (const file of [diffPath, preparedPath, preamblePath]) {
+      if (file && fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  }
+}
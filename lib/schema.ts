@@ -79,14 +79,50 @@ export const revYamlSchema: Schema = {
             properties: {
               name: { type: 'string' },
               affiliation: { type: 'string' },
+              affiliations: { type: 'array', items: { type: 'string' } },
+              corresponding: { type: 'boolean' },
               email: { type: 'string', format: 'email' },
               orcid: { type: 'string', pattern: '^\\d{4}-\\d{4}-\\d{4}-\\d{3}[0-9X]$' },
+              equalContribution: { type: 'boolean' },
+              deceased: { type: 'boolean' },
+              presentAddress: { type: 'string' },
+              roles: { type: 'array', items: { type: 'string' } },
+              funding: { type: 'string' },
+              competingInterests: { type: 'string' },
             },
             required: ['name'],
           },
         ],
       },
     },
+    affiliations: {
+      type: 'object',
+      description: 'Affiliation texts keyed by the names used in author affiliations',
+      additionalProperties: true,
+    },
+    titlePage: {
+      description: 'Title page rendering of structured authors; false leaves authors to pandoc',
+      oneOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            affiliationNewline: { type: 'boolean', default: true },
+            orcidLinks: { type: 'boolean', default: true },
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
+    contributions: {
+      type: 'object',
+      description: 'Style of the {{contributions}} author contributions statement',
+      properties: {
+        names: { type: 'string', enum: ['full', 'initials'], default: 'full' },
+        groupBy: { type: 'string', enum: ['author', 'role'], default: 'author' },
+      },
+      additionalProperties: false,
+    },
     journal: {
       type: 'string',
       description: 'Journal profile name for formatting defaults and validation',
@@ -98,11 +134,12 @@ export const revYamlSchema: Schema = {
     },
     output: {
       type: 'object',
-      description: 'Per-format output filenames. Keys are format names (pdf, docx, tex, beamer, pptx); values are paths. Relative paths resolve under outputDir; absolute paths are honored as-is. Extension auto-added if missing. CLI `-o` overrides this map.',
+      description: 'Per-format output filenames. Keys are format names (pdf, docx, tex, html, beamer, pptx); values are paths. Relative paths resolve under outputDir; absolute paths are honored as-is. Extension auto-added if missing. CLI `-o` overrides this map.',
       properties: {
         pdf: { type: 'string' },
         docx: { type: 'string' },
         tex: { type: 'string' },
+        html: { type: 'string' },
         beamer: { type: 'string' },
         pptx: { type: 'string' },
       },
@@ -113,6 +150,66 @@ export const revYamlSchema: Schema = {
       description: 'Ordered list of section files to include',
       items: { type: 'string', pattern: '.*\\.md$' },
     },
+    includePaths: {
+      type: 'array',
+      description: 'Directories outside the project that {{include:...}} directives may read from',
+      items: { type: 'string' },
+    },
+    plugins: {
+      type: 'array',
+      description: 'JS modules (project paths or npm packages) that edit the pandoc JSON AST during builds',
+      items: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              module: { type: 'string' },
+              formats: { type: 'array', items: { type: 'string' } },
+              options: { type: 'object', additionalProperties: true },
+            },
+            required: ['module'],
+            additionalProperties: false,
+          },
+        ],
+      },
+    },
+    prebuild: {
+      type: 'array',
+      description: 'Commands run before the build when their inputs change (e.g. regenerating figures)',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          run: { type: 'string' },
+          inputs: { type: 'array', items: { type: 'string' } },
+          outputs: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['run'],
+        additionalProperties: false,
+      },
+    },
+    concurrency: {
+      type: 'number',
+      minimum: 1,
+      description: 'Most formats rev build runs at once (default: number of CPUs); --jobs overrides',
+    },
+    layout: {
+      description: 'Submission layout: figures-at-end moves figures and tables after the references',
+      oneOf: [
+        { type: 'string', enum: ['inline', 'figures-at-end'] },
+        {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['inline', 'figures-at-end'] },
+            placeholders: { type: 'boolean', default: false },
+            figuresTitle: { type: 'string', default: 'Figures' },
+            tablesTitle: { type: 'string', default: 'Tables' },
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
     bibliography: {
       type: 'string',
       description: 'Path to bibliography file (.bib)',
@@ -175,6 +272,13 @@ export const revYamlSchema: Schema = {
         linestretch: { type: 'number', minimum: 1, maximum: 3, default: 1.5 },
         numbersections: { type: 'boolean', default: false },
         toc: { type: 'boolean', default: false },
+        lineNumbers: {
+          oneOf: [
+            { type: 'boolean' },
+            { type: 'string', enum: ['continuous', 'page'] },
+          ],
+          description: 'Number lines for review: continuous, page (restart on every page) or true (continuous)',
+        },
         header: { type: 'string' },
         footer: { type: 'string' },
         'pandoc-args': {
@@ -192,6 +296,13 @@ export const revYamlSchema: Schema = {
         reference: { type: 'string', description: 'Reference document for styling' },
         keepComments: { type: 'boolean', default: true },
         toc: { type: 'boolean', default: false },
+        lineNumbers: {
+          oneOf: [
+            { type: 'boolean' },
+            { type: 'string', enum: ['continuous', 'page'] },
+          ],
+          description: 'Number lines for review: continuous, page (restart on every page) or true (continuous)',
+        },
         translateRawFigures: {
           type: 'boolean',
           default: true,
@@ -218,6 +329,62 @@ export const revYamlSchema: Schema = {
       },
       additionalProperties: true,
     },
+    variants: {
+      type: 'object',
+      description: 'Named build variants (e.g. submission, preprint). Each entry overrides config keys such as output, pdf, docx and macros when built with `rev build --variant <name>`. Content in `::: {.only variant="name"}` divs is kept only for the listed variants.',
+      additionalProperties: true,
+    },
+    supplement: {
+      type: 'object',
+      description: 'Companion supplementary document built alongside the main text. Its figures and tables are numbered S1, S2, ... from the shared registry.',
+      properties: {
+        sections: {
+          type: 'array',
+          description: 'Supplement section files, in order',
+          items: { type: 'string', pattern: '\\.md$' },
+        },
+        title: { type: 'string', default: 'Supplementary Information' },
+        output: {
+          type: 'object',
+          description: 'Per-format supplement filenames (default: main output name + "-supplement")',
+          properties: {
+            pdf: { type: 'string' },
+            docx: { type: 'string' },
+            tex: { type: 'string' },
+            html: { type: 'string' },
+          },
+          additionalProperties: false,
+        },
+      },
+      required: ['sections'],
+      additionalProperties: false,
+    },
+    html: {
+      type: 'object',
+      description: 'HTML output settings',
+      properties: {
+        selfContained: { type: 'boolean', default: true, description: 'Embed images, CSS and scripts into a single .html file' },
+        css: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } },
+          ],
+        },
+        math: { type: 'string', enum: ['mathml', 'mathjax', 'katex'], default: 'mathml' },
+        toc: { type: 'boolean', default: false },
+        showAnnotations: {
+          type: 'boolean',
+          default: true,
+          description: 'Render CriticMarkup as styled insertions, deletions and margin comments instead of stripping it',
+        },
+        'pandoc-args': {
+          type: 'array',
+          description: 'Extra pandoc args for HTML builds. Appended after the top-level pandoc-args list.',
+          items: { type: 'string' },
+        },
+      },
+      additionalProperties: true,
+    },
     macros: {
       type: 'array',
       description: 'Placeholder/highlight macros (e.g. \\tofill{X}). Built-in macros are merged automatically; entries here add new macros or override built-ins by name.',
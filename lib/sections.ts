@@ -6,6 +6,8 @@ import * as fs from 'fs';
 import * as path from 'path';
 import YAML from 'yaml';
 import type { SectionConfig, SectionsConfig, ExtractedSection } from './types.js';
+import { collapseIncludeMarkers, type IncludeEdit } from './includes.js';
+import { restoreFloats } from './layout.js';
 
 /**
  * Default section order (common academic paper structure)
@@ -344,14 +346,23 @@ export function extractSectionsFromText(
 }
 
 /**
- * Parse annotated paper.md and split back to section files
+ * Parse annotated paper.md and split back to section files.
+ *
+ * Text expanded from `{{include:...}}` directives is folded back into the
+ * directive; annotations inside it are pushed to `outIncludeEdits` instead
+ * of being written into the section file.
  */
 export function splitAnnotatedPaper(
   paperContent: string,
-  sections: Record<string, SectionConfig>
+  sections: Record<string, SectionConfig>,
+  outIncludeEdits?: Array<IncludeEdit & { file: string }>
 ): Map<string, string> {
   const result = new Map<string, string>();
 
+  // Figures and tables moved to the end (layout: figures-at-end) go back
+  // to where they were written
+  paperContent = restoreFloats(paperContent);
+
   // Look for section markers: <!-- @section:filename.md -->
   const markerPattern = /<!--\s*@section:(\S+\.md)\s*-->/g;
   const markers = [...paperContent.matchAll(markerPattern)];
@@ -409,6 +420,14 @@ export function splitAnnotatedPaper(
     }
   }
 
+  for (const [file, content] of result) {
+    const { text, edits } = collapseIncludeMarkers(content);
+    result.set(file, text);
+    if (outIncludeEdits) {
+      for (const edit of edits) outIncludeEdits.push({ ...edit, file });
+    }
+  }
+
   return result;
 }
 
@@ -104,6 +104,7 @@ Summarize key findings.
 *.docx
 *.tex
 paper.md
+paper-supplement.md
 .paper-*.md
 
 # System
@@ -212,6 +213,7 @@ Additional details here.
 *.docx
 *.tex
 paper.md
+paper-supplement.md
 .paper-*.md
 .DS_Store
 `,
@@ -325,6 +327,7 @@ Key takeaways.
 *.pdf
 *.docx
 paper.md
+paper-supplement.md
 .paper-*.md
 
 # Keep .tex for version control
@@ -411,6 +414,7 @@ Key takeaways and research gaps.
 *.docx
 *.tex
 paper.md
+paper-supplement.md
 .paper-*.md
 .DS_Store
 `,
@@ -511,6 +515,7 @@ docx:
 *.docx
 *.tex
 paper.md
+paper-supplement.md
 .paper-*.md
 
 # System
@@ -0,0 +1,257 @@
+/**
+ * Title page author block
+ *
+ * Renders `authors` and `affiliations` from rev.yaml as a title-page block,
+ * so affiliation numbers, ORCID links and author notes come out the same in
+ * every format instead of depending on pandoc's templates:
+ *
+ *   Jane Doe^1,2,*^, Li Wei^2,†^, Sam Roe^1,†^
+ *   ^1^ Department of Ecology, ...
+ *   ^2^ Institute of ...
+ *   ^*^ Corresponding author: jane@example.org
+ *   ^†^ These authors contributed equally to this work.
+ *
+ * Affiliations are numbered in order of first appearance. An author's
+ * `affiliations` entries are keys into the `affiliations` map; entries that
+ * are not keys (and a single `affiliation`) are used as literal text.
+ * PDF/TeX get an authblk preamble; DOCX and HTML get a markdown block after
+ * the frontmatter.
+ */
+
+import type { Author } from './types.js';
+import { cleanOrcid, isValidOrcid } from './orcid.js';
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/** Renderer options, set under `titlePage:` in rev.yaml */
+export interface TitlePageOptions {
+  /** One affiliation/note per line; false runs them into one paragraph (docx/html). Default true */
+  affiliationNewline?: boolean;
+  /** Link author names to their ORCID profiles. Default true */
+  orcidLinks?: boolean;
+}
+
+export interface TitlePageAuthor {
+  name: string;
+  orcid: string | null;
+  /** Affiliation numbers, 1-based */
+  affiliations: number[];
+  /** Note symbols, e.g. "*" (corresponding), "†" (equal contribution) */
+  notes: string[];
+}
+
+export interface TitlePageNote {
+  symbol: string;
+  text: string;
+  /** Corresponding authors, listed after the text as mail links */
+  emails: Array<{ name: string; email: string }>;
+}
+
+export interface TitlePage {
+  authors: TitlePageAuthor[];
+  affiliations: string[];
+  notes: TitlePageNote[];
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const CORRESPONDING_SYMBOL = '*';
+
+/** Symbols for the other notes, in order of use */
+const NOTE_SYMBOLS = ['†', '‡', '§', '¶', '‖'];
+
+const LATEX_SYMBOLS: Record<string, string> = {
+  '*': '*',
+  '†': '\\dag',
+  '‡': '\\ddag',
+  '§': '\\S',
+  '¶': '\\P',
+  '‖': '\\textbardbl',
+};
+
+// =============================================================================
+// Model
+// =============================================================================
+
+/**
+ * Whether the title page renderer handles these authors. `titlePage: true`
+ * (or an options object) opts in for any structured author and `false` hands
+ * them back to pandoc. Unset, it applies only when authors list
+ * `affiliations` and an `affiliations` map is defined, so other object
+ * authors keep reaching pandoc's author metadata.
+ */
+export function usesTitlePage(
+  authors: (string | Author)[] | undefined,
+  titlePage?: TitlePageOptions | boolean,
+  affiliationMap: Record<string, string> = {}
+): boolean {
+  if (titlePage === false || !authors) return false;
+  const structured = authors.filter((a): a is Author => typeof a !== 'string');
+  if (titlePage !== undefined) return structured.length > 0;
+  if (Object.keys(affiliationMap).length === 0) return false;
+  return structured.some((a) => a.affiliations && a.affiliations.length > 0);
+}
+
+/**
+ * Number affiliations and assign note symbols.
+ */
+export function buildTitlePage(authors: (string | Author)[], affiliationMap: Record<string, string> = {}): TitlePage {
+  const affiliations: string[] = [];
+  const notes: TitlePageNote[] = [];
+  const symbolFor = new Map<string, string>();
+
+  const noteSymbol = (key: string, text: string): string => {
+    let symbol = symbolFor.get(key);
+    if (!symbol) {
+      const i = symbolFor.size;
+      symbol = NOTE_SYMBOLS[i % NOTE_SYMBOLS.length]!.repeat(Math.floor(i / NOTE_SYMBOLS.length) + 1);
+      symbolFor.set(key, symbol);
+      notes.push({ symbol, text, emails: [] });
+    }
+    return symbol;
+  };
+
+  const corresponding: TitlePageNote = { symbol: CORRESPONDING_SYMBOL, text: '', emails: [] };
+
+  const result = authors.map((entry): TitlePageAuthor => {
+    if (typeof entry === 'string') return { name: entry, orcid: null, affiliations: [], notes: [] };
+
+    const keys = entry.affiliations ?? (entry.affiliation ? [entry.affiliation] : []);
+    const numbers = keys.map((key) => {
+      const text = affiliationMap[key] ?? key;
+      const index = affiliations.indexOf(text);
+      if (index >= 0) return index + 1;
+      affiliations.push(text);
+      return affiliations.length;
+    });
+
+    const marks: string[] = [];
+    if (entry.corresponding) {
+      marks.push(CORRESPONDING_SYMBOL);
+      corresponding.emails.push({ name: entry.name, email: entry.email ?? '' });
+    }
+    if (entry.equalContribution) {
+      marks.push(noteSymbol('equal', 'These authors contributed equally to this work.'));
+    }
+    if (entry.deceased) {
+      marks.push(noteSymbol('deceased', 'Deceased.'));
+    }
+    if (entry.presentAddress) {
+      const address = affiliationMap[entry.presentAddress] ?? entry.presentAddress;
+      marks.push(noteSymbol(`address:${address}`, `Present address: ${address}`));
+    }
+
+    const orcid = entry.orcid ? cleanOrcid(entry.orcid) : '';
+    return {
+      name: entry.name,
+      orcid: isValidOrcid(orcid) ? orcid : null,
+      affiliations: numbers,
+      notes: marks,
+    };
+  });
+
+  if (corresponding.emails.length > 0) {
+    corresponding.text = corresponding.emails.length > 1 ? 'Corresponding authors:' : 'Corresponding author:';
+    notes.unshift(corresponding);
+  }
+
+  return { authors: result, affiliations, notes };
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function correspondingList<T>(note: TitlePageNote, render: (name: string, email: string) => T, single: (email: string) => T): T[] {
+  if (note.emails.length === 1) {
+    const only = note.emails[0]!;
+    return [only.email ? single(only.email) : render(only.name, '')];
+  }
+  return note.emails.map(({ name, email }) => render(name, email));
+}
+
+/**
+ * Markdown author block for DOCX and HTML, inserted after the frontmatter.
+ */
+export function renderTitlePageMarkdown(page: TitlePage, options: TitlePageOptions = {}): string {
+  const orcidLinks = options.orcidLinks !== false;
+  const lineEnd = options.affiliationNewline !== false ? '\\' : '';
+  const sup = (marks: Array<string | number>) => `^${marks.map((m) => String(m).replace(/\*/g, '\\*')).join(',')}^`;
+
+  const authorLine = page.authors.map((author) => {
+    const name = orcidLinks && author.orcid ? `[${author.name}](https://orcid.org/${author.orcid})` : author.name;
+    const marks = [...author.affiliations, ...author.notes];
+    return marks.length > 0 ? name + sup(marks) : name;
+  }).join(', ');
+
+  const lines = page.affiliations.map((text, i) => `${sup([i + 1])} ${text}`);
+  const noteLines = page.notes.map((note) => {
+    if (note.symbol !== CORRESPONDING_SYMBOL) return `${sup([note.symbol])} ${note.text}`;
+    const list = correspondingList(
+      note,
+      (name, email) => (email ? `${name} (<${email}>)` : name),
+      (email) => `<${email}>`
+    );
+    return `${sup([note.symbol])} ${note.text} ${list.join(', ')}`;
+  });
+
+  const block = (items: string[]) => items.map((line, i) => (i < items.length - 1 ? line + lineEnd : line)).join('\n');
+  return [authorLine, block(lines), block(noteLines)].filter(Boolean).join('\n\n') + '\n';
+}
+
+/** Escape LaTeX special characters in plain text */
+function escapeLatex(text: string): string {
+  return text.replace(/[\\&%$#_{}~^]/g, (c) => {
+    if (c === '\\') return '\\textbackslash{}';
+    if (c === '~') return '\\textasciitilde{}';
+    if (c === '^') return '\\textasciicircum{}';
+    return `\\${c}`;
+  });
+}
+
+function latexMailto(email: string): string {
+  return `\\href{mailto:${email.replace(/([%#])/g, '\\$1')}}{${escapeLatex(email)}}`;
+}
+
+/**
+ * authblk preamble for PDF and TeX, injected through header-includes.
+ */
+export function renderTitlePageLatex(page: TitlePage, options: TitlePageOptions = {}): string {
+  const orcidLinks = options.orcidLinks !== false;
+  const lines = [
+    '\\usepackage{authblk}',
+    '\\renewcommand\\Authfont{\\normalsize}',
+    '\\renewcommand\\Affilfont{\\small}',
+    '',
+  ];
+
+  for (const author of page.authors) {
+    const marks = [...author.affiliations.map(String), ...author.notes.map((s) => [...s].map((c) => LATEX_SYMBOLS[c] ?? c).join(''))];
+    const name = orcidLinks && author.orcid
+      ? `\\href{https://orcid.org/${author.orcid}}{${escapeLatex(author.name)}}`
+      : escapeLatex(author.name);
+    lines.push(`\\author${marks.length > 0 ? `[${marks.join(',')}]` : ''}{${name}}`);
+  }
+
+  page.affiliations.forEach((text, i) => lines.push(`\\affil[${i + 1}]{${escapeLatex(text)}}`));
+
+  for (const note of page.notes) {
+    const symbol = [...note.symbol].map((c) => LATEX_SYMBOLS[c] ?? c).join('');
+    let text = escapeLatex(note.text);
+    if (note.symbol === CORRESPONDING_SYMBOL) {
+      const list = correspondingList(
+        note,
+        (name, email) => (email ? `${escapeLatex(name)} (${latexMailto(email)})` : escapeLatex(name)),
+        latexMailto
+      );
+      text += ` ${list.join(', ')}`;
+    }
+    lines.push(`\\affil[${symbol}]{${text}}`);
+  }
+
+  return lines.join('\n');
+}
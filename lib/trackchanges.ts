@@ -10,6 +10,8 @@ import { execSync } from 'child_process';
 import AdmZip from 'adm-zip';
 import type { TrackChangeMarker } from './types.js';
 import { escapeXml } from './utils.js';
+import { splitCommentId } from './comment-ids.js';
+import { splitChangeAuthor } from './change-author.js';
 
 interface PrepareOptions {
   author?: string;
@@ -45,46 +47,50 @@ export function prepareForTrackChanges(text: string, options: PrepareOptions = {
 
   let result = text;
 
-  // Process insertions: {++text++}
-  result = result.replace(/\{\+\+(.+?)\+\+\}/gs, (match, content) => {
+  // Process insertions: {++text++}, using a [by:Name] author when present
+  result = result.replace(/\{\+\+(.+?)\+\+\}/gs, (match, raw: string) => {
     const id = markerId++;
+    const { author: changeAuthor, rest: content } = splitChangeAuthor(raw);
     markers.push({
       id,
       type: 'insert',
       content,
-      author,
+      author: changeAuthor || author,
     });
     return `{{TC_${id}}}`;
   });
 
   // Process deletions: {--text--}
-  result = result.replace(/\{--(.+?)--\}/gs, (match, content) => {
+  result = result.replace(/\{--(.+?)--\}/gs, (match, raw: string) => {
     const id = markerId++;
+    const { author: changeAuthor, rest: content } = splitChangeAuthor(raw);
     markers.push({
       id,
       type: 'delete',
       content,
-      author,
+      author: changeAuthor || author,
     });
     return `{{TC_${id}}}`;
   });
 
   // Process substitutions: {~~old~>new~~}
-  result = result.replace(/\{~~(.+?)~>(.+?)~~\}/gs, (match, old, replacement) => {
+  result = result.replace(/\{~~(.+?)~>(.+?)~~\}/gs, (match, raw: string, replacement: string) => {
     const id = markerId++;
+    const { author: changeAuthor, rest: old } = splitChangeAuthor(raw);
     markers.push({
       id,
       type: 'substitute',
       content: old,
       replacement,
-      author,
+      author: changeAuthor || author,
     });
     return `{{TC_${id}}}`;
   });
 
   // Process comments: {>>Author: comment<<}
-  result = result.replace(/\{>>(.+?)<<\}/gs, (match, content) => {
+  result = result.replace(/\{>>(.+?)<<\}/gs, (match, raw: string) => {
     const id = markerId++;
+    const content = splitCommentId(raw).rest;
     // Extract author if present (format: "Author: comment")
     const colonIdx = content.indexOf(':');
     let commentAuthor = author;
@@ -105,6 +111,22 @@ export function prepareForTrackChanges(text: string, options: PrepareOptions = {
   return { text: result, markers };
 }
 
+/**
+ * Wrap markdown in a span that pandoc's docx writer turns into a tracked
+ * revision (`w:ins` / `w:del`) attributed to `author`. Unlike the marker
+ * approach below, formatting, citations and math inside the span survive.
+ *
+ * @param type - insert or delete
+ * @param content - Markdown inside the revision (inline only)
+ * @param author - Revision author
+ * @param date - ISO 8601 timestamp
+ */
+export function trackChangeSpan(type: 'insert' | 'delete', content: string, author: string, date: string): string {
+  const attr = (value: string) => value.replace(/["\\]/g, '');
+  const cls = type === 'insert' ? 'insertion' : 'deletion';
+  return `[${content}]{.${cls} author="${attr(author)}" date="${attr(date)}"}`;
+}
+
 /**
  * Apply track changes markers to a Word document
  *
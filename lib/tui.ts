@@ -7,6 +7,7 @@ import chalk from 'chalk';
 import * as readline from 'readline';
 import type { Annotation } from './types.js';
 import type { DocumentSession } from './undo.js';
+import type { CommentMetaFilter } from './comment-meta.js';
 
 // =============================================================================
 // Interfaces
@@ -21,6 +22,8 @@ interface BoxOptions {
 
 interface TuiReviewOptions {
   author?: string;
+  /** Review only comments with these tags, priority or assignee */
+  filter?: CommentMetaFilter;
   addReply?: (text: string, comment: Annotation, author: string, reply: string) => string;
   setStatus?: (text: string, comment: Annotation, resolved: boolean) => string;
 }
@@ -272,9 +275,9 @@ function promptText(prompt: string): Promise<string> {
 export async function tuiCommentReview(text: string, options: TuiReviewOptions = {}): Promise<TuiReviewResult> {
   const { getComments } = await import('./annotations.js');
   const { createDocumentSession } = await import('./undo.js');
-  const { author = 'Author', addReply, setStatus } = options;
+  const { author = 'Author', filter = {}, addReply, setStatus } = options;
 
-  const comments = getComments(text, { pendingOnly: true });
+  const comments = getComments(text, { pendingOnly: true, ...filter });
 
   if (comments.length === 0) {
     console.log(chalk.green('No pending comments found.'));
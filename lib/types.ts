@@ -12,7 +12,16 @@ export interface Annotation {
   match: string;
   content: string;
   replacement?: string;
+  /** Comment author, or a change's `[by:Name]` author */
   author?: string;
+  /** Stable comment ID from a `[c:id]` prefix */
+  id?: string;
+  /** `#tag`s written in a comment, lowercased */
+  tags?: string[];
+  /** `!high`, `!medium` or `!low` written in a comment */
+  priority?: CommentPriority;
+  /** `@assignee:name` written in a comment */
+  assignee?: string;
   position: number;
   line: number;
   before?: string;
@@ -20,6 +29,8 @@ export interface Annotation {
   resolved?: boolean;
 }
 
+export type CommentPriority = 'high' | 'medium' | 'low';
+
 export interface Comment extends Annotation {
   type: 'comment';
   author: string;
@@ -41,6 +52,12 @@ export interface StripOptions {
 export interface CommentFilterOptions {
   pendingOnly?: boolean;
   resolvedOnly?: boolean;
+  /** Only comments with this `#tag` */
+  tag?: string;
+  /** Only comments with this priority */
+  priority?: string;
+  /** Only comments assigned to this name */
+  assignee?: string;
 }
 
 // ============================================
@@ -54,6 +71,15 @@ export interface Author {
   corresponding?: boolean;
   email?: string;
   orcid?: string;
+  /** Shares first (or last) authorship; marked † on the title page */
+  equalContribution?: boolean;
+  deceased?: boolean;
+  /** Current address when it differs from the affiliations (key or text) */
+  presentAddress?: string;
+  /** CRediT roles (see lib/credit.ts) */
+  roles?: string[];
+  funding?: string;
+  competingInterests?: string;
 }
 
 export interface CrossrefConfig {
@@ -85,12 +111,14 @@ export interface PdfConfig {
   numbersections?: boolean;
   template?: string;
   headerIncludes?: string;
+  lineNumbers?: 'continuous' | 'page' | boolean;
 }
 
 export interface DocxConfig {
   reference?: string;
   keepComments?: boolean;
   toc?: boolean;
+  lineNumbers?: 'continuous' | 'page' | boolean;
 }
 
 export interface BuildConfig {
@@ -173,10 +201,20 @@ export interface FigureInfo {
   file: string;
 }
 
+export interface SectionInfo {
+  label: string;
+  /** Hierarchical number as pandoc --number-sections prints it ("2.1") */
+  number: string;
+  level: number;
+  file: string;
+}
+
 export interface Registry {
   figures: Map<string, FigureInfo>;
   tables: Map<string, FigureInfo>;
   equations: Map<string, FigureInfo>;
+  /** Labelled headings ({#sec:label}); built by buildRegistry */
+  sections?: Map<string, SectionInfo>;
   byNumber: {
     fig: Map<number, string>;
     figS: Map<number, string>;
@@ -345,12 +383,53 @@ export interface ContributorStats {
 // Journals
 // ============================================
 
+/**
+ * What a journal's main-text word limit counts (see lib/word-count.ts).
+ * Section names match headings case-insensitively as whole words, so
+ * "Methods" also matches "Materials and methods"; subsections follow their
+ * parent unless named themselves.
+ */
+export interface WordCountRules {
+  /** Count only these sections (default: every section not excluded) */
+  include?: string[];
+  /** Leave these sections out (default: Abstract, References) */
+  exclude?: string[];
+  /** Figure and table captions (default false) */
+  captions?: boolean;
+  /** Text in table cells (default false) */
+  tables?: boolean;
+  /** Footnote text (default true) */
+  footnotes?: boolean;
+  /** Each in-text citation counts as one word (default false) */
+  citations?: boolean;
+}
+
+/**
+ * Page limits checked against the built PDF (see lib/page-limits.ts).
+ * Section names match PDF bookmark titles like WordCountRules match headings.
+ */
+export interface PageLimit {
+  /** Most pages in the PDF */
+  total?: number;
+  /** Sections whose pages do not count towards `total` (e.g. References) */
+  exclude?: string[];
+  /** Most pages per section */
+  sections?: Record<string, number>;
+  /** a4, letter or legal */
+  paperSize?: string;
+  /** Smallest margin around the text, e.g. `2.5cm`, or per side */
+  margins?: string | number | { top?: string | number; bottom?: string | number; left?: string | number; right?: string | number };
+}
+
 export interface JournalRequirements {
-  wordLimit?: { main?: number; abstract?: number };
+  wordLimit?: { main?: number; abstract?: number; counting?: WordCountRules };
+  pageLimit?: PageLimit;
   references?: { max?: number; doiRequired?: boolean };
   figures?: { max?: number };
   tables?: { max?: number };
   sections?: string[];
+  /** An author contributions (CRediT) statement is required */
+  contributions?: boolean;
 }
 
 export interface JournalFormatting {
@@ -366,14 +445,28 @@ export interface JournalFormatting {
     mainfont?: string;
     sansfont?: string;
     monofont?: string;
+    lineNumbers?: 'continuous' | 'page' | boolean;
   };
   docx?: {
     reference?: string;
+    lineNumbers?: 'continuous' | 'page' | boolean;
   };
   crossref?: {
     figPrefix?: string | string[];
     tblPrefix?: string | string[];
   };
+  /** Author contributions style (see lib/credit.ts) */
+  contributions?: {
+    names?: 'full' | 'initials';
+    groupBy?: 'author' | 'role';
+  };
+  /** Submission layout, e.g. figures-at-end (see lib/layout.ts) */
+  layout?: 'inline' | 'figures-at-end' | {
+    mode?: 'inline' | 'figures-at-end';
+    placeholders?: boolean;
+    figuresTitle?: string;
+    tablesTitle?: string;
+  };
 }
 
 export interface JournalProfile {
@@ -5,9 +5,11 @@
 /**
  * Count words in text (excluding markdown syntax)
  * @param text - Markdown text
+ * @param options.skipPunctuation - Skip tokens without letters or digits, such
+ *   as punctuation left behind by removed citations (used by journal counting rules)
  * @returns Word count
  */
-export function countWords(text: string): number {
+export function countWords(text: string, options: { skipPunctuation?: boolean } = {}): number {
   return text
     .replace(/^---[\s\S]*?---/m, '') // Remove YAML frontmatter
     .replace(/!\[.*?\]\(.*?\)/g, '') // Remove images
@@ -24,7 +26,7 @@ export function countWords(text: string): number {
     .replace(/\s+/g, ' ') // Collapse multiple spaces
     .trim()
     .split(/\s+/)
-    .filter(w => w.length > 0).length;
+    .filter(w => (options.skipPunctuation ? /[\p{L}\p{N}]/u.test(w) : w.length > 0)).length;
 }
 
 /**
@@ -67,3 +69,41 @@ export function escapeLatex(text: string): string {
     .replace(/~/g, '\\textasciitilde{}')
     .replace(/\n/g, ' ');
 }
+
+/** YAML frontmatter at the start of the document */
+const FRONTMATTER_PATTERN = /^---[ \t]*\r?\n[\s\S]*?\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+/** Fenced code blocks (``` or ~~~, closed by a fence at least as long) */
+export const FENCED_CODE_PATTERN = /^[ \t]{0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?^[ \t]{0,3}\1[`~]*[ \t]*$/gm;
+
+/** Inline code spans (within one paragraph) */
+export const CODE_SPAN_PATTERN = /(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?[^`]\1(?!`)/g;
+
+/**
+ * Apply `replace` to the text between matches of `pattern`
+ */
+function replaceBetween(text: string, pattern: RegExp, replace: (chunk: string) => string): string {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    result += replace(text.slice(last, match.index)) + match[0];
+    last = match.index! + match[0].length;
+  }
+  return result + replace(text.slice(last));
+}
+
+/**
+ * Apply `replace` outside frontmatter and fenced code, and also outside
+ * inline code when `codeSpans` is set
+ * @param text - Markdown text
+ * @param replace - Rewrites one stretch of text between code regions
+ * @param codeSpans - Also leave inline code spans alone
+ * @returns Text with code as written
+ */
+export function replaceOutsideCode(text: string, replace: (chunk: string) => string, codeSpans = false): string {
+  const frontmatter = text.match(FRONTMATTER_PATTERN)?.[0] ?? '';
+  const body = text.slice(frontmatter.length);
+  return frontmatter + replaceBetween(body, FENCED_CODE_PATTERN, (chunk) =>
+    codeSpans ? replaceBetween(chunk, CODE_SPAN_PATTERN, replace) : replace(chunk)
+  );
+}
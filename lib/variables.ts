@@ -10,10 +10,20 @@
  *   {{authors}}    - All authors (comma-separated)
  *   {{title}}      - Document title
  *   {{year}}       - Current year
+ *   {{data:file#key|filter}} - Value from a JSON/YAML/CSV result file
+ *                    (see lib/data-files.ts), e.g.
+ *                    {{data:results/model.json#beta.mean|round:2}}
+ *   {{contributions}} - CRediT author contributions statement
+ *   {{contributions:initials,by-role}} - Same, in a given style
+ *   {{funding}}    - Funding statement from author `funding` fields
+ *   {{competing_interests}} - Competing interests statement
  */
 
 import * as fs from 'fs';
+import * as path from 'path';
+import { readDataFile, lookupDataValue, applyDataFilters } from './data-files.js';
 import { countWords } from './utils.js';
+import { type ContributionStyle, renderContributions, renderFunding, renderCompetingInterests } from './credit.js';
 import type { Author } from './types.js';
 
 /**
@@ -104,6 +114,48 @@ function getAllAuthors(authors: Author[] | string | undefined): string {
  */
 interface ProcessVariablesOptions {
   sectionContents?: string[];
+  /** Project directory; `{{data:...}}` paths resolve against it (default: cwd) */
+  directory?: string;
+  /** Receives `{{data:...}}` variables that could not be resolved */
+  outIssues?: DataVariableIssue[];
+}
+
+/**
+ * A `{{data:...}}` variable whose file, key or filter failed
+ */
+export interface DataVariableIssue {
+  /** The variable as written, e.g. `{{data:results/model.json#beta.mean}}` */
+  variable: string;
+  error: string;
+}
+
+/** {{data:path#key|filter:arg|...}} */
+const DATA_VARIABLE_PATTERN = /\{\{data:([^#|}]+)(?:#([^|}]*))?((?:\|[^|}]*)*)\}\}/g;
+
+/** Rendered in place of a data variable that cannot be resolved */
+const MISSING_DATA_VALUE = '??';
+
+/**
+ * Resolve one `{{data:...}}` variable to its formatted value
+ */
+function resolveDataVariable(
+  file: string,
+  key: string,
+  filters: string[],
+  directory: string
+): { ok: true; value: string } | { ok: false; error: string } {
+  try {
+    const data = readDataFile(path.resolve(directory, file.trim()));
+    const found = lookupDataValue(data, key.trim());
+    if (!found.ok) return { ok: false, error: `${found.error} in ${file.trim()}` };
+    return { ok: true, value: applyDataFilters(found.value, filters) };
+  } catch (err) {
+    return { ok: false, error: (err as Error).message };
+  }
+}
+
+function parseFilters(chain: string): string[] {
+  return chain.split('|').map((f) => f.trim()).filter(Boolean);
 }
 
 /**
@@ -113,6 +165,7 @@ interface Config {
   version?: string;
   title?: string;
   authors?: Author[] | string;
+  contributions?: ContributionStyle;
 }
 
 /**
@@ -157,12 +210,49 @@ export function processVariables(
   // {{authors}} - All authors
   result = result.replace(/\{\{authors\}\}/g, getAllAuthors(config.authors));
 
+  // {{contributions}}, {{funding}}, {{competing_interests}} - From author metadata
+  const authorList = typeof config.authors === 'string' ? [] : config.authors;
+  result = result.replace(/\{\{contributions(?::([^}]+))?\}\}/g, (match, style?: string) => {
+    return renderContributions(authorList, style ?? config.contributions);
+  });
+  result = result.replace(/\{\{funding\}\}/g, () => renderFunding(authorList, config.contributions));
+  result = result.replace(/\{\{competing_interests\}\}/g, () => renderCompetingInterests(authorList, config.contributions));
+
   // {{word_count}} - Total word count
   result = result.replace(/\{\{word_count\}\}/g, wordCount.toLocaleString());
 
+  // {{data:file#key|filter}} - Value from a result file
+  const directory = options.directory ?? process.cwd();
+  result = result.replace(DATA_VARIABLE_PATTERN, (match, file: string, key = '', chain = '') => {
+    const resolved = resolveDataVariable(file, key, parseFilters(chain), directory);
+    if (resolved.ok) return resolved.value;
+    options.outIssues?.push({ variable: match, error: resolved.error });
+    return MISSING_DATA_VALUE;
+  });
+
   return result;
 }
 
+/**
+ * Check every `{{data:...}}` variable in text without substituting it.
+ * Used by `rev check` to catch keys that vanished when the analysis changed.
+ *
+ * @param text - Markdown to scan
+ * @param directory - Project directory the data paths resolve against
+ * @returns One issue per distinct failing variable
+ */
+export function checkDataVariables(text: string, directory: string): DataVariableIssue[] {
+  const issues: DataVariableIssue[] = [];
+  const seen = new Set<string>();
+  for (const m of text.matchAll(DATA_VARIABLE_PATTERN)) {
+    if (seen.has(m[0])) continue;
+    seen.add(m[0]);
+    const resolved = resolveDataVariable(m[1]!, m[2] ?? '', parseFilters(m[3] ?? ''), directory);
+    if (!resolved.ok) issues.push({ variable: m[0], error: resolved.error });
+  }
+  return issues;
+}
+
 /**
  * Check if text contains any template variables
  */
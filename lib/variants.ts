@@ -0,0 +1,153 @@
+/**
+ * Build variants (profiles) declared in rev.yaml
+ *
+ * One source, several manuscripts: an anonymised submission, a preprint with
+ * acknowledgments, an internal draft. Each variant overrides BuildConfig keys,
+ * and `::: {.only variant="..."}` fenced divs are kept or dropped per variant.
+ *
+ *   variants:
+ *     submission:
+ *       docx: { reference: templates/anon.docx }
+ *     preprint:
+ *       pdf: { toc: true }
+ *
+ *   ::: {.only variant="preprint internal"}
+ *   We thank ...
+ *   :::
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * Overrides applied on top of the base config when a variant is selected.
+ * Object-valued keys (pdf, docx, output, crossref, ...) are merged one level
+ * deep; everything else (macros, sections, title, ...) replaces the base.
+ */
+export type VariantConfig = Record<string, unknown>;
+
+// =============================================================================
+// Patterns
+// =============================================================================
+
+/** Opening fence of a pandoc fenced div: three or more colons plus attributes */
+const DIV_OPEN_PATTERN = /^(:{3,})\s*(\{[^}]*\}|[^\s{:][^\s]*)\s*:*\s*$/;
+
+/** Closing fence: a line of three or more colons only */
+const DIV_CLOSE_PATTERN = /^:{3,}\s*$/;
+
+/** Variant names: letters, digits, dash, underscore */
+const VARIANT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Validate a variant name. Names end up in output filenames, so they are
+ * restricted to filename-safe characters.
+ */
+export function isValidVariantName(name: string): boolean {
+  return VARIANT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Parse the variant list from a fenced div attribute block. Returns null when
+ * the div is not a `.only` div. Accepts space- or comma-separated names:
+ * `{.only variant="preprint internal"}`, `{.only variant=preprint}`.
+ */
+export function parseOnlyVariants(attrs: string): string[] | null {
+  if (!/(^|[\s{])\.only(?=[\s}]|$)/.test(attrs)) return null;
+  const m = attrs.match(/\bvariants?\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+))/);
+  const raw = m ? (m[1] ?? m[2] ?? m[3] ?? '') : '';
+  return raw.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Keep or drop `::: {.only variant="..."}` fenced divs for the active variant.
+ *
+ * - Active variant listed: the fences are removed and the content kept.
+ * - Otherwise (including no active variant): the whole div is dropped.
+ *
+ * Nested fenced divs are tracked so the matching closing fence is found.
+ * Fences inside code blocks are left alone.
+ *
+ * @param content - Markdown content
+ * @param variant - Active variant name, or null/undefined for the base build
+ * @returns Filtered markdown
+ */
+export function filterVariantBlocks(content: string, variant?: string | null): string {
+  if (!content.includes('.only')) return content;
+
+  const lines = content.split('\n');
+  const out: string[] = [];
+  // Stack of open divs: whether each is a .only fence (unwrapped) and
+  // whether its content is being dropped.
+  const stack: Array<{ only: boolean; drop: boolean }> = [];
+  let fence: string | null = null;
+
+  const dropping = (): boolean => stack.some((d) => d.drop);
+
+  for (const line of lines) {
+    const trimmed = line.trimEnd();
+
+    // Code fences: pass through verbatim (unless inside a dropped block)
+    const codeFence = trimmed.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (codeFence && codeFence[1]!.startsWith(fence)) fence = null;
+      if (!dropping()) out.push(line);
+      continue;
+    }
+    if (codeFence) {
+      fence = codeFence[1]!;
+      if (!dropping()) out.push(line);
+      continue;
+    }
+
+    const open = trimmed.match(DIV_OPEN_PATTERN);
+    if (open) {
+      const variants = parseOnlyVariants(open[2]!);
+      if (variants) {
+        const keep = !!variant && variants.includes(variant);
+        stack.push({ only: true, drop: !keep });
+        continue;
+      }
+      stack.push({ only: false, drop: false });
+      if (!dropping()) out.push(line);
+      continue;
+    }
+
+    if (DIV_CLOSE_PATTERN.test(trimmed) && stack.length > 0) {
+      const wasDropping = dropping();
+      const closed = stack.pop()!;
+      if (!closed.only && !wasDropping) out.push(line);
+      continue;
+    }
+
+    if (!dropping()) out.push(line);
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Merge variant overrides into a config. Plain-object values merge one level
+ * deep into the base's object of the same key; arrays and scalars replace.
+ */
+export function mergeVariantOverrides<T extends object>(base: T, overrides: VariantConfig): T {
+  const merged: Record<string, unknown> = { ...(base as Record<string, unknown>) };
+  for (const [key, value] of Object.entries(overrides)) {
+    const current = merged[key];
+    if (isPlainObject(value) && isPlainObject(current)) {
+      merged[key] = { ...current, ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged as T;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
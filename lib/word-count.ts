@@ -0,0 +1,268 @@
+/**
+ * Journal-rule-aware word counting
+ *
+ * Journals disagree on what a word limit covers: Nature leaves out the
+ * abstract, Methods, references and figure legends, Science counts the
+ * legends. countManuscriptWords splits section files at their headings,
+ * separates each section's text into body, captions, table cells, footnotes
+ * and citations, and counts only what a journal's WordCountRules
+ * (`requirements.wordLimit.counting`) include, recording why anything was
+ * left out.
+ */
+
+import type { WordCountRules } from './types.js';
+import { countWords } from './utils.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Defaults for the rules a profile's `counting` leaves unset */
+export const DEFAULT_WORD_COUNT_RULES: Required<Omit<WordCountRules, 'include'>> = {
+  exclude: ['Abstract', 'References'],
+  captions: false,
+  tables: false,
+  footnotes: true,
+  citations: false,
+};
+
+/** Crossref prefixes that look like citations but are not */
+const CROSSREF_PREFIXES = /^(?:fig|tbl|eq|sec|lst):/;
+
+// =============================================================================
+// Interfaces
+// =============================================================================
+
+/** Words in each kind of text within a section */
+export interface WordParts {
+  body: number;
+  captions: number;
+  tables: number;
+  footnotes: number;
+  /** Number of in-text citation keys */
+  citations: number;
+}
+
+export interface SectionWordCount {
+  file: string;
+  /** Heading text, or null for text before the first heading */
+  heading: string | null;
+  /** Heading level (0 before the first heading) */
+  level: number;
+  parts: WordParts;
+  /** Every word in the section, whether counted or not */
+  total: number;
+  /** Words that count towards the limit */
+  counted: number;
+  /** Why words were left out; empty when everything counted */
+  notes: string[];
+}
+
+export interface WordCountReport {
+  sections: SectionWordCount[];
+  total: number;
+  counted: number;
+  /** Body words of sections named Abstract, for the abstract limit */
+  abstract: number;
+  rules: WordCountRules;
+}
+
+export interface WordCountInput {
+  file: string;
+  text: string;
+}
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+/**
+ * Fill in unset rules from DEFAULT_WORD_COUNT_RULES
+ */
+export function resolveWordCountRules(rules: WordCountRules | null | undefined): WordCountRules {
+  return { ...DEFAULT_WORD_COUNT_RULES, ...(rules ?? {}) };
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * True when a rule's section name appears in a heading as whole words
+ */
+export function headingMatches(heading: string, name: string): boolean {
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(name.trim())}(?:$|[^\\p{L}\\p{N}])`, 'iu').test(heading);
+}
+
+/**
+ * Decide whether a section counts, from the innermost heading on its path
+ * that a rule names. Returns the reason when it does not.
+ */
+function sectionExclusion(headingPath: string[], rules: WordCountRules): string | null {
+  for (let i = headingPath.length - 1; i >= 0; i--) {
+    const heading = headingPath[i]!;
+    const excluded = rules.exclude?.find((name) => headingMatches(heading, name));
+    if (excluded) return `${excluded} excluded`;
+    if (rules.include?.some((name) => headingMatches(heading, name))) return null;
+  }
+  return rules.include?.length ? `not in counted sections (${rules.include.join(', ')})` : null;
+}
+
+// =============================================================================
+// Splitting
+// =============================================================================
+
+/**
+ * Count the words in each kind of text in a markdown fragment
+ */
+export function countWordParts(markdown: string): WordParts {
+  let text = markdown.replace(/<!--[\s\S]*?-->/g, '');
+  const captions: string[] = [];
+  const tables: string[] = [];
+  const footnotes: string[] = [];
+
+  // Footnote definitions (with indented continuation lines), inline notes, markers
+  text = text.replace(/^\[\^[^\]]+\]:[ \t]*(.*(?:\n[ \t]+\S.*)*)/gm, (_m, note: string) => {
+    footnotes.push(note);
+    return '';
+  });
+  text = text.replace(/\^\[([^\]]*)\]/g, (_m, note: string) => {
+    footnotes.push(note);
+    return '';
+  });
+  text = text.replace(/\[\^[^\]]+\]/g, '');
+
+  // Figure captions, table captions and table directive captions
+  text = text.replace(/!\[([^\]]*)\]\([^)]*\)(?:\{[^}]*\})?/g, (_m, caption: string) => {
+    captions.push(caption);
+    return '';
+  });
+  text = text.replace(/^(?:Table)?:[ \t]+(.+)$/gm, (_m, caption: string) => {
+    captions.push(caption);
+    return '';
+  });
+  text = text.replace(/^:::.*\bcaption="([^"]*)".*$/gm, (_m, caption: string) => {
+    captions.push(caption);
+    return '';
+  });
+
+  // Pipe and grid table rows; separator rows hold no words
+  text = text.replace(/^[ \t]*[|+].*[|+][ \t]*$/gm, (row) => {
+    if (!/^[\s|+:=-]+$/.test(row)) tables.push(row.replace(/[|+]/g, ' '));
+    return '';
+  });
+
+  let citations = 0;
+  for (const m of text.matchAll(/(?<![\w@])-?@([\w][\w:.#$%&+?<>~/-]*\w|\w)/g)) {
+    if (!CROSSREF_PREFIXES.test(m[1]!)) citations++;
+  }
+
+  const words = (part: string) => countWords(part, { skipPunctuation: true });
+  const count = (parts: string[]) => parts.reduce((sum, part) => sum + words(part), 0);
+  return {
+    body: words(text),
+    captions: count(captions),
+    tables: count(tables),
+    footnotes: count(footnotes),
+    citations,
+  };
+}
+
+/**
+ * Split a section file at its headings. Text before the first heading gets
+ * a null heading; fenced code is never taken for a heading.
+ */
+export function splitAtHeadings(text: string): { heading: string | null; level: number; text: string }[] {
+  const sections: { heading: string | null; level: number; text: string }[] = [{ heading: null, level: 0, text: '' }];
+  let fence: string | null = null;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1]!;
+      else if (line.startsWith(fence)) fence = null;
+    }
+    const heading = fence ? null : line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const name = heading[2]!.replace(/\s*\{[^}]*\}\s*$/, '').trim();
+      sections.push({ heading: name, level: heading[1]!.length, text: `${line}\n` });
+    } else {
+      sections[sections.length - 1]!.text += `${line}\n`;
+    }
+  }
+
+  return sections.filter((s) => s.heading !== null || s.text.trim());
+}
+
+// =============================================================================
+// Counting
+// =============================================================================
+
+/**
+ * Count words in section files under a journal's counting rules
+ */
+export function countManuscriptWords(files: WordCountInput[], rules?: WordCountRules | null): WordCountReport {
+  const resolved = resolveWordCountRules(rules);
+  const sections: SectionWordCount[] = [];
+  let abstract = 0;
+
+  for (const { file, text } of files) {
+    // Headings nest within a file; each file starts a new outline
+    const headingPath: { heading: string; level: number }[] = [];
+
+    for (const section of splitAtHeadings(text.replace(/^---\n[\s\S]*?\n---\n?/, ''))) {
+      if (section.heading !== null) {
+        while (headingPath.length > 0 && headingPath[headingPath.length - 1]!.level >= section.level) {
+          headingPath.pop();
+        }
+        headingPath.push({ heading: section.heading, level: section.level });
+      }
+
+      const parts = countWordParts(section.text);
+      const total = parts.body + parts.captions + parts.tables + parts.footnotes;
+      const notes: string[] = [];
+      let counted = 0;
+
+      const names = headingPath.map((h) => h.heading);
+      if (names.some((name) => headingMatches(name, 'Abstract'))) abstract += parts.body;
+
+      const exclusion = sectionExclusion(names, resolved);
+      if (exclusion) {
+        if (total > 0) notes.push(exclusion);
+      } else {
+        counted = parts.body;
+        for (const kind of ['captions', 'tables', 'footnotes'] as const) {
+          if (parts[kind] === 0) continue;
+          if (resolved[kind]) counted += parts[kind];
+          else notes.push(`${parts[kind]} in ${kind} not counted`);
+        }
+        if (resolved.citations) counted += parts.citations;
+      }
+
+      sections.push({ file, heading: section.heading, level: section.level, parts, total, counted, notes });
+    }
+  }
+
+  return {
+    sections,
+    total: sections.reduce((sum, s) => sum + s.total, 0),
+    counted: sections.reduce((sum, s) => sum + s.counted, 0),
+    abstract,
+    rules: resolved,
+  };
+}
+
+/**
+ * One-line summary of the rules, for display
+ */
+export function describeWordCountRules(rules: WordCountRules): string {
+  const parts: string[] = [];
+  if (rules.include?.length) parts.push(`only ${rules.include.join(', ')}`);
+  if (rules.exclude?.length) parts.push(`excluding ${rules.exclude.join(', ')}`);
+  const kinds = (['captions', 'tables', 'footnotes', 'citations'] as const);
+  const counted = kinds.filter((kind) => rules[kind]);
+  const skipped = kinds.filter((kind) => !rules[kind]);
+  if (counted.length) parts.push(`with ${counted.join(', ')}`);
+  if (skipped.length) parts.push(`without ${skipped.join(', ')}`);
+  return parts.join('; ');
+}
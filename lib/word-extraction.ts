@@ -7,6 +7,8 @@ import * as path from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { buildDocTextModel, buildCommentAnchorModel, extractComments, openDocx, readPartText } from './ooxml.js';
+import { commentIdFromDurableId } from './comment-ids.js';
+import { withChangeAuthor, pandocChangeAuthor } from './change-author.js';
 
 const execAsync = promisify(exec);
 
@@ -25,6 +27,16 @@ export interface WordComment {
    * `undefined` for top-level comments.
    */
   parentId?: string;
+  /**
+   * Stable comment ID (`[c:id]` in CriticMarkup), from the comment's Word
+   * durableId. `undefined` when the docx has no commentsIds.xml.
+   */
+  stableId?: string;
+  /**
+   * Done state in Word (`w15:done` in commentsExtended.xml); undefined when
+   * the docx records none
+   */
+  resolved?: boolean;
 }
 
 export interface TextNode {
@@ -112,6 +124,8 @@ export async function extractWordComments(docxPath: string): Promise<WordComment
     date: c.date.slice(0, 10),
     text: c.text,
     parentId: c.parentId,
+    stableId: commentIdFromDurableId(c.durableId) ?? undefined,
+    resolved: c.done,
   }));
 }
 
@@ -416,18 +430,18 @@ export async function extractFromWord(
     const origLength = text.length;
 
     // Use a more robust pattern that handles nested content
-    text = text.replace(/\[([^\[\]]*(?:\[[^\[\]]*\][^\[\]]*)*)\]\{\.insertion[^}]*\}/g, (match, content) => {
+    text = text.replace(/\[([^\[\]]*(?:\[[^\[\]]*\][^\[\]]*)*)\]\{\.insertion([^}]*)\}/g, (match, content, attrs: string) => {
       if (content.trim()) {
         trackChangeStats.insertions++;
-        return `{++${content}++}`;
+        return `{++${withChangeAuthor(content, pandocChangeAuthor(attrs))}++}`;
       }
       return ''; // Empty insertions are removed
     });
 
-    text = text.replace(/\[([^\[\]]*(?:\[[^\[\]]*\][^\[\]]*)*)\]\{\.deletion[^}]*\}/g, (match, content) => {
+    text = text.replace(/\[([^\[\]]*(?:\[[^\[\]]*\][^\[\]]*)*)\]\{\.deletion([^}]*)\}/g, (match, content, attrs: string) => {
       if (content.trim()) {
         trackChangeStats.deletions++;
-        return `{--${content}--}`;
+        return `{--${withChangeAuthor(content, pandocChangeAuthor(attrs))}--}`;
       }
       return ''; // Empty deletions are removed
     });
@@ -436,17 +450,17 @@ export async function extractFromWord(
     let prevText;
     do {
       prevText = text;
-      text = text.replace(/\[([^\]]*)\]\{\.insertion[^}]*\}/g, (match, content) => {
+      text = text.replace(/\[([^\]]*)\]\{\.insertion([^}]*)\}/g, (match, content, attrs: string) => {
         if (content.trim()) {
           trackChangeStats.insertions++;
-          return `{++${content}++}`;
+          return `{++${withChangeAuthor(content, pandocChangeAuthor(attrs))}++}`;
         }
         return '';
       });
-      text = text.replace(/\[([^\]]*)\]\{\.deletion[^}]*\}/g, (match, content) => {
+      text = text.replace(/\[([^\]]*)\]\{\.deletion([^}]*)\}/g, (match, content, attrs: string) => {
         if (content.trim()) {
           trackChangeStats.deletions++;
-          return `{--${content}--}`;
+          return `{--${withChangeAuthor(content, pandocChangeAuthor(attrs))}--}`;
         }
         return '';
       });
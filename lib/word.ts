@@ -13,8 +13,10 @@ import {
   buildCommentAnchorModel,
   extractComments,
   walkBody,
+  decodeXmlEntities,
   type FlowItem,
 } from './ooxml.js';
+import { splitChangeAuthor, withChangeAuthor, pandocChangeAuthor, stripChangeAuthors } from './change-author.js';
 
 // =============================================================================
 // Constants
@@ -95,7 +97,7 @@ export async function extractTextFromWord(docxPath: string): Promise<string> {
   }
   const result = await extractPlainTextWithTrackChanges(docxPath);
   // Strip CriticMarkup: accept insertions, remove deletions, apply substitutions
-  let text = result.text;
+  let text = stripChangeAuthors(result.text);
   text = text.replace(/\{~~[^~]*~>([^~]*)~~\}/g, '$1');  // substitutions → new
   text = text.replace(/\{\+\+([^+]*)\+\+\}/g, '$1');      // insertions → keep
   text = text.replace(/\{--[^}]*--\}/g, '');               // deletions → remove
@@ -211,23 +213,23 @@ export async function extractTrackChanges(docxPath: string): Promise<TrackChange
     return { hasTrackChanges: false, content: null, stats: { insertions: 0, deletions: 0 } };
   }
 
-  // Process insertions: <w:ins ...>...</w:ins> -> {++...++}
+  // Process insertions: <w:ins ...>...</w:ins> -> {++[by:author] ...++}
   // Match the full w:ins element including nested content
-  xml = xml.replace(/<w:ins\b[^>]*>([\s\S]*?)<\/w:ins>/g, (match, content) => {
+  xml = xml.replace(/<w:ins\b([^>]*)>([\s\S]*?)<\/w:ins>/g, (match, attrs: string, content) => {
     const text = extractTextFromXml(content);
     if (text.trim()) {
       insertions++;
-      return `{++${text}++}`;
+      return `{++${withChangeAuthor(text, xmlAuthor(attrs))}++}`;
     }
     return text;
   });
 
-  // Process deletions: <w:del ...>...</w:del> -> {--...--}
-  xml = xml.replace(/<w:del\b[^>]*>([\s\S]*?)<\/w:del>/g, (match, content) => {
+  // Process deletions: <w:del ...>...</w:del> -> {--[by:author] ...--}
+  xml = xml.replace(/<w:del\b([^>]*)>([\s\S]*?)<\/w:del>/g, (match, attrs: string, content) => {
     const text = extractTextFromXml(content);
     if (text.trim()) {
       deletions++;
-      return `{--${text}--}`;
+      return `{--${withChangeAuthor(text, xmlAuthor(attrs))}--}`;
     }
     return '';
   });
@@ -239,24 +241,33 @@ export async function extractTrackChanges(docxPath: string): Promise<TrackChange
   };
 }
 
+/**
+ * `w:author` from a w:ins / w:del start tag's attributes, or null
+ */
+function xmlAuthor(attrs: string): string | null {
+  const m = attrs.match(/\bw:author="([^"]*)"/);
+  return m ? decodeXmlEntities(m[1]!) : null;
+}
+
 /**
  * Extract a single marker's content starting at position i.
- * Returns { content, end } where end is the position after the closing marker,
- * or null if no valid closing marker found.
+ * Returns { content, author, end } where end is the position after the closing
+ * marker, or null if no valid closing marker found.
  */
-function extractMarker(text: string, i: number, open: string, close: string): { content: string; end: number } | null {
+function extractMarker(text: string, i: number, open: string, close: string): { content: string; author: string | null; end: number } | null {
   if (!text.startsWith(open, i)) return null;
   const start = i + open.length;
   const closeIdx = text.indexOf(close, start);
   if (closeIdx === -1) return null;
-  return { content: text.slice(start, closeIdx), end: closeIdx + close.length };
+  const { author, rest } = splitChangeAuthor(text.slice(start, closeIdx));
+  return { content: rest, author, end: closeIdx + close.length };
 }
 
 /**
- * Greedily collect consecutive markers of the same type.
+ * Greedily collect consecutive markers of the same type and author.
  * E.g. {++a++}{++b++}{++c++} → "abc", advancing past all three.
  */
-function collectConsecutive(text: string, i: number, open: string, close: string): { content: string; end: number } | null {
+function collectConsecutive(text: string, i: number, open: string, close: string): { content: string; author: string | null; end: number } | null {
   const first = extractMarker(text, i, open, close);
   if (!first) return null;
 
@@ -265,12 +276,12 @@ function collectConsecutive(text: string, i: number, open: string, close: string
 
   while (end < text.length) {
     const next = extractMarker(text, end, open, close);
-    if (!next) break;
+    if (!next || next.author !== first.author) break;
     content += next.content;
     end = next.end;
   }
 
-  return { content, end };
+  return { content, author: first.author, end };
 }
 
 /**
@@ -278,6 +289,8 @@ function collectConsecutive(text: string, i: number, open: string, close: string
  * 1. Merge consecutive same-type markers: {++a++}{++b++} → {++ab++}
  * 2. Merge adjacent del+ins or ins+del into substitutions: {--old--}{++new++} → {~~old~>new~~}
  *
+ * Only changes by the same author are merged.
+ *
  * Uses a linear scanner — no regex backtracking, no ambiguity.
  */
 function mergeAdjacentMarkers(text: string): string {
@@ -295,14 +308,14 @@ function mergeAdjacentMarkers(text: string): string {
       while (j < text.length && text[j] === ' ') j++;
 
       const ins = collectConsecutive(text, j, '{++', '++}');
-      if (ins) {
+      if (ins && ins.author === del.author) {
         // Merge into substitution
         const trailing = del.content.endsWith(' ') || ins.content.endsWith(' ');
-        result += `{~~${del.content.trimEnd()}~>${ins.content.trimEnd()}~~}${trailing ? ' ' : ''}`;
+        result += `{~~${withChangeAuthor(del.content.trimEnd(), del.author)}~>${ins.content.trimEnd()}~~}${trailing ? ' ' : ''}`;
         i = ins.end;
       } else {
         // Emit merged deletion
-        result += `{--${del.content}--}`;
+        result += `{--${withChangeAuthor(del.content, del.author)}--}`;
         i = del.end;
       }
       continue;
@@ -318,14 +331,14 @@ function mergeAdjacentMarkers(text: string): string {
       while (j < text.length && text[j] === ' ') j++;
 
       const del = collectConsecutive(text, j, '{--', '--}');
-      if (del) {
+      if (del && del.author === ins.author) {
         // Merge into substitution (del → ins order in output)
         const trailing = del.content.endsWith(' ') || ins.content.endsWith(' ');
-        result += `{~~${del.content.trimEnd()}~>${ins.content.trimEnd()}~~}${trailing ? ' ' : ''}`;
+        result += `{~~${withChangeAuthor(del.content.trimEnd(), del.author)}~>${ins.content.trimEnd()}~~}${trailing ? ' ' : ''}`;
         i = del.end;
       } else {
         // Emit merged insertion
-        result += `{++${ins.content}++}`;
+        result += `{++${withChangeAuthor(ins.content, ins.author)}++}`;
         i = ins.end;
       }
       continue;
@@ -343,8 +356,8 @@ function mergeAdjacentMarkers(text: string): string {
  * This is a pandoc-free fallback that reads document.xml directly.
  *
  * Converts:
- *   <w:ins> content </w:ins>  →  {++text++}
- *   <w:del> content </w:del>  →  {--text--}
+ *   <w:ins> content </w:ins>  →  {++[by:author] text++}
+ *   <w:del> content </w:del>  →  {--[by:author] text--}
  *
  * Also detects headings (w:pStyle Heading1-6) and outputs markdown # syntax.
  *
@@ -378,12 +391,13 @@ export async function extractPlainTextWithTrackChanges(docxPath: string): Promis
   let headingLevel = 0;
   let mode: 'normal' | 'ins' | 'del' = 'normal';
   let buffer = '';
+  let spanAuthor: string | undefined;
 
   const flushSpan = (open: string, close: string, isIns: boolean) => {
     if (buffer.trim()) {
       if (isIns) insertions++;
       else deletions++;
-      paraOut += `${open}${buffer}${close}`;
+      paraOut += `${open}${withChangeAuthor(buffer, spanAuthor)}${close}`;
     } else if (buffer.length > 0) {
       // Whitespace-only edits are kept as plain text to preserve spacing.
       paraOut += buffer;
@@ -423,6 +437,7 @@ export async function extractPlainTextWithTrackChanges(docxPath: string): Promis
       case 'insStart':
         mode = 'ins';
         buffer = '';
+        spanAuthor = item.author;
         break;
       case 'insEnd':
         flushSpan('{++', '++}', true);
@@ -431,6 +446,7 @@ export async function extractPlainTextWithTrackChanges(docxPath: string): Promis
       case 'delStart':
         mode = 'del';
         buffer = '';
+        spanAuthor = item.author;
         break;
       case 'delEnd':
         flushSpan('{--', '--}', false);
@@ -498,20 +514,20 @@ export async function extractWithTrackChanges(
   // [deleted text]{.deletion author="..."}
 
   // Convert pandoc's track change format to CriticMarkup
-  // Insertions: [text]{.insertion ...} -> {++text++}
-  text = text.replace(/\[([^\]]*)\]\{\.insertion[^}]*\}/g, (match, content) => {
+  // Insertions: [text]{.insertion author="..."} -> {++[by:author] text++}
+  text = text.replace(/\[([^\]]*)\]\{\.insertion([^}]*)\}/g, (match, content, attrs: string) => {
     if (content.trim()) {
       insertions++;
-      return `{++${content}++}`;
+      return `{++${withChangeAuthor(content, pandocChangeAuthor(attrs))}++}`;
     }
     return '';
   });
 
-  // Deletions: [text]{.deletion ...} -> {--text--}
-  text = text.replace(/\[([^\]]*)\]\{\.deletion[^}]*\}/g, (match, content) => {
+  // Deletions: [text]{.deletion author="..."} -> {--[by:author] text--}
+  text = text.replace(/\[([^\]]*)\]\{\.deletion([^}]*)\}/g, (match, content, attrs: string) => {
     if (content.trim()) {
       deletions++;
-      return `{--${content}--}`;
+      return `{--${withChangeAuthor(content, pandocChangeAuthor(attrs))}--}`;
     }
     return '';
   });
@@ -8,12 +8,18 @@
  * 2. Pandoc converts to DOCX
  * 3. injectCommentsAtMarkers() - Insert comment ranges for parents only
  *    - Replies go in comments.xml with parent reference in commentsExtended.xml
+ *
+ * A comment's stable ID (`{>>[c:7f3a] Author: ...<<}`) becomes its durableId
+ * in commentsIds.xml, which Word keeps, so the comment is recognised on import.
+ * A `[RESOLVED]` marker becomes `w15:done="1"` in commentsExtended.xml, so
+ * Word shows the comment as resolved.
  */
 
 import * as fs from 'fs';
 import AdmZip from 'adm-zip';
 import { escapeXml } from './utils.js';
 import { indexTextRuns, type TextRunSlot } from './ooxml.js';
+import { splitCommentId, durableIdForComment } from './comment-ids.js';
 
 const MARKER_START_PREFIX = '⟦CMS:';
 const MARKER_END_PREFIX = '⟦CME:';
@@ -22,6 +28,10 @@ const MARKER_SUFFIX = '⟧';
 interface ParsedComment {
   author: string;
   text: string;
+  /** Stable ID from a `[c:id]` prefix, or null */
+  stableId: string | null;
+  /** Ends with a `[RESOLVED]` / `[✓]` marker (dropped from the text) */
+  resolved: boolean;
   anchor: string | null;
   start: number;
   end: number;
@@ -107,13 +117,15 @@ export function prepareMarkdownWithMarkers(markdown: string): PrepareResult {
   const rawMatches: (ParsedComment & { explicitReply: boolean })[] = [];
   let match: RegExpExecArray | null;
   while ((match = commentPattern.exec(markdown)) !== null) {
-    const content = match[1] ?? '';
+    const { id: stableId, rest: content } = splitCommentId(match[1] ?? '');
+    const resolvedMark = content.match(/\s*\[(?:RESOLVED|✓)\]$/)?.[0] ?? '';
+    const body = content.slice(0, content.length - resolvedMark.length);
     let author = 'Unknown';
-    let text = content;
-    const colonIdx = content.indexOf(':');
+    let text = body;
+    const colonIdx = body.indexOf(':');
     if (colonIdx > 0 && colonIdx < 30) {
-      author = content.slice(0, colonIdx).trim();
-      text = content.slice(colonIdx + 1).trim();
+      author = body.slice(0, colonIdx).trim();
+      text = body.slice(colonIdx + 1).trim();
     }
 
     // The `↪ ` prefix is the authoritative reply signal emitted by
@@ -131,6 +143,8 @@ export function prepareMarkdownWithMarkers(markdown: string): PrepareResult {
     rawMatches.push({
       author,
       text,
+      stableId,
+      resolved: resolvedMark !== '',
       anchor: trailing ? trailing.anchor : null,
       start: match.index,
       end: trailing ? trailing.endIdx : commentEnd,
@@ -185,6 +199,8 @@ export function prepareMarkdownWithMarkers(markdown: string): PrepareResult {
       comments.push({
         author: m.author,
         text: m.text,
+        stableId: m.stableId,
+        resolved: m.resolved,
         anchor: m.anchor,
         start: m.start,
         end: m.end,
@@ -199,6 +215,8 @@ export function prepareMarkdownWithMarkers(markdown: string): PrepareResult {
       comments.push({
         author: m.author,
         text: m.text,
+        stableId: m.stableId,
+        resolved: m.resolved,
         anchor: m.anchor,
         start: m.start,
         end: m.end,
@@ -318,12 +336,13 @@ function createCommentsExtendedXml(comments: CommentWithIds[]): string {
   xml += '<w15:commentsEx xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006" xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:w14="http://schemas.microsoft.com/office/word/2010/wordml" xmlns:w15="http://schemas.microsoft.com/office/word/2012/wordml" mc:Ignorable="w14 w15">';
 
   for (const comment of comments) {
+    const done = comment.resolved ? '1' : '0';
     if (comment.isReply && comment.parentParaId) {
       // Reply: use paraId2 (the second/empty paragraph) and link to parent's paraId
-      xml += `<w15:commentEx w15:paraId="${comment.paraId2}" w15:paraIdParent="${comment.parentParaId}" w15:done="0"/>`;
+      xml += `<w15:commentEx w15:paraId="${comment.paraId2}" w15:paraIdParent="${comment.parentParaId}" w15:done="${done}"/>`;
     } else {
       // Parent comment: use paraId (first paragraph)
-      xml += `<w15:commentEx w15:paraId="${comment.paraId}" w15:done="0"/>`;
+      xml += `<w15:commentEx w15:paraId="${comment.paraId}" w15:done="${done}"/>`;
     }
   }
 
@@ -447,14 +466,28 @@ export async function injectCommentsAtMarkers(
 
     let documentXml = zip.readAsText(documentEntry);
 
-    // Assign IDs and paraIds (IDs start at 1, not 0 - Word convention)
-    const commentsWithIds: CommentWithIds[] = comments.map((c, idx) => ({
-      ...c,
-      id: String(idx + 1),
-      paraId: generateParaId(idx, 1),       // First paragraph (e.g., 10000001)
-      paraId2: generateParaId(idx, 2),      // Second paragraph (e.g., 10000002)
-      durableId: generateDurableId(idx),    // Unique ID for commentsIds/commentsExtensible
-    }));
+    // Assign IDs and paraIds (IDs start at 1, not 0 - Word convention).
+    // A stable comment ID is used as the durableId so it survives the round
+    // trip through Word; duplicates fall back to a generated one.
+    const usedDurableIds = new Set<string>();
+    const commentsWithIds: CommentWithIds[] = comments.map((c, idx) => {
+      let durableId = c.stableId ? durableIdForComment(c.stableId) : null;
+      if (!durableId || usedDurableIds.has(durableId)) {
+        let n = idx;
+        do {
+          durableId = generateDurableId(n);
+          n += comments.length;
+        } while (usedDurableIds.has(durableId));
+      }
+      usedDurableIds.add(durableId);
+      return {
+        ...c,
+        id: String(idx + 1),
+        paraId: generateParaId(idx, 1),     // First paragraph (e.g., 10000001)
+        paraId2: generateParaId(idx, 2),    // Second paragraph (e.g., 10000002)
+        durableId,                          // Unique ID for commentsIds/commentsExtensible
+      };
+    });
 
     // Link replies to parent paraIds
     for (const c of commentsWithIds) {
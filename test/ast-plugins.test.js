@@ -0,0 +1,224 @@
+/**
+ * Tests for ast-plugins.js (JS build plugins on the pandoc JSON AST)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import AdmZip from 'adm-zip';
+import {
+  normalizePluginEntries,
+  resolvePluginPath,
+  loadPlugin,
+  loadPluginsForFormat,
+  walkAst,
+  describeNode,
+  applyAstPlugins,
+  readerFormat,
+  readPandocAst,
+  pluginPackageVersions,
+} from '../lib/ast-plugins.js';
+import { loadConfig, runPandoc } from '../lib/build.js';
+import { hasPandoc } from '../lib/dependencies.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-plugins-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const str = (text) => ({ t: 'Str', c: text });
+const doc = (...blocks) => ({ 'pandoc-api-version': [1, 23, 1], meta: {}, blocks });
+const para = (...words) => ({ t: 'Para', c: words.flatMap((w, i) => (i > 0 ? [{ t: 'Space' }, str(w)] : [str(w)])) });
+
+const UPPERCASE_PLUGIN = `
+export const formats = ['docx'];
+export default function (ast, { walk, options }) {
+  return walk(ast, (node) => {
+    if (node.t === 'Str') return { t: 'Str', c: node.c.toUpperCase() + (options.suffix ?? '') };
+  });
+}
+`;
+
+describe('normalizePluginEntries', () => {
+  it('accepts module names and entries', () => {
+    assert.deepStrictEqual(normalizePluginEntries(['./a.mjs', { module: 'pkg', formats: ['docx'], options: { x: 1 } }]), [
+      { module: './a.mjs' },
+      { module: 'pkg', formats: ['docx'], options: { x: 1 } },
+    ]);
+    assert.deepStrictEqual(normalizePluginEntries(undefined), []);
+  });
+
+  it('rejects malformed entries', () => {
+    assert.throws(() => normalizePluginEntries('./a.mjs'), /must be a list/);
+    assert.throws(() => normalizePluginEntries([{ formats: ['docx'] }]), /plugins\[0\] must be a module path/);
+  });
+});
+
+describe('resolvePluginPath', () => {
+  it('resolves project files and npm packages', () => {
+    fs.writeFileSync(path.join(tempDir, 'local.mjs'), 'export default () => {};');
+    assert.strictEqual(resolvePluginPath('./local.mjs', tempDir), path.join(tempDir, 'local.mjs'));
+
+    const pkgDir = path.join(tempDir, 'node_modules', 'docrev-plugin-esm');
+    fs.mkdirSync(pkgDir, { recursive: true });
+    fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name: 'docrev-plugin-esm', type: 'module', exports: { import: './index.js' } }));
+    fs.writeFileSync(path.join(pkgDir, 'index.js'), 'export default () => {};');
+    assert.strictEqual(fs.realpathSync(resolvePluginPath('docrev-plugin-esm', tempDir)), fs.realpathSync(path.join(pkgDir, 'index.js')));
+  });
+
+  it('reports missing plugins', () => {
+    assert.throws(() => resolvePluginPath('./missing.mjs', tempDir), /Plugin not found: \.\/missing\.mjs/);
+    assert.throws(() => resolvePluginPath('docrev-plugin-nope', tempDir), /npm install docrev-plugin-nope/);
+  });
+});
+
+describe('pluginPackageVersions', () => {
+  it('reads installed versions of npm plugins', () => {
+    const pkgDir = path.join(tempDir, 'node_modules', '@lab', 'docrev-plugin');
+    fs.mkdirSync(path.join(pkgDir, 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name: '@lab/docrev-plugin', version: '1.2.3', main: 'lib/index.js' }));
+    fs.writeFileSync(path.join(pkgDir, 'lib', 'index.js'), 'module.exports = () => {};');
+
+    assert.deepStrictEqual(
+      pluginPackageVersions(['./local.mjs', { module: '@lab/docrev-plugin' }, 'docrev-plugin-nope'], tempDir),
+      { '@lab/docrev-plugin': '1.2.3', 'docrev-plugin-nope': 'missing' }
+    );
+  });
+});
+
+describe('loadPlugin', () => {
+  it('loads the default export and its formats', async () => {
+    fs.writeFileSync(path.join(tempDir, 'upper.mjs'), UPPERCASE_PLUGIN);
+    const plugin = await loadPlugin({ module: './upper.mjs', options: { suffix: '!' } }, tempDir);
+    assert.deepStrictEqual(plugin.formats, ['docx']);
+    assert.deepStrictEqual(plugin.options, { suffix: '!' });
+  });
+
+  it('loads CommonJS transform exports', async () => {
+    fs.writeFileSync(path.join(tempDir, 'cjs.cjs'), 'module.exports = { transform: (ast) => ast };');
+    const plugin = await loadPlugin({ module: './cjs.cjs' }, tempDir);
+    assert.strictEqual(typeof plugin.transform, 'function');
+    assert.strictEqual(plugin.formats, null);
+  });
+
+  it('requires a transform function', async () => {
+    fs.writeFileSync(path.join(tempDir, 'empty.mjs'), 'export const formats = [];');
+    await assert.rejects(loadPlugin({ module: './empty.mjs' }, tempDir), /exports no transform function/);
+  });
+
+  it('filters by format', async () => {
+    fs.writeFileSync(path.join(tempDir, 'upper.mjs'), UPPERCASE_PLUGIN);
+    assert.strictEqual((await loadPluginsForFormat(['./upper.mjs'], 'docx', tempDir)).length, 1);
+    assert.strictEqual((await loadPluginsForFormat(['./upper.mjs'], 'pdf', tempDir)).length, 0);
+    assert.strictEqual((await loadPluginsForFormat([{ module: './missing.mjs', formats: ['html'] }], 'pdf', tempDir)).length, 0);
+  });
+});
+
+describe('walkAst', () => {
+  it('replaces, splices and removes elements', () => {
+    const result = walkAst(doc(para('keep', 'drop', 'twice')), (node) => {
+      if (node.t === 'Str' && node.c === 'drop') return [];
+      if (node.t === 'Str' && node.c === 'twice') return [str('one'), str('two')];
+      if (node.t === 'Str') return str(node.c.toUpperCase());
+    });
+    assert.deepStrictEqual(result.blocks[0].c.map((n) => n.c ?? ' '), ['KEEP', ' ', ' ', 'one', 'two']);
+  });
+
+  it('does not modify the input', () => {
+    const input = doc(para('a'));
+    walkAst(input, () => str('b'));
+    assert.strictEqual(input.blocks[0].c[0].c, 'a');
+  });
+});
+
+describe('describeNode', () => {
+  it('shows the type and leading text', () => {
+    assert.strictEqual(describeNode(para('Results', 'show')), 'Para "Results show"');
+    assert.strictEqual(describeNode({ t: 'HorizontalRule' }), 'HorizontalRule');
+  });
+});
+
+describe('applyAstPlugins', () => {
+  const context = { format: 'docx', config: {}, registry: {}, directory: '.' };
+
+  it('runs plugins in order', async () => {
+    const plugins = [
+      { name: 'a', formats: null, options: {}, transform: (ast) => { ast.blocks.push(para('a')); } },
+      { name: 'b', formats: null, options: {}, transform: (ast, { walk }) => walk(ast, (n) => (n.t === 'Str' ? str(`${n.c}b`) : undefined)) },
+    ];
+    const result = await applyAstPlugins(doc(), plugins, context);
+    assert.strictEqual(result.blocks[0].c[0].c, 'ab');
+  });
+
+  it('points errors at the plugin and node', async () => {
+    const plugins = [{
+      name: './plugins/check.mjs',
+      formats: null,
+      options: {},
+      transform: (ast, { walk }) => walk(ast, (node) => {
+        if (node.t === 'Str' && node.c === 'bad') throw new Error('no bad words');
+      }),
+    }];
+    await assert.rejects(
+      applyAstPlugins(doc(para('fine'), para('really', 'bad')), plugins, context),
+      { message: 'Plugin ./plugins/check.mjs failed for docx at blocks[1].c[2] (Str "bad"): no bad words' }
+    );
+  });
+
+  it('rejects malformed results', async () => {
+    const broken = (transform) => [{ name: 'broken', formats: null, options: {}, transform }];
+    await assert.rejects(applyAstPlugins(doc(), broken(() => 'text'), context), /Plugin broken failed for docx: returned string/);
+    await assert.rejects(
+      applyAstPlugins(doc(), broken((ast) => ({ ...ast, blocks: [{ c: [] }] })), context),
+      /at blocks\[0\] .*element has no string "t"/
+    );
+  });
+});
+
+describe('readerFormat', () => {
+  it('reads -f/--from from pandoc args', () => {
+    assert.strictEqual(readerFormat(['-t', 'docx']), 'markdown');
+    assert.strictEqual(readerFormat(['--from', 'markdown+hard_line_breaks']), 'markdown+hard_line_breaks');
+    assert.strictEqual(readerFormat(['--from=commonmark_x']), 'commonmark_x');
+    assert.strictEqual(readerFormat(['-fgfm']), 'gfm');
+  });
+});
+
+describe('readPandocAst', { skip: process.platform === 'win32' }, () => {
+  it('rejects when pandoc prints invalid JSON', async () => {
+    // A stand-in pandoc on PATH whose output is cut short
+    const bin = path.join(tempDir, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'pandoc'), '#!/bin/sh\nprintf \'{"blocks": [\'\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(tempDir, 'paper.md'), 'Text\n');
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${bin}${path.delimiter}${originalPath}`;
+    try {
+      await assert.rejects(readPandocAst(path.join(tempDir, 'paper.md'), 'markdown'), /pandoc returned invalid JSON for paper\.md/);
+    } finally {
+      process.env.PATH = originalPath;
+    }
+  });
+});
+
+describe('end-to-end: plugin in a DOCX build', { skip: !hasPandoc() }, () => {
+  it('applies the plugin to the output', async () => {
+    fs.writeFileSync(path.join(tempDir, 'upper.mjs'), UPPERCASE_PLUGIN);
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'title: Plugins\nplugins: [./upper.mjs]\n');
+    fs.writeFileSync(path.join(tempDir, 'paper.md'), '# Intro\n\nquiet words\n');
+    const outputPath = path.join(tempDir, 'out.docx');
+    const result = await runPandoc(path.join(tempDir, 'paper.md'), 'docx', loadConfig(tempDir), { outputPath });
+    assert.ok(result.success, result.error);
+    const xml = new AdmZip(outputPath).readAsText('word/document.xml');
+    assert.ok(xml.includes('QUIET'));
+    assert.ok(!fs.readdirSync(tempDir).some((f) => f.endsWith('.ast.json')));
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for build-cache.js (incremental build cache)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import {
+  hashFile,
+  findReferencedFigures,
+  collectInputHashes,
+  computeCacheKey,
+  lookupCachedOutput,
+  recordBuildOutput,
+  clearBuildCache,
+} from '../lib/build-cache.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-cache-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('findReferencedFigures', () => {
+  it('finds markdown images and \\includegraphics paths', () => {
+    const md = [
+      '![Map](figures/map.png){#fig:map width=80%}',
+      '![Plot](<figures/plot one.pdf> "title")',
+      '\\includegraphics[width=0.5\\textwidth]{figures/raw.pdf}',
+    ].join('\n');
+
+    assert.deepStrictEqual(findReferencedFigures(md), [
+      'figures/map.png',
+      'figures/raw.pdf',
+    ]);
+  });
+
+  it('skips URLs and deduplicates', () => {
+    const md = '![a](https://x.org/a.png) ![b](b.png) ![c](b.png) ![d](data:image/png;base64,AA)';
+    assert.deepStrictEqual(findReferencedFigures(md), ['b.png']);
+  });
+});
+
+describe('collectInputHashes', () => {
+  it('hashes existing files and marks missing ones', () => {
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+    const hashes = collectInputHashes(tempDir, ['intro.md', 'gone.bib']);
+
+    assert.strictEqual(hashes['intro.md'], hashFile(path.join(tempDir, 'intro.md')));
+    assert.strictEqual(hashes['gone.bib'], 'missing');
+  });
+});
+
+describe('computeCacheKey', () => {
+  it('is stable under settings key order', () => {
+    const inputs = { 'a.md': '1' };
+    const k1 = computeCacheKey('pdf', inputs, { a: 1, b: { c: 2, d: 3 } });
+    const k2 = computeCacheKey('pdf', inputs, { b: { d: 3, c: 2 }, a: 1 });
+    assert.strictEqual(k1, k2);
+  });
+
+  it('changes with format, inputs and settings', () => {
+    const base = computeCacheKey('pdf', { 'a.md': '1' }, { x: 1 });
+    assert.notStrictEqual(base, computeCacheKey('docx', { 'a.md': '1' }, { x: 1 }));
+    assert.notStrictEqual(base, computeCacheKey('pdf', { 'a.md': '2' }, { x: 1 }));
+    assert.notStrictEqual(base, computeCacheKey('pdf', { 'a.md': '1' }, { x: 2 }));
+  });
+});
+
+describe('lookupCachedOutput / recordBuildOutput', () => {
+  it('returns the output after a recorded build with the same key', () => {
+    const out = path.join(tempDir, 'output', 'paper.pdf');
+    fs.mkdirSync(path.dirname(out));
+    fs.writeFileSync(out, 'PDF');
+
+    recordBuildOutput(tempDir, 'pdf', 'key1', out);
+
+    assert.strictEqual(lookupCachedOutput(tempDir, 'pdf', 'key1'), out);
+    assert.ok(fs.existsSync(path.join(tempDir, '.rev', 'build-cache.json')));
+  });
+
+  it('misses on a different key or format', () => {
+    const out = path.join(tempDir, 'paper.pdf');
+    fs.writeFileSync(out, 'PDF');
+    recordBuildOutput(tempDir, 'pdf', 'key1', out);
+
+    assert.strictEqual(lookupCachedOutput(tempDir, 'pdf', 'key2'), null);
+    assert.strictEqual(lookupCachedOutput(tempDir, 'docx', 'key1'), null);
+  });
+
+  it('misses when the output was deleted or modified', () => {
+    const out = path.join(tempDir, 'paper.docx');
+    fs.writeFileSync(out, 'DOCX');
+    recordBuildOutput(tempDir, 'docx', 'k', out);
+
+    fs.writeFileSync(out, 'edited');
+    assert.strictEqual(lookupCachedOutput(tempDir, 'docx', 'k'), null);
+
+    fs.unlinkSync(out);
+    assert.strictEqual(lookupCachedOutput(tempDir, 'docx', 'k'), null);
+  });
+
+  it('clearBuildCache removes the cache file', () => {
+    const out = path.join(tempDir, 'paper.pdf');
+    fs.writeFileSync(out, 'PDF');
+    recordBuildOutput(tempDir, 'pdf', 'k', out);
+
+    assert.strictEqual(clearBuildCache(tempDir), true);
+    assert.strictEqual(lookupCachedOutput(tempDir, 'pdf', 'k'), null);
+    assert.strictEqual(clearBuildCache(tempDir), false);
+  });
+});
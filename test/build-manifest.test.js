@@ -0,0 +1,196 @@
+/**
+ * Tests for build-manifest.js (build provenance)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { execSync } from 'child_process';
+import AdmZip from 'adm-zip';
+import { PDFDocument } from 'pdf-lib';
+import {
+  MANIFEST_FILE,
+  embedBuildId,
+  readBuildId,
+  writeBuildManifest,
+  findBuildManifest,
+  sectionsChangedSinceBuild,
+  recoverBuiltSections,
+  describeBuildOrigin,
+} from '../lib/build-manifest.js';
+import { hashFile } from '../lib/build-cache.js';
+import { checkBaseMatch } from '../lib/merge.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-manifest-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function writeDocx(filePath, text = 'Hello') {
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>'
+  ));
+  zip.addFile('_rels/.rels', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>'
+  ));
+  zip.addFile('word/document.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`
+  ));
+  zip.writeZip(filePath);
+}
+
+function manifest(overrides = {}) {
+  return {
+    version: 1,
+    buildId: 'abc123def456',
+    builtAt: '2026-05-01T10:00:00.000Z',
+    git: { commit: '0123456789abcdef', dirty: false },
+    sections: {},
+    tools: { pandoc: '3.1.9', pandocCrossref: null },
+    csl: null,
+    journal: null,
+    variant: null,
+    outputs: [],
+    ...overrides,
+  };
+}
+
+describe('embedBuildId / readBuildId', () => {
+  it('round-trips a DOCX custom property and registers the part', async () => {
+    const docx = path.join(tempDir, 'paper.docx');
+    writeDocx(docx);
+
+    assert.strictEqual(await readBuildId(docx), null);
+    assert.strictEqual(await embedBuildId(docx, 'abc123def456'), true);
+    assert.strictEqual(await readBuildId(docx), 'abc123def456');
+
+    const zip = new AdmZip(docx);
+    assert.ok(zip.getEntry('[Content_Types].xml').getData().toString().includes('PartName="/docProps/custom.xml"'));
+    assert.ok(zip.getEntry('_rels/.rels').getData().toString().includes('Id="rId2"'));
+  });
+
+  it('replaces an earlier DOCX build ID instead of duplicating it', async () => {
+    const docx = path.join(tempDir, 'paper.docx');
+    writeDocx(docx);
+    await embedBuildId(docx, '111111111111');
+    await embedBuildId(docx, '222222222222');
+
+    const xml = new AdmZip(docx).getEntry('docProps/custom.xml').getData().toString();
+    assert.strictEqual(xml.match(/docrev-build-id/g).length, 1);
+    assert.strictEqual(await readBuildId(docx), '222222222222');
+  });
+
+  it('round-trips a PDF document-info entry', async () => {
+    const pdfPath = path.join(tempDir, 'paper.pdf');
+    const doc = await PDFDocument.create();
+    doc.addPage();
+    doc.setTitle('Paper');
+    fs.writeFileSync(pdfPath, await doc.save());
+
+    assert.strictEqual(await embedBuildId(pdfPath, 'abc123def456'), true);
+    assert.strictEqual(await readBuildId(pdfPath), 'abc123def456');
+
+    const reloaded = await PDFDocument.load(fs.readFileSync(pdfPath));
+    assert.strictEqual(reloaded.getTitle(), 'Paper');
+  });
+
+  it('skips formats without metadata support', async () => {
+    const html = path.join(tempDir, 'paper.html');
+    fs.writeFileSync(html, '<p>x</p>');
+    assert.strictEqual(await embedBuildId(html, 'abc123def456'), false);
+    assert.strictEqual(await readBuildId(html), null);
+  });
+});
+
+describe('build manifest files', () => {
+  it('writes the output copy and an archived copy findable by ID', () => {
+    const outputDir = path.join(tempDir, 'output');
+    const written = writeBuildManifest(tempDir, outputDir, manifest());
+
+    assert.strictEqual(written, path.join(outputDir, MANIFEST_FILE));
+    assert.ok(fs.existsSync(path.join(tempDir, '.rev', 'builds', 'abc123def456.json')));
+
+    // A later build overwrites the output copy; the archive still has this one
+    writeBuildManifest(tempDir, outputDir, manifest({ buildId: 'fedcba987654' }));
+    assert.strictEqual(findBuildManifest(tempDir, 'abc123def456').git.commit, '0123456789abcdef');
+    assert.strictEqual(findBuildManifest(tempDir, '000000000000'), null);
+  });
+
+  it('lists sections edited or deleted since the build', () => {
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+    fs.writeFileSync(path.join(tempDir, 'methods.md'), '# Methods');
+    const m = manifest({
+      sections: {
+        'intro.md': hashFile(path.join(tempDir, 'intro.md')),
+        'methods.md': hashFile(path.join(tempDir, 'methods.md')),
+        'gone.md': 'deadbeef',
+      },
+    });
+    fs.writeFileSync(path.join(tempDir, 'methods.md'), '# Methods\n\nNew text.');
+
+    assert.deepStrictEqual(sectionsChangedSinceBuild(tempDir, m), ['methods.md', 'gone.md']);
+  });
+
+  it('recovers sections as built from the build commit', () => {
+    const git = (cmd) => execSync(cmd, { cwd: tempDir, stdio: 'pipe' });
+    git('git init');
+    git('git config user.email "test@test.com"');
+    git('git config user.name "Test User"');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro\n\nAs built.\n');
+    fs.writeFileSync(path.join(tempDir, 'methods.md'), '# Methods\n\nCommitted.\n');
+    git('git add -A');
+    git('git commit -m "v1"');
+    const commit = git('git rev-parse HEAD').toString().trim();
+    // methods.md was built from uncommitted text
+    fs.writeFileSync(path.join(tempDir, 'methods.md'), '# Methods\n\nUncommitted.\n');
+    const m = manifest({
+      git: { commit, dirty: true },
+      sections: {
+        'intro.md': hashFile(path.join(tempDir, 'intro.md')),
+        'methods.md': hashFile(path.join(tempDir, 'methods.md')),
+      },
+    });
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro\n\nEdited since.\n');
+
+    const built = recoverBuiltSections(tempDir, m);
+    assert.deepStrictEqual([...built.keys()], ['intro.md']);
+    assert.strictEqual(built.get('intro.md'), '# Intro\n\nAs built.\n');
+    assert.strictEqual(recoverBuiltSections(tempDir, manifest({ git: { commit: null, dirty: false } }), ['intro.md']).size, 0);
+  });
+
+  it('describes the build origin', () => {
+    assert.strictEqual(
+      describeBuildOrigin(manifest({ git: { commit: '0123456789abcdef', dirty: true } })),
+      'commit 0123456 (uncommitted changes), built 2026-05-01'
+    );
+    assert.strictEqual(describeBuildOrigin(manifest({ git: { commit: null, dirty: false } })), 'no git commit, built 2026-05-01');
+  });
+});
+
+describe('checkBaseMatch with build IDs', () => {
+  it('matches documents from the same build without comparing text', async () => {
+    const base = path.join(tempDir, 'base.docx');
+    const reviewer = path.join(tempDir, 'reviewer.docx');
+    writeDocx(base, 'Original wording');
+    writeDocx(reviewer, 'Completely rewritten by the reviewer');
+    await embedBuildId(base, 'abc123def456');
+    await embedBuildId(reviewer, 'abc123def456');
+
+    const result = await checkBaseMatch(base, reviewer);
+    assert.strictEqual(result.matches, true);
+    assert.strictEqual(result.similarity, 1);
+    assert.strictEqual(result.reviewerBuildId, 'abc123def456');
+  });
+});
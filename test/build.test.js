@@ -13,17 +13,27 @@ import {
   loadConfig,
   findSections,
   combineSections,
+  combineSupplement,
+  resolveSupplementOutputPath,
+  prepareForFormat,
   buildPandocArgs,
   collectPandocPassthroughArgs,
   processTablesForFormat,
   slugifyTitle,
   getFormatExtension,
   resolveOutputPath,
+  listBuildInputs,
+  findMainSections,
+  applyVariant,
+  mergeJournalFormatting,
+  buildProjectRegistry,
   detectRawLatexFigures,
   translateRawLatexFigures,
   collectRawLatexFigureWarning,
+  build,
 } from '../lib/build.js';
 import { hasPandoc, hasPandocCrossref } from '../lib/dependencies.js';
+import { splitAnnotatedPaper } from '../lib/sections.js';
 
 let tempDir;
 
@@ -221,6 +231,338 @@ Content here.`);
   });
 });
 
+describe('applyVariant', () => {
+  const writeProject = () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), `
+title: Paper
+sections: [main.md]
+pdf:
+  toc: false
+variants:
+  preprint:
+    pdf:
+      toc: true
+  submission:
+    output:
+      docx: anon.docx
+`);
+    fs.writeFileSync(path.join(tempDir, 'main.md'), [
+      '# Main',
+      '',
+      '::: {.only variant="preprint"}',
+      '![Extra](extra.png){#fig:extra}',
+      ':::',
+      '',
+      '![Map](map.png){#fig:map}',
+    ].join('\n'));
+    return loadConfig(tempDir);
+  };
+
+  it('merges variant overrides over the base config', () => {
+    const config = applyVariant(writeProject(), 'preprint', tempDir);
+    assert.strictEqual(config.pdf.toc, true);
+    assert.strictEqual(config.pdf.documentclass, 'article');
+    assert.strictEqual(config._variant, 'preprint');
+  });
+
+  it('throws for an undeclared variant', () => {
+    assert.throws(() => applyVariant(writeProject(), 'internal', tempDir), /Unknown variant "internal".*preprint, submission/);
+  });
+
+  it('suffixes output filenames with the variant name', () => {
+    const config = applyVariant(writeProject(), 'preprint', tempDir);
+    assert.strictEqual(
+      resolveOutputPath(tempDir, config, 'pdf'),
+      path.join(tempDir, 'output', 'paper-preprint.pdf')
+    );
+  });
+
+  it('does not suffix when the variant names its own outputs', () => {
+    const config = applyVariant(writeProject(), 'submission', tempDir);
+    assert.strictEqual(resolveOutputPath(tempDir, config, 'docx'), path.join(tempDir, 'output', 'anon.docx'));
+  });
+
+  it('still suffixes formats the variant output map leaves out', () => {
+    const config = applyVariant(writeProject(), 'submission', tempDir);
+    assert.strictEqual(
+      resolveOutputPath(tempDir, config, 'pdf'),
+      path.join(tempDir, 'output', 'paper-submission.pdf')
+    );
+  });
+
+  it('filters .only blocks in combineSections and the registry', () => {
+    const base = writeProject();
+
+    const preprint = applyVariant(base, 'preprint', tempDir);
+    const withExtra = fs.readFileSync(combineSections(tempDir, preprint), 'utf-8');
+    assert.ok(withExtra.includes('extra.png'));
+    assert.strictEqual(buildProjectRegistry(tempDir, preprint).figures.get('map').num, 2);
+
+    const submission = applyVariant(base, 'submission', tempDir);
+    const without = fs.readFileSync(combineSections(tempDir, submission), 'utf-8');
+    assert.ok(!without.includes('extra.png'));
+    assert.strictEqual(buildProjectRegistry(tempDir, submission).figures.get('map').num, 1);
+  });
+});
+
+describe('includes', () => {
+  const writeProject = () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'title: My Paper\nsections: [methods.md]\n');
+    fs.mkdirSync(path.join(tempDir, 'shared'));
+    fs.writeFileSync(path.join(tempDir, 'shared', 'sampling.md'), '![Sites](sites.png){#fig:sites}\n\nWe sampled twice.');
+    fs.writeFileSync(path.join(tempDir, 'methods.md'), '# Methods\n\n{{include:shared/sampling.md}}\n\nSee @fig:sites.');
+    return loadConfig(tempDir);
+  };
+
+  it('expands includes into paper.md and numbers their figures', () => {
+    const config = writeProject();
+    const paper = fs.readFileSync(combineSections(tempDir, config), 'utf-8');
+    assert.ok(paper.includes('We sampled twice.'));
+    assert.ok(paper.includes('<!-- @include:shared/sampling.md -->'));
+    assert.strictEqual(buildProjectRegistry(tempDir, config).figures.get('sites').num, 1);
+  });
+
+  it('splits paper.md back into the directive and reports edits inside it', () => {
+    const config = writeProject();
+    const paper = fs.readFileSync(combineSections(tempDir, config), 'utf-8')
+      .replace('sampled twice', 'sampled {~~twice~>three times~~}');
+
+    const edits = [];
+    const sections = splitAnnotatedPaper(paper, { 'methods.md': { header: 'Methods' } }, edits);
+    assert.strictEqual(sections.get('methods.md'), '# Methods\n\n{{include:shared/sampling.md}}\n\nSee @fig:sites.');
+    assert.strictEqual(edits.length, 1);
+    assert.strictEqual(edits[0].file, 'methods.md');
+    assert.strictEqual(edits[0].include, 'shared/sampling.md');
+  });
+});
+
+describe('figures-at-end layout', () => {
+  const writeProject = (layout) => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), `title: My Paper\nsections: [intro.md, results.md]\nbibliography: refs.bib\n${layout}`);
+    fs.writeFileSync(path.join(tempDir, 'refs.bib'), '');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro\n\nSee @fig:map.\n\n![Map](map.png){#fig:map}');
+    fs.writeFileSync(path.join(tempDir, 'results.md'), '# Results\n\n![Trend](trend.png){#fig:trend}\n\nDone.');
+    return loadConfig(tempDir);
+  };
+
+  it('moves figures after an injected references div with placeholders', () => {
+    const config = writeProject('layout:\n  mode: figures-at-end\n  placeholders: true\n');
+    const paper = fs.readFileSync(combineSections(tempDir, config), 'utf-8');
+
+    assert.ok(paper.includes('\\[Figure 2 about here\\]'));
+    assert.ok(paper.indexOf('Done.') < paper.indexOf('::: {#refs}'));
+    assert.ok(paper.indexOf('::: {#refs}') < paper.indexOf('![Map](map.png){#fig:map}'));
+    assert.ok(paper.indexOf('{#fig:map}') < paper.indexOf('{#fig:trend}'));
+  });
+
+  it('splits paper.md back into reading order', () => {
+    const config = writeProject('layout: figures-at-end\n');
+    const paper = fs.readFileSync(combineSections(tempDir, config), 'utf-8');
+
+    const sections = splitAnnotatedPaper(paper, { 'intro.md': { header: 'Intro' }, 'results.md': { header: 'Results' } });
+    assert.strictEqual(sections.get('intro.md'), '# Intro\n\nSee @fig:map.\n\n![Map](map.png){#fig:map}');
+    assert.strictEqual(sections.get('results.md'), '# Results\n\n![Trend](trend.png){#fig:trend}\n\nDone.');
+  });
+
+  it('is set per variant or by the journal profile', () => {
+    const config = writeProject('variants:\n  submission:\n    layout: figures-at-end\n');
+    const plain = fs.readFileSync(combineSections(tempDir, config), 'utf-8');
+    assert.ok(!plain.includes('<!-- @floats:figures -->'));
+
+    const variant = applyVariant(config, 'submission', tempDir);
+    assert.ok(fs.readFileSync(combineSections(tempDir, variant), 'utf-8').includes('<!-- @floats:figures -->'));
+
+    assert.strictEqual(mergeJournalFormatting(config, { layout: 'figures-at-end' }, tempDir).layout, 'figures-at-end');
+    const own = { ...config, layout: 'inline' };
+    assert.strictEqual(mergeJournalFormatting(own, { layout: 'figures-at-end' }, tempDir).layout, 'inline');
+  });
+});
+
+describe('supplement', () => {
+  const writeProject = (extra = '') => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), `
+title: My Paper
+sections: [intro.md, results.md]
+supplement:
+  sections: [si-methods.md]
+${extra}`);
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro\n\nSee @fig:map and @fig:extra.');
+    fs.writeFileSync(path.join(tempDir, 'results.md'), '# Results\n\n![Map](map.png){#fig:map}');
+    fs.writeFileSync(path.join(tempDir, 'si-methods.md'), [
+      '# Extra methods',
+      '',
+      'Extends @fig:map.',
+      '',
+      '![Extra *panel* [@smith2020]](extra.png){#fig:extra width=80%}',
+      '',
+      '| a | b |',
+      '|---|---|',
+      '| 1 | 2 |',
+      '',
+      'Table: Priors {#tbl:priors}',
+    ].join('\n'));
+    return loadConfig(tempDir);
+  };
+
+  it('numbers supplement items with the S prefix in the shared registry', () => {
+    const registry = buildProjectRegistry(tempDir, writeProject());
+    assert.strictEqual(registry.figures.get('map').num, 1);
+    assert.strictEqual(registry.figures.get('extra').isSupp, true);
+    assert.strictEqual(registry.figures.get('extra').num, 1);
+    assert.strictEqual(registry.tables.get('priors').isSupp, true);
+  });
+
+  it('leaves supplement sections out of discovered main sections', () => {
+    writeProject();
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'title: My Paper\nsupplement:\n  sections: [si-methods.md]\n');
+    const config = loadConfig(tempDir);
+
+    const paper = fs.readFileSync(combineSections(tempDir, config), 'utf-8');
+    assert.ok(!paper.includes('Extra methods'));
+    const registry = buildProjectRegistry(tempDir, config);
+    assert.strictEqual(registry.figures.get('map').num, 1);
+    assert.strictEqual(registry.figures.get('extra').isSupp, true);
+    assert.strictEqual(registry.figures.get('extra').num, 1);
+    assert.deepStrictEqual(findMainSections(tempDir, config), ['intro.md', 'results.md']);
+  });
+
+  it('resolves main-text references to SI items with the crossref prefix', () => {
+    const paper = fs.readFileSync(combineSections(tempDir, writeProject()), 'utf-8');
+    assert.ok(paper.includes('and Fig. S1.'));
+    assert.ok(!paper.includes('extra.png'));
+  });
+
+  it('combines the supplement with numbered captions and resolved refs', () => {
+    const supplementPath = combineSupplement(tempDir, writeProject());
+    assert.strictEqual(path.basename(supplementPath), 'paper-supplement.md');
+    const content = fs.readFileSync(supplementPath, 'utf-8');
+    assert.ok(content.includes('title: Supplementary Information'));
+    assert.ok(content.includes('subtitle: My Paper'));
+    assert.ok(content.includes('![Figure S1: Extra *panel* [@smith2020]](extra.png){width=80%}'));
+    assert.ok(content.includes('Table: Table S1: Priors'));
+    assert.ok(content.includes('Extends Fig. 1.'));
+    assert.ok(!content.includes('#fig:extra'));
+  });
+
+  it('reports data variables the supplement cannot resolve', () => {
+    const config = writeProject();
+    fs.mkdirSync(path.join(tempDir, 'results'));
+    fs.writeFileSync(path.join(tempDir, 'results', 'model.json'), '{"beta": 0.41}');
+    fs.appendFileSync(path.join(tempDir, 'si-methods.md'), '\n\nGamma was {{data:results/model.json#gamma}}.\n');
+    const options = {};
+    const content = fs.readFileSync(combineSupplement(tempDir, config, options), 'utf-8');
+    assert.ok(content.includes('Gamma was ??.'));
+    assert.strictEqual(options._dataVariableIssues.length, 1);
+    assert.match(options._dataVariableIssues[0].error, /key "gamma" not found/);
+  });
+
+  it('returns null when no supplement is configured', () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'sections: [intro.md]\n');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+    assert.strictEqual(combineSupplement(tempDir, loadConfig(tempDir)), null);
+  });
+
+  it('names supplement outputs after the main output', () => {
+    const config = writeProject('output:\n  pdf: paper\n');
+    assert.strictEqual(resolveSupplementOutputPath(tempDir, config, 'pdf'), path.join(tempDir, 'output', 'paper-supplement.pdf'));
+    assert.strictEqual(resolveSupplementOutputPath(tempDir, config, 'docx'), path.join(tempDir, 'output', 'my-paper-supplement.docx'));
+  });
+
+  it('honours supplement.output names', () => {
+    const config = writeProject();
+    config.supplement.output = { pdf: 'SI' };
+    assert.strictEqual(resolveSupplementOutputPath(tempDir, config, 'pdf'), path.join(tempDir, 'output', 'SI.pdf'));
+  });
+
+  it('lists supplement sections as build inputs', () => {
+    const inputs = listBuildInputs(tempDir, writeProject(), '');
+    assert.ok(inputs.includes('paper-supplement.md'));
+    assert.ok(inputs.includes('si-methods.md'));
+  });
+});
+
+describe('build concurrency', { skip: !hasPandoc() }, () => {
+  const writeProject = () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'title: Parallel\nsections: [intro.md]\noutputDir: out\n');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro\n\nSome text.\n');
+  };
+
+  it('returns results in the requested order and reports progress', async () => {
+    writeProject();
+    const progress = [];
+    const { results } = await build(tempDir, ['html', 'docx', 'html'], {
+      cache: false,
+      concurrency: 3,
+      onProgress: (p) => progress.push(p),
+    });
+    assert.deepStrictEqual(results.map((r) => r.format), ['html', 'docx', 'html']);
+    assert.ok(results.every((r) => r.success), results.map((r) => r.error).join('\n'));
+    assert.strictEqual(progress.at(-1).done, 3);
+    assert.strictEqual(progress.at(-1).total, 3);
+    assert.ok(progress.some((p) => p.running.length > 1), 'formats should overlap');
+  });
+
+  it('reports a format that fails before pandoc without stopping the others', async () => {
+    writeProject();
+    fs.writeFileSync(path.join(tempDir, 'counts.csv'), 'site,n\nA,1\n');
+    fs.appendFileSync(path.join(tempDir, 'intro.md'), '\n::: {.table src="counts.csv" #tbl:counts columns="site,missing"}\n:::\n');
+    const progress = [];
+    const { results } = await build(tempDir, ['html', 'docx'], {
+      cache: false,
+      concurrency: 2,
+      onProgress: (p) => progress.push(p),
+    });
+    assert.deepStrictEqual(results.map((r) => r.success), [false, false]);
+    assert.match(results[0].error, /Table directive tbl:counts: column "missing" not found/);
+    assert.deepStrictEqual(progress.at(-1), { running: [], done: 2, total: 2 });
+    assert.deepStrictEqual(fs.readdirSync(tempDir).filter((f) => f.startsWith('.paper-')), []);
+  });
+
+  it('stops when the signal is aborted', async () => {
+    writeProject();
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(build(tempDir, ['docx'], { cache: false, signal: controller.signal }), /Build cancelled/);
+    assert.ok(!fs.existsSync(path.join(tempDir, 'out', 'parallel.docx')));
+  });
+});
+
+describe('listBuildInputs', () => {
+  it('lists paper.md, sections, rev.yaml, bibliography and referenced figures', () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'sections: [intro.md]\nbibliography: refs.bib\n');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+    const config = loadConfig(tempDir);
+
+    const inputs = listBuildInputs(tempDir, config, '![Map](figures/map.png){#fig:map}');
+
+    assert.deepStrictEqual(inputs, ['paper.md', 'intro.md', 'rev.yaml', 'refs.bib', 'figures/map.png', 'crossref.yaml']);
+  });
+
+  it('lists templates, reference documents, header includes and files in pandoc args', () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), [
+      'sections: [intro.md]',
+      'pdf:',
+      '  template: tpl.latex',
+      '  headerIncludes: header.tex',
+      'docx:',
+      '  reference: ref.docx',
+      'html:',
+      '  css: [style.css, https://example.org/x.css]',
+      'pandocArgs: [--lua-filter=filters/a.lua]',
+      'tex:',
+      '  pandocArgs: [-H, extra.tex, --toc]',
+    ].join('\n'));
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+
+    const inputs = listBuildInputs(tempDir, loadConfig(tempDir), '', ['--metadata-file', 'meta.yaml']);
+
+    for (const file of ['tpl.latex', 'header.tex', 'ref.docx', 'style.css', 'crossref.yaml', 'filters/a.lua', 'extra.tex', 'meta.yaml']) {
+      assert.ok(inputs.includes(file), `${file} should be a build input`);
+    }
+    assert.ok(!inputs.some((file) => file.startsWith('https:') || file === '--toc'));
+  });
+});
+
 describe('buildPandocArgs', () => {
   it('should build PDF arguments', () => {
     const args = buildPandocArgs('pdf', DEFAULT_CONFIG, 'output.pdf');
@@ -291,6 +633,76 @@ describe('buildPandocArgs', () => {
 
     assert.ok(args.includes('--number-sections'));
   });
+
+  it('should build standalone self-contained HTML arguments', () => {
+    const args = buildPandocArgs('html', DEFAULT_CONFIG, 'output.html');
+
+    assert.ok(args.includes('html5'));
+    assert.ok(args.includes('-s'));
+    assert.ok(args.includes('--embed-resources'));
+    assert.ok(args.includes('--mathml'));
+  });
+
+  it('should honor html css, math and selfContained settings', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      html: { ...DEFAULT_CONFIG.html, selfContained: false, css: ['a.css', 'b.css'], math: 'mathjax' },
+    };
+    const args = buildPandocArgs('html', config, 'output.html');
+
+    assert.ok(!args.includes('--embed-resources'));
+    assert.ok(args.includes('--mathjax'));
+    assert.deepStrictEqual(args.filter((_, i) => args[i - 1] === '--css'), ['a.css', 'b.css']);
+  });
+});
+
+describe('prepareForFormat html', () => {
+  it('renders CriticMarkup instead of stripping it', () => {
+    const paperPath = path.join(tempDir, 'paper.md');
+    fs.writeFileSync(paperPath, '---\ntitle: T\n---\n\nKeep {++new++} and {--old--} text.{>>Jane: Check this<<}\n');
+
+    const prepared = prepareForFormat(paperPath, 'html', DEFAULT_CONFIG);
+    const content = fs.readFileSync(prepared, 'utf-8');
+
+    assert.ok(content.includes('<ins class="critic-ins">new</ins>'));
+    assert.ok(content.includes('<del class="critic-del">old</del>'));
+    assert.ok(content.includes('critic-comment-author">Jane</span>'));
+  });
+
+  it('strips CriticMarkup when showAnnotations is false', () => {
+    const paperPath = path.join(tempDir, 'paper.md');
+    fs.writeFileSync(paperPath, 'Keep {++new++} and {--old--} text.{>>Jane: Check this<<}\n');
+
+    const config = { ...DEFAULT_CONFIG, html: { ...DEFAULT_CONFIG.html, showAnnotations: false } };
+    const content = fs.readFileSync(prepareForFormat(paperPath, 'html', config), 'utf-8');
+
+    assert.strictEqual(content.trim(), 'Keep new and  text.');
+  });
+});
+
+describe('prepareForFormat table directives', () => {
+  beforeEach(() => {
+    fs.mkdirSync(path.join(tempDir, 'tables'));
+    fs.writeFileSync(path.join(tempDir, 'tables', 'priors.csv'), 'Parameter,Prior\nalpha,"Normal(0, 0.5)"\n');
+  });
+
+  it('expands the directive before tables.nowrap applies', () => {
+    const paperPath = path.join(tempDir, 'paper.md');
+    fs.writeFileSync(paperPath, '::: {.table src="tables/priors.csv" #tbl:priors caption="Priors"}\n:::\n');
+
+    const config = { ...DEFAULT_CONFIG, tables: { nowrap: ['Prior'] } };
+    const content = fs.readFileSync(prepareForFormat(paperPath, 'pdf', config), 'utf-8');
+
+    assert.ok(content.includes('| alpha | $\\mathcal{N}(0, 0.5)$ |'));
+    assert.ok(!content.includes('.table'));
+  });
+
+  it('lists table data files as build inputs', () => {
+    fs.writeFileSync(path.join(tempDir, 'rev.yaml'), 'sections: [intro.md]\n');
+    fs.writeFileSync(path.join(tempDir, 'intro.md'), '# Intro');
+    const inputs = listBuildInputs(tempDir, loadConfig(tempDir), '::: {.table src="tables/priors.csv"}\n:::');
+    assert.ok(inputs.includes('tables/priors.csv'));
+  });
 });
 
 describe('collectPandocPassthroughArgs', () => {
@@ -442,6 +854,7 @@ describe('getFormatExtension', () => {
     assert.strictEqual(getFormatExtension('pdf'), '.pdf');
     assert.strictEqual(getFormatExtension('docx'), '.docx');
     assert.strictEqual(getFormatExtension('tex'), '.tex');
+    assert.strictEqual(getFormatExtension('html'), '.html');
     assert.strictEqual(getFormatExtension('beamer'), '.pdf');
     assert.strictEqual(getFormatExtension('pptx'), '.pptx');
   });
@@ -0,0 +1,114 @@
+/**
+ * Tests for change-author.js (track change authors in CriticMarkup)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import AdmZip from 'adm-zip';
+import {
+  splitChangeAuthor,
+  withChangeAuthor,
+  stripChangeAuthors,
+  pandocChangeAuthor,
+} from '../lib/change-author.js';
+import { getTrackChanges, stripAnnotations, applyDecision } from '../lib/annotations.js';
+import { extractPlainTextWithTrackChanges, extractTextFromWord } from '../lib/word.js';
+import { cleanupAnnotations } from '../lib/diff-engine.js';
+import { prepareForTrackChanges } from '../lib/trackchanges.js';
+import { convertCriticMarkupToHtml } from '../lib/html-comments.js';
+import { CHANGE_QUERY_FIELDS, parseQuery, matchesQuery, queryRecord, toQueryItems } from '../lib/comment-query.js';
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-change-author-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const TEXT = `# Discussion
+
+We {++[by:Copy Editor] carefully ++}measured {--[by:Reviewer 2] all --}plots.
+
+## Limits
+
+The {~~[by:Reviewer 2] effect~>result~~} was {++small++}.
+`;
+
+describe('change author syntax', () => {
+  it('splits, adds and strips authors', () => {
+    assert.deepStrictEqual(splitChangeAuthor('[by:Jane Doe]  word'), { author: 'Jane Doe', rest: ' word' });
+    assert.deepStrictEqual(splitChangeAuthor('[@smith2020] says'), { author: null, rest: '[@smith2020] says' });
+    assert.strictEqual(withChangeAuthor(' word', 'Jane [x]'), '[by:Jane [x]  word');
+    assert.strictEqual(withChangeAuthor('word', null), 'word');
+    assert.strictEqual(stripChangeAuthors(TEXT.split('\n')[2]), 'We {++carefully ++}measured {--all --}plots.');
+    assert.strictEqual(pandocChangeAuthor(' author="Jane Doe" date="2024-01-01"'), 'Jane Doe');
+    assert.strictEqual(pandocChangeAuthor(' date="2024-01-01"'), null);
+  });
+
+  it('parses authors and applies changes without them', () => {
+    const changes = getTrackChanges(TEXT);
+    assert.deepStrictEqual(changes.map((c) => [c.type, c.author ?? null, c.content]), [
+      ['insert', 'Copy Editor', 'carefully '],
+      ['delete', 'Reviewer 2', 'all '],
+      ['substitute', 'Reviewer 2', 'effect'],
+      ['insert', null, 'small'],
+    ]);
+    assert.ok(applyDecision(TEXT, changes[0], true).includes('We carefully measured'));
+    assert.ok(applyDecision(TEXT, changes[2], false).includes('The effect was'));
+    assert.ok(!stripAnnotations(TEXT).includes('[by:'));
+    assert.ok(!convertCriticMarkupToHtml(TEXT).markdown.includes('[by:'));
+  });
+
+  it('selects changes by author, type and enclosing heading', () => {
+    const select = (query) => {
+      const node = parseQuery(query, CHANGE_QUERY_FIELDS);
+      return toQueryItems(getTrackChanges(TEXT), TEXT, 'discussion.md')
+        .filter((item) => matchesQuery(node, queryRecord(item)))
+        .map((item) => item.annotation.content);
+    };
+    assert.deepStrictEqual(select('author~"copy editor" AND type:insert'), ['carefully ']);
+    assert.deepStrictEqual(select('author:"Reviewer 2" AND section:Discussion'), ['all ', 'effect']);
+    assert.deepStrictEqual(select('section:Limits'), ['effect', 'small']);
+  });
+
+  it('writes the author into built track changes', () => {
+    const { markers } = prepareForTrackChanges(TEXT, { author: 'Me' });
+    assert.deepStrictEqual(markers.map((m) => [m.author, m.content]), [
+      ['Copy Editor', 'carefully '],
+      ['Me', 'small'],
+      ['Reviewer 2', 'all '],
+      ['Reviewer 2', 'effect'],
+    ]);
+  });
+});
+
+describe('importing authors', () => {
+  it('reads w:author and merges only same-author changes', async () => {
+    const run = (text, tag = 't') => `<w:r><w:${tag} xml:space="preserve">${text}</w:${tag}></w:r>`;
+    const ins = (author, text) => `<w:ins w:id="1" w:author="${author}">${run(text)}</w:ins>`;
+    const del = (author, text) => `<w:del w:id="2" w:author="${author}">${run(text, 'delText')}</w:del>`;
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+<w:p>${run('The ')}${del('Ann &amp; Co', 'effect')}${ins('Ann &amp; Co', 'result')}${run(' was ')}${del('Ann &amp; Co', 'big')}${ins('Bob', 'small')}${run('.')}</w:p>
+</w:body></w:document>`;
+    const zip = new AdmZip();
+    zip.addFile('word/document.xml', Buffer.from(xml));
+    const docx = path.join(tempDir, 'authors.docx');
+    zip.writeZip(docx);
+
+    const { text } = await extractPlainTextWithTrackChanges(docx);
+    assert.strictEqual(text, 'The {~~[by:Ann & Co] effect~>result~~} was {--[by:Ann & Co] big--}{++[by:Bob] small++}.');
+    assert.strictEqual(await extractTextFromWord(docx), 'The result was small.');
+  });
+
+  it('keeps different authors apart when cleaning up', () => {
+    assert.strictEqual(cleanupAnnotations('{--[by:A] old--} {++[by:A] new++}'), '{~~[by:A] old~>new~~}');
+    assert.strictEqual(cleanupAnnotations('{--[by:A] old--} {++[by:B] new++}'), '{--[by:A] old--} {++[by:B] new++}');
+  });
+});
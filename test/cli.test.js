@@ -104,6 +104,24 @@ More {>>Reviewer 2: Second comment<<} there.
     assert.ok(stdout.includes('Reviewer 1') || stdout.includes('First comment'));
   });
 
+  it('steps to the next pending comment after a stable ID', () => {
+    const mdPath = path.join(tempDir, 'ids.md');
+    fs.writeFileSync(mdPath, [
+      'A {>>[c:a1] Jane: First<<}',
+      'B {>>[c:b2] Jane: Second [RESOLVED]<<}',
+      'C {>>[c:c3] Li: Third<<}',
+    ].join('\n'));
+
+    const next = runCli(`next "${mdPath}" --id b2`).stdout;
+    assert.ok(next.includes('Third'));
+    assert.ok(!next.includes('First'));
+    const prev = runCli(`prev "${mdPath}" --id c3`).stdout;
+    assert.ok(prev.includes('First'));
+    assert.ok(prev.includes('rev next --id a1'));
+    const missing = runCli(`next "${mdPath}" --id ff`, { expectError: true });
+    assert.notStrictEqual(missing.code, 0);
+  });
+
   it('should handle file without comments', () => {
     const mdPath = path.join(tempDir, 'no-comments.md');
     fs.writeFileSync(mdPath, '# Clean\n\nNo comments here.');
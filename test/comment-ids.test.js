@@ -0,0 +1,97 @@
+/**
+ * Tests for comment-ids.js (stable comment identifiers)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  splitCommentId,
+  withCommentId,
+  collectCommentIds,
+  newCommentId,
+  isValidCommentId,
+  durableIdForComment,
+  commentIdFromDurableId,
+} from '../lib/comment-ids.js';
+import { parseAnnotations, getComments, findCommentById, setCommentStatus } from '../lib/annotations.js';
+import { convertCriticMarkupToHtml } from '../lib/html-comments.js';
+import { convertCommentsToMarginNotes } from '../lib/pdf-comments.js';
+
+describe('splitCommentId', () => {
+  it('splits a leading [c:id] and normalizes it', () => {
+    assert.deepStrictEqual(splitCommentId('[c:07F3A] Jane: text'), { id: '7f3a', rest: 'Jane: text' });
+    assert.deepStrictEqual(splitCommentId('Jane: see [c:1]'), { id: null, rest: 'Jane: see [c:1]' });
+    assert.strictEqual(withCommentId('Jane: text', '7F3A'), '[c:7f3a] Jane: text');
+    assert.strictEqual(withCommentId('Jane: text', null), 'Jane: text');
+  });
+
+  it('collects the IDs used in a text', () => {
+    const ids = collectCommentIds('a {>>[c:7f3a] J: x<<} b {>>[c:00b1] K: y<<} {>>L: z<<}');
+    assert.deepStrictEqual([...ids], ['7f3a', 'b1']);
+  });
+});
+
+describe('newCommentId', () => {
+  it('generates unused 4-digit hex IDs', () => {
+    const taken = new Set(['7f3a']);
+    const id = newCommentId(taken);
+    assert.match(id, /^[1-9a-f][0-9a-f]{3}$/);
+    assert.ok(taken.has(id));
+    assert.notStrictEqual(id, '7f3a');
+  });
+
+  it('gives up instead of looping when every ID is taken', () => {
+    const full = { has: () => true, add: () => {}, size: 0x7ffffffe };
+    assert.throws(() => newCommentId(full), /Could not find a free comment ID/);
+  });
+});
+
+describe('Word durableIds', () => {
+  it('maps IDs to durableIds and back', () => {
+    assert.strictEqual(durableIdForComment('7f3a'), '00007F3A');
+    assert.strictEqual(commentIdFromDurableId('00007F3A'), '7f3a');
+    assert.strictEqual(commentIdFromDurableId('3E8D1A2B'), '3e8d1a2b');
+  });
+
+  it('rejects values Word cannot store', () => {
+    assert.ok(!isValidCommentId('ffffffff'));
+    assert.ok(!isValidCommentId('0'));
+    assert.ok(!isValidCommentId('xyz'));
+    assert.strictEqual(durableIdForComment('ffffffff'), null);
+    assert.strictEqual(commentIdFromDurableId(undefined), null);
+  });
+});
+
+describe('comments with IDs', () => {
+  const text = 'Some text {>>[c:7f3a] Jane Doe: Please cite this<<} and more {>>Bob: Unclear<<}.';
+
+  it('parses the ID separately from the author', () => {
+    const [first, second] = parseAnnotations(text);
+    assert.strictEqual(first.id, '7f3a');
+    assert.strictEqual(first.author, 'Jane Doe');
+    assert.strictEqual(first.content, 'Please cite this');
+    assert.strictEqual(second.id, undefined);
+  });
+
+  it('keeps long comments with an ID and an author', () => {
+    const long = `{>>[c:12ab] Jane Doe: ${'word '.repeat(60)}<<}`;
+    assert.strictEqual(getComments(long).length, 1);
+  });
+
+  it('finds and resolves a comment by ID', () => {
+    const comment = findCommentById(text, '07F3A');
+    assert.strictEqual(comment.content, 'Please cite this');
+    const resolved = setCommentStatus(text, comment, true);
+    assert.ok(resolved.includes('{>>[c:7f3a] Jane Doe: Please cite this [RESOLVED]<<}'));
+    assert.strictEqual(findCommentById(resolved, '7f3a').resolved, true);
+    assert.strictEqual(findCommentById(text, 'beef'), undefined);
+  });
+
+  it('leaves the ID out of rendered comments', () => {
+    const html = convertCriticMarkupToHtml(text).markdown;
+    assert.ok(!html.includes('c:7f3a'));
+    assert.ok(html.includes('critic-comment-author">Jane Doe</span>'));
+    const latex = convertCommentsToMarginNotes(text).markdown;
+    assert.ok(latex.includes('\\reviewercomment{Jane Doe}{Please cite this}'));
+  });
+});
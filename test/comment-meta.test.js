@@ -0,0 +1,64 @@
+/**
+ * Tests for comment-meta.js (comment tags, priorities and assignees)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseCommentMeta,
+  matchesCommentMeta,
+  describeCommentMetaFilter,
+} from '../lib/comment-meta.js';
+import { getComments } from '../lib/annotations.js';
+
+const TEXT = `Error bars {>>Reviewer 2: Unclear error bars #major #Figures !HIGH @assignee:anna<<} here.
+A typo {>>[c:7f3a] Jane Doe: Typo (#minor) !low<<} and {>>Jane Doe: See issue #3 at http://x.org/#frag<<}.
+Done {>>Jane Doe: Rephrase #minor @assignee:ben [RESOLVED]<<}.
+`;
+
+describe('parseCommentMeta', () => {
+  it('reads tags, priority and assignee', () => {
+    assert.deepStrictEqual(parseCommentMeta('Unclear #major #figures #major !high @assignee:anna.b'), {
+      tags: ['major', 'figures'],
+      priority: 'high',
+      assignee: 'anna.b',
+    });
+  });
+
+  it('ignores numbers, URL fragments and unknown priorities', () => {
+    assert.deepStrictEqual(parseCommentMeta('See #3 at http://x.org/#frag!high, !urgent, a@assignee:x'), {});
+  });
+});
+
+describe('getComments metadata', () => {
+  it('adds metadata to comments', () => {
+    const [first, second, third, fourth] = getComments(TEXT);
+    assert.deepStrictEqual(first.tags, ['major', 'figures']);
+    assert.strictEqual(first.priority, 'high');
+    assert.strictEqual(first.assignee, 'anna');
+    assert.deepStrictEqual(second.tags, ['minor']);
+    assert.strictEqual(second.id, '7f3a');
+    assert.strictEqual(third.tags, undefined);
+    assert.strictEqual(fourth.assignee, 'ben');
+    assert.strictEqual(fourth.resolved, true);
+  });
+
+  it('filters by tag, priority and assignee', () => {
+    assert.strictEqual(getComments(TEXT, { tag: '#MINOR' }).length, 2);
+    assert.strictEqual(getComments(TEXT, { tag: 'minor', pendingOnly: true }).length, 1);
+    assert.strictEqual(getComments(TEXT, { priority: 'low' })[0].id, '7f3a');
+    assert.deepStrictEqual(getComments(TEXT, { assignee: 'Anna' }).map((c) => c.line), [1]);
+    assert.strictEqual(getComments(TEXT, { tag: 'major', assignee: 'ben' }).length, 0);
+  });
+});
+
+describe('matchesCommentMeta', () => {
+  it('matches when no field is set', () => {
+    assert.ok(matchesCommentMeta({ type: 'comment', match: '', content: '', position: 0, line: 1 }, {}));
+  });
+
+  it('describes a filter', () => {
+    assert.strictEqual(describeCommentMetaFilter({ tag: '#major', priority: 'High', assignee: 'anna' }), ' tagged #major, !high, assigned to anna');
+    assert.strictEqual(describeCommentMetaFilter({}), '');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for comment-query.js (--where queries, sorting and grouping)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  COMMENT_QUERY_FIELDS,
+  CHANGE_QUERY_FIELDS,
+  parseQuery,
+  matchesQuery,
+  queryRecord,
+  toQueryItems,
+  sectionLocator,
+  sortQueryItems,
+  groupQueryItems,
+} from '../lib/comment-query.js';
+import { getComments, getTrackChanges } from '../lib/annotations.js';
+
+const TEXT = `# Methods
+
+## Sampling
+
+We sampled {++twenty++} plots {>>Jane Doe: What was the sample size? #major !low<<} in total.
+
+\`\`\`
+# not a heading
+\`\`\`
+
+Here {>>Bob Lee: Fine here<<} and {~~old~>new~~} words.
+
+# Results
+
+Results {>>Jane Doe: Sample size again !high [RESOLVED]<<} here {--gone--}.
+`;
+
+function select(query, text = TEXT, file = 'paper/methods.md') {
+  const node = parseQuery(query, COMMENT_QUERY_FIELDS);
+  return toQueryItems(getComments(text), text, file)
+    .filter((item) => matchesQuery(node, queryRecord(item)))
+    .map((item) => item.annotation.content);
+}
+
+describe('parseQuery', () => {
+  it('gives NOT, AND and OR their precedence', () => {
+    const node = parseQuery('NOT author:a OR author:b text~c', COMMENT_QUERY_FIELDS);
+    assert.strictEqual(node.kind, 'or');
+    assert.strictEqual(node.left.kind, 'not');
+    assert.strictEqual(node.right.kind, 'and');
+  });
+
+  it('reports syntax errors and unknown fields', () => {
+    assert.throws(() => parseQuery('(author:a', COMMENT_QUERY_FIELDS), /missing "\)"/);
+    assert.throws(() => parseQuery('author:a)', COMMENT_QUERY_FIELDS), /unexpected "\)"/);
+    assert.throws(() => parseQuery('author:a AND', COMMENT_QUERY_FIELDS), /ends too early/);
+    assert.throws(() => parseQuery('sample size', COMMENT_QUERY_FIELDS), /expected field:value/);
+    assert.throws(() => parseQuery('line>ten', COMMENT_QUERY_FIELDS), /needs a number/);
+    assert.throws(() => parseQuery('status:pending', CHANGE_QUERY_FIELDS), /unknown field "status"/);
+  });
+});
+
+describe('matchesQuery', () => {
+  it('matches the documented example', () => {
+    assert.deepStrictEqual(
+      select("author~Jane AND status:pending AND file:methods.md AND text~'sample size'"),
+      ['What was the sample size? #major !low']
+    );
+  });
+
+  it('matches the path or base name, sections, tags, priorities and lines', () => {
+    assert.strictEqual(select('file:paper/methods.md').length, 3);
+    assert.strictEqual(select('file:results.md').length, 0);
+    assert.deepStrictEqual(select('section:sampling'), ['What was the sample size? #major !low', 'Fine here']);
+    // A heading covers its subsections
+    assert.strictEqual(select('section:methods').length, 2);
+    assert.deepStrictEqual(select('tag:#major OR priority:!high').length, 2);
+    assert.deepStrictEqual(select('line>=11 AND NOT (author:"Jane Doe")'), ['Fine here']);
+  });
+
+  it('selects track changes by type and text', () => {
+    const node = parseQuery('type:insert OR text~new', CHANGE_QUERY_FIELDS);
+    const selected = toQueryItems(getTrackChanges(TEXT), TEXT, 'methods.md')
+      .filter((item) => matchesQuery(node, queryRecord(item)));
+    assert.deepStrictEqual(selected.map((item) => item.annotation.type), ['insert', 'substitute']);
+  });
+});
+
+describe('sectionLocator', () => {
+  it('finds the enclosing headings outside code fences', () => {
+    const sectionAt = sectionLocator(TEXT);
+    assert.deepStrictEqual(sectionAt(0), ['Methods']);
+    assert.deepStrictEqual(sectionAt(TEXT.indexOf('Fine here')), ['Methods', 'Sampling']);
+    assert.deepStrictEqual(sectionAt(TEXT.length - 1), ['Results']);
+    assert.deepStrictEqual(sectionLocator('Lead text\n# A\n')(0), []);
+  });
+});
+
+describe('sorting and grouping', () => {
+  const items = [
+    ...toQueryItems(getComments(TEXT), TEXT, 'methods.md'),
+    ...toQueryItems(getComments('{>>Ann: x !medium<<}'), '{>>Ann: x !medium<<}', 'intro.md'),
+  ];
+
+  it('sorts by priority, then keeps document order', () => {
+    assert.deepStrictEqual(
+      sortQueryItems(items, 'priority').map((item) => item.annotation.priority ?? null),
+      ['high', 'medium', 'low', null]
+    );
+    assert.deepStrictEqual(sortQueryItems(items, 'file').map((item) => item.file)[0], 'intro.md');
+  });
+
+  it('sorts by line within each file, keeping the given file order', () => {
+    const later = '\n\n\n\n\n\n{>>Ann: late<<}';
+    const mixed = [
+      ...toQueryItems(getComments(later), later, 'intro.md'),
+      ...toQueryItems(getComments('{>>Bob: early<<}'), '{>>Bob: early<<}', 'methods.md'),
+    ];
+    assert.deepStrictEqual(
+      sortQueryItems([...mixed].reverse(), 'line').map((item) => `${item.file}:${item.annotation.line}`),
+      ['methods.md:1', 'intro.md:7']
+    );
+    assert.deepStrictEqual(
+      sortQueryItems(mixed, 'line').map((item) => `${item.file}:${item.annotation.line}`),
+      ['intro.md:7', 'methods.md:1']
+    );
+  });
+
+  it('groups by author and section', () => {
+    assert.deepStrictEqual([...groupQueryItems(items, 'author').keys()], ['Jane Doe', 'Bob Lee', 'Ann']);
+    assert.deepStrictEqual(
+      [...groupQueryItems(items, 'section')].map(([name, members]) => [name, members.length]),
+      [['Sampling', 2], ['Results', 1], ['(before first heading)', 1]]
+    );
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for credit.js (CRediT contribution statements)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  CREDIT_ROLES,
+  resolveCreditRole,
+  resolveContributionStyle,
+  checkAuthorContributions,
+  authorInitials,
+  renderContributions,
+  renderFunding,
+  renderCompetingInterests,
+} from '../lib/credit.js';
+import { processVariables } from '../lib/variables.js';
+import { DEFAULT_CONFIG, mergeJournalFormatting } from '../lib/build.js';
+
+const authors = [
+  {
+    name: 'Jane Doe',
+    roles: ['Writing – original draft', 'conceptualization', 'Methodology'],
+    funding: 'NSF grant DEB-1234567',
+  },
+  { name: 'Li Wei', roles: ['software', 'methodology', 'writing-review-editing'], competingInterests: 'Consults for Acme Corp.' },
+  'Sam Roe',
+];
+
+describe('resolveCreditRole', () => {
+  it('knows the 14 roles', () => {
+    assert.strictEqual(CREDIT_ROLES.length, 14);
+    for (const role of CREDIT_ROLES) assert.strictEqual(resolveCreditRole(role), role);
+  });
+
+  it('ignores case, dashes and "and"', () => {
+    assert.strictEqual(resolveCreditRole('data curation'), 'Data curation');
+    assert.strictEqual(resolveCreditRole('Writing - Review and Editing'), 'Writing – review & editing');
+    assert.strictEqual(resolveCreditRole('writing-original-draft'), 'Writing – original draft');
+    assert.strictEqual(resolveCreditRole('Writing'), null);
+  });
+});
+
+describe('resolveContributionStyle', () => {
+  it('defaults to full names grouped by author', () => {
+    assert.deepStrictEqual(resolveContributionStyle(undefined), { names: 'full', groupBy: 'author' });
+  });
+
+  it('parses variable options', () => {
+    assert.deepStrictEqual(resolveContributionStyle('initials, by-role'), { names: 'initials', groupBy: 'role' });
+    assert.throws(() => resolveContributionStyle('alphabetical'), /initials, full, by-role or by-author/);
+  });
+
+  it('validates objects', () => {
+    assert.throws(() => resolveContributionStyle({ groupBy: 'section' }), /groupBy must be author or role/);
+  });
+});
+
+describe('checkAuthorContributions', () => {
+  it('reports unknown roles', () => {
+    const issues = checkAuthorContributions([{ name: 'Jane Doe', roles: ['Writing', 'Software'] }, 'Li Wei']);
+    assert.deepStrictEqual(issues.map((i) => i.message), ['Unknown CRediT role "Writing" for Jane Doe']);
+  });
+});
+
+describe('authorInitials', () => {
+  it('abbreviates each name part', () => {
+    assert.strictEqual(authorInitials('Jane Doe'), 'J.D.');
+    assert.strictEqual(authorInitials('Jean-Luc  Picard'), 'J.-L.P.');
+  });
+});
+
+describe('renderContributions', () => {
+  it('groups by author in CRediT order', () => {
+    assert.strictEqual(
+      renderContributions(authors),
+      'Jane Doe: Conceptualization, Methodology, Writing – original draft; Li Wei: Methodology, Software, Writing – review & editing.'
+    );
+  });
+
+  it('groups by role with initials', () => {
+    assert.strictEqual(
+      renderContributions(authors, { names: 'initials', groupBy: 'role' }),
+      'Conceptualization: J.D.; Methodology: J.D., L.W.; Software: L.W.; Writing – original draft: J.D.; Writing – review & editing: L.W.'
+    );
+  });
+
+  it('uses full names where initials collide', () => {
+    const text = renderContributions([
+      { name: 'Jane Doe', roles: ['Software'] },
+      { name: 'John Dunn', roles: ['Software'] },
+      { name: 'Li Wei', roles: ['Software'] },
+    ], 'initials,by-role');
+    assert.strictEqual(text, 'Software: Jane Doe, John Dunn, L.W.');
+  });
+
+  it('is empty without roles', () => {
+    assert.strictEqual(renderContributions(['Jane Doe', { name: 'Li Wei' }]), '');
+  });
+});
+
+describe('funding and competing interests', () => {
+  it('lists funding per author', () => {
+    assert.strictEqual(renderFunding(authors, { names: 'initials' }), 'J.D.: NSF grant DEB-1234567.');
+  });
+
+  it('lists declared competing interests', () => {
+    assert.strictEqual(renderCompetingInterests(authors), 'Li Wei: Consults for Acme Corp.');
+  });
+
+  it('declares none when no author has any', () => {
+    assert.strictEqual(renderCompetingInterests([{ name: 'Jane Doe' }]), 'The authors declare no competing interests.');
+  });
+});
+
+describe('contribution variables', () => {
+  it('renders statements through processVariables', () => {
+    const text = processVariables(
+      '# Author contributions\n\n{{contributions}}\n\n{{contributions:initials,by-role}}\n\n{{funding}}\n\n{{competing_interests}}',
+      { authors, contributions: { names: 'initials' } }
+    );
+    assert.ok(text.includes('\n\nJ.D.: Conceptualization, Methodology, Writing – original draft; L.W.: '));
+    assert.ok(text.includes('\n\nConceptualization: J.D.; Methodology: J.D., L.W.;'));
+    assert.ok(text.includes('\n\nJ.D.: NSF grant DEB-1234567.\n\n'));
+    assert.ok(text.endsWith('L.W.: Consults for Acme Corp.'));
+  });
+
+  it('takes the style from the journal profile unless set in rev.yaml', () => {
+    const formatting = { contributions: { names: 'initials', groupBy: 'role' } };
+    assert.deepStrictEqual(mergeJournalFormatting({ ...DEFAULT_CONFIG }, formatting, '.').contributions, formatting.contributions);
+    const own = { names: 'full', groupBy: 'author' };
+    assert.deepStrictEqual(mergeJournalFormatting({ ...DEFAULT_CONFIG, contributions: own }, formatting, '.').contributions, own);
+  });
+});
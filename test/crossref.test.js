@@ -13,8 +13,15 @@ import {
   getRefStatus,
   detectForwardRefs,
   resolveForwardRefs,
+  resolveSupplementaryRefs,
+  numberSupplementaryCaptions,
+  labelToDisplay,
+  buildRegistry,
   convertHardcodedRefs,
 } from '../lib/crossref.js';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 
 // Helper to extract number strings from parsed refs
 function toStrings(refs) {
@@ -497,6 +504,81 @@ describe('resolveForwardRefs', () => {
   });
 });
 
+describe('supplementary numbering', () => {
+  const registry = {
+    figures: new Map([
+      ['map', { label: 'map', num: 1, isSupp: false, file: 'results.md' }],
+      ['extra', { label: 'extra', num: 3, isSupp: true, file: 'si.md' }],
+    ]),
+    tables: new Map([
+      ['priors', { label: 'priors', num: 2, isSupp: true, file: 'si.md' }],
+    ]),
+    equations: new Map(),
+    byNumber: {
+      fig: new Map([[1, 'map']]),
+      figS: new Map([[3, 'extra']]),
+      tbl: new Map(),
+      tblS: new Map([[2, 'priors']]),
+      eq: new Map(),
+    },
+  };
+
+  it('labelToDisplay uses custom prefixes', () => {
+    assert.strictEqual(labelToDisplay('fig', 'extra', registry), 'Figure S3');
+    assert.strictEqual(labelToDisplay('fig', 'extra', registry, { fig: 'Fig.' }), 'Fig. S3');
+  });
+
+  it('resolveSupplementaryRefs keeps non-id attributes', () => {
+    const text = 'See @fig:extra.\n\n![Extra](extra.png){#fig:extra width=50%}';
+    const { text: result } = resolveSupplementaryRefs(text, registry, { fig: 'Fig.' });
+    assert.ok(result.includes('See Fig. S3.'));
+    assert.ok(result.includes('![Extra](extra.png){width=50%}'));
+  });
+
+  it('numberSupplementaryCaptions prefixes only supplementary captions', () => {
+    const text = [
+      '![Map](map.png){#fig:map}',
+      '![Extra](extra.png){#fig:extra}',
+      'Table: Priors {#tbl:priors}',
+    ].join('\n');
+    const { text: result, numbered } = numberSupplementaryCaptions(text, registry, { figure: 'Fig.' });
+    assert.strictEqual(numbered, 2);
+    assert.ok(result.includes('![Map](map.png)'));
+    assert.ok(result.includes('![Fig. S3: Extra](extra.png)'));
+    assert.ok(result.includes('Table: Table S2: Priors {#tbl:priors}'));
+  });
+
+  it('buildRegistry numbers files listed as supplementary with the S prefix', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-crossref-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'results.md'), '![A](a.png){#fig:a}');
+      fs.writeFileSync(path.join(dir, 'extra.md'), '![B](b.png){#fig:b}');
+      const reg = buildRegistry(dir, ['results.md', 'extra.md'], { supplementary: ['extra.md'] });
+      assert.deepStrictEqual([reg.figures.get('b').num, reg.figures.get('b').isSupp], [1, true]);
+      assert.strictEqual(reg.byNumber.figS.get(1), 'b');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildRegistry sections', () => {
+  it('numbers labelled headings like pandoc --number-sections', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-crossref-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'intro.md'), '# Introduction\n\n# Methods {#sec:methods}\n\n## Sites {#sec:sites}\n');
+      fs.writeFileSync(path.join(dir, 'results.md'), '# Thanks {-}\n\n```\n# not a heading {#sec:code}\n```\n\n# Results {#sec:results}\n');
+      const reg = buildRegistry(dir, ['intro.md', 'results.md']);
+      assert.strictEqual(reg.sections.get('methods').number, '2');
+      assert.strictEqual(reg.sections.get('sites').number, '2.1');
+      assert.strictEqual(reg.sections.get('results').number, '3');
+      assert.strictEqual(reg.sections.has('code'), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('convertHardcodedRefs', () => {
   // Registry format matches buildRegistry() output
   const mockRegistry = {
@@ -0,0 +1,101 @@
+/**
+ * Tests for data-files.js (result files for data variables and tables)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import AdmZip from 'adm-zip';
+import { parseCsv, parseXlsx, findCsvRow, lookupDataValue, applyDataFilters } from '../lib/data-files.js';
+
+function xlsxBuffer() {
+  const zip = new AdmZip();
+  zip.addFile('xl/workbook.xml', Buffer.from(
+    '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    '<sheet name="Summary" sheetId="1" r:id="rId1"/><sheet name="Models &amp; fits" sheetId="2" r:id="rId2"/>' +
+    '</sheets></workbook>'
+  ));
+  zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from(
+    '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>'
+  ));
+  zip.addFile('xl/sharedStrings.xml', Buffer.from(
+    '<sst><si><t>term</t></si><si><t>F</t></si><si><r><t>Tre</t></r><r><t>atment</t></r></si></sst>'
+  ));
+  zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(
+    '<worksheet><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>12.5</v></c></row>' +
+    '</sheetData></worksheet>'
+  ));
+  zip.addFile('xl/worksheets/sheet2.xml', Buffer.from(
+    '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>ok</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="b"><v>1</v></c></row></sheetData></worksheet>'
+  ));
+  return zip.toBuffer();
+}
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF', () => {
+    const table = parseCsv('name,note\r\n"Smith, J.","said ""hi"""\r\nLee,\r\n');
+    assert.deepStrictEqual(table.columns, ['name', 'note']);
+    assert.deepStrictEqual(table.rows, [['Smith, J.', 'said "hi"'], ['Lee', '']]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    assert.deepStrictEqual(parseCsv('a;b\n1;2').rows, [['1', '2']]);
+    assert.deepStrictEqual(parseCsv('a\tb\n1\t2').rows, [['1', '2']]);
+  });
+});
+
+describe('parseXlsx', () => {
+  it('reads shared strings, rich text and sparse cells from the first sheet', () => {
+    const table = parseXlsx(xlsxBuffer());
+    assert.deepStrictEqual(table.columns, ['term', '', 'F']);
+    assert.deepStrictEqual(table.rows, [['Treatment', '', '12.5']]);
+  });
+
+  it('selects a sheet by name', () => {
+    const table = parseXlsx(xlsxBuffer(), 'Models & fits');
+    assert.deepStrictEqual(table.columns, ['ok']);
+    assert.deepStrictEqual(table.rows, [['TRUE']]);
+    assert.throws(() => parseXlsx(xlsxBuffer(), 'Nope'), /sheet "Nope" not found \(sheets: Summary, Models & fits\)/);
+  });
+});
+
+describe('lookupDataValue', () => {
+  it('follows dotted paths and array indices', () => {
+    const file = { kind: 'tree', data: { coefs: [{ se: 0.1 }, { se: 0.2 }] } };
+    assert.deepStrictEqual(lookupDataValue(file, 'coefs[1].se'), { ok: true, value: 0.2 });
+    assert.deepStrictEqual(lookupDataValue(file, 'coefs.0.se'), { ok: true, value: 0.1 });
+    assert.deepStrictEqual(lookupDataValue(file, 'coefs.5.se'), { ok: false, error: 'key "coefs.5" not found' });
+  });
+
+  it('splits CSV keys at the last dot so row values may contain dots', () => {
+    const table = parseCsv('dose,effect\n0.5,1.2\n1.0,2.4');
+    assert.deepStrictEqual(lookupDataValue({ kind: 'csv', table }, '0.5.effect'), { ok: true, value: '1.2' });
+    assert.deepStrictEqual(findCsvRow(table, 'dose=1.0'), ['1.0', '2.4']);
+  });
+});
+
+describe('applyDataFilters', () => {
+  it('formats numbers', () => {
+    assert.strictEqual(applyDataFilters(0.5, ['round:2']), '0.50');
+    assert.strictEqual(applyDataFilters('0.012345', ['sig:2']), '0.012');
+    assert.strictEqual(applyDataFilters(123456, ['sig:2']), '120000');
+    assert.strictEqual(applyDataFilters(0.5, ['sig:3']), '0.500');
+    assert.strictEqual(applyDataFilters(999.96, ['sig:3']), '1000');
+    assert.strictEqual(applyDataFilters(0.1234, ['percent:1']), '12.3%');
+    assert.strictEqual(applyDataFilters(1234567.891, ['round:1', 'thousands']), '1,234,567.9');
+    assert.strictEqual(applyDataFilters(12450.5, ['round:2', 'thousands']), '12,450.50');
+    assert.strictEqual(applyDataFilters(1.5e21, ['thousands']), '1,500,000,000,000,000,000,000');
+    assert.strictEqual(applyDataFilters(-0.5, ['round:2', 'abs']), '0.50');
+    assert.strictEqual(applyDataFilters(0.0234, ['pvalue']), '0.023');
+    assert.strictEqual(applyDataFilters(0.00001, ['pvalue:2']), '< 0.01');
+  });
+
+  it('rejects non-numeric input, unknown filters and objects', () => {
+    assert.throws(() => applyDataFilters('n/a', ['round:2']), /needs a number/);
+    assert.throws(() => applyDataFilters(1, ['bold']), /unknown filter "bold"/);
+    assert.throws(() => applyDataFilters({ a: 1 }, []), /not a single value/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for data-tables.js (table directives)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { findTableSources, renderDataTable, expandTableDirectives } from '../lib/data-tables.js';
+import { parseCsv } from '../lib/data-files.js';
+import { buildRegistry } from '../lib/crossref.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-tables-'));
+  fs.mkdirSync(path.join(tempDir, 'tables'));
+  fs.writeFileSync(
+    path.join(tempDir, 'tables', 'anova.csv'),
+    'term,df,F,p\nTreatment,2,14.2031,0.00004\nBlock,3,2.5,0.081\nResidual,24,,\n'
+  );
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('renderDataTable', () => {
+  const table = parseCsv('term,df,F,p\nTreatment,2,14.2031,0.00004\nBlock,3,2.5,0.081\nResidual,24,,');
+
+  it('selects, renames and formats columns', () => {
+    const out = renderDataTable(table, {
+      columns: 'term,F,p',
+      rename: 'term=Term,p=P',
+      format: '*=round:2,p=pvalue:3',
+    });
+    assert.strictEqual(out, [
+      '| Term | F | P |',
+      '|---|---:|---:|',
+      '| Treatment | 14.20 | < 0.001 |',
+      '| Block | 2.50 | 0.081 |',
+      '| Residual |  |  |',
+    ].join('\n'));
+  });
+
+  it('pads decimal-aligned columns with figure spaces or \\phantom', () => {
+    const attrs = { columns: 'F', align: 'F=decimal' };
+    const plain = renderDataTable(table, attrs).split('\n');
+    assert.strictEqual(plain[2], '| 14.2031 |');
+    assert.strictEqual(plain[3], '| 2.5    |');
+
+    const latex = renderDataTable(table, attrs, { latex: true }).split('\n');
+    assert.strictEqual(latex[3], '| 2.5\\phantom{000} |');
+  });
+
+  it('accepts semicolon lists for names containing commas', () => {
+    const out = renderDataTable(parseCsv('"Estimate, SE",n\n1,2'), { rename: 'Estimate, SE=Est.;n=N' });
+    assert.ok(out.startsWith('| Est. | N |'));
+  });
+
+  it('names unknown columns, filters and alignments', () => {
+    assert.throws(() => renderDataTable(table, { columns: 'term,eta' }), /column "eta" not found \(columns: term, df, F, p\)/);
+    assert.throws(() => renderDataTable(table, { format: 'F=round:2|bold' }), /unknown filter "bold"/);
+    assert.throws(() => renderDataTable(table, { align: 'F=middle' }), /"middle" must be left, right, center or decimal/);
+  });
+});
+
+describe('expandTableDirectives', () => {
+  const directive = '::: {.table src="tables/anova.csv" #tbl:anova caption="ANOVA results" columns="term,p"}\nNote: type II sums of squares.\n:::';
+
+  it('replaces the div with a captioned pipe table and keeps notes', () => {
+    const out = expandTableDirectives(`# Results\n\n${directive}\n\nMore text.`, { directory: tempDir });
+    assert.strictEqual(out, [
+      '# Results',
+      '',
+      '| term | p |',
+      '|---|---:|',
+      '| Treatment | 0.00004 |',
+      '| Block | 0.081 |',
+      '| Residual |  |',
+      '',
+      'Table: ANOVA results {#tbl:anova}',
+      '',
+      'Note: type II sums of squares.',
+      '',
+      'More text.',
+    ].join('\n'));
+  });
+
+  it('registers the directive label for numbering', () => {
+    fs.writeFileSync(path.join(tempDir, 'results.md'), `Text.\n\n${directive}\n`);
+    const registry = buildRegistry(tempDir, ['results.md']);
+    assert.strictEqual(registry.tables.get('anova')?.num, 1);
+  });
+
+  it('numbers supplementary tables directly', () => {
+    const registry = { figures: new Map(), tables: new Map([['anova', { num: 2, isSupp: true }]]), equations: new Map() };
+    const out = expandTableDirectives(directive, { directory: tempDir, registry });
+    assert.ok(out.includes('Table: Table S2: ANOVA results'));
+    assert.ok(!out.includes('{#tbl:anova}'));
+  });
+
+  it('leaves examples in code blocks alone', () => {
+    const content = '```markdown\n::: {.table src="missing.csv"}\n:::\n```';
+    assert.deepStrictEqual(findTableSources(content), []);
+    assert.strictEqual(expandTableDirectives(content, { directory: tempDir }), content);
+  });
+
+  it('names the directive when its data file is missing', () => {
+    assert.throws(
+      () => expandTableDirectives('::: {.table src="tables/gone.csv" #tbl:gone}\n:::', { directory: tempDir }),
+      /Table directive tbl:gone: Data file not found/
+    );
+  });
+});
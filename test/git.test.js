@@ -19,6 +19,7 @@ import {
   compareFileVersions,
   getRecentCommits,
   hasUncommittedChanges,
+  getHeadCommit,
   getTags,
 } from '../lib/git.js';
 
@@ -277,6 +278,31 @@ describe('hasUncommittedChanges', () => {
 
     assert.strictEqual(hasUncommittedChanges(), true);
   });
+
+  it('should check the given directory instead of the cwd', () => {
+    initGitRepo();
+    createAndCommit('file.txt', 'content', 'Initial');
+    fs.writeFileSync(path.join(tempDir, 'file.txt'), 'modified');
+    process.chdir(originalCwd);
+
+    assert.strictEqual(hasUncommittedChanges(tempDir), true);
+  });
+});
+
+describe('getHeadCommit', () => {
+  it('should return the full HEAD hash', () => {
+    initGitRepo();
+    createAndCommit('file.txt', 'content', 'Initial');
+    const expected = execSync('git rev-parse HEAD', { encoding: 'utf-8' }).trim();
+
+    assert.strictEqual(getHeadCommit(tempDir), expected);
+  });
+
+  it('should return null outside a repo or before the first commit', () => {
+    assert.strictEqual(getHeadCommit(tempDir), null);
+    initGitRepo();
+    assert.strictEqual(getHeadCommit(tempDir), null);
+  });
 });
 
 describe('getTags', () => {
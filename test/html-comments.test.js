@@ -0,0 +1,101 @@
+/**
+ * Tests for html-comments.js (CriticMarkup rendering for HTML output)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  convertCriticMarkupToHtml,
+  CRITIC_HTML_STYLES,
+} from '../lib/html-comments.js';
+
+describe('convertCriticMarkupToHtml', () => {
+  it('should convert insertions and deletions', () => {
+    const result = convertCriticMarkupToHtml('A {++new++} and {--old--} word.');
+
+    assert.strictEqual(
+      result.markdown,
+      'A <ins class="critic-ins">new</ins> and <del class="critic-del">old</del> word.'
+    );
+    assert.strictEqual(result.counts.insertions, 1);
+    assert.strictEqual(result.counts.deletions, 1);
+  });
+
+  it('should convert substitutions to a deletion followed by an insertion', () => {
+    const result = convertCriticMarkupToHtml('We {~~found~>observed~~} it.');
+
+    assert.strictEqual(
+      result.markdown,
+      'We <del class="critic-del">found</del><ins class="critic-ins">observed</ins> it.'
+    );
+    assert.strictEqual(result.counts.substitutions, 1);
+  });
+
+  it('should keep markdown inside changes so citations still render', () => {
+    const result = convertCriticMarkupToHtml('As shown {++by @smith2020 in @fig:map++}.');
+
+    assert.ok(result.markdown.includes('>by @smith2020 in @fig:map</ins>'));
+  });
+
+  it('should render comments with author as margin notes', () => {
+    const result = convertCriticMarkupToHtml('Text.{>>Reviewer 2: Needs a citation<<}');
+
+    assert.ok(result.markdown.includes('<span class="critic-comment">'));
+    assert.ok(result.markdown.includes('<span class="critic-comment-author">Reviewer 2</span>Needs a citation'));
+    assert.strictEqual(result.counts.comments, 1);
+  });
+
+  it('should escape HTML in comment text', () => {
+    const result = convertCriticMarkupToHtml('Text.{>>Jane: use <b> & "quotes"<<}');
+
+    assert.ok(result.markdown.includes('use &lt;b&gt; &amp; &quot;quotes&quot;'));
+  });
+
+  it('should mark resolved comments', () => {
+    const result = convertCriticMarkupToHtml('Text.{>>Jane: Fixed [RESOLVED]<<}');
+
+    assert.ok(result.markdown.includes('critic-comment critic-resolved'));
+    assert.ok(!result.markdown.includes('[RESOLVED]'));
+  });
+
+  it('should convert highlights to mark elements', () => {
+    const result = convertCriticMarkupToHtml('See {==this==}.');
+
+    assert.strictEqual(result.markdown, 'See <mark class="critic-mark">this</mark>.');
+  });
+
+  it('should close and reopen tags across paragraph breaks', () => {
+    const result = convertCriticMarkupToHtml('{++First para.\n\nSecond para.++}');
+
+    assert.strictEqual(
+      result.markdown,
+      '<ins class="critic-ins">First para.</ins>\n\n<ins class="critic-ins">Second para.</ins>'
+    );
+  });
+
+  it('should leave CriticMarkup in inline code as written', () => {
+    const result = convertCriticMarkupToHtml('Write `{++x++}` to insert, {++like `this`++}.');
+
+    assert.strictEqual(result.markdown, 'Write `{++x++}` to insert, <ins class="critic-ins">like `this`</ins>.');
+    assert.strictEqual(result.counts.insertions, 1);
+  });
+
+  it('should leave CriticMarkup in fenced code as written', () => {
+    const text = 'Syntax:\n\n```markdown\n{--old--} and {>>Reviewer: note<<}\n```\n\n{--gone--}';
+    const result = convertCriticMarkupToHtml(text);
+
+    assert.strictEqual(
+      result.markdown,
+      'Syntax:\n\n```markdown\n{--old--} and {>>Reviewer: note<<}\n```\n\n<del class="critic-del">gone</del>'
+    );
+    assert.strictEqual(result.counts.comments, 0);
+  });
+
+  it('should leave text without annotations unchanged', () => {
+    const text = 'Plain text with @fig:map and [link](http://x.org).';
+    const result = convertCriticMarkupToHtml(text);
+
+    assert.strictEqual(result.markdown, text);
+    assert.strictEqual(result.styles, CRITIC_HTML_STYLES);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for includes.js (include/transclusion directives)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import {
+  hasIncludes,
+  expandIncludes,
+  collapseIncludeMarkers,
+  restoreIncludes,
+} from '../lib/includes.js';
+
+let tempDir;
+let projectDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-includes-'));
+  projectDir = path.join(tempDir, 'paper');
+  fs.mkdirSync(path.join(tempDir, 'shared'));
+  fs.mkdirSync(path.join(projectDir, 'snippets'), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, 'shared', 'funding.md'), 'Funded by the Science Council.\n');
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('expandIncludes', () => {
+  it('expands the variable and div forms', () => {
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'data.md'), '---\ntitle: x\n---\nData are on Zenodo.');
+    const content = [
+      '# Declarations',
+      '',
+      '{{include:snippets/data.md}}',
+      '',
+      '::: {include="snippets/data.md"}',
+      'placeholder',
+      ':::',
+    ].join('\n');
+
+    const out = expandIncludes(content, 'declarations.md', { root: projectDir });
+    assert.strictEqual(out, '# Declarations\n\nData are on Zenodo.\n\nData are on Zenodo.');
+  });
+
+  it('expands nested includes relative to the including file', () => {
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'outer.md'), 'Outer.\n\n{{include:inner.md}}');
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'inner.md'), 'Inner.');
+
+    const out = expandIncludes('{{include:snippets/outer.md}}', 'methods.md', { root: projectDir });
+    assert.strictEqual(out, 'Outer.\n\nInner.');
+  });
+
+  it('leaves directives inside code blocks alone', () => {
+    const content = '```\n{{include:missing.md}}\n```';
+    assert.strictEqual(hasIncludes(content), false);
+    assert.strictEqual(expandIncludes(content, 'methods.md', { root: projectDir }), content);
+  });
+
+  it('reports include cycles', () => {
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'a.md'), '{{include:b.md}}');
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'b.md'), '{{include:a.md}}');
+
+    assert.throws(
+      () => expandIncludes('{{include:snippets/a.md}}', 'methods.md', { root: projectDir }),
+      /Include cycle: .*a\.md → .*b\.md → .*a\.md/
+    );
+  });
+
+  it('refuses files outside the project unless their directory is allowed', () => {
+    const content = '{{include:../shared/funding.md}}';
+    assert.throws(
+      () => expandIncludes(content, 'methods.md', { root: projectDir }),
+      /Include outside the project: \.\.\/shared\/funding\.md .*includePaths/
+    );
+
+    const out = expandIncludes(content, 'methods.md', { root: projectDir, includePaths: ['../shared'] });
+    assert.strictEqual(out, 'Funded by the Science Council.');
+  });
+
+  it('reports missing files with the including file', () => {
+    assert.throws(
+      () => expandIncludes('{{include:nope.md}}', 'methods.md', { root: projectDir }),
+      /Include not found: nope\.md \(in methods\.md\)/
+    );
+  });
+});
+
+describe('collapseIncludeMarkers', () => {
+  it('round-trips expansions back to their directives', () => {
+    fs.writeFileSync(path.join(projectDir, 'snippets', 'data.md'), 'Data are on Zenodo.');
+    const original = '# Data\n\n{{include:snippets/data.md}}\n\n::: {include="snippets/data.md"}\n:::';
+    const expanded = expandIncludes(original, 'data-section.md', { root: projectDir, markers: true });
+
+    const { text, edits } = collapseIncludeMarkers(expanded);
+    assert.strictEqual(text, original);
+    assert.deepStrictEqual(edits, []);
+  });
+
+  it('reports annotations inside included text instead of keeping them', () => {
+    const annotated = [
+      '# Funding',
+      '',
+      '<!-- @include:../shared/funding.md -->',
+      'Funded by the {~~Science~>Research~~} Council.',
+      '<!-- @/include:../shared/funding.md -->',
+    ].join('\n');
+
+    const { text, edits } = collapseIncludeMarkers(annotated);
+    assert.strictEqual(text, '# Funding\n\n{{include:../shared/funding.md}}');
+    assert.strictEqual(edits.length, 1);
+    assert.strictEqual(edits[0].include, '../shared/funding.md');
+    assert.strictEqual(edits[0].annotations, 1);
+  });
+});
+
+describe('restoreIncludes', () => {
+  const options = () => ({ root: projectDir, includePaths: ['../shared'] });
+  const original = '# Funding\n\nWe thank our hosts.\n\n{{include:../shared/funding.md}}\n\nEnd note.\n';
+
+  it('folds unchanged included text back into the directive', () => {
+    const reviewed = '# Funding\n\nWe thank our {++kind++} hosts.\n\nFunded by the Science Council.\n\nEnd note.\n';
+    const result = restoreIncludes(reviewed, original, 'funding-section.md', options());
+
+    assert.strictEqual(
+      result.text,
+      '# Funding\n\nWe thank our {++kind++} hosts.\n\n{{include:../shared/funding.md}}\n\nEnd note.\n'
+    );
+    assert.deepStrictEqual(result.edits, []);
+    assert.deepStrictEqual(result.unmatched, []);
+  });
+
+  it('reports tracked changes and comments inside included text', () => {
+    const reviewed = '# Funding\n\nWe thank our hosts.\n\nFunded by the {--Science--} Council.{>>R2: which grant?<<}\n\nEnd note.\n';
+    const result = restoreIncludes(reviewed, original, 'funding-section.md', options());
+
+    assert.ok(result.text.includes('{{include:../shared/funding.md}}'));
+    assert.ok(!result.text.includes('which grant'));
+    assert.strictEqual(result.edits.length, 1);
+    assert.strictEqual(result.edits[0].annotations, 2);
+  });
+
+  it('keeps the directive of an include whose text is gone', () => {
+    const reviewed = '# Funding\n\nWe thank our hosts.\n\nEnd note.\n';
+    const result = restoreIncludes(reviewed, original, 'funding-section.md', options());
+
+    assert.strictEqual(result.text, original);
+    assert.deepStrictEqual(result.unmatched, ['../shared/funding.md']);
+    assert.deepStrictEqual(result.unplaced, []);
+  });
+
+  it('keeps the directive of an include rewritten without track changes', () => {
+    const reviewed = '# Funding\n\nWe thank our hosts.\n\nMoney came from {>>R2: which grant?<<}somewhere else entirely.\n\nEnd note.\n';
+    const result = restoreIncludes(reviewed, original, 'funding-section.md', options());
+
+    assert.strictEqual(result.text, original);
+    assert.deepStrictEqual(result.unmatched, ['../shared/funding.md']);
+    assert.strictEqual(result.edits[0].annotations, 1);
+  });
+
+  it('reports an include it cannot place', () => {
+    const reviewed = '# Funding\n\nA different opening.\n\nRewritten funding text.\n\nAnother ending.\n';
+    const result = restoreIncludes(reviewed, original, 'funding-section.md', options());
+
+    assert.deepStrictEqual(result.unplaced, ['../shared/funding.md']);
+  });
+});
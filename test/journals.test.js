@@ -145,4 +145,20 @@ As shown by @smith2020 and @jones2021, the results confirm @brown2019.
     const result = validateManuscript(textWithRefs, 'plos-one');
     assert.strictEqual(result.stats.references, 3);
   });
+
+  it('should warn when required contributions are missing', () => {
+    const missing = validateManuscript(shortManuscript, 'plos-one', { authors: [{ name: 'Jane Doe' }] });
+    assert.ok(missing.warnings.some(w => w.includes('Author contributions required')));
+
+    const given = validateManuscript(shortManuscript, 'plos-one', { authors: [{ name: 'Jane Doe', roles: ['Software'] }] });
+    assert.ok(!given.warnings.some(w => w.includes('Author contributions')));
+
+    const notRequired = validateManuscript(shortManuscript, 'nature', { authors: [{ name: 'Jane Doe' }] });
+    assert.ok(!notRequired.warnings.some(w => w.includes('Author contributions')));
+  });
+
+  it('should warn about unknown CRediT roles', () => {
+    const result = validateManuscript(shortManuscript, 'nature', { authors: [{ name: 'Jane Doe', roles: ['Coding'] }] });
+    assert.ok(result.warnings.includes('Unknown CRediT role "Coding" for Jane Doe'));
+  });
 });
@@ -0,0 +1,111 @@
+/**
+ * Tests for layout.js (figures-at-end submission layout)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveLayout, moveFloatsToEnd, restoreFloats, FLOATS_INSERT_MARKER } from '../lib/layout.js';
+
+const paper = [
+  '# Methods',
+  '',
+  'Sites are shown in @fig:map.',
+  '',
+  '![Study sites](figures/map.png){#fig:map width=80%}',
+  '',
+  '| Site | n |',
+  '|------|---|',
+  '| A | 12 |',
+  '',
+  'Table: Plot counts {#tbl:plots}',
+  '',
+  '# Results',
+  '',
+  'Table: Model fit {#tbl:fit}',
+  '',
+  '| Model | AIC |',
+  '|-------|-----|',
+  '| M1 | 210 |',
+  '',
+  '::: {#fig:panels}',
+  '![A](a.png){#fig:a}',
+  '',
+  '![B](b.png){#fig:b}',
+  ':::',
+  '',
+  '```markdown',
+  '![Example](x.png){#fig:example}',
+  '```',
+  '',
+  'Effects were strong (@tbl:fit).',
+  '',
+].join('\n');
+
+const registry = {
+  figures: new Map([['map', { num: 1 }], ['panels', { num: 2 }]]),
+  tables: new Map([['plots', { num: 1 }], ['fit', { num: 2 }]]),
+  equations: new Map(),
+};
+
+describe('resolveLayout', () => {
+  it('accepts the mode alone or with options', () => {
+    assert.strictEqual(resolveLayout(undefined), null);
+    assert.strictEqual(resolveLayout('inline'), null);
+    assert.deepStrictEqual(resolveLayout('figures-at-end'), { placeholders: false, figuresTitle: 'Figures', tablesTitle: 'Tables' });
+    assert.strictEqual(resolveLayout({ mode: 'figures-at-end', placeholders: true }).placeholders, true);
+    assert.throws(() => resolveLayout('floats-last'), /layout must be inline or figures-at-end/);
+  });
+});
+
+describe('moveFloatsToEnd', () => {
+  it('moves figures and tables into trailing sections in order', () => {
+    const { text, figures, tables } = moveFloatsToEnd(paper);
+    assert.strictEqual(figures, 2);
+    assert.strictEqual(tables, 2);
+
+    const [main, trailing] = text.split('<!-- @floats:figures -->');
+    assert.ok(!main.includes('figures/map.png'));
+    assert.ok(!main.includes('| A | 12 |'));
+    assert.ok(main.includes('Effects were strong (@tbl:fit).'));
+    assert.ok(main.includes('{#fig:example}'), 'code blocks stay');
+
+    assert.ok(trailing.indexOf('# Figures {.unnumbered}') < trailing.indexOf('{#fig:map'));
+    assert.ok(trailing.indexOf('{#fig:map') < trailing.indexOf('{#fig:panels}'));
+    assert.ok(trailing.indexOf('{#fig:panels}') < trailing.indexOf('# Tables {.unnumbered}'));
+    assert.ok(trailing.indexOf('Plot counts') < trailing.indexOf('Model fit'));
+    assert.ok(trailing.includes('Table: Model fit {#tbl:fit}\n\n| Model | AIC |'), 'caption stays with its table');
+    assert.ok(trailing.includes('\\clearpage'));
+    assert.ok(trailing.includes('<w:br w:type="page"/>'));
+  });
+
+  it('leaves numbered placeholders when asked', () => {
+    const { text } = moveFloatsToEnd(paper, { placeholders: true, registry, figureTitle: 'Fig.' });
+    assert.ok(text.includes('\\[Fig. 1 about here\\]'));
+    assert.ok(text.includes('\\[Table 2 about here\\]'));
+  });
+
+  it('inserts the trailing sections at the marker, after the prelude', () => {
+    const content = `${paper}\n${FLOATS_INSERT_MARKER}\n\n# Supplementary\n\n![S](s.png){#fig:s1}\n`;
+    const { text } = moveFloatsToEnd(content, { prelude: '# References\n\n::: {#refs}\n:::' });
+
+    assert.ok(!text.includes(FLOATS_INSERT_MARKER));
+    assert.ok(text.indexOf('{#refs}') < text.indexOf('# Figures'));
+    assert.ok(text.indexOf('# Tables') < text.indexOf('# Supplementary'));
+    assert.ok(text.endsWith('# Supplementary\n\n![S](s.png){#fig:s1}\n'), 'content after the marker is not moved');
+  });
+
+  it('leaves documents without figures or tables unchanged', () => {
+    const content = '# Intro\n\nText only.\n';
+    assert.strictEqual(moveFloatsToEnd(content, { prelude: '::: {#refs}\n:::' }).text, content);
+  });
+});
+
+describe('restoreFloats', () => {
+  it('puts moved items back, keeping annotations made on them', () => {
+    const moved = moveFloatsToEnd(paper, { placeholders: true, registry, prelude: '::: {#refs}\n:::' }).text
+      .replace('Plot counts', 'Plot {++sample++} counts');
+
+    const restored = restoreFloats(moved);
+    assert.strictEqual(restored, paper.replace('Plot counts', 'Plot {++sample++} counts'));
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for line-numbers.js (review line numbering)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import AdmZip from 'adm-zip';
+import {
+  resolveLineNumbers,
+  latexLineNumbersHeader,
+  setDocxLineNumbers,
+  applyDocxLineNumbers,
+} from '../lib/line-numbers.js';
+import { DEFAULT_CONFIG, mergeJournalFormatting } from '../lib/build.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-lineno-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+describe('resolveLineNumbers', () => {
+  it('accepts modes and booleans', () => {
+    assert.strictEqual(resolveLineNumbers(true, 'pdf.lineNumbers'), 'continuous');
+    assert.strictEqual(resolveLineNumbers('page', 'pdf.lineNumbers'), 'page');
+    assert.strictEqual(resolveLineNumbers(false, 'pdf.lineNumbers'), null);
+    assert.strictEqual(resolveLineNumbers(undefined, 'pdf.lineNumbers'), null);
+  });
+
+  it('names the key for invalid values', () => {
+    assert.throws(() => resolveLineNumbers('every', 'docx.lineNumbers'), /docx\.lineNumbers must be continuous, page, true or false \(got "every"\)/);
+  });
+});
+
+describe('latexLineNumbersHeader', () => {
+  it('loads lineno, pagewise for page mode', () => {
+    assert.strictEqual(latexLineNumbersHeader('continuous'), '\\usepackage{lineno}\n\\linenumbers\n');
+    assert.ok(latexLineNumbersHeader('page').startsWith('\\usepackage[pagewise]{lineno}'));
+  });
+});
+
+describe('setDocxLineNumbers', () => {
+  it('inserts w:lnNumType in schema order', () => {
+    const xml = `<w:document ${W}><w:body><w:p/><w:sectPr><w:pgSz w:w="11906"/><w:pgMar w:top="1440"/><w:cols w:space="720"/></w:sectPr></w:body></w:document>`;
+    const out = setDocxLineNumbers(xml, 'page');
+    assert.ok(out.includes('<w:pgMar w:top="1440"/><w:lnNumType w:countBy="1" w:restart="newPage"/><w:cols'));
+  });
+
+  it('replaces an existing setting in every section', () => {
+    const xml = `<w:document ${W}><w:body>` +
+      '<w:p><w:pPr><w:sectPr><w:lnNumType w:countBy="5"/></w:sectPr></w:pPr></w:p>' +
+      '<w:sectPr/></w:body></w:document>';
+    const out = setDocxLineNumbers(xml, 'continuous');
+    assert.strictEqual(out.match(/<w:lnNumType /g).length, 2);
+    assert.ok(!out.includes('w:countBy="5"'));
+    assert.ok(out.includes('<w:sectPr><w:lnNumType w:countBy="1" w:restart="continuous"/></w:sectPr></w:body>'));
+  });
+
+  it('adds a final section when the body has none', () => {
+    const out = setDocxLineNumbers(`<w:document ${W}><w:body><w:p/></w:body></w:document>`, 'continuous');
+    assert.ok(out.endsWith('<w:sectPr><w:lnNumType w:countBy="1" w:restart="continuous"/></w:sectPr></w:body></w:document>'));
+  });
+});
+
+describe('applyDocxLineNumbers', () => {
+  it('patches the document part in place', () => {
+    const docx = path.join(tempDir, 'paper.docx');
+    const zip = new AdmZip();
+    zip.addFile('word/document.xml', Buffer.from(`<w:document ${W}><w:body><w:p/><w:sectPr/></w:body></w:document>`));
+    zip.writeZip(docx);
+
+    applyDocxLineNumbers(docx, 'page');
+    const xml = new AdmZip(docx).getEntry('word/document.xml').getData().toString();
+    assert.ok(xml.includes('w:restart="newPage"'));
+  });
+});
+
+describe('journal formatting', () => {
+  it('applies profile line numbers unless rev.yaml sets them', () => {
+    const formatting = { pdf: { lineNumbers: 'continuous' }, docx: { lineNumbers: 'page' } };
+
+    const merged = mergeJournalFormatting(DEFAULT_CONFIG, formatting, tempDir);
+    assert.strictEqual(merged.pdf.lineNumbers, 'continuous');
+    assert.strictEqual(merged.docx.lineNumbers, 'page');
+
+    const own = { ...DEFAULT_CONFIG, pdf: { ...DEFAULT_CONFIG.pdf, lineNumbers: false } };
+    assert.strictEqual(mergeJournalFormatting(own, formatting, tempDir).pdf.lineNumbers, false);
+  });
+});
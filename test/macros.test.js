@@ -261,7 +261,7 @@ describe('end-to-end: \\tofill in DOCX', { skip: !hasPandoc() }, () => {
     const config = setupProject(tempDir, '# S\n\n\\tofill{X}\n');
     const outputPath = path.join(tempDir, 'out.docx');
     await runPandoc(path.join(tempDir, 'paper.md'), 'docx', config, { outputPath });
-    assert.ok(!fs.existsSync(path.join(tempDir, '.macros.json')), 'sidecar should be removed');
+    assert.deepStrictEqual(fs.readdirSync(tempDir).filter((f) => f.includes('macros')), [], 'sidecar should be removed');
   });
 });
 
@@ -315,7 +315,7 @@ describe('end-to-end: tex preamble injection', { skip: !hasPandoc() }, () => {
     const config = setupProject(tempDir, '# S\n\n\\tofill{X}\n');
     const outputPath = path.join(tempDir, 'out.tex');
     await runPandoc(path.join(tempDir, 'paper.md'), 'tex', config, { outputPath });
-    assert.ok(!fs.existsSync(path.join(tempDir, '.macros.tex')), 'preamble file should be removed');
+    assert.deepStrictEqual(fs.readdirSync(tempDir).filter((f) => f.includes('macros')), [], 'preamble file should be removed');
   });
 });
 
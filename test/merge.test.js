@@ -10,6 +10,7 @@ import {
   applyChanges,
   applyChangesAsAnnotations,
   formatConflict,
+  mergeWithLocalEdits,
 } from '../lib/merge.js';
 
 describe('extractChanges', () => {
@@ -219,6 +220,25 @@ describe('applyChanges', () => {
   });
 });
 
+describe('mergeWithLocalEdits', () => {
+  const base = 'First sentence here. Second sentence here. Third sentence here.';
+
+  it('keeps local edits next to reviewed changes', () => {
+    const reviewed = 'First sentence {~~here~>there~~}. Second sentence here. Third sentence here.';
+    const local = 'First sentence here. Second sentence here. Third sentence rewritten.';
+    assert.strictEqual(
+      mergeWithLocalEdits(base, reviewed, local),
+      'First sentence {~~here~>there~~}. Second sentence here. Third sentence rewritten.'
+    );
+  });
+
+  it('returns null when both sides change the same sentence', () => {
+    const reviewed = 'First sentence here. Second {++new ++}sentence here. Third sentence here.';
+    const local = 'First sentence here. Second sentence changed. Third sentence here.';
+    assert.strictEqual(mergeWithLocalEdits(base, reviewed, local), null);
+  });
+});
+
 describe('applyChangesAsAnnotations', () => {
   it('should convert insertions to CriticMarkup', () => {
     const original = 'Hello world';
@@ -0,0 +1,133 @@
+/**
+ * Tests for native-crossref.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { applyNativeCrossref } from '../lib/native-crossref.js';
+
+const registry = {
+  figures: new Map([
+    ['map', { label: 'map', num: 1, isSupp: false, file: 'methods.md' }],
+    ['trend', { label: 'trend', num: 2, isSupp: false, file: 'results.md' }],
+    ['fit', { label: 'fit', num: 3, isSupp: false, file: 'results.md' }],
+    ['extra', { label: 'extra', num: 1, isSupp: true, file: 'supplement.md' }],
+  ]),
+  tables: new Map([
+    ['sites', { label: 'sites', num: 1, isSupp: false, file: 'methods.md' }],
+  ]),
+  equations: new Map([
+    ['model', { label: 'model', num: 1, isSupp: false, file: 'methods.md' }],
+  ]),
+  byNumber: {
+    fig: new Map([[1, 'map'], [2, 'trend'], [3, 'fit']]),
+    figS: new Map([[1, 'extra']]),
+    tbl: new Map([[1, 'sites']]),
+    tblS: new Map(),
+    eq: new Map([[1, 'model']]),
+  },
+  sections: new Map([
+    ['methods', { label: 'methods', number: '2.1', level: 2, file: 'methods.md' }],
+  ]),
+};
+
+describe('applyNativeCrossref references', () => {
+  it('rewrites single references with the crossref prefixes', () => {
+    const { text, resolved } = applyNativeCrossref(
+      'See @fig:map, @tbl:sites, @eq:model and @sec:methods.',
+      registry
+    );
+    assert.strictEqual(text, 'See Fig. 1, Table 1, Eq. 1 and Section 2.1.');
+    assert.strictEqual(resolved, 4);
+  });
+
+  it('honours configured prefixes', () => {
+    const { text } = applyNativeCrossref('See @fig:map and [@fig:map; @fig:trend].', registry, {
+      figPrefix: ['Figure', 'Figures'],
+    });
+    assert.strictEqual(text, 'See Figure 1 and Figures 1, 2.');
+  });
+
+  it('collapses bracketed groups into plural prefixes and ranges', () => {
+    const { text } = applyNativeCrossref('(see [@fig:map; @fig:trend; @fig:fit])', registry);
+    assert.strictEqual(text, '(see Figs. 1-3)');
+  });
+
+  it('prefixes mixed-type groups per type', () => {
+    const { text } = applyNativeCrossref('[@fig:map; @tbl:sites]', registry);
+    assert.strictEqual(text, 'Fig. 1, Table 1');
+  });
+
+  it('drops the prefix for -@ references', () => {
+    const { text } = applyNativeCrossref('Figure -@fig:trend shows', registry);
+    assert.strictEqual(text, 'Figure 2 shows');
+  });
+
+  it('uses the S prefix for supplementary items', () => {
+    const { text } = applyNativeCrossref('See @fig:extra.', registry);
+    assert.strictEqual(text, 'See Fig. S1.');
+  });
+
+  it('renders unknown labels as ?? and reports them', () => {
+    const { text, unresolved } = applyNativeCrossref('See @fig:missing.', registry);
+    assert.strictEqual(text, 'See Fig. ??.');
+    assert.deepStrictEqual(unresolved, ['@fig:missing']);
+  });
+
+  it('leaves citations and email addresses alone', () => {
+    const input = 'As [@smith2020] noted (mail me@fig:x.org).';
+    assert.strictEqual(applyNativeCrossref(input, registry).text, input);
+  });
+});
+
+describe('applyNativeCrossref captions and equations', () => {
+  it('numbers figure captions and keeps the figure id', () => {
+    const { text, numbered } = applyNativeCrossref('![Study area](map.png){#fig:map width=80%}', registry, {
+      figureTitle: 'Fig',
+    });
+    assert.strictEqual(text, '![Fig 1: Study area](map.png){#fig:map width=80%}');
+    assert.strictEqual(numbered.figures, 1);
+  });
+
+  it('numbers table captions and drops the raw anchor', () => {
+    const { text } = applyNativeCrossref('Table: Sampling sites {#tbl:sites}', registry);
+    assert.strictEqual(text, 'Table: Table 1: Sampling sites');
+  });
+
+  it('numbers equations with \\qquad outside LaTeX', () => {
+    const { text } = applyNativeCrossref('$$ y = a + b x $$ {#eq:model}', registry);
+    assert.strictEqual(text, '$$ y = a + b x \\qquad (1) $$');
+  });
+
+  it('leaves captions to LaTeX and tags equations in latex mode', () => {
+    const input = '![Study area](map.png){#fig:map}\n\nTable: Sites {#tbl:sites}\n\n$$\ny = x\n$$ {#eq:model}';
+    const { text } = applyNativeCrossref(input, registry, { latex: true });
+    assert.ok(text.includes('![Study area](map.png){#fig:map}'));
+    assert.ok(text.includes('Table: Sites \\label{tbl:sites}\n'));
+    assert.ok(text.includes('$$\ny = x \\tag{1}\n$$'));
+  });
+
+  it('leaves figure and table numbers to LaTeX in latex mode', () => {
+    const { text } = applyNativeCrossref('See @fig:map, [@tbl:sites; @fig:extra] and -@fig:trend.', registry, { latex: true });
+    assert.strictEqual(text, 'See Fig. \\ref{fig:map}, Table \\ref{tbl:sites}, Fig. S1 and \\ref{fig:trend}.');
+  });
+});
+
+describe('applyNativeCrossref code and frontmatter', () => {
+  it('leaves references in code and frontmatter as written', () => {
+    const input = [
+      '---',
+      'abstract: See @fig:map.',
+      '---',
+      '',
+      'Text @fig:map and `@fig:map`.',
+      '',
+      '```markdown',
+      'See @fig:map.',
+      '![Study area](map.png){#fig:map}',
+      '```',
+    ].join('\n');
+    const { text } = applyNativeCrossref(input, registry);
+    assert.strictEqual(text, input.replace('Text @fig:map', 'Text Fig. 1'));
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for page-limits.js (PDF page counts, paper size and margins)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { PDFDocument, PDFName, PDFNumber, PDFString, StandardFonts } from 'pdf-lib';
+import {
+  readPdfLayout,
+  parseLength,
+  bookmarkPages,
+  checkPageLimits,
+  validatePdfPageLimits,
+} from '../lib/page-limits.js';
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-pages-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const LETTER = [612, 792];
+
+/**
+ * Write a PDF with one line of text per page at `margin` points from the
+ * left and top, and a flat outline of `{ title, page, top }` bookmarks
+ */
+async function writePdf(name, { pages, size = LETTER, margin = 72, bookmarks = [] }) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const pageRefs = [];
+  for (let i = 0; i < pages; i++) {
+    const page = doc.addPage(size);
+    page.drawText(`Text on page ${i + 1}`, { x: margin, y: size[1] - margin - 12, size: 12, font });
+    page.drawText('Bottom line', { x: margin, y: margin, size: 12, font });
+    pageRefs.push(page.ref);
+  }
+
+  if (bookmarks.length > 0) {
+    const outlinesRef = doc.context.nextRef();
+    const itemRefs = bookmarks.map(() => doc.context.nextRef());
+    bookmarks.forEach((bookmark, i) => {
+      const dest = doc.context.obj([pageRefs[bookmark.page], PDFName.of('XYZ'), PDFNumber.of(0), PDFNumber.of(bookmark.top ?? size[1]), null]);
+      const item = doc.context.obj({ Title: PDFString.of(bookmark.title), Parent: outlinesRef, Dest: dest });
+      if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+      if (i < bookmarks.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+      doc.context.assign(itemRefs[i], item);
+    });
+    doc.context.assign(outlinesRef, doc.context.obj({
+      Type: 'Outlines',
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: PDFNumber.of(bookmarks.length),
+    }));
+    doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  }
+
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, await doc.save());
+  return file;
+}
+
+const BOOKMARKS = [
+  { title: 'Specific Aims', page: 0 },
+  { title: 'Research Strategy', page: 1 },
+  { title: 'References', page: 4, top: 300 },
+];
+
+describe('parseLength', () => {
+  it('converts units to points', () => {
+    assert.strictEqual(parseLength('1in'), 72);
+    assert.strictEqual(parseLength(36), 36);
+    assert.ok(Math.abs(parseLength('2.54cm') - 72) < 0.01);
+    assert.ok(Math.abs(parseLength('25.4 mm') - 72) < 0.01);
+    assert.throws(() => parseLength('1 inch'), /Invalid length/);
+  });
+});
+
+describe('readPdfLayout', () => {
+  it('reads page sizes, bookmarks and margins', async () => {
+    const file = await writePdf('layout.pdf', { pages: 6, bookmarks: BOOKMARKS });
+    const layout = await readPdfLayout(file, { margins: true });
+    assert.deepStrictEqual(layout.pageSizes[0], { width: 612, height: 792 });
+    assert.deepStrictEqual(layout.outline.map((e) => [e.title, e.level, e.page]), [
+      ['Specific Aims', 0, 0],
+      ['Research Strategy', 0, 1],
+      ['References', 0, 4],
+    ]);
+    assert.strictEqual(layout.outline[2].top, 300);
+    assert.ok(Math.abs(layout.margins[0].left - 72) < 1);
+    assert.ok(Math.abs(layout.margins[0].bottom - 72) < 4);
+  });
+});
+
+describe('bookmarkPages', () => {
+  it('shares a page with a section that starts partway down', () => {
+    const layout = { pageSizes: Array(6).fill({ width: 612, height: 792 }), outline: BOOKMARKS.map((b) => ({ level: 0, top: null, ...b })), margins: [] };
+    assert.deepStrictEqual(bookmarkPages(layout).map(({ first, last }) => [first, last]), [[0, 0], [1, 4], [4, 5]]);
+  });
+});
+
+describe('checkPageLimits', () => {
+  let layout;
+
+  before(async () => {
+    layout = await readPdfLayout(await writePdf('limits.pdf', { pages: 6, bookmarks: BOOKMARKS }), { margins: true });
+  });
+
+  it('passes a PDF within its limits', () => {
+    const result = checkPageLimits(layout, { total: 6, sections: { 'Specific Aims': 1 }, paperSize: 'letter', margins: '0.5in' });
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.sections, [{ name: 'Specific Aims', title: 'Specific Aims', pages: 1, limit: 1 }]);
+  });
+
+  it('reports pages over the total, leaving out pages only excluded sections use', () => {
+    assert.deepStrictEqual(checkPageLimits(layout, { total: 4 }).errors, ['PDF has 6 page(s), over the 4-page limit by 2']);
+    // Page 5 is shared with Research Strategy and still counts
+    const result = checkPageLimits(layout, { total: 5, exclude: ['References'] });
+    assert.strictEqual(result.countedPages, 5);
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  it('reports sections over their limit and sections without a bookmark', () => {
+    const result = checkPageLimits(layout, { sections: { 'Research Strategy': 3, Budget: 1 } });
+    assert.deepStrictEqual(result.errors, ['Research Strategy spans 4 page(s) (pages 2-5), over its 3-page limit']);
+    assert.deepStrictEqual(result.warnings, ['No PDF bookmark matches section "Budget"; its page limit was not checked']);
+  });
+
+  it('reports the wrong paper size and narrow margins', () => {
+    const result = checkPageLimits(layout, { paperSize: 'a4', margins: { left: '1.5in' } });
+    assert.strictEqual(result.errors.length, 2);
+    assert.match(result.errors[0], /^Paper size is not a4 on any page \(612×792pt\)/);
+    assert.match(result.errors[1], /^Left margin 2\.54cm is below 3\.81cm on page\(s\) 1, 2, 3, 4, 5, 6/);
+  });
+});
+
+describe('validatePdfPageLimits', () => {
+  it('warns when section limits meet a PDF without bookmarks', async () => {
+    const file = await writePdf('plain.pdf', { pages: 2, size: [595.28, 841.89] });
+    const result = await validatePdfPageLimits(file, { total: 2, paperSize: 'A4', sections: { Aims: 1 } });
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(result.warnings.includes('PDF has no bookmarks; build it with rev build pdf so sections can be found'));
+  });
+
+  it('names the file when the PDF cannot be read', async () => {
+    const file = path.join(tempDir, 'broken.pdf');
+    fs.writeFileSync(file, 'not a pdf');
+    await assert.rejects(validatePdfPageLimits(file, { total: 2 }), /^Error: Cannot read broken\.pdf: /);
+  });
+});
@@ -102,6 +102,20 @@ describe('convertTrackChangesToLatex', () => {
     const result = convertTrackChangesToLatex('text');
     assert.ok(result.preamble.includes('ulem'));
   });
+
+  it('should keep markdown inside changes with raw LaTeX spans', () => {
+    const result = convertTrackChangesToLatex('See {++*new* [@smith2020]++} and {--$a+b$--}.', { keepMarkdown: true });
+    assert.strictEqual(
+      result.markdown,
+      'See `\\textcolor{green}{`{=latex}*new* [@smith2020]`}`{=latex} and `\\textcolor{red}{\\sout{`{=latex}$a+b$`}}`{=latex}.'
+    );
+  });
+
+  it('should underline insertions in blue with the underline style', () => {
+    const result = convertTrackChangesToLatex('Hello {++world++}!', { style: 'underline' });
+    assert.ok(result.markdown.includes('\\textcolor{insertblue}{\\uline{world}}'));
+    assert.ok(result.preamble.includes('\\definecolor{insertblue}'));
+  });
 });
 
 describe('prepareMarkdownForAnnotatedPdf', () => {
@@ -0,0 +1,156 @@
+/**
+ * Tests for prebuild.js (make-like steps that run before the build)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import {
+  normalizePrebuildSteps,
+  orderPrebuildSteps,
+  expandInputs,
+  matchesGlob,
+  runPrebuild,
+} from '../lib/prebuild.js';
+import { listBuildInputs, loadConfig } from '../lib/build.js';
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-prebuild-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(tempDir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, rel), content);
+};
+const read = (rel) => fs.readFileSync(path.join(tempDir, rel), 'utf-8');
+
+// Appends a line to runs.txt each time it runs, so tests can count runs
+const node = (script) => `"${process.execPath}" -e "${script}"`;
+const SUMMARISE = {
+  name: 'results',
+  run: node("const fs=require('fs');fs.appendFileSync('runs.txt','results\\n');fs.writeFileSync('results.json',JSON.stringify({n:fs.readFileSync('data/a.csv','utf8').length}))"),
+  inputs: ['data/*.csv'],
+  outputs: ['results.json'],
+};
+
+describe('normalizePrebuildSteps', () => {
+  it('fills in names and normalizes paths', () => {
+    assert.deepStrictEqual(normalizePrebuildSteps([{ run: 'Rscript figures.R', inputs: ['./data/*.csv'], outputs: ['figs\\a.png'] }]), [
+      { name: 'rscript-figures-r', run: 'Rscript figures.R', inputs: ['data/*.csv'], outputs: ['figs/a.png'] },
+    ]);
+    assert.deepStrictEqual(normalizePrebuildSteps(undefined), []);
+  });
+
+  it('rejects malformed steps', () => {
+    assert.throws(() => normalizePrebuildSteps({ run: 'make' }), /must be a list/);
+    assert.throws(() => normalizePrebuildSteps([{ inputs: ['a'] }]), /prebuild\[0\] needs a run command/);
+    assert.throws(() => normalizePrebuildSteps([{ run: 'x', outputs: 'a.png' }]), /prebuild\[0\]\.outputs must be a list/);
+    assert.throws(() => normalizePrebuildSteps([{ run: 'x', outputs: ['figs/*.png'] }]), /must name files, not patterns/);
+    assert.throws(() => normalizePrebuildSteps([{ name: 'a', run: 'x' }, { name: 'a', run: 'y' }]), /Duplicate prebuild step name: a/);
+  });
+});
+
+describe('orderPrebuildSteps', () => {
+  const step = (name, inputs, outputs) => ({ name, run: name, inputs, outputs });
+
+  it('runs steps after the steps whose outputs they read', () => {
+    const ordered = orderPrebuildSteps([
+      step('figures', ['results/*.json'], ['figs/a.png']),
+      step('other', [], ['other.txt']),
+      step('results', ['data/raw.csv'], ['results/summary.json']),
+    ]);
+    assert.deepStrictEqual(ordered.map((s) => s.name), ['other', 'results', 'figures']);
+  });
+
+  it('reports cycles', () => {
+    assert.throws(
+      () => orderPrebuildSteps([step('a', ['b.txt'], ['a.txt']), step('b', ['a.txt'], ['b.txt'])]),
+      /in a cycle: a, b/
+    );
+  });
+});
+
+describe('expandInputs', () => {
+  it('expands globs and keeps plain paths', () => {
+    write('data/a.csv', '1');
+    write('data/nested/b.csv', '2');
+    write('data/notes.txt', '');
+    write('node_modules/x/c.csv', '');
+    assert.deepStrictEqual(expandInputs(tempDir, ['data/*.csv', 'missing.R']), ['data/a.csv', 'missing.R']);
+    assert.deepStrictEqual(expandInputs(tempDir, ['**/*.csv']), ['data/a.csv', 'data/nested/b.csv']);
+    assert.ok(matchesGlob('data/**/*.csv', 'data/b.csv'));
+    assert.ok(!matchesGlob('data/*.csv', 'data/nested/b.csv'));
+  });
+});
+
+describe('runPrebuild', () => {
+  it('runs a step only when its inputs change or an output is missing', async () => {
+    write('data/a.csv', 'x,y\n');
+
+    let results = await runPrebuild(tempDir, [SUMMARISE]);
+    assert.deepStrictEqual(results.map((r) => [r.ran, r.reason]), [[true, 'first run']]);
+    assert.deepStrictEqual(JSON.parse(read('results.json')), { n: 4 });
+
+    results = await runPrebuild(tempDir, [SUMMARISE]);
+    assert.deepStrictEqual(results, [{ name: 'results', ran: false }]);
+
+    write('data/b.csv', 'new file\n');
+    results = await runPrebuild(tempDir, [SUMMARISE]);
+    assert.strictEqual(results[0].reason, 'inputs changed');
+
+    fs.unlinkSync(path.join(tempDir, 'results.json'));
+    results = await runPrebuild(tempDir, [SUMMARISE]);
+    assert.strictEqual(results[0].reason, 'missing results.json');
+
+    assert.strictEqual(read('runs.txt'), 'results\nresults\nresults\n');
+  });
+
+  it('writes each run to a log file', async () => {
+    const results = await runPrebuild(tempDir, [{ name: 'hello', run: node("console.log('hello from R');console.error('a warning')") }]);
+    assert.strictEqual(results[0].logPath, path.join('.rev', 'logs', 'hello.log'));
+    const log = read(results[0].logPath);
+    assert.ok(log.includes('hello from R'));
+    assert.ok(log.includes('a warning'));
+    assert.ok(log.trim().endsWith('# exit code 0'));
+  });
+
+  it('runs script paths with their interpreter', async () => {
+    write('scripts/touch.mjs', "import fs from 'fs'; fs.writeFileSync(process.env.PROJECT_DIR + '/out.txt', process.env.PREBUILD_STEP);");
+    await runPrebuild(tempDir, [{ name: 'touch', run: 'scripts/touch.mjs', outputs: ['out.txt'] }]);
+    assert.strictEqual(read('out.txt'), 'touch');
+  });
+
+  it('stops at a failing step with the log path and stderr', async () => {
+    const steps = [
+      { name: 'broken', run: node("console.error('object fit not found');process.exit(2)") },
+      { name: 'later', run: node("require('fs').writeFileSync('later.txt','')") },
+    ];
+    await assert.rejects(runPrebuild(tempDir, steps), (err) => {
+      assert.match(err.message, /^Prebuild step "broken" failed \(exit code 2\):\nobject fit not found/);
+      assert.ok(err.message.includes(`Full output: ${path.join('.rev', 'logs', 'broken.log')}`));
+      return true;
+    });
+    assert.ok(!fs.existsSync(path.join(tempDir, 'later.txt')));
+    assert.ok(read('.rev/logs/broken.log').includes('# exit code 2'));
+  });
+
+  it('fails when a step does not write its outputs', async () => {
+    await assert.rejects(
+      runPrebuild(tempDir, [{ name: 'lazy', run: node('0'), outputs: ['figs/a.png'] }]),
+      /Prebuild step "lazy" finished but did not write figs\/a\.png/
+    );
+  });
+
+  it('counts step outputs as build inputs', () => {
+    write('rev.yaml', 'title: Test\nprebuild:\n  - run: make\n    outputs: [results.json]\n');
+    assert.ok(listBuildInputs(tempDir, loadConfig(tempDir), '').includes('results.json'));
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for revision-diff.js (marked-up manuscripts between git revisions)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { execSync } from 'child_process';
+import { diffRevisions } from '../lib/revision-diff.js';
+import { trackChangeSpan } from '../lib/trackchanges.js';
+import { exportDirectoryAtRef, resolveCommit } from '../lib/git.js';
+
+const fallback = { author: 'Jane Doe', date: '2026-01-01T00:00:00Z' };
+const critic = (type, content) => (type === 'insert' ? `{++${content}++}` : `{--${content}--}`);
+
+describe('trackChangeSpan', () => {
+  it('wraps content in a pandoc revision span', () => {
+    assert.strictEqual(
+      trackChangeSpan('insert', 'new *words*', 'Jane "JD" Doe', '2026-01-01T00:00:00Z'),
+      '[new *words*]{.insertion author="Jane JD Doe" date="2026-01-01T00:00:00Z"}'
+    );
+    assert.ok(trackChangeSpan('delete', 'old', 'A', 'B').includes('{.deletion '));
+  });
+});
+
+describe('diffRevisions', () => {
+  it('marks word-level changes within a paragraph', () => {
+    const result = diffRevisions(
+      'The quick brown fox jumps over the dog.\n',
+      'The quick red fox jumps over the lazy dog.\n',
+      { fallback, markup: critic }
+    );
+    assert.strictEqual(result.markdown, 'The quick {--brown--}{++red++} fox jumps over the {++lazy++} dog.\n');
+    assert.strictEqual(result.insertions, 2);
+    assert.strictEqual(result.deletions, 1);
+  });
+
+  it('emits docx revision spans by default', () => {
+    const result = diffRevisions('Alpha beta gamma delta.\n', 'Alpha beta gamma epsilon.\n', { fallback });
+    assert.ok(result.markdown.includes('[delta]{.deletion author="Jane Doe" date="2026-01-01T00:00:00Z"}'));
+    assert.ok(result.markdown.includes('[epsilon]{.insertion author="Jane Doe"'));
+  });
+
+  it('keeps citations, math and crossrefs atomic', () => {
+    const result = diffRevisions(
+      'Growth follows $y = ax$ as shown in @fig:growth [@smith2020].\n',
+      'Growth follows $y = bx^2$ as shown in @fig:rate [@smith2020; @doe2021].\n',
+      { fallback, markup: critic }
+    );
+    assert.ok(result.markdown.includes('{--$y = ax$--}'));
+    assert.ok(result.markdown.includes('{++$y = bx^2$++}'));
+    assert.ok(result.markdown.includes('{--@fig:growth [@smith2020]--}{++@fig:rate [@smith2020; @doe2021]++}'));
+  });
+
+  it('never places anchors inside revision marks', () => {
+    const result = diffRevisions(
+      '# Methods {#sec:methods}\n',
+      '# Materials and methods {#sec:methods}\n',
+      { fallback, markup: critic }
+    );
+    assert.ok(result.markdown.includes('{#sec:methods}'));
+    assert.ok(!/\{\+\+[^+]*\{#sec:methods\}/.test(result.markdown));
+  });
+
+  it('marks whole new paragraphs and list items', () => {
+    const result = diffRevisions(
+      'Intro.\n\n- one\n- two\n',
+      'Intro.\n\nA new paragraph entirely.\n\n- one\n- two\n- three\n',
+      { fallback, markup: critic }
+    );
+    assert.ok(result.markdown.includes('{++A new paragraph entirely.++}'));
+    assert.ok(result.markdown.includes('- {++three++}'));
+  });
+
+  it('shows changed tables and figures unmarked and counts them', () => {
+    const result = diffRevisions(
+      '| a | b |\n|---|---|\n| 1 | 2 |\n\n![Old caption](fig.png){#fig:one}\n',
+      '| a | b |\n|---|---|\n| 1 | 3 |\n\n![New caption](fig.png){#fig:one}\n',
+      { fallback, markup: critic }
+    );
+    assert.strictEqual(result.unmarkedBlocks, 2);
+    assert.ok(result.markdown.includes('| 1 | 3 |'));
+    assert.ok(result.markdown.includes('![New caption](fig.png){#fig:one}'));
+    assert.ok(!result.markdown.includes('{++'));
+  });
+
+  it('notes whole-block changes to figures and tables', () => {
+    const notes = [];
+    const result = diffRevisions(
+      '![Map](map.png){#fig:map}\n\n| a |\n|---|\n| 1 |\n\nTable: Counts {#tbl:counts}\n',
+      '![Map](map.png){#fig:map}\n\n::: {#fig:trend}\n![Trend](trend.png)\n:::\n',
+      { fallback, markup: critic, blockNote: (change) => { notes.push(change); return `NOTE ${change.type} ${change.label}`; } }
+    );
+    assert.deepStrictEqual(notes, [
+      { type: 'delete', kind: 'table', label: 'tbl:counts' },
+      { type: 'insert', kind: 'figure', label: 'fig:trend' },
+    ]);
+    assert.ok(result.markdown.includes('NOTE delete tbl:counts\n\nNOTE insert fig:trend\n\n::: {#fig:trend}\n![Trend](trend.png)\n:::'));
+    assert.ok(!result.markdown.includes('| 1 |'));
+  });
+
+  it('keeps the new frontmatter and drops comments and CriticMarkup', () => {
+    const result = diffRevisions(
+      '---\ntitle: Old\n---\n\n<!-- intro.md -->\n\nText {>>note<<} here.\n',
+      '---\ntitle: New\n---\n\n<!-- intro.md -->\n\nText here.\n',
+      { fallback, markup: critic }
+    );
+    assert.strictEqual(result.markdown, '---\ntitle: New\n---\n\nText here.\n');
+  });
+
+  it('attributes changes by line', () => {
+    const result = diffRevisions('Old line.\n', 'Old line.\n\nAdded by Li.\n', {
+      fallback,
+      attribute: (line) => (line === 'Added by Li.' ? { author: 'Li Wei', date: '2025-06-01T00:00:00Z' } : null),
+      markup: (type, content, who) => `<${who.author}:${content}>`,
+    });
+    assert.ok(result.markdown.includes('<Li Wei:Added by Li.>'));
+  });
+});
+
+describe('exportDirectoryAtRef', () => {
+  let tempDir;
+  let dest;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-revdiff-'));
+    dest = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-revdiff-out-'));
+    const git = (cmd) => execSync(cmd, { cwd: tempDir, stdio: 'pipe' });
+    git('git init');
+    git('git config user.email "test@test.com"');
+    git('git config user.name "Test User"');
+    fs.mkdirSync(path.join(tempDir, 'paper', 'figures'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'paper', 'intro.md'), 'First draft.\n');
+    fs.writeFileSync(path.join(tempDir, 'paper', 'figures', 'fig.png'), 'png');
+    fs.writeFileSync(path.join(tempDir, 'notes.md'), 'Outside.\n');
+    git('git add -A');
+    git('git commit -m "v1"');
+    git('git tag v1-submitted');
+    fs.writeFileSync(path.join(tempDir, 'paper', 'intro.md'), 'Second draft.\n');
+    git('git commit -am "v2"');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.rmSync(dest, { recursive: true, force: true });
+  });
+
+  it('writes the project directory as it was at a tag, without images', () => {
+    const written = exportDirectoryAtRef('v1-submitted', path.join(tempDir, 'paper'), dest);
+    assert.deepStrictEqual(written, ['intro.md']);
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'intro.md'), 'utf-8'), 'First draft.\n');
+  });
+
+  it('rejects unknown revisions', () => {
+    assert.match(resolveCommit('v1-submitted', tempDir), /^[0-9a-f]{40}$/);
+    assert.throws(() => resolveCommit('v9-missing', tempDir), /Unknown git revision: v9-missing/);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for title-page.js (author and affiliation block)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  usesTitlePage,
+  buildTitlePage,
+  renderTitlePageMarkdown,
+  renderTitlePageLatex,
+} from '../lib/title-page.js';
+import { DEFAULT_CONFIG, applyFormatTransforms } from '../lib/build.js';
+
+const affiliations = {
+  eco: 'Department of Ecology, University of Somewhere',
+  inst: 'Institute of Things & Stuff',
+  lab: 'Field Station North',
+};
+
+const authors = [
+  { name: 'Jane Doe', affiliations: ['inst', 'eco'], corresponding: true, email: 'jane@example.org', orcid: '0000-0002-1825-0097' },
+  { name: 'Li Wei', affiliations: ['eco'], equalContribution: true },
+  { name: 'Sam Roe', affiliations: ['eco'], equalContribution: true, presentAddress: 'lab' },
+  { name: 'Ada Old', affiliation: 'Museum of History', deceased: true },
+];
+
+const registry = { figures: new Map(), tables: new Map(), equations: new Map(), byNumber: { fig: new Map(), tbl: new Map(), eq: new Map(), figS: new Map(), tblS: new Map(), eqS: new Map() } };
+
+describe('usesTitlePage', () => {
+  it('applies by default to authors with numbered affiliations', () => {
+    assert.strictEqual(usesTitlePage(['Jane Doe', 'Li Wei']), false);
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe', affiliations: ['eco'] }], undefined, { eco: 'Ecology' }), true);
+    assert.strictEqual(usesTitlePage(undefined), false);
+  });
+
+  it('leaves other structured authors to pandoc unless opted in', () => {
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe', orcid: '0000-0002-1825-0097' }]), false);
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe', affiliations: ['eco'] }]), false);
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe' }], true), true);
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe' }], { orcidLinks: false }), true);
+    assert.strictEqual(usesTitlePage(['Jane Doe'], true), false);
+  });
+
+  it('is disabled by titlePage: false', () => {
+    assert.strictEqual(usesTitlePage([{ name: 'Jane Doe', affiliations: ['eco'] }], false, { eco: 'Ecology' }), false);
+  });
+});
+
+describe('buildTitlePage', () => {
+  it('numbers affiliations in order of first appearance', () => {
+    const page = buildTitlePage(authors, affiliations);
+    assert.deepStrictEqual(page.affiliations, [
+      'Institute of Things & Stuff',
+      'Department of Ecology, University of Somewhere',
+      'Museum of History',
+    ]);
+    assert.deepStrictEqual(page.authors.map((a) => a.affiliations), [[1, 2], [2], [2], [3]]);
+  });
+
+  it('assigns one symbol per note', () => {
+    const page = buildTitlePage(authors, affiliations);
+    assert.deepStrictEqual(page.authors.map((a) => a.notes), [['*'], ['†'], ['†', '‡'], ['§']]);
+    assert.deepStrictEqual(page.notes.map((n) => [n.symbol, n.text]), [
+      ['*', 'Corresponding author:'],
+      ['†', 'These authors contributed equally to this work.'],
+      ['‡', 'Present address: Field Station North'],
+      ['§', 'Deceased.'],
+    ]);
+  });
+
+  it('shares a symbol between authors with the same present address', () => {
+    const page = buildTitlePage([
+      { name: 'A', presentAddress: 'Elsewhere' },
+      { name: 'B', presentAddress: 'Elsewhere' },
+      { name: 'C', presentAddress: 'Somewhere else' },
+    ]);
+    assert.deepStrictEqual(page.authors.map((a) => a.notes), [['†'], ['†'], ['‡']]);
+  });
+
+  it('keeps only valid ORCIDs', () => {
+    const page = buildTitlePage([
+      { name: 'A', orcid: 'https://orcid.org/0000-0002-1825-0097' },
+      { name: 'B', orcid: 'not-an-orcid' },
+    ]);
+    assert.deepStrictEqual(page.authors.map((a) => a.orcid), ['0000-0002-1825-0097', null]);
+  });
+
+  it('lists several corresponding authors', () => {
+    const page = buildTitlePage([
+      { name: 'A', corresponding: true, email: 'a@x.org' },
+      { name: 'B', corresponding: true, email: 'b@x.org' },
+    ]);
+    assert.strictEqual(page.notes[0].text, 'Corresponding authors:');
+    assert.strictEqual(page.notes[0].emails.length, 2);
+  });
+});
+
+describe('renderTitlePageMarkdown', () => {
+  it('renders authors, affiliations and notes', () => {
+    const md = renderTitlePageMarkdown(buildTitlePage(authors, affiliations));
+    assert.ok(md.startsWith('[Jane Doe](https://orcid.org/0000-0002-1825-0097)^1,2,\\*^, Li Wei^2,†^, Sam Roe^2,†,‡^, Ada Old^3,§^\n\n'));
+    assert.ok(md.includes('^1^ Institute of Things & Stuff\\\n^2^ Department of Ecology'));
+    assert.ok(md.includes('^\\*^ Corresponding author: <jane@example.org>\\\n^†^ These authors contributed equally to this work.'));
+    assert.ok(md.trimEnd().endsWith('^§^ Deceased.'));
+  });
+
+  it('honours affiliationNewline and orcidLinks', () => {
+    const md = renderTitlePageMarkdown(buildTitlePage(authors, affiliations), { affiliationNewline: false, orcidLinks: false });
+    assert.ok(md.startsWith('Jane Doe^1,2,\\*^'));
+    assert.ok(!md.includes('\\\n'));
+  });
+
+  it('names each of several corresponding authors', () => {
+    const md = renderTitlePageMarkdown(buildTitlePage([
+      { name: 'A', corresponding: true, email: 'a@x.org' },
+      { name: 'B', corresponding: true },
+    ]));
+    assert.ok(md.includes('^\\*^ Corresponding authors: A (<a@x.org>), B'));
+  });
+});
+
+describe('renderTitlePageLatex', () => {
+  it('renders an authblk block with escaped text', () => {
+    const tex = renderTitlePageLatex(buildTitlePage(authors, affiliations));
+    assert.ok(tex.startsWith('\\usepackage{authblk}'));
+    assert.ok(tex.includes('\\author[1,2,*]{\\href{https://orcid.org/0000-0002-1825-0097}{Jane Doe}}'));
+    assert.ok(tex.includes('\\author[2,\\dag,\\ddag]{Sam Roe}'));
+    assert.ok(tex.includes('\\affil[1]{Institute of Things \\& Stuff}'));
+    assert.ok(tex.includes('\\affil[*]{Corresponding author: \\href{mailto:jane@example.org}{jane@example.org}}'));
+    assert.ok(tex.includes('\\affil[\\S]{Deceased.}'));
+  });
+
+  it('escapes backslashes without breaking braces', () => {
+    const tex = renderTitlePageLatex(buildTitlePage([{ name: 'A\\B_{c}' }]));
+    assert.ok(tex.includes('\\author{A\\textbackslash{}B\\_\\{c\\}}'));
+  });
+});
+
+describe('applyFormatTransforms title page', () => {
+  const config = (extra = {}) => ({ ...DEFAULT_CONFIG, title: 'Paper', authors, affiliations, ...extra });
+  const content = '---\ntitle: Paper\n---\n\n# Introduction\n';
+
+  it('inserts the markdown block for docx and html', () => {
+    for (const format of ['docx', 'html']) {
+      const out = applyFormatTransforms(content, format, config(), registry);
+      assert.ok(out.includes('---\n\n[Jane Doe](https://orcid.org/'), format);
+    }
+  });
+
+  it('injects the authblk header for pdf', () => {
+    const out = applyFormatTransforms(content, 'pdf', config(), registry);
+    assert.ok(out.includes('header-includes: |\n  \\usepackage{authblk}'));
+  });
+
+  it('falls back to docx.affiliationNewline', () => {
+    const out = applyFormatTransforms(content, 'docx', config({ docx: { ...DEFAULT_CONFIG.docx, affiliationNewline: false } }), registry);
+    assert.ok(out.includes('^1^ Institute of Things & Stuff\n^2^'));
+  });
+
+  it('leaves object authors without numbered affiliations to pandoc', () => {
+    const out = applyFormatTransforms(content, 'docx', config({ authors: [{ name: 'Jane Doe', email: 'jane@example.org' }], affiliations: {} }), registry);
+    assert.ok(!out.includes('Jane Doe'));
+  });
+
+  it('leaves authors to pandoc with titlePage: false', () => {
+    const out = applyFormatTransforms(content, 'docx', config({ titlePage: false }), registry);
+    assert.ok(!out.includes('Jane Doe'));
+  });
+});
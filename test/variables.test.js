@@ -2,9 +2,12 @@
  * Tests for template variable substitution
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { processVariables, hasVariables, findVariables } from '../lib/variables.js';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { processVariables, hasVariables, findVariables, checkDataVariables } from '../lib/variables.js';
 
 describe('hasVariables', () => {
   it('should return true for text with variables', () => {
@@ -111,3 +114,66 @@ describe('processVariables', () => {
     assert.ok(result.includes('2.0'));
   });
 });
+
+describe('data variables', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-vars-'));
+    fs.mkdirSync(path.join(dir, 'results'));
+    fs.writeFileSync(path.join(dir, 'results', 'model.json'), JSON.stringify({
+      beta: { mean: 0.41234, p: 0.00002 },
+      n: 12450,
+    }));
+    fs.writeFileSync(path.join(dir, 'results', 'sites.csv'), 'site,n,cover\nA,120,0.253\nB,98,0.4\n');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads JSON keys through filters', () => {
+    const result = processVariables(
+      'β = {{data:results/model.json#beta.mean|round:2}} (p {{data:results/model.json#beta.p|pvalue}}), n = {{data:results/model.json#n|thousands}}',
+      {},
+      { directory: dir }
+    );
+    assert.strictEqual(result, 'β = 0.41 (p < 0.001), n = 12,450');
+  });
+
+  it('looks up CSV cells by first column, column=value and row number', () => {
+    const result = processVariables(
+      '{{data:results/sites.csv#A.n}} {{data:results/sites.csv#site=B.cover|percent:1}} {{data:results/sites.csv#2.n}}',
+      {},
+      { directory: dir }
+    );
+    assert.strictEqual(result, '120 40.0% 98');
+  });
+
+  it('renders missing keys as ?? and reports them', () => {
+    const outIssues = [];
+    const result = processVariables('{{data:results/model.json#gamma.mean}}', {}, { directory: dir, outIssues });
+    assert.strictEqual(result, '??');
+    assert.strictEqual(outIssues.length, 1);
+    assert.match(outIssues[0].error, /key "gamma" not found/);
+  });
+
+  it('checkDataVariables lists missing files, keys and bad filters once each', () => {
+    const text = [
+      '{{data:results/model.json#beta.mean|round:2}}',
+      '{{data:results/gone.json#x}}',
+      '{{data:results/sites.csv#C.n}}',
+      '{{data:results/sites.csv#C.n}}',
+      '{{data:results/model.json#beta.mean|fancy}}',
+    ].join('\n');
+    const issues = checkDataVariables(text, dir);
+    assert.deepStrictEqual(issues.map((i) => i.variable), [
+      '{{data:results/gone.json#x}}',
+      '{{data:results/sites.csv#C.n}}',
+      '{{data:results/model.json#beta.mean|fancy}}',
+    ]);
+    assert.match(issues[0].error, /not found/);
+    assert.match(issues[1].error, /row "C" not found/);
+    assert.match(issues[2].error, /unknown filter "fancy"/);
+  });
+});
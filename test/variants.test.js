@@ -0,0 +1,87 @@
+/**
+ * Tests for variants.js (build variants and conditional content)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  filterVariantBlocks,
+  parseOnlyVariants,
+  mergeVariantOverrides,
+  isValidVariantName,
+} from '../lib/variants.js';
+
+describe('parseOnlyVariants', () => {
+  it('returns null for non-.only divs', () => {
+    assert.strictEqual(parseOnlyVariants('{#refs}'), null);
+    assert.strictEqual(parseOnlyVariants('{.onlyish}'), null);
+  });
+
+  it('parses quoted, unquoted and comma-separated lists', () => {
+    assert.deepStrictEqual(parseOnlyVariants('{.only variant="preprint internal"}'), ['preprint', 'internal']);
+    assert.deepStrictEqual(parseOnlyVariants('{.only variant=preprint}'), ['preprint']);
+    assert.deepStrictEqual(parseOnlyVariants("{.only variants='a, b'}"), ['a', 'b']);
+  });
+});
+
+describe('filterVariantBlocks', () => {
+  const source = [
+    'Intro.',
+    '',
+    '::: {.only variant="preprint"}',
+    'We thank the funders.',
+    ':::',
+    '',
+    'Outro.',
+  ].join('\n');
+
+  it('unwraps blocks listed for the active variant', () => {
+    const result = filterVariantBlocks(source, 'preprint');
+    assert.strictEqual(result, 'Intro.\n\nWe thank the funders.\n\nOutro.');
+  });
+
+  it('drops blocks for other variants', () => {
+    const result = filterVariantBlocks(source, 'submission');
+    assert.strictEqual(result, 'Intro.\n\n\nOutro.');
+  });
+
+  it('drops .only blocks when no variant is active', () => {
+    assert.ok(!filterVariantBlocks(source, null).includes('funders'));
+  });
+
+  it('keeps unrelated fenced divs and their closing fences', () => {
+    const md = '::: {#refs}\n:::\n\n::: {.only variant="a"}\n::: {.note}\nInner\n:::\n:::\nAfter';
+    assert.strictEqual(filterVariantBlocks(md, 'a'), '::: {#refs}\n:::\n\n::: {.note}\nInner\n:::\nAfter');
+    assert.strictEqual(filterVariantBlocks(md, 'b'), '::: {#refs}\n:::\n\nAfter');
+  });
+
+  it('ignores fences inside code blocks', () => {
+    const md = '```\n::: {.only variant="x"}\n:::\n```';
+    assert.strictEqual(filterVariantBlocks(md, null), md);
+  });
+
+  it('handles nested .only blocks', () => {
+    const md = '::: {.only variant="a b"}\nA\n::: {.only variant="b"}\nB\n:::\n:::';
+    assert.strictEqual(filterVariantBlocks(md, 'a'), 'A');
+    assert.strictEqual(filterVariantBlocks(md, 'b'), 'A\nB');
+  });
+});
+
+describe('mergeVariantOverrides', () => {
+  it('merges objects one level deep and replaces scalars and arrays', () => {
+    const base = { title: 'T', pdf: { toc: false, fontsize: '12pt' }, macros: [{ name: 'a' }] };
+    const merged = mergeVariantOverrides(base, { pdf: { toc: true }, macros: [], title: 'U' });
+
+    assert.deepStrictEqual(merged, { title: 'U', pdf: { toc: true, fontsize: '12pt' }, macros: [] });
+    assert.strictEqual(base.pdf.toc, false);
+  });
+});
+
+describe('isValidVariantName', () => {
+  it('accepts filename-safe names only', () => {
+    assert.ok(isValidVariantName('preprint'));
+    assert.ok(isValidVariantName('round-2_anon'));
+    assert.ok(!isValidVariantName('a b'));
+    assert.ok(!isValidVariantName('../x'));
+  });
+});
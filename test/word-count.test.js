@@ -0,0 +1,149 @@
+/**
+ * Tests for word-count.js (journal-rule-aware word counting)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  countWordParts,
+  splitAtHeadings,
+  headingMatches,
+  countManuscriptWords,
+  describeWordCountRules,
+} from '../lib/word-count.js';
+import { validateManuscript } from '../lib/journals.js';
+import { countWords } from '../lib/utils.js';
+
+const INTRO = `# Introduction {#sec:intro}
+
+Birds sing loudly [@smith2020; @doe2021] as in @fig:map.[^1]
+
+![Map of all sites](map.png){#fig:map}
+
+| a | b |
+|---|---|
+| one two | three |
+
+Table: Site counts {#tbl:sites}
+
+[^1]: A short note here.
+
+## Aims
+
+We aim high.
+`;
+
+const METHODS = `# Materials and methods
+
+We counted birds.
+
+## Sites
+
+Three sites.
+`;
+
+describe('countWordParts', () => {
+  it('separates body, captions, tables, footnotes and citations', () => {
+    assert.deepStrictEqual(countWordParts(INTRO.split('## Aims')[0]), {
+      body: 6,
+      captions: 6,
+      tables: 5,
+      footnotes: 4,
+      citations: 2,
+    });
+  });
+
+  it('reads inline footnotes and table directive captions', () => {
+    const parts = countWordParts('Text^[an inline note] here.\n\n::: {.table src="t.csv" #tbl:t caption="Model fit statistics"}\n:::\n');
+    assert.strictEqual(parts.footnotes, 3);
+    assert.strictEqual(parts.captions, 3);
+    assert.strictEqual(parts.body, 2);
+  });
+
+  it('ignores comments and email addresses', () => {
+    const parts = countWordParts('Write to a@b.org <!-- not this -->\n');
+    assert.strictEqual(parts.body, 3);
+    assert.strictEqual(parts.citations, 0);
+  });
+});
+
+describe('countWords', () => {
+  it('skips punctuation-only tokens only when asked', () => {
+    const text = 'Birds sing [@smith2020] loudly.';
+    assert.strictEqual(countWords(text), 4);
+    assert.strictEqual(countWords(text, { skipPunctuation: true }), 3);
+  });
+});
+
+describe('splitAtHeadings', () => {
+  it('splits at headings outside code fences', () => {
+    const sections = splitAtHeadings('Lead.\n\n# One {#sec:one}\n\n```\n# not a heading\n```\n\n## Two\n');
+    assert.deepStrictEqual(sections.map((s) => [s.heading, s.level]), [[null, 0], ['One', 1], ['Two', 2]]);
+  });
+});
+
+describe('headingMatches', () => {
+  it('matches whole words case-insensitively', () => {
+    assert.ok(headingMatches('Materials and methods', 'Methods'));
+    assert.ok(!headingMatches('Methodsology', 'Methods'));
+  });
+});
+
+describe('countManuscriptWords', () => {
+  const files = [
+    { file: 'abstract.md', text: '---\ntitle: x\n---\n# Abstract\n\nWe study five things.\n' },
+    { file: 'intro.md', text: INTRO },
+    { file: 'methods.md', text: METHODS },
+  ];
+
+  it('counts body text of every section but the abstract by default', () => {
+    const report = countManuscriptWords(files);
+    const byHeading = Object.fromEntries(report.sections.map((s) => [s.heading, s]));
+    assert.strictEqual(byHeading.Abstract.counted, 0);
+    assert.deepStrictEqual(byHeading.Abstract.notes, ['Abstract excluded']);
+    assert.strictEqual(byHeading.Introduction.counted, 10);
+    assert.deepStrictEqual(byHeading.Introduction.notes, ['6 in captions not counted', '5 in tables not counted']);
+    assert.strictEqual(byHeading.Sites.counted, 3);
+    assert.strictEqual(report.abstract, 5);
+    // Headings count as body words
+    assert.strictEqual(report.total, 5 + 21 + 4 + 6 + 3);
+  });
+
+  it('applies excluded sections to their subsections', () => {
+    const report = countManuscriptWords(files, { exclude: ['Abstract', 'Methods'] });
+    const sites = report.sections.find((s) => s.heading === 'Sites');
+    assert.strictEqual(sites.counted, 0);
+    assert.deepStrictEqual(sites.notes, ['Methods excluded']);
+  });
+
+  it('counts only included sections and the parts the rules allow', () => {
+    const report = countManuscriptWords(files, { include: ['Introduction'], captions: true, citations: true, footnotes: false });
+    const intro = report.sections.find((s) => s.heading === 'Introduction');
+    assert.strictEqual(intro.counted, 6 + 6 + 2);
+    assert.ok(intro.notes.includes('4 in footnotes not counted'));
+    assert.strictEqual(report.sections.find((s) => s.heading === 'Aims').counted, 4);
+    assert.match(report.sections.find((s) => s.heading === 'Sites').notes[0], /not in counted sections/);
+    assert.strictEqual(report.counted, 18);
+  });
+
+  it('describes the rules', () => {
+    assert.strictEqual(
+      describeWordCountRules({ exclude: ['Abstract'], captions: true, tables: false, footnotes: true, citations: false }),
+      'excluding Abstract; with captions, footnotes; without tables, citations'
+    );
+  });
+});
+
+describe('journal counting rules', () => {
+  it('uses the profile rules in validateManuscript', () => {
+    const text = `# Abstract\n\n${'word '.repeat(100)}\n\n# Introduction\n\n${'word '.repeat(2900)}\n\n# Methods\n\n${'word '.repeat(500)}\n`;
+    assert.ok(!validateManuscript(text, 'nature').errors.some((e) => e.includes('Main text')));
+    assert.strictEqual(validateManuscript(text, 'nature').stats.wordCount, 2901);
+  });
+
+  it('keeps the plain count for profiles without counting rules', () => {
+    const text = '# Abstract\n\nShort.\n\n# Results\n\nBirds sing [@smith2020].\n';
+    // Abstract included, and "[]." left by the citation counts as a word
+    assert.strictEqual(validateManuscript(text, 'pnas').stats.wordCount, 6);
+  });
+});
@@ -398,6 +398,136 @@ describe('wordcomments.js', () => {
     });
   });
 
+  describe('stable comment IDs', () => {
+    it('carries IDs through Word and updates the same comment on a later sync', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-ids-'));
+      const docxPath = path.join(tmpDir, 'ids.docx');
+
+      const source = 'Plant diversity {>>[c:7f3a] R1: needs citation<<}{>>[c:b2] ↪ R2: agree<<} in Europe spans biomes.';
+      const { markedMarkdown, comments: prepared } = prepareMarkdownWithMarkers(source);
+      assert.deepStrictEqual(prepared.map(c => [c.stableId, c.author, c.isReply]), [['7f3a', 'R1', false], ['b2', 'R2', true]]);
+      createTestDocx(markedMarkdown).writeZip(docxPath);
+      await injectCommentsAtMarkers(docxPath, prepared, docxPath);
+
+      const idsXml = new AdmZip(docxPath).readAsText('word/commentsIds.xml');
+      assert.ok(idsXml.includes('w16cid:durableId="00007F3A"'));
+      assert.ok(idsXml.includes('w16cid:durableId="000000B2"'));
+
+      // The reviewer edits the comment and adds a reply of their own
+      const extracted = await extractWordComments(docxPath);
+      assert.deepStrictEqual(extracted.map(c => c.stableId), ['7f3a', 'b2']);
+      extracted[0].text = 'needs two citations';
+      extracted.push({ id: '99', author: 'R3', date: '', text: 'done', parentId: extracted[0].id, stableId: 'c0de' });
+
+      const { anchors } = await extractCommentAnchors(docxPath);
+      const stats = { placed: 0, deduped: 0, unmatched: 0, updated: 0 };
+      const synced = insertCommentsIntoMarkdown(source + ' {>>R9: stays<<}', extracted, anchors, {
+        quiet: true,
+        wrapAnchor: false,
+        outStats: stats,
+      });
+
+      assert.strictEqual(
+        synced,
+        'Plant diversity {>>[c:7f3a] R1: needs two citations<<}{>>[c:b2] ↪ R2: agree<<}{>>[c:c0de] ↪ R3: done<<} ' +
+          'in Europe spans biomes. {>>R9: stays<<}',
+      );
+      assert.deepStrictEqual(stats, { placed: 1, deduped: 1, unmatched: 0, updated: 1, lowConfidence: 0 });
+
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('gives a comment synced before it had an ID the Word comment\'s ID', () => {
+      const anchors = new Map([['1', { anchor: 'diversity', before: 'Plant', after: 'spans', docPosition: 6, docLength: 30, isEmpty: false }]]);
+      const synced = insertCommentsIntoMarkdown(
+        'Plant {>>R1: check<<}diversity spans.',
+        [{ id: '1', author: 'R1', date: '', text: 'check', stableId: '3e8d1a2b' }],
+        anchors,
+        { quiet: true, wrapAnchor: false },
+      );
+      assert.strictEqual(synced, 'Plant {>>[c:3e8d1a2b] R1: check<<}diversity spans.');
+    });
+  });
+
+  describe('resolved comments', () => {
+    it('writes w15:done for resolved comments and reads it back', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-done-'));
+      const docxPath = path.join(tmpDir, 'done.docx');
+
+      const source = 'Plant {>>[c:a1] R1: cite this [RESOLVED]<<}{>>[c:a2] ↪ R2: agree<<} diversity {>>[c:a3] R1: unclear<<} spans biomes.';
+      const { markedMarkdown, comments: prepared } = prepareMarkdownWithMarkers(source);
+      assert.deepStrictEqual(prepared.map(c => [c.text, c.resolved]), [['cite this', true], ['agree', false], ['unclear', false]]);
+      createTestDocx(markedMarkdown).writeZip(docxPath);
+      await injectCommentsAtMarkers(docxPath, prepared, docxPath);
+
+      const zip = new AdmZip(docxPath);
+      const extXml = zip.readAsText('word/commentsExtended.xml');
+      assert.deepStrictEqual(extXml.match(/w15:done="\d"/g), ['w15:done="1"', 'w15:done="0"', 'w15:done="0"']);
+      assert.ok(!zip.readAsText('word/comments.xml').includes('[RESOLVED]'));
+
+      // A coauthor resolves the second thread in Word
+      zip.updateFile('word/commentsExtended.xml', Buffer.from(extXml.replace(/(w15:paraId="\w+") w15:done="0"\/>(<\/w15:commentsEx>)/, '$1 w15:done="1"/>$2')));
+      zip.writeZip(docxPath);
+
+      const extracted = await extractWordComments(docxPath);
+      assert.deepStrictEqual(extracted.map(c => c.resolved ?? false), [true, false, true]);
+
+      const { anchors } = await extractCommentAnchors(docxPath);
+      const synced = insertCommentsIntoMarkdown(source, extracted, anchors, { quiet: true, wrapAnchor: false });
+      assert.strictEqual(
+        synced,
+        'Plant {>>[c:a1] R1: cite this [RESOLVED]<<}{>>[c:a2] ↪ R2: agree<<} diversity {>>[c:a3] R1: unclear [RESOLVED]<<} spans biomes.',
+      );
+
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('clears the marker when a comment is reopened in Word', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docrev-reopen-'));
+      const docxPath = path.join(tmpDir, 'reopen.docx');
+
+      const source = 'Plant {>>[c:a1] R1: cite this [RESOLVED]<<} diversity {>>R2: unclear [RESOLVED]<<} spans biomes.';
+      const { markedMarkdown, comments: prepared } = prepareMarkdownWithMarkers(source);
+      createTestDocx(markedMarkdown).writeZip(docxPath);
+      await injectCommentsAtMarkers(docxPath, prepared, docxPath);
+
+      // A coauthor reopens both threads in Word
+      const zip = new AdmZip(docxPath);
+      const extXml = zip.readAsText('word/commentsExtended.xml');
+      zip.updateFile('word/commentsExtended.xml', Buffer.from(extXml.replaceAll('w15:done="1"', 'w15:done="0"')));
+      zip.writeZip(docxPath);
+
+      const extracted = await extractWordComments(docxPath);
+      assert.deepStrictEqual(extracted.map(c => c.resolved), [false, false]);
+
+      const { anchors } = await extractCommentAnchors(docxPath);
+      const synced = insertCommentsIntoMarkdown(source, extracted, anchors, { quiet: true, wrapAnchor: false });
+      assert.match(synced, /^Plant \{>>\[c:a1\] R1: cite this<<\} diversity \{>>\[c:[0-9a-f]+\] R2: unclear<<\} spans biomes\.$/);
+
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('marks comments without IDs resolved and keeps local resolutions', () => {
+      const anchors = new Map([
+        ['1', { anchor: 'diversity', before: 'Plant', after: 'spans', docPosition: 6, docLength: 30, isEmpty: false }],
+        ['2', { anchor: 'spans', before: 'diversity', after: 'biomes', docPosition: 16, docLength: 30, isEmpty: false }],
+      ]);
+      const stats = { placed: 0, deduped: 0, unmatched: 0, updated: 0 };
+      const synced = insertCommentsIntoMarkdown(
+        'Plant {>>R1: check<<}diversity {>>R2: fine [RESOLVED]<<}spans biomes.',
+        [
+          { id: '1', author: 'R1', date: '', text: 'check', resolved: true },
+          { id: '2', author: 'R2', date: '', text: 'fine' },
+        ],
+        anchors,
+        { quiet: true, wrapAnchor: false, outStats: stats },
+      );
+      assert.strictEqual(synced, 'Plant {>>R1: check [RESOLVED]<<}diversity {>>R2: fine [RESOLVED]<<}spans biomes.');
+      assert.strictEqual(stats.updated, 1);
+      assert.strictEqual(stats.deduped, 1);
+    });
+  });
+
   describe('marker placement vs XML attributes (issue #4)', () => {
     /**
      * Pandoc renders a markdown image's inline caption text into both the